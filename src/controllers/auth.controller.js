@@ -23,6 +23,7 @@ const register = async (req, res) => {
       email: req.body.email,
       password: req.body.password,
       company: req.body.company,
+      locale: req.body.locale,
       role: req.body.role || 'user',
     });
     
@@ -140,7 +141,7 @@ const getMe = async (req, res) => {
 const updateProfile = async (req, res) => {
   try {
     // Fields that are allowed to be updated
-    const allowedFields = ['name', 'company', 'attributes'];
+    const allowedFields = ['name', 'company', 'locale', 'attributes'];
     
     // Filter the request body to only include allowed fields
     const filteredBody = {};
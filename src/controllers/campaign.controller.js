@@ -1,20 +1,59 @@
 const Campaign = require('../models/campaign.model');
 const Email = require('../models/email.model');
+const TemplateVersion = require('../models/template-version.model');
+const Journey = require('../models/journey.model');
+const abTestService = require('../services/ab-test.service');
+const holdoutService = require('../services/holdout.service');
 const { logger } = require('../utils/logger');
 
+/**
+ * Pick the A/B test settings a request can set; the winner is only set by
+ * promoting a variant
+ * @param {Object} abTest - A/B test settings from the request body
+ * @returns {Object} - Settings that were given
+ */
+const pickAbTestSettings = (abTest) => ['metric', 'confidence', 'autoPromote', 'minSampleSize']
+  .filter((field) => abTest && typeof abTest === 'object' && abTest[field] !== undefined)
+  .reduce((settings, field) => ({ ...settings, [field]: abTest[field] }), {});
+
 /**
  * Create a new campaign
  * @route POST /api/campaigns
  */
 const createCampaign = async (req, res) => {
   try {
+    // A pinned template version must exist
+    if (req.body.templateVersion
+      && !(await TemplateVersion.exists({ templateId: req.body.templateId, version: req.body.templateVersion }))) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Version ${req.body.templateVersion} of template ${req.body.templateId} not found`,
+      });
+    }
+    
+    const variantError = await abTestService.validateVariants(req.body.variants || []);
+    
+    if (variantError) {
+      return res.status(400).json({
+        status: 'error',
+        message: variantError,
+      });
+    }
+    
     const newCampaign = await Campaign.create({
       name: req.body.name,
       description: req.body.description,
       templateId: req.body.templateId,
+      templateVersion: req.body.templateVersion || null,
+      variants: req.body.variants || [],
+      abTest: pickAbTestSettings(req.body.abTest),
+      conversionEvent: req.body.conversionEvent || null,
+      conversionWindow: req.body.conversionWindow,
+      holdoutPercentage: req.body.holdoutPercentage || 0,
       triggerEvent: req.body.triggerEvent,
       delay: req.body.delay || 0,
       conditions: req.body.conditions || {},
+      cancelEvents: req.body.cancelEvents || [],
       audience: req.body.audience || [],
       excludedAudience: req.body.excludedAudience || [],
       startDate: req.body.startDate || new Date(),
@@ -23,6 +62,9 @@ const createCampaign = async (req, res) => {
       createdBy: req.user._id,
       metadata: req.body.metadata || {},
       defaultVariables: req.body.defaultVariables || {},
+      deliveryProvider: req.body.deliveryProvider || null,
+      isTransactional: req.body.isTransactional || false,
+      topic: req.body.topic || null,
     });
     
     res.status(201).json({
@@ -42,6 +84,13 @@ const createCampaign = async (req, res) => {
       });
     }
     
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid campaign: ${error.message}`,
+      });
+    }
+    
     res.status(500).json({
       status: 'error',
       message: 'Failed to create campaign',
@@ -84,7 +133,8 @@ const getAllCampaigns = async (req, res) => {
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .populate('templateId', 'name subject')
+      // Archived campaigns can use deleted templates
+      .populate({ path: 'templateId', select: 'name subject', options: { withDeleted: true } })
       .populate('createdBy', 'name email');
     
     // Get total count
@@ -121,7 +171,7 @@ const getAllCampaigns = async (req, res) => {
 const getCampaignById = async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.id)
-      .populate('templateId')
+      .populate({ path: 'templateId', options: { withDeleted: true } })
       .populate('createdBy', 'name email');
     
     if (!campaign) {
@@ -185,9 +235,15 @@ const updateCampaign = async (req, res) => {
       'name',
       'description',
       'templateId',
+      'templateVersion',
+      'variants',
+      'conversionEvent',
+      'conversionWindow',
+      'holdoutPercentage',
       'triggerEvent',
       'delay',
       'conditions',
+      'cancelEvents',
       'audience',
       'excludedAudience',
       'startDate',
@@ -195,6 +251,9 @@ const updateCampaign = async (req, res) => {
       'status',
       'metadata',
       'defaultVariables',
+      'deliveryProvider',
+      'isTransactional',
+      'topic',
     ];
     
     // Filter the request body to only include allowed fields
@@ -205,6 +264,46 @@ const updateCampaign = async (req, res) => {
       }
     });
     
+    // Update A/B test settings one by one so the others and the winner are kept
+    Object.entries(pickAbTestSettings(req.body.abTest)).forEach(([field, value]) => {
+      filteredBody[`abTest.${field}`] = value;
+    });
+    
+    // A changed test is evaluated again
+    if (filteredBody.variants !== undefined || Object.keys(pickAbTestSettings(req.body.abTest)).length > 0) {
+      filteredBody['abTest.evaluatedAt'] = null;
+    }
+    
+    if (filteredBody.variants !== undefined) {
+      const variantError = await abTestService.validateVariants(filteredBody.variants);
+      
+      if (variantError) {
+        return res.status(400).json({
+          status: 'error',
+          message: variantError,
+        });
+      }
+    }
+    
+    // A pinned template version must exist
+    const templateId = filteredBody.templateId || campaign.templateId;
+    const templateVersion = filteredBody.templateVersion !== undefined ? filteredBody.templateVersion : campaign.templateVersion;
+    
+    if (templateVersion && !(await TemplateVersion.exists({ templateId, version: templateVersion }))) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Version ${templateVersion} of template ${templateId} not found`,
+      });
+    }
+    
+    // Journey steps would also be sent on their own trigger
+    if (filteredBody.triggerEvent && await Journey.exists({ 'steps.campaignId': campaign._id })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Campaigns used as journey steps can\'t have a trigger event',
+      });
+    }
+    
     // Update the campaign
     const updatedCampaign = await Campaign.findByIdAndUpdate(
       req.params.id,
@@ -257,6 +356,16 @@ const deleteCampaign = async (req, res) => {
       });
     }
     
+    // Journeys would be left with a step that can't be sent
+    const journey = await Journey.findOne({ 'steps.campaignId': campaign._id }).select('name');
+    
+    if (journey) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Campaign is a step of journey ${journey.name}`,
+      });
+    }
+    
     // Delete the campaign
     await Campaign.findByIdAndDelete(req.params.id);
     
@@ -317,8 +426,14 @@ const getCampaignAnalytics = async (req, res) => {
       openRate: stats.opened ? (stats.opened / (stats.delivered || totalEmails)) * 100 : 0,
       clickRate: stats.clicked ? (stats.clicked / (stats.opened || 1)) * 100 : 0,
       bounceRate: stats.bounced ? (stats.bounced / totalEmails) * 100 : 0,
+      conversionRate: campaign.analytics.converted && campaign.analytics.sent
+        ? (campaign.analytics.converted / campaign.analytics.sent) * 100
+        : 0,
     };
     
+    // Results by variant, with significance against the control
+    const variants = await abTestService.getVariantReport(campaign);
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -329,6 +444,7 @@ const getCampaignAnalytics = async (req, res) => {
         },
         rates,
         totalEmails,
+        variants,
       },
     });
   } catch (error) {
@@ -342,6 +458,71 @@ const getCampaignAnalytics = async (req, res) => {
   }
 };
 
+/**
+ * Get the lift of a campaign: the conversion rate of users who were sent it
+ * against that of its holdout group
+ * @route GET /api/campaigns/:id/lift
+ */
+const getCampaignLift = async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found',
+      });
+    }
+    
+    // Check if user has permission to view this campaign
+    if (req.user.role !== 'admin' && campaign.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to view this campaign',
+      });
+    }
+    
+    if (!campaign.conversionEvent) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Set a conversion event on the campaign to measure its lift',
+      });
+    }
+    
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from and to must be valid dates',
+      });
+    }
+    
+    const lift = await holdoutService.getLiftReport(campaign, {
+      from,
+      to,
+      confidence: campaign.abTest.confidence,
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        campaign: campaign.name,
+        lift,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error fetching campaign lift ${req.params.id}:`, error);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch campaign lift',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Activate a campaign
  * @route PATCH /api/campaigns/:id/activate
@@ -432,6 +613,56 @@ const pauseCampaign = async (req, res) => {
   }
 };
 
+/**
+ * Promote a variant of a campaign's A/B test: every user is sent it from now on
+ * @route PATCH /api/campaigns/:id/variants/:name/promote
+ */
+const promoteVariant = async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found',
+      });
+    }
+    
+    // Check if user is the creator or an admin
+    if (campaign.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to update this campaign',
+      });
+    }
+    
+    if (!campaign.variants.some((variant) => variant.name === req.params.name)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Variant ${req.params.name} not found`,
+      });
+    }
+    
+    await abTestService.promoteVariant(campaign, req.params.name);
+    
+    res.status(200).json({
+      status: 'success',
+      message: `Variant ${req.params.name} promoted successfully`,
+      data: {
+        campaign,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error promoting variant ${req.params.name} of campaign ${req.params.id}:`, error);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to promote variant',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   createCampaign,
   getAllCampaigns,
@@ -439,6 +670,8 @@ module.exports = {
   updateCampaign,
   deleteCampaign,
   getCampaignAnalytics,
+  getCampaignLift,
   activateCampaign,
   pauseCampaign,
+  promoteVariant,
 };
\ No newline at end of file
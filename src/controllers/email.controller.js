@@ -0,0 +1,183 @@
+const Campaign = require('../models/campaign.model');
+const Email = require('../models/email.model');
+const { logger } = require('../utils/logger');
+
+/**
+ * Get dead-lettered emails
+ * @route GET /api/emails/dead-letter
+ */
+const getDeadLetterEmails = async (req, res) => {
+  try {
+    // Build query
+    const queryObj = {};
+
+    // Filter by campaign
+    if (req.query.campaignId) {
+      queryObj.campaignId = req.query.campaignId;
+    }
+
+    // Filter by error type
+    if (req.query.errorType) {
+      queryObj.errorType = req.query.errorType;
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    // Execute query
+    const emails = await Email.findDeadLettered(queryObj, limit, skip)
+      .select('-body');
+
+    // Get total count
+    const total = await Email.countDocuments({ ...queryObj, status: 'dead_letter' });
+
+    res.status(200).json({
+      status: 'success',
+      results: emails.length,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
+      },
+      data: {
+        emails,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching dead-lettered emails:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch dead-lettered emails',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Requeue a dead-lettered email
+ * @route POST /api/emails/:id/requeue
+ */
+const requeueEmail = async (req, res) => {
+  try {
+    const email = await Email.findById(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Email not found',
+      });
+    }
+
+    if (email.status !== 'dead_letter') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Only dead-lettered emails can be requeued; this email is ${email.status}`,
+      });
+    }
+
+    await email.requeue();
+
+    // The email no longer counts as failed
+    await Campaign.findByIdAndUpdate(email.campaignId, {
+      $inc: { 'analytics.failed': -1 },
+    });
+
+    logger.info(`Email ${email._id} requeued by ${req.user._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email requeued successfully',
+      data: {
+        email,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error requeueing email ${req.params.id}:`, error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to requeue email',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Requeue all dead-lettered emails, optionally limited to one campaign
+ * @route POST /api/emails/dead-letter/requeue
+ */
+const requeueDeadLetterEmails = async (req, res) => {
+  try {
+    const queryObj = { status: 'dead_letter' };
+
+    if (req.body.campaignId) {
+      queryObj.campaignId = req.body.campaignId;
+    }
+
+    if (req.body.errorType) {
+      queryObj.errorType = req.body.errorType;
+    }
+
+    // Requeue campaign by campaign, so each campaign's failed count drops
+    // by the number of its emails requeued
+    const emails = await Email.find(queryObj).select('campaignId');
+    const emailIdsByCampaign = new Map();
+
+    emails.forEach((email) => {
+      const campaignId = email.campaignId.toString();
+      emailIdsByCampaign.set(campaignId, [...(emailIdsByCampaign.get(campaignId) || []), email._id]);
+    });
+
+    let requeued = 0;
+
+    for (const [campaignId, emailIds] of emailIdsByCampaign) {
+      const result = await Email.updateMany({ _id: { $in: emailIds }, status: 'dead_letter' }, {
+        $set: {
+          status: 'scheduled',
+          scheduledFor: new Date(),
+          attempts: 0,
+        },
+        $unset: {
+          nextRetryAt: '',
+          deadLetteredAt: '',
+        },
+      });
+
+      if (result.modifiedCount > 0) {
+        await Campaign.findByIdAndUpdate(campaignId, {
+          $inc: { 'analytics.failed': -result.modifiedCount },
+        });
+      }
+
+      requeued += result.modifiedCount;
+    }
+
+    logger.info(`${requeued} dead-lettered emails requeued by ${req.user._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Dead-lettered emails requeued successfully',
+      data: {
+        requeued,
+      },
+    });
+  } catch (error) {
+    logger.error('Error requeueing dead-lettered emails:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to requeue dead-lettered emails',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getDeadLetterEmails,
+  requeueEmail,
+  requeueDeadLetterEmails,
+};
@@ -0,0 +1,552 @@
+const Journey = require('../models/journey.model');
+const JourneyEnrollment = require('../models/journey-enrollment.model');
+const journeyService = require('../services/journey.service');
+const { logger } = require('../utils/logger');
+
+/**
+ * Check whether the current user may change a journey
+ * @param {Object} req - Express request
+ * @param {Object} journey - The journey
+ * @returns {boolean}
+ */
+const canManage = (req, journey) => req.user.role === 'admin'
+  || journey.createdBy.toString() === req.user._id.toString();
+
+/**
+ * Create a new journey
+ * @route POST /api/journeys
+ */
+const createJourney = async (req, res) => {
+  try {
+    const stepError = await journeyService.validateSteps(req.body.steps);
+
+    if (stepError) {
+      return res.status(400).json({
+        status: 'error',
+        message: stepError,
+      });
+    }
+
+    const journey = await Journey.create({
+      name: req.body.name,
+      description: req.body.description,
+      triggerEvent: req.body.triggerEvent,
+      conditions: req.body.conditions || {},
+      audience: req.body.audience || [],
+      excludedAudience: req.body.excludedAudience || [],
+      steps: req.body.steps,
+      exitEvents: req.body.exitEvents || [],
+      allowReentry: req.body.allowReentry || false,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Journey created successfully',
+      data: {
+        journey,
+      },
+    });
+  } catch (error) {
+    logger.error('Error creating journey:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A journey with this name already exists',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid journey: ${error.message}`,
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create journey',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all journeys
+ * @route GET /api/journeys
+ */
+const getAllJourneys = async (req, res) => {
+  try {
+    // Build query
+    const queryObj = {};
+
+    // Filter by trigger event
+    if (req.query.triggerEvent) {
+      queryObj.triggerEvent = req.query.triggerEvent;
+    }
+
+    // Filter by status
+    if (req.query.status) {
+      queryObj.status = req.query.status;
+    }
+
+    // Filter journeys created by this user (unless admin)
+    if (req.user.role !== 'admin') {
+      queryObj.createdBy = req.user._id;
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    const journeys = await Journey.find(queryObj)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('createdBy', 'name email');
+
+    const total = await Journey.countDocuments(queryObj);
+
+    res.status(200).json({
+      status: 'success',
+      results: journeys.length,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
+      },
+      data: {
+        journeys,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching journeys:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch journeys',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a journey by ID
+ * @route GET /api/journeys/:id
+ */
+const getJourneyById = async (req, res) => {
+  try {
+    const journey = await Journey.findById(req.params.id)
+      .populate('steps.campaignId', 'name templateId status')
+      .populate('createdBy', 'name email');
+
+    if (!journey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Journey not found',
+      });
+    }
+
+    if (req.user.role !== 'admin' && journey.createdBy._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to view this journey',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        journey,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error fetching journey ${req.params.id}:`, error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch journey',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a journey. Users already enrolled continue from the step with the
+ * same key; users at a step that was removed exit the journey.
+ * @route PATCH /api/journeys/:id
+ */
+const updateJourney = async (req, res) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Journey not found',
+      });
+    }
+
+    if (!canManage(req, journey)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to update this journey',
+      });
+    }
+
+    // Status changes go through activate, pause and archive
+    const allowedFields = [
+      'name',
+      'description',
+      'triggerEvent',
+      'conditions',
+      'audience',
+      'excludedAudience',
+      'steps',
+      'exitEvents',
+      'allowReentry',
+    ];
+
+    // Filter the request body to only include allowed fields
+    const filteredBody = {};
+    Object.keys(req.body).forEach((key) => {
+      if (allowedFields.includes(key)) {
+        filteredBody[key] = req.body[key];
+      }
+    });
+
+    if (filteredBody.steps !== undefined) {
+      const stepError = await journeyService.validateSteps(filteredBody.steps);
+
+      if (stepError) {
+        return res.status(400).json({
+          status: 'error',
+          message: stepError,
+        });
+      }
+    }
+
+    journey.set(filteredBody);
+    await journey.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Journey updated successfully',
+      data: {
+        journey,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error updating journey ${req.params.id}:`, error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A journey with this name already exists',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid journey: ${error.message}`,
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update journey',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a journey and its enrollments
+ * @route DELETE /api/journeys/:id
+ */
+const deleteJourney = async (req, res) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Journey not found',
+      });
+    }
+
+    if (!canManage(req, journey)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to delete this journey',
+      });
+    }
+
+    await Journey.findByIdAndDelete(req.params.id);
+    await JourneyEnrollment.deleteMany({ journeyId: journey._id });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Journey deleted successfully',
+      data: null,
+    });
+  } catch (error) {
+    logger.error(`Error deleting journey ${req.params.id}:`, error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete journey',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Build a handler that changes the status of a journey
+ * @param {string} status - New status
+ * @param {string} action - Verb used in messages, e.g. "activate"
+ * @returns {Function} - Express handler
+ */
+const changeStatus = (status, action) => async (req, res) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Journey not found',
+      });
+    }
+
+    if (!canManage(req, journey)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `You are not authorized to ${action} this journey`,
+      });
+    }
+
+    if (journey.status === 'archived' && status !== 'archived') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Archived journeys can\'t be changed',
+      });
+    }
+
+    await journeyService.setJourneyStatus(journey, status);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Journey ${status} successfully`,
+      data: {
+        journey,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error trying to ${action} journey ${req.params.id}:`, error);
+
+    res.status(500).json({
+      status: 'error',
+      message: `Failed to ${action} journey`,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Activate a journey
+ * @route PATCH /api/journeys/:id/activate
+ */
+const activateJourney = changeStatus('active', 'activate');
+
+/**
+ * Pause a journey
+ * @route PATCH /api/journeys/:id/pause
+ */
+const pauseJourney = changeStatus('paused', 'pause');
+
+/**
+ * Archive a journey, ending every enrollment
+ * @route PATCH /api/journeys/:id/archive
+ */
+const archiveJourney = changeStatus('archived', 'archive');
+
+/**
+ * Get the enrollments of a journey
+ * @route GET /api/journeys/:id/enrollments
+ */
+const getJourneyEnrollments = async (req, res) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Journey not found',
+      });
+    }
+
+    if (!canManage(req, journey)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to view this journey',
+      });
+    }
+
+    const queryObj = { journeyId: journey._id };
+
+    if (req.query.status) {
+      queryObj.status = req.query.status;
+    }
+    if (req.query.userId) {
+      queryObj.userId = req.query.userId;
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const enrollments = await JourneyEnrollment.find(queryObj)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('userId', 'name email');
+
+    const total = await JourneyEnrollment.countDocuments(queryObj);
+
+    res.status(200).json({
+      status: 'success',
+      results: enrollments.length,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
+      },
+      data: {
+        enrollments,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error fetching enrollments of journey ${req.params.id}:`, error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch journey enrollments',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get journey analytics: enrollments by status, and for each step how many
+ * users are waiting at it, have passed it or exited there
+ * @route GET /api/journeys/:id/analytics
+ */
+const getJourneyAnalytics = async (req, res) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Journey not found',
+      });
+    }
+
+    if (!canManage(req, journey)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to view this journey',
+      });
+    }
+
+    const byStatus = await JourneyEnrollment.aggregate([
+      { $match: { journeyId: journey._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+
+    const byStep = await JourneyEnrollment.aggregate([
+      { $match: { journeyId: journey._id } },
+      { $unwind: '$steps' },
+      { $group: { _id: { key: '$steps.key', status: '$steps.status', next: '$steps.next' }, count: { $sum: 1 } } },
+    ]);
+
+    // Users waiting at each step, and the step users exited at
+    const byCurrentStep = await JourneyEnrollment.aggregate([
+      { $match: { journeyId: journey._id, status: { $in: ['active', 'paused', 'exited'] } } },
+      { $group: { _id: { key: '$currentStep', exited: { $eq: ['$status', 'exited'] } }, count: { $sum: 1 } } },
+    ]);
+
+    const enrollments = {};
+    byStatus.forEach((stat) => {
+      enrollments[stat._id] = stat.count;
+    });
+
+    const countAt = (key, exited) => {
+      const stat = byCurrentStep.find((item) => item._id.key === key && item._id.exited === exited);
+      return stat ? stat.count : 0;
+    };
+
+    const steps = journey.steps.map((step) => {
+      const results = {};
+      const branches = {};
+      let passed = 0;
+
+      byStep
+        .filter((stat) => stat._id.key === step.key && stat._id.status !== 'exited')
+        .forEach((stat) => {
+          results[stat._id.status] = (results[stat._id.status] || 0) + stat.count;
+          branches[stat._id.next || 'end'] = (branches[stat._id.next || 'end'] || 0) + stat.count;
+          passed += stat.count;
+        });
+
+      return {
+        key: step.key,
+        name: step.name,
+        type: step.type,
+        campaignId: step.campaignId,
+        waiting: countAt(step.key, false),
+        passed,
+        exited: countAt(step.key, true),
+        results,
+        branches,
+      };
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        journey: journey.name,
+        analytics: journey.analytics,
+        enrollments,
+        steps,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error fetching journey analytics ${req.params.id}:`, error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch journey analytics',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createJourney,
+  getAllJourneys,
+  getJourneyById,
+  updateJourney,
+  deleteJourney,
+  activateJourney,
+  pauseJourney,
+  archiveJourney,
+  getJourneyEnrollments,
+  getJourneyAnalytics,
+};
@@ -0,0 +1,240 @@
+const Suppression = require('../models/suppression.model');
+const { logger } = require('../utils/logger');
+
+/**
+ * Add an address to the suppression list
+ * @route POST /api/suppressions
+ */
+const createSuppression = async (req, res) => {
+  try {
+    if (!req.body.email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email address is required',
+      });
+    }
+
+    const suppression = await Suppression.create({
+      email: req.body.email,
+      reason: req.body.reason || 'manual',
+      userId: req.body.userId,
+      campaignId: req.body.campaignId,
+      source: 'admin',
+      note: req.body.note,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Address suppressed successfully',
+      data: {
+        suppression,
+      },
+    });
+  } catch (error) {
+    logger.error('Error creating suppression:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This address is already suppressed',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to suppress address',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all suppressions
+ * @route GET /api/suppressions
+ */
+const getAllSuppressions = async (req, res) => {
+  try {
+    // Build query
+    const queryObj = {};
+
+    // Filter by reason
+    if (req.query.reason) {
+      queryObj.reason = req.query.reason;
+    }
+
+    // Filter by (partial) address
+    if (req.query.email) {
+      const escaped = req.query.email.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      queryObj.email = { $regex: escaped };
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    // Execute query
+    const suppressions = await Suppression.find(queryObj)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count
+    const total = await Suppression.countDocuments(queryObj);
+
+    res.status(200).json({
+      status: 'success',
+      results: suppressions.length,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
+      },
+      data: {
+        suppressions,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching suppressions:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch suppressions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a suppression by ID
+ * @route GET /api/suppressions/:id
+ */
+const getSuppressionById = async (req, res) => {
+  try {
+    const suppression = await Suppression.findById(req.params.id)
+      .populate('createdBy', 'name email');
+
+    if (!suppression) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Suppression not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        suppression,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error fetching suppression ${req.params.id}:`, error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch suppression',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a suppression
+ * @route PATCH /api/suppressions/:id
+ */
+const updateSuppression = async (req, res) => {
+  try {
+    // Fields that are allowed to be updated
+    const allowedFields = ['reason', 'note'];
+
+    // Filter the request body to only include allowed fields
+    const filteredBody = {};
+    Object.keys(req.body).forEach((key) => {
+      if (allowedFields.includes(key)) {
+        filteredBody[key] = req.body[key];
+      }
+    });
+
+    const suppression = await Suppression.findByIdAndUpdate(
+      req.params.id,
+      filteredBody,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
+
+    if (!suppression) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Suppression not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Suppression updated successfully',
+      data: {
+        suppression,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error updating suppression ${req.params.id}:`, error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update suppression',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove an address from the suppression list
+ * @route DELETE /api/suppressions/:id
+ */
+const deleteSuppression = async (req, res) => {
+  try {
+    const suppression = await Suppression.findByIdAndDelete(req.params.id);
+
+    if (!suppression) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Suppression not found',
+      });
+    }
+
+    logger.info(`Suppression of ${suppression.email} removed by ${req.user._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Suppression deleted successfully',
+      data: null,
+    });
+  } catch (error) {
+    logger.error(`Error deleting suppression ${req.params.id}:`, error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete suppression',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createSuppression,
+  getAllSuppressions,
+  getSuppressionById,
+  updateSuppression,
+  deleteSuppression,
+};
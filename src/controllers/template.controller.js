@@ -1,5 +1,9 @@
 const Template = require('../models/template.model');
+const TemplateVersion = require('../models/template-version.model');
+const templateService = require('../services/template.service');
+const { TemplateError } = require('../services/template-engine');
 const { logger } = require('../utils/logger');
+const { buildTextAlternative } = require('../utils/html-to-text');
 
 /**
  * Create a new email template
@@ -7,21 +11,34 @@ const { logger } = require('../utils/logger');
  */
 const createTemplate = async (req, res) => {
   try {
-    const newTemplate = await Template.create({
+    const newTemplate = new Template({
       name: req.body.name,
       subject: req.body.subject,
       body: req.body.body,
+      textBody: req.body.textBody,
+      preheader: req.body.preheader,
+      defaultLocale: req.body.defaultLocale,
+      locales: req.body.locales || [],
       isHtml: req.body.isHtml || false,
+      kind: req.body.kind || 'template',
+      layoutId: req.body.layoutId || undefined,
       category: req.body.category || 'general',
       createdBy: req.user._id,
       tags: req.body.tags || [],
     });
     
+    // Validates the template and records version 1
+    const { warnings } = await templateService.saveTemplate(newTemplate, {}, {
+      userId: req.user._id,
+      note: req.body.note,
+    });
+    
     res.status(201).json({
       status: 'success',
       message: 'Template created successfully',
       data: {
         template: newTemplate,
+        warnings,
       },
     });
   } catch (error) {
@@ -34,6 +51,15 @@ const createTemplate = async (req, res) => {
       });
     }
     
+    if (error instanceof TemplateError || error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid template: ${error.message}`,
+        errors: error.errors,
+        warnings: error.warnings,
+      });
+    }
+    
     res.status(500).json({
       status: 'error',
       message: 'Failed to create template',
@@ -61,6 +87,11 @@ const getAllTemplates = async (req, res) => {
       queryObj.tags = req.query.tag;
     }
     
+    // Filter by kind; templates saved before layouts and partials have no kind
+    if (req.query.kind) {
+      queryObj.kind = req.query.kind === 'template' ? { $in: ['template', null] } : req.query.kind;
+    }
+    
     // Filter by active status
     if (req.query.active) {
       queryObj.isActive = req.query.active === 'true';
@@ -163,7 +194,10 @@ const updateTemplate = async (req, res) => {
     }
     
     // Fields that are allowed to be updated
-    const allowedFields = ['name', 'subject', 'body', 'isHtml', 'category', 'tags', 'isActive'];
+    const allowedFields = [
+      'name', 'subject', 'preheader', 'body', 'textBody', 'defaultLocale', 'locales',
+      'isHtml', 'kind', 'layoutId', 'category', 'tags', 'isActive',
+    ];
     
     // Filter the request body to only include allowed fields
     const filteredBody = {};
@@ -173,26 +207,50 @@ const updateTemplate = async (req, res) => {
       }
     });
     
-    // Update the template
-    const updatedTemplate = await Template.findByIdAndUpdate(
-      req.params.id,
-      filteredBody,
-      {
-        new: true,
-        runValidators: true,
-      }
-    );
+    // Layouts and partials other templates use must keep their kind and name
+    const renamed = filteredBody.name !== undefined && filteredBody.name !== template.name;
+    const kindChanged = filteredBody.kind !== undefined && filteredBody.kind !== template.kind;
+    
+    if ((kindChanged || (renamed && template.kind === 'partial')) && await templateService.isInUse(template)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `This ${template.kind} is used by other templates`,
+      });
+    }
+    
+    // Update the template; content changes are recorded as a new version
+    const { template: updatedTemplate, warnings } = await templateService.saveTemplate(template, filteredBody, {
+      userId: req.user._id,
+      note: req.body.note,
+    });
     
     res.status(200).json({
       status: 'success',
       message: 'Template updated successfully',
       data: {
         template: updatedTemplate,
+        warnings,
       },
     });
   } catch (error) {
     logger.error(`Error updating template ${req.params.id}:`, error);
     
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A template with this name already exists',
+      });
+    }
+    
+    if (error instanceof TemplateError || error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid template: ${error.message}`,
+        errors: error.errors,
+        warnings: error.warnings,
+      });
+    }
+    
     res.status(500).json({
       status: 'error',
       message: 'Failed to update template',
@@ -225,8 +283,30 @@ const deleteTemplate = async (req, res) => {
       });
     }
     
-    // Delete the template
-    await Template.findByIdAndDelete(req.params.id);
+    // Deleting a layout or partial in use would break the templates using it
+    if (await templateService.isInUse(template)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `This ${template.kind} is used by other templates`,
+      });
+    }
+    
+    // Campaigns sending it would fail
+    const campaigns = await templateService.findCampaignsUsing(template);
+    
+    if (campaigns.length > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: `This template is used by campaigns: ${campaigns.map((campaign) => campaign.name).join(', ')}`,
+      });
+    }
+    
+    // Keep the template and its version history for the emails already sent
+    // with it, and free its name for a new template
+    await Template.updateOne({ _id: template._id }, {
+      deletedAt: new Date(),
+      name: `${template.name} (deleted ${template._id})`,
+    });
     
     res.status(200).json({
       status: 'success',
@@ -259,31 +339,44 @@ const previewTemplate = async (req, res) => {
       });
     }
     
-    // Get variables from request body
-    const variables = req.body.variables || {};
+    // Variables from the request override the template defaults
+    const variables = {
+      ...template.getDefaultVariables(),
+      ...(req.body.variables || {}),
+    };
     
-    // Replace variables in the template
-    let subject = template.subject;
-    let body = template.body;
+    // Previews the content for a locale, falling back as emails do
+    const rendered = await templateService.renderTemplate(template, variables, { locale: req.body.locale });
+    const { subject, body, textBody, locale, variables: used } = rendered;
     
-    // Simple variable replacement
-    Object.entries(variables).forEach(([key, value]) => {
-      const regex = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-      subject = subject.replace(regex, value);
-      body = body.replace(regex, value);
-    });
+    // Variables the template uses that have no value, and so render as nothing
+    const missingVariables = used.filter((name) => variables[name] === undefined);
     
     res.status(200).json({
       status: 'success',
       data: {
         subject,
         body,
+        // The plain-text part HTML emails are sent with
+        textBody: template.isHtml ? buildTextAlternative(body, { textBody, unsubscribeUrl: variables.unsubscribe_link }) : null,
         isHtml: template.isHtml,
+        locale,
+        missingVariables,
+        spamCheck: templateService.checkSpam(template, rendered),
       },
     });
   } catch (error) {
     logger.error(`Error previewing template ${req.params.id}:`, error);
     
+    if (error instanceof TemplateError) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid template: ${error.message}`,
+        errors: error.errors,
+        warnings: error.warnings,
+      });
+    }
+    
     res.status(500).json({
       status: 'error',
       message: 'Failed to preview template',
@@ -292,6 +385,307 @@ const previewTemplate = async (req, res) => {
   }
 };
 
+/**
+ * Get the version history of a template
+ * @route GET /api/templates/:id/versions
+ */
+const getTemplateVersions = async (req, res) => {
+  try {
+    // Deleted templates keep their history
+    const template = await Template.findById(req.params.id).setOptions({ withDeleted: true });
+    
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template not found',
+      });
+    }
+    
+    const versions = await TemplateVersion.find({ templateId: template._id })
+      .sort({ version: -1 })
+      .select('version name note createdBy createdAt')
+      .populate('createdBy', 'name email');
+    
+    res.status(200).json({
+      status: 'success',
+      results: versions.length,
+      data: {
+        currentVersion: template.version,
+        versions,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error fetching versions of template ${req.params.id}:`, error);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch template versions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a version of a template
+ * @route GET /api/templates/:id/versions/:version
+ */
+const getTemplateVersion = async (req, res) => {
+  try {
+    const version = await TemplateVersion.findVersion(req.params.id, parseInt(req.params.version, 10))
+      .populate('createdBy', 'name email');
+    
+    if (!version) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template version not found',
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        version,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error fetching version ${req.params.version} of template ${req.params.id}:`, error);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch template version',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Compare two versions of a template
+ * @route GET /api/templates/:id/diff?from=1&to=2
+ */
+const diffTemplateVersions = async (req, res) => {
+  try {
+    // Deleted templates keep their history
+    const template = await Template.findById(req.params.id).setOptions({ withDeleted: true });
+    
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template not found',
+      });
+    }
+    
+    // Compare with the current version by default, and with the one before it
+    const to = parseInt(req.query.to, 10) || template.version;
+    const from = parseInt(req.query.from, 10) || to - 1;
+    
+    const [fromVersion, toVersion] = await Promise.all([
+      TemplateVersion.findVersion(template._id, from),
+      TemplateVersion.findVersion(template._id, to),
+    ]);
+    
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Template version ${!fromVersion ? from : to} not found`,
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        diff: templateService.diffVersions(fromVersion, toVersion),
+      },
+    });
+  } catch (error) {
+    logger.error(`Error comparing versions of template ${req.params.id}:`, error);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to compare template versions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Roll a template back to an earlier version. The restored content becomes a new version.
+ * @route POST /api/templates/:id/rollback
+ */
+const rollbackTemplate = async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id);
+    
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template not found',
+      });
+    }
+    
+    // Check if user is the creator or an admin
+    if (template.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to update this template',
+      });
+    }
+    
+    const version = parseInt(req.body.version, 10);
+    
+    if (!version) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Version to roll back to is required',
+      });
+    }
+    
+    const result = await templateService.rollbackTemplate(template, version, req.user._id);
+    
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template version not found',
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: `Template rolled back to version ${version}`,
+      data: {
+        template: result.template,
+        warnings: result.warnings,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error rolling back template ${req.params.id}:`, error);
+    
+    // The old version may use a layout or partial that no longer exists
+    if (error instanceof TemplateError) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid template: ${error.message}`,
+        errors: error.errors,
+        warnings: error.warnings,
+      });
+    }
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to roll back template',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Validate a template without saving it
+ * @route POST /api/templates/validate
+ */
+const validateTemplateDraft = async (req, res) => {
+  try {
+    const draft = new Template({
+      name: req.body.name,
+      subject: req.body.subject,
+      preheader: req.body.preheader,
+      body: req.body.body,
+      textBody: req.body.textBody,
+      defaultLocale: req.body.defaultLocale,
+      locales: req.body.locales || [],
+      isHtml: req.body.isHtml || false,
+      kind: req.body.kind || 'template',
+      layoutId: req.body.layoutId || undefined,
+      category: req.body.category || 'general',
+      variables: req.body.variables || [],
+    });
+    
+    const report = await templateService.validateTemplate(draft);
+    
+    res.status(200).json({
+      status: 'success',
+      data: report,
+    });
+  } catch (error) {
+    logger.error('Error validating template:', error);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to validate template',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Validate a saved template
+ * @route GET /api/templates/:id/validate
+ */
+const validateTemplate = async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id);
+    
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template not found',
+      });
+    }
+    
+    const report = await templateService.validateTemplate(template);
+    
+    res.status(200).json({
+      status: 'success',
+      data: report,
+    });
+  } catch (error) {
+    logger.error(`Error validating template ${req.params.id}:`, error);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to validate template',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Score a template against the spam rules, rendered with its default variables
+ * @route GET /api/templates/:id/spam-check
+ */
+const spamCheckTemplate = async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id);
+    
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template not found',
+      });
+    }
+    
+    const rendered = await templateService.renderTemplate(template, template.getDefaultVariables());
+    
+    res.status(200).json({
+      status: 'success',
+      data: templateService.checkSpam(template, rendered),
+    });
+  } catch (error) {
+    logger.error(`Error checking template ${req.params.id} for spam:`, error);
+    
+    if (error instanceof TemplateError) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid template: ${error.message}`,
+      });
+    }
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to check template for spam',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   createTemplate,
   getAllTemplates,
@@ -299,4 +693,11 @@ module.exports = {
   updateTemplate,
   deleteTemplate,
   previewTemplate,
+  validateTemplateDraft,
+  validateTemplate,
+  spamCheckTemplate,
+  getTemplateVersions,
+  getTemplateVersion,
+  diffTemplateVersions,
+  rollbackTemplate,
 };
\ No newline at end of file
@@ -0,0 +1,171 @@
+const Topic = require('../models/topic.model');
+const { logger } = require('../utils/logger');
+
+/**
+ * Create a subscription topic
+ * @route POST /api/topics
+ */
+const createTopic = async (req, res) => {
+  try {
+    const newTopic = await Topic.create({
+      key: req.body.key,
+      name: req.body.name,
+      description: req.body.description,
+      isDefault: req.body.isDefault !== undefined ? req.body.isDefault : true,
+      isActive: req.body.isActive !== undefined ? req.body.isActive : true,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Topic created successfully',
+      data: {
+        topic: newTopic,
+      },
+    });
+  } catch (error) {
+    logger.error('Error creating topic:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A topic with this key already exists',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create topic',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all subscription topics
+ * @route GET /api/topics
+ */
+const getAllTopics = async (req, res) => {
+  try {
+    const queryObj = {};
+
+    // Filter by active status
+    if (req.query.active) {
+      queryObj.isActive = req.query.active === 'true';
+    }
+
+    const topics = await Topic.find(queryObj).sort({ name: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: topics.length,
+      data: {
+        topics,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching topics:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch topics',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a subscription topic
+ * @route PATCH /api/topics/:id
+ */
+const updateTopic = async (req, res) => {
+  try {
+    // The key is referenced by campaigns and user preferences, so it can't change
+    const allowedFields = ['name', 'description', 'isDefault', 'isActive'];
+
+    // Filter the request body to only include allowed fields
+    const filteredBody = {};
+    Object.keys(req.body).forEach((key) => {
+      if (allowedFields.includes(key)) {
+        filteredBody[key] = req.body[key];
+      }
+    });
+
+    const topic = await Topic.findByIdAndUpdate(
+      req.params.id,
+      filteredBody,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
+
+    if (!topic) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Topic not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Topic updated successfully',
+      data: {
+        topic,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error updating topic ${req.params.id}:`, error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update topic',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a subscription topic
+ * @route DELETE /api/topics/:id
+ */
+const deleteTopic = async (req, res) => {
+  try {
+    const topic = await Topic.findByIdAndDelete(req.params.id);
+
+    if (!topic) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Topic not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Topic deleted successfully',
+      data: null,
+    });
+  } catch (error) {
+    logger.error(`Error deleting topic ${req.params.id}:`, error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete topic',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createTopic,
+  getAllTopics,
+  updateTopic,
+  deleteTopic,
+};
@@ -1,25 +1,41 @@
 const campaignService = require('../services/campaign.service');
+const suppressionService = require('../services/suppression.service');
+const preferenceService = require('../services/preference.service');
 const { logger } = require('../utils/logger');
+const { verifyTrackingToken } = require('../utils/tracking-token');
 
 /**
  * Track email opens
- * @route GET /api/track/open/:trackingId
+ * @route GET /api/track/open/:token
  */
 const trackEmailOpen = async (req, res) => {
   try {
-    const { trackingId } = req.params;
+    const { token } = req.params;
     
-    // Log the tracking attempt
-    logger.info(`Tracking email open: ${trackingId}`);
-    
-    // Update email status asynchronously
-    setTimeout(async () => {
-      try {
-        await campaignService.trackEmailOpen(trackingId);
-      } catch (error) {
-        logger.error(`Error tracking email open ${trackingId}:`, error);
-      }
-    }, 0);
+    let claims = null;
+    
+    try {
+      claims = verifyTrackingToken(token, 'track');
+    } catch (error) {
+      // Forged or expired tokens still get the pixel, they just aren't tracked
+      logger.warn(`Rejected open tracking token: ${error.message}`);
+    }
+    
+    if (claims) {
+      const trackingId = claims.tid;
+      
+      // Log the tracking attempt
+      logger.info(`Tracking email open: ${trackingId}`);
+      
+      // Update email status asynchronously
+      setTimeout(async () => {
+        try {
+          await campaignService.trackEmailOpen(trackingId);
+        } catch (error) {
+          logger.error(`Error tracking email open ${trackingId}:`, error);
+        }
+      }, 0);
+    }
     
     // Return a 1x1 transparent GIF
     const transparentGif = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
@@ -34,7 +50,7 @@ const trackEmailOpen = async (req, res) => {
     
     res.end(transparentGif);
   } catch (error) {
-    logger.error(`Error in open tracking endpoint ${req.params.trackingId}:`, error);
+    logger.error('Error in open tracking endpoint:', error);
     
     // Return a 1x1 transparent GIF even if there's an error
     const transparentGif = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
@@ -50,11 +66,36 @@ const trackEmailOpen = async (req, res) => {
 
 /**
  * Track email clicks
- * @route GET /api/track/click/:trackingId/:linkIndex
+ * @route GET /api/track/click/:token/:linkIndex
  */
 const trackEmailClick = async (req, res) => {
   try {
-    const { trackingId, linkIndex } = req.params;
+    const { token, linkIndex } = req.params;
+    
+    let claims;
+    
+    try {
+      claims = verifyTrackingToken(token, 'track');
+    } catch (error) {
+      if (error.name !== 'TokenExpiredError') {
+        logger.warn(`Rejected click tracking token: ${error.message}`);
+        
+        return res.status(400).send(renderPage({
+          title: 'Invalid Link',
+          heading: 'Invalid Link',
+          messages: ['This link is not valid. Please use the link from the original email.'],
+          isError: true,
+        }));
+      }
+      
+      // The link is genuine but old: send the recipient on without recording the click
+      const expiredClaims = verifyTrackingToken(token, 'track', { ignoreExpiration: true });
+      const url = await campaignService.getTrackedLinkUrl(expiredClaims.tid, linkIndex);
+      
+      return res.redirect(url || '/');
+    }
+    
+    const trackingId = claims.tid;
     
     // Log the tracking attempt
     logger.info(`Tracking email click: ${trackingId}, link: ${linkIndex}`);
@@ -70,7 +111,7 @@ const trackEmailClick = async (req, res) => {
     // Redirect to the original URL
     res.redirect(result.url);
   } catch (error) {
-    logger.error(`Error in click tracking endpoint ${req.params.trackingId}:`, error);
+    logger.error('Error in click tracking endpoint:', error);
     
     // Redirect to homepage on error
     res.redirect('/');
@@ -78,25 +119,22 @@ const trackEmailClick = async (req, res) => {
 };
 
 /**
- * Handle unsubscribe requests
- * @route GET /api/unsubscribe/:userId
+ * Render a simple standalone HTML page for recipients
+ * @param {Object} page - Page content
+ * @param {string} page.title - Document title
+ * @param {string} page.heading - Page heading
+ * @param {Array<string>} page.messages - Paragraphs of text
+ * @param {string} page.content - Extra HTML placed after the messages
+ * @param {boolean} page.isError - Whether to style the page as an error
+ * @returns {string} - HTML document
  */
-const handleUnsubscribe = async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { email, campaign } = req.query;
-    
-    // Log the unsubscribe request
-    logger.info(`Unsubscribe request: User ${userId}, Email: ${email}, Campaign: ${campaign}`);
-    
-    // Render a simple unsubscribe confirmation page
-    res.send(`
+const renderPage = ({ title, heading, messages = [], content = '', isError = false }) => `
       <!DOCTYPE html>
       <html>
         <head>
           <meta charset="utf-8">
           <meta name="viewport" content="width=device-width, initial-scale=1">
-          <title>Email Unsubscribe</title>
+          <title>${title}</title>
           <style>
             body {
               font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
@@ -114,7 +152,7 @@ const handleUnsubscribe = async (req, res) => {
               text-align: center;
             }
             h1 {
-              color: #2c3e50;
+              color: ${isError ? '#e74c3c' : '#2c3e50'};
             }
             .btn {
               display: inline-block;
@@ -122,94 +160,413 @@ const handleUnsubscribe = async (req, res) => {
               color: white;
               padding: 10px 20px;
               text-decoration: none;
+              border: none;
               border-radius: 5px;
               margin: 20px 10px;
+              font-size: 1em;
+              cursor: pointer;
             }
-            .btn-danger {
-              background-color: #e74c3c;
+            form {
+              text-align: left;
             }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1>Unsubscribe Confirmation</h1>
-            <p>You have been successfully unsubscribed from our mailing list.</p>
-            <p>If you unsubscribed by mistake, you can resubscribe by contacting us.</p>
-            <div>
-              <a href="/" class="btn">Return to Homepage</a>
-            </div>
-          </div>
-        </body>
-      </html>
-    `);
-    
-    // Process unsubscribe asynchronously
-    setTimeout(async () => {
-      try {
-        // Implementation would depend on your user model and preferences system
-        // This is just a placeholder for the actual implementation
-        logger.info(`Processed unsubscribe for User ${userId}`);
-      } catch (error) {
-        logger.error(`Error processing unsubscribe for User ${userId}:`, error);
-      }
-    }, 0);
-  } catch (error) {
-    logger.error(`Error in unsubscribe endpoint for User ${req.params.userId}:`, error);
-    
-    res.status(500).send(`
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1">
-          <title>Error</title>
-          <style>
-            body {
-              font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-              line-height: 1.6;
-              padding: 20px;
-              max-width: 600px;
-              margin: 0 auto;
-              color: #333;
-            }
-            .container {
+            fieldset {
               border: 1px solid #ddd;
               border-radius: 5px;
-              padding: 20px;
-              margin-top: 40px;
-              text-align: center;
+              margin: 20px 0;
             }
-            h1 {
-              color: #e74c3c;
+            label {
+              display: block;
+              margin: 8px 0;
             }
-            .btn {
-              display: inline-block;
-              background-color: #3498db;
-              color: white;
-              padding: 10px 20px;
-              text-decoration: none;
-              border-radius: 5px;
-              margin: 20px 10px;
+            .hint {
+              display: block;
+              margin-left: 24px;
+              color: #777;
+              font-size: 0.9em;
             }
           </style>
         </head>
         <body>
           <div class="container">
-            <h1>Error</h1>
-            <p>There was an error processing your unsubscribe request.</p>
-            <p>Please contact customer support for assistance.</p>
+            <h1>${heading}</h1>
+            ${messages.map((message) => `<p>${message}</p>`).join('\n            ')}
+            ${content}
             <div>
               <a href="/" class="btn">Return to Homepage</a>
             </div>
           </div>
         </body>
       </html>
-    `);
+    `;
+
+/**
+ * Escape text for use in HTML
+ * @param {string} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Verify the signed unsubscribe token of a recipient-facing page. Sends an
+ * error page and returns null for forged or expired tokens.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - Verified claims
+ */
+const verifyPageToken = (req, res) => {
+  try {
+    return verifyTrackingToken(req.params.token, 'unsubscribe');
+  } catch (error) {
+    logger.warn(`Rejected unsubscribe token: ${error.message}`);
+    
+    const expired = error.name === 'TokenExpiredError';
+    
+    res.status(expired ? 410 : 400).send(renderPage({
+      title: 'Email Preferences',
+      heading: expired ? 'Link Expired' : 'Invalid Link',
+      messages: [
+        expired
+          ? 'This link has expired. Please use the link in a more recent email.'
+          : 'This link is not valid. Please use the link from the original email.',
+        'If you need help, please contact customer support.',
+      ],
+      isError: true,
+    }));
+    
+    return null;
+  }
+};
+
+/**
+ * Show the unsubscribe confirmation form. Following the link doesn't
+ * unsubscribe by itself, so mail scanners and link prefetchers can't
+ * unsubscribe recipients who never clicked it.
+ * @route GET /api/unsubscribe/:token
+ */
+const showUnsubscribeConfirmation = (req, res) => {
+  const claims = verifyPageToken(req, res);
+  
+  if (!claims) {
+    return;
+  }
+  
+  const token = escapeHtml(req.params.token);
+  
+  res.send(renderPage({
+    title: 'Email Unsubscribe',
+    heading: 'Unsubscribe',
+    messages: [
+      'Do you want to stop receiving these emails?',
+      `You can also choose which emails you receive in your <a href="${token}/preferences">email preferences</a>.`,
+    ],
+    content: `
+            <form method="POST" action="${token}/confirm">
+              <div style="text-align: center;">
+                <button type="submit" class="btn">Unsubscribe</button>
+              </div>
+            </form>`,
+  }));
+};
+
+/**
+ * Handle unsubscribe requests confirmed on the unsubscribe page
+ * @route POST /api/unsubscribe/:token/confirm
+ */
+const handleUnsubscribe = async (req, res) => {
+  try {
+    const claims = verifyPageToken(req, res);
+    
+    if (!claims) {
+      return;
+    }
+    
+    const userId = claims.uid;
+    const campaign = claims.cid;
+    
+    // Log the unsubscribe request
+    logger.info(`Unsubscribe request: User ${userId}, Campaign: ${campaign}`);
+    
+    // Add the user's address to the suppression list
+    const result = await suppressionService.unsubscribeUser({
+      userId,
+      campaignId: campaign,
+      source: 'unsubscribe_link',
+    });
+    
+    if (!result) {
+      return res.status(404).send(renderPage({
+        title: 'Email Unsubscribe',
+        heading: 'Link Not Recognized',
+        messages: [
+          'We could not find the subscription this link belongs to.',
+          'Please contact customer support for assistance.',
+        ],
+        isError: true,
+      }));
+    }
+    
+    // Render a simple unsubscribe confirmation page
+    res.send(renderPage({
+      title: 'Email Unsubscribe',
+      heading: 'Unsubscribe Confirmation',
+      messages: [
+        'You have been successfully unsubscribed from our mailing list.',
+        // This page is at /api/unsubscribe/:token/confirm
+        'If you unsubscribed by mistake, you can resubscribe in your <a href="preferences">email preferences</a>.',
+      ],
+    }));
+  } catch (error) {
+    logger.error('Error in unsubscribe endpoint:', error);
+    
+    res.status(500).send(renderPage({
+      title: 'Error',
+      heading: 'Error',
+      messages: [
+        'There was an error processing your unsubscribe request.',
+        'Please contact customer support for assistance.',
+      ],
+      isError: true,
+    }));
+  }
+};
+
+/**
+ * Frequency options offered in the preference center
+ */
+const FREQUENCY_OPTIONS = [
+  ['any', 'Send me every email'],
+  ['daily', 'At most one email a day'],
+  ['weekly', 'At most one email a week'],
+];
+
+/**
+ * Render the preference center form
+ * @param {Object} preferences - Preferences from the preference service
+ * @returns {string} - HTML form
+ */
+const renderPreferenceForm = (preferences) => {
+  const topics = preferences.topics.map((topic) => `
+                <label>
+                  <input type="checkbox" name="topics" value="${escapeHtml(topic.key)}"${topic.subscribed ? ' checked' : ''}>
+                  ${escapeHtml(topic.name)}
+                  ${topic.description ? `<span class="hint">${escapeHtml(topic.description)}</span>` : ''}
+                </label>`).join('');
+  
+  const frequencies = FREQUENCY_OPTIONS.map(([value, label]) => `
+                <label>
+                  <input type="radio" name="frequency" value="${value}"${preferences.frequency === value ? ' checked' : ''}>
+                  ${label}
+                </label>`).join('');
+  
+  return `
+            <form method="POST">
+              ${preferences.topics.length > 0 ? `<fieldset>
+                <legend>Topics</legend>${topics}
+              </fieldset>` : ''}
+              <fieldset>
+                <legend>Frequency</legend>${frequencies}
+              </fieldset>
+              <fieldset>
+                <legend>Unsubscribe</legend>
+                <label>
+                  <input type="checkbox" name="unsubscribe_all" value="1"${preferences.unsubscribedAll ? ' checked' : ''}>
+                  Unsubscribe from all emails
+                </label>
+              </fieldset>
+              <div style="text-align: center;">
+                <button type="submit" class="btn">Save Preferences</button>
+              </div>
+            </form>`;
+};
+
+/**
+ * Show the preference center
+ * @route GET /api/unsubscribe/:token/preferences
+ */
+const showPreferenceCenter = async (req, res) => {
+  try {
+    const claims = verifyPageToken(req, res);
+    
+    if (!claims) {
+      return;
+    }
+    
+    const preferences = await preferenceService.getPreferences(claims.uid);
+    
+    if (!preferences) {
+      return res.status(404).send(renderPage({
+        title: 'Email Preferences',
+        heading: 'Link Not Recognized',
+        messages: ['We could not find the subscription this link belongs to.'],
+        isError: true,
+      }));
+    }
+    
+    const messages = [`Choose which emails ${escapeHtml(preferences.user.email)} receives from us.`];
+    
+    if (['bounce', 'complaint'].includes(preferences.suppressionReason)) {
+      messages.push('Emails to this address are currently blocked because of delivery problems. Please contact customer support to receive emails again.');
+    }
+    
+    res.send(renderPage({
+      title: 'Email Preferences',
+      heading: 'Email Preferences',
+      messages,
+      content: renderPreferenceForm(preferences),
+    }));
+  } catch (error) {
+    logger.error('Error in preference center endpoint:', error);
+    
+    res.status(500).send(renderPage({
+      title: 'Error',
+      heading: 'Error',
+      messages: [
+        'There was an error loading your email preferences.',
+        'Please contact customer support for assistance.',
+      ],
+      isError: true,
+    }));
+  }
+};
+
+/**
+ * Save preference center choices
+ * @route POST /api/unsubscribe/:token/preferences
+ */
+const updatePreferenceCenter = async (req, res) => {
+  try {
+    const claims = verifyPageToken(req, res);
+    
+    if (!claims) {
+      return;
+    }
+    
+    // A single ticked checkbox arrives as a string, several as an array
+    const topics = [].concat(req.body.topics || []);
+    
+    const preferences = await preferenceService.updatePreferences(claims.uid, {
+      topics,
+      frequency: req.body.frequency,
+      unsubscribeAll: !!req.body.unsubscribe_all,
+    }, claims.cid);
+    
+    if (!preferences) {
+      return res.status(404).send(renderPage({
+        title: 'Email Preferences',
+        heading: 'Link Not Recognized',
+        messages: ['We could not find the subscription this link belongs to.'],
+        isError: true,
+      }));
+    }
+    
+    res.send(renderPage({
+      title: 'Email Preferences',
+      heading: 'Preferences Saved',
+      messages: [
+        preferences.unsubscribedAll
+          ? 'You have been unsubscribed from all emails.'
+          : 'Your email preferences have been updated.',
+      ],
+      content: renderPreferenceForm(preferences),
+    }));
+  } catch (error) {
+    logger.error('Error saving preference center choices:', error);
+    
+    res.status(500).send(renderPage({
+      title: 'Error',
+      heading: 'Error',
+      messages: [
+        'There was an error saving your email preferences.',
+        'Please contact customer support for assistance.',
+      ],
+      isError: true,
+    }));
+  }
+};
+
+/**
+ * Check whether a request body carries the RFC 8058 one-click unsubscribe
+ * marker. Urlencoded bodies are parsed by express; multipart bodies arrive as text.
+ * @param {Object|string} body - Request body
+ * @returns {boolean}
+ */
+const isOneClickBody = (body) => {
+  if (typeof body === 'string') {
+    return /name="List-Unsubscribe"\s+One-Click/.test(body);
+  }
+  
+  return !!body && body['List-Unsubscribe'] === 'One-Click';
+};
+
+/**
+ * Handle RFC 8058 one-click unsubscribe requests sent by mailbox providers
+ * @route POST /api/unsubscribe/:token
+ */
+const handleOneClickUnsubscribe = async (req, res) => {
+  try {
+    if (!isOneClickBody(req.body)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Request body must be List-Unsubscribe=One-Click',
+      });
+    }
+    
+    let claims;
+    
+    try {
+      claims = verifyTrackingToken(req.params.token, 'unsubscribe');
+    } catch (error) {
+      logger.warn(`Rejected one-click unsubscribe token: ${error.message}`);
+      
+      const expired = error.name === 'TokenExpiredError';
+      
+      return res.status(expired ? 410 : 400).json({
+        status: 'error',
+        message: expired ? 'Unsubscribe token has expired' : 'Invalid unsubscribe token',
+      });
+    }
+    
+    logger.info(`One-click unsubscribe request: User ${claims.uid}, Campaign: ${claims.cid}`);
+    
+    const result = await suppressionService.unsubscribeUser({
+      userId: claims.uid,
+      campaignId: claims.cid,
+      source: 'one_click',
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Subscriber not found',
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Unsubscribed successfully',
+    });
+  } catch (error) {
+    logger.error('Error in one-click unsubscribe endpoint:', error);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to process unsubscribe request',
+      error: error.message,
+    });
   }
 };
 
 module.exports = {
   trackEmailOpen,
   trackEmailClick,
+  showUnsubscribeConfirmation,
   handleUnsubscribe,
+  handleOneClickUnsubscribe,
+  showPreferenceCenter,
+  updatePreferenceCenter,
 };
\ No newline at end of file
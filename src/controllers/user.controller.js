@@ -85,7 +85,7 @@ const getUserById = async (req, res) => {
 const updateUser = async (req, res) => {
   try {
     // Fields that are allowed to be updated by admin
-    const allowedFields = ['name', 'email', 'company', 'role', 'attributes', 'isActive'];
+    const allowedFields = ['name', 'email', 'company', 'locale', 'role', 'attributes', 'preferences', 'isActive'];
     
     // Filter the request body to only include allowed fields
     const filteredBody = {};
@@ -0,0 +1,116 @@
+const webhookService = require('../services/webhook.service');
+const bounceService = require('../services/bounce.service');
+const unsubscribeMailService = require('../services/unsubscribe-mail.service');
+const { logger } = require('../utils/logger');
+
+/**
+ * Receive delivery, bounce and complaint events from a delivery provider
+ * @route POST /api/webhooks/:provider
+ */
+const handleProviderWebhook = async (req, res) => {
+  const { provider } = req.params;
+
+  try {
+    if (!webhookService.WEBHOOK_PARSERS[provider]) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Unsupported webhook provider: ${provider}`,
+      });
+    }
+
+    // SES notifications are delivered through an SNS topic that must be confirmed first
+    if (provider === 'ses' && req.body && req.body.Type === 'SubscriptionConfirmation') {
+      await webhookService.confirmSnsSubscription(req.body.SubscribeURL);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'SNS subscription confirmed',
+      });
+    }
+
+    const result = await webhookService.handleProviderWebhook(provider, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook processed successfully',
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error processing ${provider} webhook:`, error);
+
+    // Anything but a malformed payload is worth the provider retrying
+    res.status(error.statusCode === 400 ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to process webhook',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Receive a raw bounce or complaint message (RFC 3464 DSN or RFC 5965 ARF report)
+ * @route POST /api/webhooks/bounce-mail
+ */
+const handleBounceMail = async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Request body must be a raw MIME message',
+      });
+    }
+
+    const result = await bounceService.processBounceMessage(req.body, 'bounce_mail_webhook');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Bounce message processed successfully',
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error processing bounce message:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to process bounce message',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Receive a raw unsubscribe request mailed to the List-Unsubscribe mailto address
+ * @route POST /api/webhooks/unsubscribe-mail
+ */
+const handleUnsubscribeMail = async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Request body must be a raw MIME message',
+      });
+    }
+
+    const result = await unsubscribeMailService.processUnsubscribeMessage(req.body, 'unsubscribe_mail_webhook');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Unsubscribe message processed successfully',
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error processing unsubscribe message:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to process unsubscribe message',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  handleProviderWebhook,
+  handleBounceMail,
+  handleUnsubscribeMail,
+};
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+/**
+ * Middleware to check the shared secret inbound webhooks carry, either in
+ * the X-Webhook-Secret header or the secret query parameter
+ */
+const verifyWebhookSecret = (req, res, next) => {
+  if (!process.env.WEBHOOK_SECRET) {
+    logger.error('Rejected webhook: WEBHOOK_SECRET is not configured');
+    
+    return res.status(503).json({
+      status: 'error',
+      message: 'Webhooks are not configured',
+    });
+  }
+  
+  const expected = Buffer.from(process.env.WEBHOOK_SECRET);
+  const provided = Buffer.from(String(req.get('X-Webhook-Secret') || req.query.secret || ''));
+  
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid webhook secret',
+    });
+  }
+  
+  next();
+};
+
+module.exports = {
+  verifyWebhookSecret,
+};
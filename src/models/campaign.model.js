@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { PROVIDERS } = require('../services/providers');
+const { getValue, matchesConditions } = require('../utils/conditions');
 
 const campaignSchema = new mongoose.Schema(
   {
@@ -17,10 +19,112 @@ const campaignSchema = new mongoose.Schema(
       ref: 'Template',
       required: [true, 'Template is required for a campaign'],
     },
+    templateVersion: {
+      type: Number,
+      min: 1,
+      default: null,
+      description: 'Template version to send; the current version if not set',
+    },
+    variants: {
+      type: [{
+        _id: false,
+        name: {
+          type: String,
+          required: [true, 'Variant name is required'],
+          trim: true,
+        },
+        templateId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Template',
+          description: 'Template this variant sends; the campaign\'s template if not set',
+        },
+        templateVersion: {
+          type: Number,
+          min: 1,
+          default: null,
+          description: 'Template version to send; the current version if not set',
+        },
+        subject: {
+          type: String,
+          trim: true,
+          description: 'Subject that overrides the template\'s, with the same template syntax',
+        },
+        weight: {
+          type: Number,
+          default: 1,
+          min: 0,
+          description: 'Share of users assigned to the variant, relative to the other variants',
+        },
+      }],
+      default: [],
+      validate: {
+        validator: (variants) => new Set(variants.map((variant) => variant.name)).size === variants.length,
+        message: 'Variant names must be unique',
+      },
+      description: 'A/B test variants; each user is always assigned the same variant. The first one is the control.',
+    },
+    abTest: {
+      metric: {
+        type: String,
+        enum: ['open', 'click', 'conversion'],
+        default: 'open',
+        description: 'Rate the winning variant is picked by',
+      },
+      confidence: {
+        type: Number,
+        default: 0.95,
+        min: 0.5,
+        max: 0.999,
+        description: 'Confidence the winner needs to beat every other variant with',
+      },
+      autoPromote: {
+        type: Boolean,
+        default: false,
+        description: 'Whether the worker promotes the winner once every variant has been sent to minSampleSize users',
+      },
+      minSampleSize: {
+        type: Number,
+        default: 1000,
+        min: 1,
+        description: 'Users each variant needs to have been sent to before the test is evaluated',
+      },
+      evaluatedAt: {
+        type: Date,
+        default: null,
+        description: 'When the worker evaluated the test for auto-promotion; each test is evaluated once',
+      },
+      winner: {
+        type: String,
+        default: null,
+        description: 'Promoted variant, sent to every user from then on',
+      },
+      promotedAt: {
+        type: Date,
+      },
+    },
+    conversionEvent: {
+      type: String,
+      trim: true,
+      default: null,
+      description: 'Event type that counts as a conversion of a user who was sent an email from this campaign',
+    },
+    conversionWindow: {
+      type: Number,
+      default: 7 * 24 * 60 * 60,
+      min: 0,
+      description: 'Seconds after an email is sent (or withheld from a held-out user) in which a conversion event counts',
+    },
+    holdoutPercentage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+      description: 'Percentage of matched users who are never sent the campaign, to measure its lift against',
+    },
     triggerEvent: {
       type: String,
-      required: [true, 'Trigger event is required'],
       trim: true,
+      description: 'Event type that triggers the campaign; campaigns without one are only sent as journey steps',
     },
     delay: {
       type: Number,
@@ -32,6 +136,28 @@ const campaignSchema = new mongoose.Schema(
       default: {},
       description: 'Conditions that need to be met for the email to be sent',
     },
+    cancelEvents: {
+      type: [{
+        _id: false,
+        eventType: {
+          type: String,
+          required: [true, 'Cancel event type is required'],
+          trim: true,
+        },
+        conditions: {
+          type: mongoose.Schema.Types.Mixed,
+          default: {},
+          description: 'Conditions the goal event needs to meet',
+        },
+        matchOn: {
+          type: [String],
+          default: [],
+          description: 'Event paths, e.g. "metadata.cartId", that must be equal on the goal event and the event that triggered the email',
+        },
+      }],
+      default: [],
+      description: 'Goal events that cancel the user\'s emails from this campaign that are still scheduled, e.g. a purchase cancelling an abandoned-cart email',
+    },
     audience: {
       type: [{
         type: mongoose.Schema.Types.ObjectId,
@@ -75,6 +201,10 @@ const campaignSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      delivered: {
+        type: Number,
+        default: 0,
+      },
       opened: {
         type: Number,
         default: 0,
@@ -95,6 +225,40 @@ const campaignSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      failed: {
+        type: Number,
+        default: 0,
+      },
+      cancelled: {
+        type: Number,
+        default: 0,
+      },
+      converted: {
+        type: Number,
+        default: 0,
+      },
+      heldOut: {
+        type: Number,
+        default: 0,
+      },
+    },
+    topic: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+      description: 'Subscription topic key; users who opted out of the topic are skipped',
+    },
+    isTransactional: {
+      type: Boolean,
+      default: false,
+      description: 'Transactional campaigns are sent without List-Unsubscribe headers',
+    },
+    deliveryProvider: {
+      type: String,
+      enum: [...PROVIDERS, null],
+      default: null,
+      description: 'Delivery provider for this campaign; null means the EMAIL_PROVIDER default',
     },
     defaultVariables: {
       type: Map,
@@ -113,6 +277,8 @@ const campaignSchema = new mongoose.Schema(
 // Create indexes for faster lookups
 campaignSchema.index({ triggerEvent: 1, status: 1 });
 campaignSchema.index({ startDate: 1, endDate: 1 });
+campaignSchema.index({ 'cancelEvents.eventType': 1 });
+campaignSchema.index({ conversionEvent: 1 });
 
 // Virtual for checking if a campaign is active based on date range
 campaignSchema.virtual('isDateActive').get(function() {
@@ -140,51 +306,25 @@ campaignSchema.methods.shouldSendToUser = function(userId) {
 
 // Method to check if an event matches the campaign's conditions
 campaignSchema.methods.matchesConditions = function(event) {
-  // If no conditions are specified, consider it a match
-  if (!this.conditions || Object.keys(this.conditions).length === 0) {
-    return true;
-  }
-  
-  // Simple condition matching - can be extended for more complex conditions
-  for (const [key, value] of Object.entries(this.conditions)) {
-    // Handle dot notation for nested properties
-    const keyParts = key.split('.');
-    let eventValue = event;
-    
-    for (const part of keyParts) {
-      if (!eventValue || !eventValue[part]) {
-        return false;
-      }
-      eventValue = eventValue[part];
+  return matchesConditions(this.conditions, event);
+};
+
+// Method to find the cancel event a goal event matches for an email triggered by triggerEvent
+campaignSchema.methods.findCancelEvent = function(event, triggerEvent) {
+  return this.cancelEvents.find((cancel) => {
+    if (cancel.eventType !== event.eventType || !matchesConditions(cancel.conditions, event)) {
+      return false;
     }
     
-    // Handle different types of conditions
-    if (typeof value === 'object') {
-      // Complex condition (exists, gt, lt, etc.)
-      if (value.exists !== undefined && !!eventValue !== value.exists) {
-        return false;
-      }
-      
-      if (value.equals !== undefined && eventValue !== value.equals) {
-        return false;
-      }
+    // Values to match on need the triggering event, e.g. the same cart
+    return cancel.matchOn.every((path) => {
+      const value = getValue(event, path);
+      const triggerValue = triggerEvent ? getValue(triggerEvent, path) : undefined;
       
-      if (value.gt !== undefined && eventValue <= value.gt) {
-        return false;
-      }
-      
-      if (value.lt !== undefined && eventValue >= value.lt) {
-        return false;
-      }
-    } else {
-      // Simple equality check
-      if (eventValue !== value) {
-        return false;
-      }
-    }
-  }
-  
-  return true;
+      return value !== undefined && value !== null && triggerValue !== undefined && triggerValue !== null
+        && String(value) === String(triggerValue);
+    });
+  }) || null;
 };
 
 const Campaign = mongoose.model('Campaign', campaignSchema);
@@ -27,6 +27,10 @@ const emailSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Email body is required'],
     },
+    textBody: {
+      type: String,
+      description: 'Plain-text alternative sent with HTML emails',
+    },
     isHtml: {
       type: Boolean,
       default: false,
@@ -36,21 +40,44 @@ const emailSchema = new mongoose.Schema(
       ref: 'Template',
       required: [true, 'Template ID is required'],
     },
+    templateVersion: {
+      type: Number,
+      description: 'Version of the template this email was rendered from',
+    },
+    locale: {
+      type: String,
+      description: 'Locale of the template content this email was rendered from',
+    },
     campaignId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Campaign',
       required: [true, 'Campaign ID is required'],
       index: true,
     },
+    journeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Journey',
+      description: 'Journey this email is a step of, if any',
+      index: true,
+    },
     eventId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Event',
       description: 'Event that triggered this email, if any',
       index: true,
     },
+    variant: {
+      type: String,
+      description: 'A/B test variant of the campaign this email was sent as, if any',
+    },
+    isTransactional: {
+      type: Boolean,
+      default: false,
+      description: 'Sent by a transactional campaign, so it doesn\'t count toward the recipient\'s frequency cap',
+    },
     status: {
       type: String,
-      enum: ['scheduled', 'sending', 'sent', 'delivered', 'opened', 'clicked', 'bounced', 'rejected', 'failed', 'complained', 'unsubscribed'],
+      enum: ['scheduled', 'sending', 'sent', 'delivered', 'opened', 'clicked', 'bounced', 'rejected', 'failed', 'complained', 'unsubscribed', 'dead_letter', 'suppressed', 'cancelled'],
       default: 'scheduled',
       index: true,
     },
@@ -71,12 +98,57 @@ const emailSchema = new mongoose.Schema(
     clickedAt: {
       type: Date,
     },
+    bouncedAt: {
+      type: Date,
+    },
+    complainedAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    convertedAt: {
+      type: Date,
+      description: 'When the user performed the campaign\'s conversion event after receiving this email',
+    },
+    conversionEventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+    },
+    deferredAt: {
+      type: Date,
+      description: 'When the provider last reported a temporary delivery failure it is still retrying',
+    },
+    deferReason: {
+      type: String,
+      description: 'Why delivery was last deferred',
+    },
+    cancelReason: {
+      type: String,
+      description: 'Why the email was cancelled before it was sent, e.g. the goal event that cancelled it',
+    },
+    bounceType: {
+      type: String,
+      enum: ['hard', 'soft', null],
+      description: 'Whether the provider reported a permanent or temporary bounce',
+    },
     variables: {
       type: Map,
       of: String,
       default: {},
       description: 'Template variables used in this email',
     },
+    headers: {
+      type: Map,
+      of: String,
+      default: {},
+      description: 'Extra message headers, such as List-Unsubscribe',
+    },
+    provider: {
+      type: String,
+      trim: true,
+      description: 'Delivery provider used to send this email; empty means the default',
+    },
     messageId: {
       type: String,
       trim: true,
@@ -104,6 +176,35 @@ const emailSchema = new mongoose.Schema(
     errorMessage: {
       type: String,
     },
+    errorType: {
+      type: String,
+      enum: ['transient', 'permanent', null],
+      description: 'Classification of the last delivery error',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      description: 'Number of delivery attempts made',
+    },
+    lastAttemptAt: {
+      type: Date,
+    },
+    nextRetryAt: {
+      type: Date,
+      description: 'When the next delivery attempt is due after a transient failure',
+    },
+    deadLetteredAt: {
+      type: Date,
+      description: 'When the email was given up on and moved to the dead-letter state',
+    },
+    lockedBy: {
+      type: String,
+      description: 'Worker that currently holds the send lease on this email',
+    },
+    lockedUntil: {
+      type: Date,
+      description: 'When the send lease expires and another worker may reclaim the email',
+    },
     ipAddress: {
       type: String,
       trim: true,
@@ -122,15 +223,34 @@ const emailSchema = new mongoose.Schema(
 emailSchema.index({ userId: 1, status: 1 });
 emailSchema.index({ scheduledFor: 1, status: 1 });
 emailSchema.index({ campaignId: 1, status: 1 });
+emailSchema.index({ campaignId: 1, variant: 1 });
+emailSchema.index({ status: 1, deadLetteredAt: -1 });
+emailSchema.index({ status: 1, lockedUntil: 1 });
+emailSchema.index({ messageId: 1 }, { sparse: true });
 
 // Pre-save hook to generate tracking ID if not already set
 emailSchema.pre('save', function(next) {
   if (!this.trackingId) {
-    this.trackingId = mongoose.Types.ObjectId().toString() + Date.now().toString(36);
+    this.trackingId = this.constructor.generateTrackingId();
   }
   next();
 });
 
+// Pre-save hook to release the send lease once the email leaves the sending state
+emailSchema.pre('save', function(next) {
+  if (this.isModified('status') && this.status !== 'sending') {
+    this.lockedBy = undefined;
+    this.lockedUntil = undefined;
+  }
+  next();
+});
+
+// Static method to generate a tracking ID. Tracking URLs are built before the
+// email is saved, so callers generate the ID up front and store it on the email.
+emailSchema.statics.generateTrackingId = function() {
+  return new mongoose.Types.ObjectId().toString() + Date.now().toString(36);
+};
+
 // Static method to find emails pending to be sent
 emailSchema.statics.findPendingEmails = function(limit = 100) {
   const now = new Date();
@@ -143,6 +263,84 @@ emailSchema.statics.findPendingEmails = function(limit = 100) {
     .limit(limit);
 };
 
+// Static method to atomically claim the next due email for a worker.
+// The email moves to 'sending' and is leased to the worker until the lease expires.
+emailSchema.statics.claimNextPending = function(workerId, leaseMs) {
+  const now = new Date();
+  
+  return this.findOneAndUpdate(
+    {
+      status: 'scheduled',
+      scheduledFor: { $lte: now }
+    },
+    {
+      $set: {
+        status: 'sending',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+        lastAttemptAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    {
+      sort: { scheduledFor: 1 },
+      new: true,
+    }
+  );
+};
+
+// Static method to atomically cancel an email that is still scheduled.
+// Resolves to null if a worker already claimed the email for sending.
+emailSchema.statics.cancelScheduled = function(emailId, reason) {
+  return this.findOneAndUpdate(
+    {
+      _id: emailId,
+      status: 'scheduled',
+    },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelReason: reason,
+      },
+    },
+    { new: true }
+  );
+};
+
+// Static method to return emails stuck in 'sending' by a crashed worker to the queue
+emailSchema.statics.releaseExpiredLeases = function() {
+  const now = new Date();
+  
+  return this.updateMany(
+    {
+      status: 'sending',
+      $or: [
+        { lockedUntil: { $lt: now } },
+        { lockedUntil: { $exists: false } },
+      ],
+    },
+    {
+      $set: {
+        status: 'scheduled',
+        scheduledFor: now,
+      },
+      $unset: {
+        lockedBy: '',
+        lockedUntil: '',
+      },
+    }
+  );
+};
+
+// Static method to find dead-lettered emails
+emailSchema.statics.findDeadLettered = function(filter = {}, limit = 100, skip = 0) {
+  return this.find({ ...filter, status: 'dead_letter' })
+    .sort({ deadLetteredAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
 // Static method to find emails by campaign
 emailSchema.statics.findByCampaign = function(campaignId, limit = 100, skip = 0) {
   return this.find({ campaignId })
@@ -154,7 +352,7 @@ emailSchema.statics.findByCampaign = function(campaignId, limit = 100, skip = 0)
 // Static method to get campaign statistics
 emailSchema.statics.getCampaignStats = async function(campaignId) {
   return this.aggregate([
-    { $match: { campaignId: mongoose.Types.ObjectId(campaignId) } },
+    { $match: { campaignId: new mongoose.Types.ObjectId(campaignId) } },
     { $group: {
         _id: '$status',
         count: { $sum: 1 }
@@ -189,6 +387,12 @@ emailSchema.methods.updateStatus = function(status, additionalData = {}) {
     case 'clicked':
       this.clickedAt = now;
       break;
+    case 'bounced':
+      this.bouncedAt = now;
+      break;
+    case 'complained':
+      this.complainedAt = now;
+      break;
   }
   
   // Add any additional data
@@ -199,6 +403,39 @@ emailSchema.methods.updateStatus = function(status, additionalData = {}) {
   return this.save();
 };
 
+// Method to reschedule the email after a transient delivery failure
+emailSchema.methods.scheduleRetry = function(retryAt, errorMessage) {
+  this.status = 'scheduled';
+  this.scheduledFor = retryAt;
+  this.nextRetryAt = retryAt;
+  this.errorMessage = errorMessage;
+  this.errorType = 'transient';
+  
+  return this.save();
+};
+
+// Method to give up on the email and park it in the dead-letter state
+emailSchema.methods.moveToDeadLetter = function(errorMessage, errorType) {
+  this.status = 'dead_letter';
+  this.deadLetteredAt = new Date();
+  this.nextRetryAt = undefined;
+  this.errorMessage = errorMessage;
+  this.errorType = errorType;
+  
+  return this.save();
+};
+
+// Method to put a dead-lettered email back in the send queue
+emailSchema.methods.requeue = function() {
+  this.status = 'scheduled';
+  this.scheduledFor = new Date();
+  this.attempts = 0;
+  this.nextRetryAt = undefined;
+  this.deadLetteredAt = undefined;
+  
+  return this.save();
+};
+
 // Method to track a link click
 emailSchema.methods.trackClick = function(linkIndex) {
   if (this.links && this.links[linkIndex]) {
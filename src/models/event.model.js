@@ -49,6 +49,22 @@ const eventSchema = new mongoose.Schema(
       description: 'Whether this event has been processed by campaign triggers',
       index: true,
     },
+    lockedBy: {
+      type: String,
+      description: 'Worker that currently holds the processing lease on this event',
+    },
+    lockedUntil: {
+      type: Date,
+      description: 'When the processing lease expires and another worker may reclaim the event',
+    },
+    completedStages: {
+      type: [{
+        type: String,
+        enum: ['cancellations', 'conversions', 'journeys'],
+      }],
+      default: [],
+      description: 'Processing stages already run for this event, skipped if the event is processed again',
+    },
     triggeredCampaigns: {
       type: [{
         campaignId: {
@@ -60,10 +76,12 @@ const eventSchema = new mongoose.Schema(
         },
         status: {
           type: String,
-          enum: ['scheduled', 'sent', 'failed'],
+          enum: ['scheduled', 'sent', 'failed', 'suppressed', 'cancelled', 'held_out'],
+          description: 'held_out means the user is in the campaign\'s holdout group and was not sent the email',
         },
         scheduledFor: {
           type: Date,
+          description: 'When the email is (or, for held-out users, would have been) sent',
         },
         emailId: {
           type: mongoose.Schema.Types.ObjectId,
@@ -72,6 +90,10 @@ const eventSchema = new mongoose.Schema(
         error: {
           type: String,
         },
+        reason: {
+          type: String,
+          description: 'Why the email was cancelled',
+        },
       }],
       default: [],
       description: 'Campaigns that were triggered by this event',
@@ -88,6 +110,12 @@ eventSchema.index({ eventType: 1, timestamp: -1 });
 // Create a compound index on userId and eventType for user-specific event queries
 eventSchema.index({ userId: 1, eventType: 1 });
 
+// Create a compound index for workers claiming unprocessed events
+eventSchema.index({ processed: 1, lockedUntil: 1, timestamp: 1 });
+
+// Create a compound index for finding the users held out of a campaign
+eventSchema.index({ 'triggeredCampaigns.campaignId': 1, 'triggeredCampaigns.status': 1 });
+
 // Add a TTL index if you want events to expire after some time
 // eventSchema.index({ timestamp: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 90 }); // 90 days
 
@@ -108,14 +136,104 @@ eventSchema.statics.findByTypeInDateRange = function(eventType, startDate, endDa
     .limit(limit);
 };
 
-// Method to mark an event as processed
+// Static method to atomically claim an event for processing.
+// Succeeds if the event is unprocessed and not leased to another worker.
+eventSchema.statics.claim = function(eventId, workerId, leaseMs) {
+  const now = new Date();
+  
+  return this.findOneAndUpdate(
+    {
+      _id: eventId,
+      processed: false,
+      $or: [
+        { lockedUntil: { $exists: false } },
+        { lockedUntil: null },
+        { lockedUntil: { $lt: now } },
+        { lockedBy: workerId },
+      ],
+    },
+    {
+      $set: {
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+      },
+    },
+    { new: true }
+  );
+};
+
+// Static method to atomically claim the oldest unprocessed event that is not leased.
+// Events leased by a crashed worker become claimable again once the lease expires.
+eventSchema.statics.claimNextUnprocessed = function(workerId, leaseMs) {
+  const now = new Date();
+  
+  return this.findOneAndUpdate(
+    {
+      processed: false,
+      $or: [
+        { lockedUntil: { $exists: false } },
+        { lockedUntil: null },
+        { lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+      },
+    },
+    {
+      sort: { timestamp: 1 },
+      new: true,
+    }
+  );
+};
+
+// Static method to record on an event that the email it triggered for a campaign was cancelled
+eventSchema.statics.cancelTriggeredCampaign = function(eventId, campaignId, reason) {
+  return this.updateOne(
+    {
+      _id: eventId,
+      'triggeredCampaigns.campaignId': campaignId,
+    },
+    {
+      $set: {
+        'triggeredCampaigns.$.status': 'cancelled',
+        'triggeredCampaigns.$.reason': reason,
+        'triggeredCampaigns.$.processedAt': new Date(),
+      },
+    }
+  );
+};
+
+// Method to mark an event as processed and release its lease
 eventSchema.methods.markProcessed = function() {
   this.processed = true;
+  this.lockedBy = undefined;
+  this.lockedUntil = undefined;
+  return this.save();
+};
+
+// Method to check whether a processing stage already ran for the event
+eventSchema.methods.hasCompletedStage = function(stage) {
+  return this.completedStages.includes(stage);
+};
+
+// Method to record that a processing stage ran, so a retry doesn't run it again
+eventSchema.methods.completeStage = function(stage) {
+  this.completedStages.push(stage);
   return this.save();
 };
 
-// Method to add a triggered campaign
+// Method to check whether the event already triggered (or held out) a campaign.
+// Campaigns whose email failed to be scheduled don't count, so a retry schedules them.
+eventSchema.methods.hasTriggeredCampaign = function(campaignId) {
+  return this.triggeredCampaigns.some(c => c.campaignId.toString() === campaignId.toString() && c.status !== 'failed');
+};
+
+// Method to add a triggered campaign, replacing an earlier failed attempt
 eventSchema.methods.addTriggeredCampaign = function(campaignId, status = 'scheduled', scheduledFor = null) {
+  this.triggeredCampaigns = this.triggeredCampaigns.filter(c => c.campaignId.toString() !== campaignId.toString());
   this.triggeredCampaigns.push({
     campaignId,
     processedAt: new Date(),
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+
+const journeyEnrollmentSchema = new mongoose.Schema(
+  {
+    journeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Journey',
+      required: [true, 'Journey ID is required'],
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      description: 'Event that enrolled the user; its data is available to every step\'s template',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'completed', 'exited'],
+      default: 'active',
+    },
+    currentStep: {
+      type: String,
+      description: 'Key of the step the user is at; kept when the user exits so exits can be counted per step',
+    },
+    nextStepAt: {
+      type: Date,
+      description: 'When the next step is due',
+    },
+    steps: {
+      type: [{
+        _id: false,
+        stepId: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        key: {
+          type: String,
+        },
+        campaignId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Campaign',
+        },
+        status: {
+          type: String,
+          enum: ['scheduled', 'suppressed', 'skipped', 'failed', 'passed', 'exited'],
+          description: 'Result of an email step; condition and split steps are passed, exit steps exited',
+        },
+        next: {
+          type: String,
+          description: 'Key of the step the user moved on to',
+        },
+        emailId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Email',
+        },
+        reason: {
+          type: String,
+          description: 'Why the step was skipped or failed',
+        },
+        processedAt: {
+          type: Date,
+        },
+      }],
+      default: [],
+      description: 'Steps that have run',
+    },
+    completedAt: {
+      type: Date,
+    },
+    exitedAt: {
+      type: Date,
+    },
+    exitReason: {
+      type: String,
+      description: 'Why the user left the journey early, e.g. the exit event that ended it',
+    },
+    lockedBy: {
+      type: String,
+      description: 'Worker that currently holds the lease on this enrollment',
+    },
+    lockedUntil: {
+      type: Date,
+      description: 'When the lease expires and another worker may reclaim the enrollment',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A user is in a journey at most once at a time
+journeyEnrollmentSchema.index(
+  { journeyId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// Indexes for workers claiming due steps and for finding a user's enrollments
+journeyEnrollmentSchema.index({ status: 1, nextStepAt: 1 });
+journeyEnrollmentSchema.index({ userId: 1, status: 1 });
+journeyEnrollmentSchema.index({ journeyId: 1, status: 1 });
+
+// Static method to atomically claim the enrollment whose next step is due first.
+// Enrollments leased by a crashed worker become claimable again once the lease expires.
+journeyEnrollmentSchema.statics.claimNextDue = function(workerId, leaseMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: 'active',
+      nextStepAt: { $lte: now },
+      $or: [
+        { lockedUntil: { $exists: false } },
+        { lockedUntil: null },
+        { lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+      },
+    },
+    {
+      sort: { nextStepAt: 1 },
+      new: true,
+    }
+  );
+};
+
+// Pre-save hook to release the lease once the enrollment is saved after a step
+journeyEnrollmentSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('currentStep')) {
+    this.lockedBy = undefined;
+    this.lockedUntil = undefined;
+  }
+  next();
+});
+
+// Method to record a step that has run and move on to the step it leads to
+journeyEnrollmentSchema.methods.recordStep = function(step, result, nextStep = null) {
+  this.steps.push({
+    stepId: step._id,
+    key: step.key,
+    campaignId: step.campaignId,
+    status: result.status,
+    next: nextStep ? nextStep.key : undefined,
+    emailId: result.emailId,
+    reason: result.reason,
+    processedAt: new Date(),
+  });
+
+  if (nextStep) {
+    this.currentStep = nextStep.key;
+    this.nextStepAt = new Date(Date.now() + (nextStep.delay * 1000));
+  } else {
+    this.currentStep = undefined;
+    this.status = 'completed';
+    this.completedAt = new Date();
+    this.nextStepAt = undefined;
+  }
+
+  return this.save();
+};
+
+// Method to end the enrollment before the journey is complete
+journeyEnrollmentSchema.methods.exit = function(reason) {
+  this.status = 'exited';
+  this.exitedAt = new Date();
+  this.exitReason = reason;
+  this.nextStepAt = undefined;
+  this.lockedBy = undefined;
+  this.lockedUntil = undefined;
+
+  return this.save();
+};
+
+const JourneyEnrollment = mongoose.model('JourneyEnrollment', journeyEnrollmentSchema);
+
+module.exports = JourneyEnrollment;
@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const { matchesConditions } = require('../utils/conditions');
+const {
+  STEP_TYPES,
+  CONDITION_TYPES,
+  linkLinearSteps,
+  validateGraph,
+} = require('../utils/journey-graph');
+
+const journeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Journey name is required'],
+      trim: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    triggerEvent: {
+      type: String,
+      required: [true, 'Trigger event is required'],
+      trim: true,
+      description: 'Event type that enrolls users in the journey',
+    },
+    conditions: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+      description: 'Conditions the trigger event needs to meet to enroll the user',
+    },
+    audience: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      }],
+      default: [],
+      description: 'Specific users to enroll; empty means all users',
+    },
+    excludedAudience: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      }],
+      default: [],
+      description: 'Users never to enroll',
+    },
+    steps: {
+      type: [{
+        key: {
+          type: String,
+          trim: true,
+          description: 'Name other steps use to link to this one; defaults to "step-<n>"',
+        },
+        name: {
+          type: String,
+          trim: true,
+        },
+        type: {
+          type: String,
+          enum: STEP_TYPES,
+          default: 'email',
+          description: 'email sends a campaign, condition branches on engagement or events, split branches at random, exit ends the journey',
+        },
+        campaignId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Campaign',
+          description: 'Campaign whose email an email step sends',
+        },
+        delay: {
+          type: Number,
+          default: 0,
+          min: 0,
+          description: 'Seconds to wait after reaching the step before running it',
+        },
+        next: {
+          type: String,
+          trim: true,
+          description: 'Key of the step after an email step; none completes the journey',
+        },
+        condition: {
+          type: {
+            type: String,
+            enum: CONDITION_TYPES,
+            description: 'opened or clicked checks an email of the journey, event checks for an event of the user',
+          },
+          step: {
+            type: String,
+            trim: true,
+            description: 'Key of the email step to check; defaults to the last email step the user went through',
+          },
+          eventType: {
+            type: String,
+            trim: true,
+          },
+          conditions: {
+            type: mongoose.Schema.Types.Mixed,
+            description: 'Conditions the event needs to meet',
+          },
+          within: {
+            type: Number,
+            min: 0,
+            description: 'Only count events from this many seconds before the step runs; defaults to the whole enrollment',
+          },
+        },
+        yes: {
+          type: String,
+          trim: true,
+          description: 'Key of the step after a condition step that is met',
+        },
+        no: {
+          type: String,
+          trim: true,
+          description: 'Key of the step after a condition step that is not met',
+        },
+        branches: {
+          type: [{
+            _id: false,
+            weight: {
+              type: Number,
+              default: 1,
+              min: 0,
+            },
+            next: {
+              type: String,
+              trim: true,
+            },
+          }],
+          default: undefined,
+          description: 'Branches of a split step, picked at random in proportion to their weight',
+        },
+      }],
+      description: 'Steps of the journey; users start at the first one. Email steps without next run in order.',
+    },
+    exitEvents: {
+      type: [{
+        _id: false,
+        eventType: {
+          type: String,
+          required: [true, 'Exit event type is required'],
+          trim: true,
+        },
+        conditions: {
+          type: mongoose.Schema.Types.Mixed,
+          default: {},
+        },
+      }],
+      default: [],
+      description: 'Events that end a user\'s enrollment, e.g. a purchase ending a win-back journey',
+    },
+    allowReentry: {
+      type: Boolean,
+      default: false,
+      description: 'Whether users can enroll again after completing or exiting the journey',
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'active', 'paused', 'archived'],
+      default: 'draft',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    analytics: {
+      enrolled: {
+        type: Number,
+        default: 0,
+      },
+      completed: {
+        type: Number,
+        default: 0,
+      },
+      exited: {
+        type: Number,
+        default: 0,
+      },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for finding the journeys an event enrolls users in or exits them from
+journeySchema.index({ triggerEvent: 1, status: 1 });
+journeySchema.index({ 'exitEvents.eventType': 1 });
+journeySchema.index({ 'steps.campaignId': 1 });
+
+// Pre-validate hook to link the steps of linear journeys and check the step graph
+journeySchema.pre('validate', function(next) {
+  linkLinearSteps(this.steps);
+
+  const error = validateGraph(this.steps);
+  if (error) {
+    this.invalidate('steps', error);
+  }
+  next();
+});
+
+// Method to find a step by its key
+journeySchema.methods.getStep = function(key) {
+  return this.steps.find((step) => step.key === key) || null;
+};
+
+// Method to check if a user can be enrolled in this journey
+journeySchema.methods.shouldEnrollUser = function(userId) {
+  // If audience is specified and user is not in it, don't enroll
+  if (this.audience.length > 0 && !this.audience.includes(userId)) {
+    return false;
+  }
+
+  // If user is in excluded audience, don't enroll
+  if (this.excludedAudience.includes(userId)) {
+    return false;
+  }
+
+  return true;
+};
+
+// Method to check if an event matches the journey's entry conditions
+journeySchema.methods.matchesConditions = function(event) {
+  return event.eventType === this.triggerEvent && matchesConditions(this.conditions, event);
+};
+
+// Method to check if an event ends enrollments in this journey
+journeySchema.methods.isExitEvent = function(event) {
+  return this.exitEvents.some((exit) => exit.eventType === event.eventType && matchesConditions(exit.conditions, event));
+};
+
+const Journey = mongoose.model('Journey', journeySchema);
+
+module.exports = Journey;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const suppressionSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email address is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      enum: ['unsubscribe', 'bounce', 'complaint', 'manual'],
+      required: [true, 'Suppression reason is required'],
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      description: 'User the address belongs to, if known',
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      description: 'Campaign whose email caused the suppression, if any',
+    },
+    emailId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Email',
+      description: 'Email that caused the suppression, if any',
+    },
+    source: {
+      type: String,
+      trim: true,
+      default: 'api',
+      description: 'Where the suppression came from (unsubscribe link, webhook, admin, etc.)',
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      description: 'Admin who added the suppression manually',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create an index for listing suppressions by reason
+suppressionSchema.index({ reason: 1, createdAt: -1 });
+
+// Static method to check whether an address is suppressed
+suppressionSchema.statics.isSuppressed = async function(email) {
+  if (!email) {
+    return false;
+  }
+
+  const suppression = await this.exists({ email: email.toLowerCase().trim() });
+  return !!suppression;
+};
+
+// Static method to add an address to the suppression list.
+// An address that is already suppressed keeps its original reason.
+// Resolves with the suppression and whether it was newly created.
+suppressionSchema.statics.suppress = async function(email, data = {}) {
+  const address = email.toLowerCase().trim();
+
+  const result = await this.findOneAndUpdate(
+    { email: address },
+    { $setOnInsert: { ...data, email: address } },
+    {
+      upsert: true,
+      new: true,
+      rawResult: true,
+      runValidators: true,
+    }
+  );
+
+  return {
+    suppression: result.value,
+    created: !result.lastErrorObject.updatedExisting,
+  };
+};
+
+const Suppression = mongoose.model('Suppression', suppressionSchema);
+
+module.exports = Suppression;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const templateVersionSchema = new mongoose.Schema(
+  {
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Template',
+      required: [true, 'Template ID is required'],
+    },
+    version: {
+      type: Number,
+      required: [true, 'Version number is required'],
+      min: 1,
+    },
+    name: {
+      type: String,
+      trim: true,
+      description: 'Template name at the time of this version',
+    },
+    subject: {
+      type: String,
+    },
+    body: {
+      type: String,
+      required: [true, 'Email body is required'],
+    },
+    isHtml: {
+      type: Boolean,
+      default: false,
+    },
+    textBody: {
+      type: String,
+    },
+    preheader: {
+      type: String,
+    },
+    defaultLocale: {
+      type: String,
+    },
+    locales: [{
+      _id: false,
+      locale: String,
+      subject: String,
+      preheader: String,
+      body: String,
+      textBody: String,
+    }],
+    layoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Template',
+    },
+    variables: [{
+      name: String,
+      description: String,
+      defaultValue: String,
+    }],
+    note: {
+      type: String,
+      trim: true,
+      description: 'What changed in this version',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      description: 'User who saved this version',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Versions are numbered per template
+templateVersionSchema.index({ templateId: 1, version: -1 }, { unique: true });
+
+// Recorded versions are never changed
+templateVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Template versions can\'t be changed'));
+  }
+  
+  next();
+});
+
+// Static method to find a version of a template
+templateVersionSchema.statics.findVersion = function(templateId, version) {
+  return this.findOne({ templateId, version });
+};
+
+const TemplateVersion = mongoose.model('TemplateVersion', templateVersionSchema);
+
+module.exports = TemplateVersion;
@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const { compile } = require('../services/template-engine');
+const { normalizeLocale, matchLocale } = require('../utils/locale');
+
+/**
+ * Store locales in their canonical form, keeping values that aren't locales
+ * so validation can report them
+ * @param {string} value - Locale
+ * @returns {string}
+ */
+const setLocale = (value) => normalizeLocale(value) || value;
 
 const templateSchema = new mongoose.Schema(
   {
@@ -10,7 +20,8 @@ const templateSchema = new mongoose.Schema(
     },
     subject: {
       type: String,
-      required: [true, 'Email subject is required'],
+      // Layouts and partials only provide body content
+      required: [function() { return this.kind === 'template'; }, 'Email subject is required'],
       trim: true,
     },
     body: {
@@ -21,6 +32,60 @@ const templateSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    textBody: {
+      type: String,
+      description: 'Plain-text version of an HTML template; generated from the HTML if not set',
+    },
+    preheader: {
+      type: String,
+      trim: true,
+      description: 'Hidden text of HTML templates that inboxes show after the subject',
+    },
+    defaultLocale: {
+      type: String,
+      trim: true,
+      set: setLocale,
+      description: 'Locale of the default subject and body, e.g. en',
+    },
+    locales: [{
+      _id: false,
+      locale: {
+        type: String,
+        required: [true, 'Locale is required'],
+        trim: true,
+        set: setLocale,
+      },
+      subject: {
+        type: String,
+        trim: true,
+      },
+      preheader: {
+        type: String,
+        trim: true,
+      },
+      body: {
+        type: String,
+        required: [true, 'Email body is required'],
+      },
+      textBody: {
+        type: String,
+      },
+    }],
+    kind: {
+      type: String,
+      enum: ['template', 'layout', 'partial'],
+      default: 'template',
+      description: 'Layouts wrap other templates through {{content}}; partials are included by name with {{> name}}',
+    },
+    layoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Template',
+      description: 'Layout this template is rendered inside',
+    },
+    partials: [{
+      type: String,
+      description: 'Names of the partials this template includes',
+    }],
     category: {
       type: String,
       trim: true,
@@ -53,6 +118,16 @@ const templateSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    version: {
+      type: Number,
+      default: 1,
+      description: 'Current version; every version is kept as a TemplateVersion',
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+      description: 'When the template was deleted; deleted templates keep their version history',
+    },
   },
   {
     timestamps: true,
@@ -64,31 +139,89 @@ const templateSchema = new mongoose.Schema(
 // Create an index on the name field for faster lookups
 templateSchema.index({ name: 1 });
 
+// Indexes for finding the templates that use a layout or partial
+templateSchema.index({ layoutId: 1 });
+templateSchema.index({ partials: 1 });
+
+// Hide deleted templates, unless the query sets { withDeleted: true }
+templateSchema.pre(['find', 'findOne', 'countDocuments'], function() {
+  if (!this.getOptions().withDeleted) {
+    this.where({ deletedAt: null });
+  }
+});
+
+// Method to get the sources of the template, in every locale
+templateSchema.methods.getSources = function() {
+  return [this.subject, this.body, this.textBody, this.preheader]
+    .concat((this.locales || []).flatMap((variant) => [variant.subject, variant.body, variant.textBody, variant.preheader]));
+};
+
 // Method to detect variables in the template
 templateSchema.methods.detectVariables = function() {
-  const regex = /\{\{([^}]+)\}\}/g;
-  const variables = new Set();
-  let match;
+  const variables = new Set(this.getSources().flatMap((source) => compile(source).variables));
   
-  // Find all variables in the subject
-  while ((match = regex.exec(this.subject)) !== null) {
-    variables.add(match[1].trim());
-  }
+  return Array.from(variables);
+};
+
+// Method to detect the partials the template includes
+templateSchema.methods.detectPartials = function() {
+  const partials = new Set(this.getSources().flatMap((source) => compile(source).partials));
   
-  // Reset regex index
-  regex.lastIndex = 0;
+  return Array.from(partials);
+};
+
+// Method to get the content for a locale, falling back from e.g. pt-BR to pt
+// and then to the default content
+templateSchema.methods.getLocalizedContent = function(locale) {
+  const variants = this.locales || [];
+  const match = locale
+    ? matchLocale(locale, variants.map((variant) => variant.locale).concat(this.defaultLocale || []))
+    : null;
+  const variant = match && match !== this.defaultLocale
+    ? variants.find((item) => item.locale === match)
+    : null;
   
-  // Find all variables in the body
-  while ((match = regex.exec(this.body)) !== null) {
-    variables.add(match[1].trim());
+  if (!variant) {
+    return {
+      locale: this.defaultLocale || null,
+      subject: this.subject,
+      preheader: this.preheader,
+      body: this.body,
+      textBody: this.textBody,
+    };
   }
   
-  return Array.from(variables);
+  return {
+    locale: variant.locale,
+    subject: variant.subject,
+    preheader: variant.preheader,
+    body: variant.body,
+    textBody: variant.textBody,
+  };
+};
+
+// Method to get the default values of the template variables
+templateSchema.methods.getDefaultVariables = function() {
+  return this.variables.reduce((defaults, variable) => {
+    // An empty default means the variable has none
+    if (variable.defaultValue) {
+      defaults[variable.name] = variable.defaultValue;
+    }
+    return defaults;
+  }, {});
 };
 
 // Pre-save hook to extract variables from the template
 templateSchema.pre('save', function(next) {
-  const detectedVariables = this.detectVariables();
+  let detectedVariables;
+  
+  // Templates with syntax errors are rejected
+  try {
+    detectedVariables = this.detectVariables();
+    this.partials = this.detectPartials();
+  } catch (error) {
+    return next(error);
+  }
   
   // Update the variables array with any new variables
   const existingVarNames = this.variables.map(v => v.name);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const topicSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Topic key is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9_-]+$/, 'Topic key may only contain letters, numbers, dashes and underscores'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Topic name is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    isDefault: {
+      type: Boolean,
+      default: true,
+      description: 'Whether users are subscribed to this topic until they opt out',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      description: 'Inactive topics are hidden from the preference center',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Topic = mongoose.model('Topic', topicSchema);
+
+module.exports = Topic;
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { normalizeLocale } = require('../utils/locale');
 
 const userSchema = new mongoose.Schema(
   {
@@ -35,11 +36,35 @@ const userSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    locale: {
+      type: String,
+      trim: true,
+      set: (value) => normalizeLocale(value) || value,
+      validate: {
+        validator: (value) => !value || !!normalizeLocale(value),
+        message: '{VALUE} is not a valid locale',
+      },
+      description: 'Locale emails are sent in, e.g. pt-BR',
+    },
     attributes: {
       type: Map,
       of: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    preferences: {
+      topics: {
+        type: Map,
+        of: Boolean,
+        default: {},
+        description: 'Explicit topic opt-ins (true) and opt-outs (false), keyed by topic key',
+      },
+      frequency: {
+        type: String,
+        enum: ['any', 'daily', 'weekly'],
+        default: 'any',
+        description: 'Maximum campaign email frequency the user wants to receive',
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -73,6 +98,19 @@ userSchema.methods.correctPassword = async function (
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
+// Method to check if the user wants emails about a topic.
+// Without an explicit choice the topic's default applies.
+userSchema.methods.isSubscribedToTopic = function (topicKey, defaultSubscribed = true) {
+  if (!topicKey) {
+    return true;
+  }
+
+  const topics = this.preferences && this.preferences.topics;
+  const choice = topics ? topics.get(topicKey) : undefined;
+
+  return choice === undefined ? defaultSubscribed : choice;
+};
+
 // Method to generate a JWT token
 userSchema.methods.generateAuthToken = function () {
   return jwt.sign(
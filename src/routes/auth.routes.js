@@ -32,6 +32,9 @@ const router = express.Router();
  *                 minLength: 8
  *               company:
  *                 type: string
+ *               locale:
+ *                 type: string
+ *                 description: Locale emails are sent in, e.g. pt-BR
  *               role:
  *                 type: string
  *                 enum: [user, admin]
@@ -114,6 +117,9 @@ router.get('/me', authenticate, authController.getMe);
  *                 type: string
  *               company:
  *                 type: string
+ *               locale:
+ *                 type: string
+ *                 description: Locale emails are sent in, e.g. pt-BR
  *               attributes:
  *                 type: object
  *     responses:
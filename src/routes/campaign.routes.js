@@ -24,7 +24,6 @@ router.use(authenticate);
  *             required:
  *               - name
  *               - templateId
- *               - triggerEvent
  *             properties:
  *               name:
  *                 type: string
@@ -32,14 +31,38 @@ router.use(authenticate);
  *                 type: string
  *               templateId:
  *                 type: string
+ *               templateVersion:
+ *                 type: integer
+ *                 description: Pin the campaign to this template version; it sends the current version if not set
  *               triggerEvent:
  *                 type: string
+ *                 description: Event that triggers the campaign; leave it out for campaigns only sent as journey steps
  *               delay:
  *                 type: number
  *                 description: Delay in seconds before sending email
  *               conditions:
  *                 type: object
  *                 description: Conditions for triggering the campaign
+ *               cancelEvents:
+ *                 type: array
+ *                 description: >
+ *                   Goal events that cancel the user's emails from this campaign that are still
+ *                   scheduled, e.g. a purchase cancelling an abandoned-cart email
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - eventType
+ *                   properties:
+ *                     eventType:
+ *                       type: string
+ *                     conditions:
+ *                       type: object
+ *                       description: Conditions the goal event needs to meet
+ *                     matchOn:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Event paths (e.g. metadata.cartId) that must be equal on the goal event and the triggering event
  *               audience:
  *                 type: array
  *                 items:
@@ -62,11 +85,73 @@ router.use(authenticate);
  *               defaultVariables:
  *                 type: object
  *                 description: Default values for template variables
+ *               deliveryProvider:
+ *                 type: string
+ *                 enum: [smtp, sendgrid, mailgun, postmark, ses, file, memory]
+ *                 description: Delivery provider for this campaign (defaults to EMAIL_PROVIDER)
+ *               isTransactional:
+ *                 type: boolean
+ *                 description: Send without List-Unsubscribe headers
+ *               topic:
+ *                 type: string
+ *                 description: Subscription topic key the campaign belongs to
+ *               variants:
+ *                 type: array
+ *                 description: >
+ *                   A/B test variants, each with a different template or subject. Users are assigned
+ *                   a variant in proportion to the weights, always the same one. The first is the control.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     templateId:
+ *                       type: string
+ *                       description: Template of the variant (defaults to the campaign's)
+ *                     templateVersion:
+ *                       type: integer
+ *                     subject:
+ *                       type: string
+ *                       description: Subject that overrides the template's
+ *                     weight:
+ *                       type: number
+ *                       default: 1
+ *               abTest:
+ *                 type: object
+ *                 properties:
+ *                   metric:
+ *                     type: string
+ *                     enum: [open, click, conversion]
+ *                     description: Rate the winner is picked by
+ *                   confidence:
+ *                     type: number
+ *                     default: 0.95
+ *                   autoPromote:
+ *                     type: boolean
+ *                     description: >
+ *                       Evaluate the test once every variant has been sent to minSampleSize users,
+ *                       and promote the winner if it is significantly better than every other variant
+ *                   minSampleSize:
+ *                     type: integer
+ *                     default: 1000
+ *               conversionEvent:
+ *                 type: string
+ *                 description: Event that counts as a conversion of users sent an email from the campaign
+ *               conversionWindow:
+ *                 type: number
+ *                 description: Seconds after sending in which a conversion counts (defaults to 7 days)
+ *               holdoutPercentage:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: Percentage of matched users never sent the campaign, to measure its lift against
  *     responses:
  *       201:
  *         description: Campaign created successfully
  *       400:
- *         description: Campaign with this name already exists
+ *         description: Campaign with this name already exists, or invalid variants
  *       401:
  *         description: Not authenticated
  *       500:
@@ -170,12 +255,30 @@ router.get('/:id', campaignController.getCampaignById);
  *                 type: string
  *               templateId:
  *                 type: string
+ *               templateVersion:
+ *                 type: integer
+ *                 description: Pin the campaign to this template version; it sends the current version if not set
  *               triggerEvent:
  *                 type: string
+ *                 description: Event that triggers the campaign; leave it out for campaigns only sent as journey steps
  *               delay:
  *                 type: number
  *               conditions:
  *                 type: object
+ *               cancelEvents:
+ *                 type: array
+ *                 description: Goal events that cancel the user's scheduled emails from this campaign
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     eventType:
+ *                       type: string
+ *                     conditions:
+ *                       type: object
+ *                     matchOn:
+ *                       type: array
+ *                       items:
+ *                         type: string
  *               audience:
  *                 type: array
  *                 items:
@@ -195,9 +298,72 @@ router.get('/:id', campaignController.getCampaignById);
  *                 enum: [draft, active, paused, completed, archived]
  *               defaultVariables:
  *                 type: object
+ *               deliveryProvider:
+ *                 type: string
+ *                 enum: [smtp, sendgrid, mailgun, postmark, ses, file, memory]
+ *               isTransactional:
+ *                 type: boolean
+ *               topic:
+ *                 type: string
+ *               variants:
+ *                 type: array
+ *                 description: >
+ *                   A/B test variants, each with a different template or subject. Users are assigned
+ *                   a variant in proportion to the weights, always the same one. The first is the control.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     templateId:
+ *                       type: string
+ *                       description: Template of the variant (defaults to the campaign's)
+ *                     templateVersion:
+ *                       type: integer
+ *                     subject:
+ *                       type: string
+ *                       description: Subject that overrides the template's
+ *                     weight:
+ *                       type: number
+ *                       default: 1
+ *               abTest:
+ *                 type: object
+ *                 properties:
+ *                   metric:
+ *                     type: string
+ *                     enum: [open, click, conversion]
+ *                     description: Rate the winner is picked by
+ *                   confidence:
+ *                     type: number
+ *                     default: 0.95
+ *                   autoPromote:
+ *                     type: boolean
+ *                     description: >
+ *                       Evaluate the test once every variant has been sent to minSampleSize users,
+ *                       and promote the winner if it is significantly better than every other variant
+ *                   minSampleSize:
+ *                     type: integer
+ *                     default: 1000
+ *               conversionEvent:
+ *                 type: string
+ *                 description: Event that counts as a conversion of users sent an email from the campaign
+ *               conversionWindow:
+ *                 type: number
+ *                 description: Seconds after sending in which a conversion counts (defaults to 7 days)
+ *               holdoutPercentage:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: Percentage of matched users never sent the campaign, to measure its lift against
  *     responses:
  *       200:
  *         description: Campaign updated successfully
+ *       400:
+ *         description: >
+ *           Pinned template version not found, invalid variants, or a trigger event set on a
+ *           campaign used as a journey step
  *       401:
  *         description: Not authenticated
  *       403:
@@ -233,6 +399,8 @@ router.patch('/:id', campaignController.updateCampaign);
  *         description: Not authorized
  *       404:
  *         description: Campaign not found
+ *       409:
+ *         description: Campaign is a step of a journey
  *       500:
  *         description: Server error
  */
@@ -255,7 +423,10 @@ router.delete('/:id', campaignController.deleteCampaign);
  *         description: Campaign ID
  *     responses:
  *       200:
- *         description: Analytics retrieved successfully
+ *         description: >
+ *           Analytics retrieved successfully. Campaigns with variants also get the counts and
+ *           open, click and conversion rates of each variant, compared to the control with a
+ *           two-proportion z-test.
  *       401:
  *         description: Not authenticated
  *       403:
@@ -267,6 +438,54 @@ router.delete('/:id', campaignController.deleteCampaign);
  */
 router.get('/:id/analytics', campaignController.getCampaignAnalytics);
 
+/**
+ * @swagger
+ * /api/campaigns/{id}/lift:
+ *   get:
+ *     summary: Get campaign lift against its holdout group
+ *     description: >
+ *       Compares the rate of users who performed the campaign's conversion event within the
+ *       attribution window (conversionWindow) from when an email was to be sent to them, for
+ *       users the campaign was triggered for (whether or not the email was sent) against users
+ *       held out of it.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count emails scheduled (or withheld) from this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count emails scheduled (or withheld) until this date
+ *     responses:
+ *       200:
+ *         description: Users and conversion rates of both groups, the lift and its significance (two-proportion z-test)
+ *       400:
+ *         description: The campaign has no conversion event, or invalid dates
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Campaign not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/lift', campaignController.getCampaignLift);
+
 /**
  * @swagger
  * /api/campaigns/{id}/activate:
@@ -325,4 +544,39 @@ router.patch('/:id/activate', campaignController.activateCampaign);
  */
 router.patch('/:id/pause', campaignController.pauseCampaign);
 
+/**
+ * @swagger
+ * /api/campaigns/{id}/variants/{name}/promote:
+ *   patch:
+ *     summary: Promote an A/B test variant, sending it to every user from now on
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Variant name
+ *     responses:
+ *       200:
+ *         description: Variant promoted successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Campaign or variant not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id/variants/:name/promote', campaignController.promoteVariant);
+
 module.exports = router;
\ No newline at end of file
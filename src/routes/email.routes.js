@@ -0,0 +1,117 @@
+const express = require('express');
+const emailController = require('../controllers/email.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authenticate);
+router.use(authorize('admin'));
+
+/**
+ * @swagger
+ * /api/emails/dead-letter:
+ *   get:
+ *     summary: List emails that were moved to the dead-letter state (admin only)
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *         description: Filter by campaign
+ *       - in: query
+ *         name: errorType
+ *         schema:
+ *           type: string
+ *           enum: [transient, permanent]
+ *         description: Filter by the classification of the last error
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Dead-lettered emails retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/dead-letter', emailController.getDeadLetterEmails);
+
+/**
+ * @swagger
+ * /api/emails/dead-letter/requeue:
+ *   post:
+ *     summary: Requeue all dead-lettered emails (admin only)
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               campaignId:
+ *                 type: string
+ *                 description: Only requeue emails of this campaign
+ *               errorType:
+ *                 type: string
+ *                 enum: [transient, permanent]
+ *                 description: Only requeue emails whose last error had this classification
+ *     responses:
+ *       200:
+ *         description: Emails requeued successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/dead-letter/requeue', emailController.requeueDeadLetterEmails);
+
+/**
+ * @swagger
+ * /api/emails/{id}/requeue:
+ *   post:
+ *     summary: Requeue a dead-lettered email (admin only)
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Email ID
+ *     responses:
+ *       200:
+ *         description: Email requeued successfully
+ *       400:
+ *         description: Email is not dead-lettered
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Email not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/requeue', emailController.requeueEmail);
+
+module.exports = router;
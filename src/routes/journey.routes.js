@@ -0,0 +1,560 @@
+const express = require('express');
+const journeyController = require('../controllers/journey.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/journeys:
+ *   post:
+ *     summary: Create a journey
+ *     description: >
+ *       A journey sends a sequence of emails to each user it enrolls. Journeys are
+ *       created as drafts; activate them to start enrolling users.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - triggerEvent
+ *               - steps
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               triggerEvent:
+ *                 type: string
+ *                 description: Event type that enrolls users
+ *               conditions:
+ *                 type: object
+ *                 description: Conditions the trigger event needs to meet, as for campaigns
+ *               audience:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Specific users to enroll (empty means all users)
+ *               excludedAudience:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Users never to enroll
+ *               steps:
+ *                 type: array
+ *                 description: >
+ *                   Steps of the journey as a graph; users start at the first step and follow
+ *                   the keys each step leads to. Email steps send the email of a campaign without
+ *                   a trigger event of its own. When every step is an email step without next,
+ *                   the steps run in order. Steps must not loop and must all be reachable.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: Unique key other steps link to (defaults to step-<n>)
+ *                     name:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [email, condition, split, exit]
+ *                       default: email
+ *                     campaignId:
+ *                       type: string
+ *                       description: Campaign of an email step
+ *                     delay:
+ *                       type: number
+ *                       description: Seconds to wait after reaching this step before running it
+ *                     next:
+ *                       type: string
+ *                       description: Key of the step after an email step (none completes the journey)
+ *                     condition:
+ *                       type: object
+ *                       description: Condition of a condition step
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [opened, clicked, event]
+ *                         step:
+ *                           type: string
+ *                           description: Email step to check for opens or clicks (defaults to the last one)
+ *                         eventType:
+ *                           type: string
+ *                           description: Event to look for
+ *                         conditions:
+ *                           type: object
+ *                           description: Conditions the event needs to meet
+ *                         within:
+ *                           type: number
+ *                           description: Only count events from this many seconds back (defaults to the whole enrollment)
+ *                     yes:
+ *                       type: string
+ *                       description: Key of the step after a condition that is met
+ *                     no:
+ *                       type: string
+ *                       description: Key of the step after a condition that is not met
+ *                     branches:
+ *                       type: array
+ *                       description: Branches of a split step, picked at random by weight
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           weight:
+ *                             type: number
+ *                           next:
+ *                             type: string
+ *               exitEvents:
+ *                 type: array
+ *                 description: Events that end a user's enrollment
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - eventType
+ *                   properties:
+ *                     eventType:
+ *                       type: string
+ *                     conditions:
+ *                       type: object
+ *               allowReentry:
+ *                 type: boolean
+ *                 description: Whether users can enroll again after completing or exiting the journey
+ *     responses:
+ *       201:
+ *         description: Journey created successfully
+ *       400:
+ *         description: >
+ *           Journey with this name already exists, the steps don't form a valid graph, or a
+ *           step's campaign doesn't exist or has a trigger event of its own
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post('/', journeyController.createJourney);
+
+/**
+ * @swagger
+ * /api/journeys:
+ *   get:
+ *     summary: Get all journeys
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: triggerEvent
+ *         schema:
+ *           type: string
+ *         description: Filter by trigger event
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, active, paused, archived]
+ *         description: Filter by status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Journeys retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/', journeyController.getAllJourneys);
+
+/**
+ * @swagger
+ * /api/journeys/{id}:
+ *   get:
+ *     summary: Get a journey by ID
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Journey not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', journeyController.getJourneyById);
+
+/**
+ * @swagger
+ * /api/journeys/{id}:
+ *   patch:
+ *     summary: Update a journey
+ *     description: >
+ *       Enrolled users continue from the step with the same key; users at a removed step exit.
+ *       Change the status with the activate, pause and archive endpoints.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               triggerEvent:
+ *                 type: string
+ *                 description: Event type that enrolls users
+ *               conditions:
+ *                 type: object
+ *                 description: Conditions the trigger event needs to meet, as for campaigns
+ *               audience:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Specific users to enroll (empty means all users)
+ *               excludedAudience:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Users never to enroll
+ *               steps:
+ *                 type: array
+ *                 description: >
+ *                   Steps of the journey as a graph; users start at the first step and follow
+ *                   the keys each step leads to. Email steps send the email of a campaign without
+ *                   a trigger event of its own. When every step is an email step without next,
+ *                   the steps run in order. Steps must not loop and must all be reachable.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: Unique key other steps link to (defaults to step-<n>)
+ *                     name:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [email, condition, split, exit]
+ *                       default: email
+ *                     campaignId:
+ *                       type: string
+ *                       description: Campaign of an email step
+ *                     delay:
+ *                       type: number
+ *                       description: Seconds to wait after reaching this step before running it
+ *                     next:
+ *                       type: string
+ *                       description: Key of the step after an email step (none completes the journey)
+ *                     condition:
+ *                       type: object
+ *                       description: Condition of a condition step
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [opened, clicked, event]
+ *                         step:
+ *                           type: string
+ *                           description: Email step to check for opens or clicks (defaults to the last one)
+ *                         eventType:
+ *                           type: string
+ *                           description: Event to look for
+ *                         conditions:
+ *                           type: object
+ *                           description: Conditions the event needs to meet
+ *                         within:
+ *                           type: number
+ *                           description: Only count events from this many seconds back (defaults to the whole enrollment)
+ *                     yes:
+ *                       type: string
+ *                       description: Key of the step after a condition that is met
+ *                     no:
+ *                       type: string
+ *                       description: Key of the step after a condition that is not met
+ *                     branches:
+ *                       type: array
+ *                       description: Branches of a split step, picked at random by weight
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           weight:
+ *                             type: number
+ *                           next:
+ *                             type: string
+ *               exitEvents:
+ *                 type: array
+ *                 description: Events that end a user's enrollment
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - eventType
+ *                   properties:
+ *                     eventType:
+ *                       type: string
+ *                     conditions:
+ *                       type: object
+ *               allowReentry:
+ *                 type: boolean
+ *                 description: Whether users can enroll again after completing or exiting the journey
+ *     responses:
+ *       200:
+ *         description: Journey updated successfully
+ *       400:
+ *         description: Invalid journey or steps
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Journey not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id', journeyController.updateJourney);
+
+/**
+ * @swagger
+ * /api/journeys/{id}:
+ *   delete:
+ *     summary: Delete a journey and its enrollments
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey deleted successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Journey not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', journeyController.deleteJourney);
+
+/**
+ * @swagger
+ * /api/journeys/{id}/activate:
+ *   patch:
+ *     summary: Activate a journey
+ *     description: >
+ *       Active journeys enroll users on their trigger event. Enrollments paused with
+ *       the journey continue where they stopped.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey activated successfully
+ *       409:
+ *         description: Journey is archived
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Journey not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id/activate', journeyController.activateJourney);
+
+/**
+ * @swagger
+ * /api/journeys/{id}/pause:
+ *   patch:
+ *     summary: Pause a journey
+ *     description: >
+ *       Paused journeys enroll no one and hold enrolled users at their current step.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey paused successfully
+ *       409:
+ *         description: Journey is archived
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Journey not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id/pause', journeyController.pauseJourney);
+
+/**
+ * @swagger
+ * /api/journeys/{id}/archive:
+ *   patch:
+ *     summary: Archive a journey
+ *     description: >
+ *       Ends every enrollment. Archived journeys can't be activated again.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey archived successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Journey not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id/archive', journeyController.archiveJourney);
+
+/**
+ * @swagger
+ * /api/journeys/{id}/enrollments:
+ *   get:
+ *     summary: Get the enrollments of a journey
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, paused, completed, exited]
+ *         description: Filter by status
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Filter by user
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Enrollments with the steps each user has been through
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Journey not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/enrollments', journeyController.getJourneyEnrollments);
+
+/**
+ * @swagger
+ * /api/journeys/{id}/analytics:
+ *   get:
+ *     summary: Get journey analytics
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: >
+ *           Enrollments by status, and for each step the users waiting at it, passed and exited
+ *           there, its results (scheduled, suppressed, skipped, failed, passed) and the steps users went on to
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Journey not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/analytics', journeyController.getJourneyAnalytics);
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const suppressionController = require('../controllers/suppression.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authenticate);
+router.use(authorize('admin'));
+
+/**
+ * @swagger
+ * /api/suppressions:
+ *   post:
+ *     summary: Add an address to the suppression list (admin only)
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               reason:
+ *                 type: string
+ *                 enum: [unsubscribe, bounce, complaint, manual]
+ *               userId:
+ *                 type: string
+ *               campaignId:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Address suppressed successfully
+ *       400:
+ *         description: Address already suppressed or invalid input
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', suppressionController.createSuppression);
+
+/**
+ * @swagger
+ * /api/suppressions:
+ *   get:
+ *     summary: Get the suppression list (admin only)
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [unsubscribe, bounce, complaint, manual]
+ *         description: Filter by reason
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Filter by (partial) email address
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Suppressions retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', suppressionController.getAllSuppressions);
+
+/**
+ * @swagger
+ * /api/suppressions/{id}:
+ *   get:
+ *     summary: Get a suppression by ID (admin only)
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Suppression ID
+ *     responses:
+ *       200:
+ *         description: Suppression retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Suppression not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', suppressionController.getSuppressionById);
+
+/**
+ * @swagger
+ * /api/suppressions/{id}:
+ *   patch:
+ *     summary: Update a suppression (admin only)
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Suppression ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [unsubscribe, bounce, complaint, manual]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Suppression updated successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Suppression not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id', suppressionController.updateSuppression);
+
+/**
+ * @swagger
+ * /api/suppressions/{id}:
+ *   delete:
+ *     summary: Remove an address from the suppression list (admin only)
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Suppression ID
+ *     responses:
+ *       200:
+ *         description: Suppression deleted successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Suppression not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', suppressionController.deleteSuppression);
+
+module.exports = router;
@@ -23,17 +23,56 @@ router.use(authenticate);
  *             type: object
  *             required:
  *               - name
- *               - subject
  *               - body
  *             properties:
  *               name:
  *                 type: string
  *               subject:
  *                 type: string
+ *                 description: Required for templates, not for layouts and partials
  *               body:
  *                 type: string
+ *               textBody:
+ *                 type: string
+ *                 description: Plain-text version of an HTML template; generated from the HTML if not set
+ *               preheader:
+ *                 type: string
+ *                 description: Hidden text of HTML templates that inboxes show after the subject
+ *               defaultLocale:
+ *                 type: string
+ *                 description: Locale of the subject and body, e.g. en
+ *               locales:
+ *                 type: array
+ *                 description: >
+ *                   Versions of the content in other locales. Recipients get the version for their
+ *                   locale, falling back from e.g. pt-BR to pt and then to the default content.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - locale
+ *                     - body
+ *                   properties:
+ *                     locale:
+ *                       type: string
+ *                       description: BCP 47 locale, e.g. pt-BR
+ *                     subject:
+ *                       type: string
+ *                       description: Required for templates
+ *                     preheader:
+ *                       type: string
+ *                     body:
+ *                       type: string
+ *                     textBody:
+ *                       type: string
  *               isHtml:
  *                 type: boolean
+ *               kind:
+ *                 type: string
+ *                 enum: [template, layout, partial]
+ *                 description: Layouts wrap other templates through {{content}}; partials are included with {{> name}}
+ *               layoutId:
+ *                 type: string
+ *                 description: ID of the layout to render this template inside
  *               category:
  *                 type: string
  *               tags:
@@ -42,9 +81,11 @@ router.use(authenticate);
  *                   type: string
  *     responses:
  *       201:
- *         description: Template created successfully
+ *         description: Template created successfully, with any validation warnings
  *       400:
- *         description: Template with this name already exists
+ *         description: >
+ *           Template with this name already exists or has validation errors (listed in
+ *           errors, with warnings)
  *       401:
  *         description: Not authenticated
  *       500:
@@ -52,6 +93,39 @@ router.use(authenticate);
  */
 router.post('/', templateController.createTemplate);
 
+/**
+ * @swagger
+ * /api/templates/validate:
+ *   post:
+ *     summary: Validate a template without saving it
+ *     description: >
+ *       Reports errors (syntax errors, missing layouts or partials, layouts without a
+ *       content slot), which stop a template from being saved, and warnings (unknown
+ *       variables, unbalanced HTML tags, images without alt text or loaded over http://,
+ *       no unsubscribe link in a marketing template, HTML over Gmail's 102KB clipping limit).
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Template fields, as for creating a template
+ *     responses:
+ *       200:
+ *         description: >
+ *           Validation report with valid, errors and warnings. Each issue has a severity,
+ *           a code (e.g. syntax_error, unknown_variable), the field, the line if known
+ *           and a message.
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post('/validate', templateController.validateTemplateDraft);
+
 /**
  * @swagger
  * /api/templates:
@@ -72,6 +146,12 @@ router.post('/', templateController.createTemplate);
  *           type: string
  *         description: Filter by tag
  *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [template, layout, partial]
+ *         description: Filter by kind
+ *       - in: query
  *         name: active
  *         schema:
  *           type: boolean
@@ -151,8 +231,47 @@ router.get('/:id', templateController.getTemplateById);
  *                 type: string
  *               body:
  *                 type: string
+ *               textBody:
+ *                 type: string
+ *                 description: Plain-text version of an HTML template; generated from the HTML if not set
+ *               preheader:
+ *                 type: string
+ *                 description: Hidden text of HTML templates that inboxes show after the subject
+ *               defaultLocale:
+ *                 type: string
+ *                 description: Locale of the subject and body, e.g. en
+ *               locales:
+ *                 type: array
+ *                 description: >
+ *                   Versions of the content in other locales. Recipients get the version for their
+ *                   locale, falling back from e.g. pt-BR to pt and then to the default content.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - locale
+ *                     - body
+ *                   properties:
+ *                     locale:
+ *                       type: string
+ *                       description: BCP 47 locale, e.g. pt-BR
+ *                     subject:
+ *                       type: string
+ *                       description: Required for templates
+ *                     preheader:
+ *                       type: string
+ *                     body:
+ *                       type: string
+ *                     textBody:
+ *                       type: string
  *               isHtml:
  *                 type: boolean
+ *               kind:
+ *                 type: string
+ *                 enum: [template, layout, partial]
+ *                 description: Layouts wrap other templates through {{content}}; partials are included with {{> name}}
+ *               layoutId:
+ *                 type: string
+ *                 description: ID of the layout to render this template inside
  *               category:
  *                 type: string
  *               tags:
@@ -161,15 +280,24 @@ router.get('/:id', templateController.getTemplateById);
  *                   type: string
  *               isActive:
  *                 type: boolean
+ *               note:
+ *                 type: string
+ *                 description: What changed, recorded with the new version
  *     responses:
  *       200:
- *         description: Template updated successfully
+ *         description: Template updated successfully, with any validation warnings
+ *       400:
+ *         description: >
+ *           Template with this name already exists or has validation errors (listed in
+ *           errors, with warnings)
  *       401:
  *         description: Not authenticated
  *       403:
  *         description: Not authorized
  *       404:
  *         description: Template not found
+ *       409:
+ *         description: Renaming a partial or changing the kind of a layout or partial that other templates use
  *       500:
  *         description: Server error
  */
@@ -199,6 +327,8 @@ router.patch('/:id', templateController.updateTemplate);
  *         description: Not authorized
  *       404:
  *         description: Template not found
+ *       409:
+ *         description: The template is used by campaigns, or the layout or partial by other templates
  *       500:
  *         description: Server error
  */
@@ -228,9 +358,19 @@ router.delete('/:id', templateController.deleteTemplate);
  *             properties:
  *               variables:
  *                 type: object
+ *                 description: Template variables, e.g. user_name or a nested event object
+ *               locale:
+ *                 type: string
+ *                 description: Recipient locale to preview, e.g. pt-BR
  *     responses:
  *       200:
- *         description: Template preview generated successfully
+ *         description: >
+ *           Template preview generated successfully. HTML templates include the textBody they
+ *           are sent with. missingVariables lists the variables the template uses that have
+ *           neither a value nor a default, locale is the locale of the content previewed, and spamCheck is the spam report of the preview
+ *           (see GET /api/templates/{id}/spam-check).
+ *       400:
+ *         description: Template has a syntax error or uses a missing layout or partial
  *       401:
  *         description: Not authenticated
  *       404:
@@ -240,4 +380,209 @@ router.delete('/:id', templateController.deleteTemplate);
  */
 router.post('/:id/preview', templateController.previewTemplate);
 
+/**
+ * @swagger
+ * /api/templates/{id}/validate:
+ *   get:
+ *     summary: Validate a saved template
+ *     description: Reports the same errors and warnings as POST /api/templates/validate.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Validation report
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/validate', templateController.validateTemplate);
+
+/**
+ * @swagger
+ * /api/templates/{id}/spam-check:
+ *   get:
+ *     summary: Check a template for content likely to be filtered as spam
+ *     description: >
+ *       Renders the template with its default variables and scores the result against
+ *       the bundled spam rules (capitals and exclamation marks in the subject, URL
+ *       shorteners, image-to-text ratio, phrases common in spam, a missing text part, ...).
+ *       Nothing is sent to an external service.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: >
+ *           Spam report with the total score, the threshold from which messages are
+ *           likely to be filtered, a rating (low, medium or high) and the rules that matched
+ *       400:
+ *         description: Template has a syntax error or uses a missing layout or partial
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/spam-check', templateController.spamCheckTemplate);
+
+/**
+ * @swagger
+ * /api/templates/{id}/versions:
+ *   get:
+ *     summary: Get the version history of a template
+ *     description: Every change to the subject, preheader, body, text body, locale versions, HTML flag or layout of a template is recorded as a new version.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template versions retrieved successfully, newest first
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/versions', templateController.getTemplateVersions);
+
+/**
+ * @swagger
+ * /api/templates/{id}/versions/{version}:
+ *   get:
+ *     summary: Get a version of a template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version number
+ *     responses:
+ *       200:
+ *         description: Template version retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Template version not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/versions/:version', templateController.getTemplateVersion);
+
+/**
+ * @swagger
+ * /api/templates/{id}/diff:
+ *   get:
+ *     summary: Compare two versions of a template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Older version (defaults to the version before "to")
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Newer version (defaults to the current version)
+ *     responses:
+ *       200:
+ *         description: Changed fields and unified line diffs of the subject, body and text body
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Template or version not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/diff', templateController.diffTemplateVersions);
+
+/**
+ * @swagger
+ * /api/templates/{id}/rollback:
+ *   post:
+ *     summary: Roll a template back to an earlier version
+ *     description: The content of the earlier version is saved as a new version, so the history is kept.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Template rolled back successfully
+ *       400:
+ *         description: Missing version, or the version uses a layout or partial that no longer exists
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Template or version not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/rollback', templateController.rollbackTemplate);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,151 @@
+const express = require('express');
+const topicController = require('../controllers/topic.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/topics:
+ *   post:
+ *     summary: Create a subscription topic (admin only)
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - key
+ *               - name
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 description: Identifier campaigns use in their topic field
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *                 description: Whether users are subscribed until they opt out
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Topic created successfully
+ *       400:
+ *         description: Topic with this key already exists or invalid input
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authorize('admin'), topicController.createTopic);
+
+/**
+ * @swagger
+ * /api/topics:
+ *   get:
+ *     summary: Get all subscription topics
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: Topics retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/', topicController.getAllTopics);
+
+/**
+ * @swagger
+ * /api/topics/{id}:
+ *   patch:
+ *     summary: Update a subscription topic (admin only)
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Topic updated successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Topic not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id', authorize('admin'), topicController.updateTopic);
+
+/**
+ * @swagger
+ * /api/topics/{id}:
+ *   delete:
+ *     summary: Delete a subscription topic (admin only)
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *     responses:
+ *       200:
+ *         description: Topic deleted successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Topic not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authorize('admin'), topicController.deleteTopic);
+
+module.exports = router;
@@ -5,17 +5,17 @@ const router = express.Router();
 
 /**
  * @swagger
- * /api/track/open/{trackingId}:
+ * /api/track/open/{token}:
  *   get:
  *     summary: Track email opens
  *     tags: [Tracking]
  *     parameters:
  *       - in: path
- *         name: trackingId
+ *         name: token
  *         required: true
  *         schema:
  *           type: string
- *         description: Email tracking ID
+ *         description: Signed tracking token
  *     responses:
  *       200:
  *         description: Returns a 1x1 transparent GIF
@@ -25,21 +25,21 @@ const router = express.Router();
  *               type: string
  *               format: binary
  */
-router.get('/open/:trackingId', trackingController.trackEmailOpen);
+router.get('/open/:token', trackingController.trackEmailOpen);
 
 /**
  * @swagger
- * /api/track/click/{trackingId}/{linkIndex}:
+ * /api/track/click/{token}/{linkIndex}:
  *   get:
  *     summary: Track email link clicks
  *     tags: [Tracking]
  *     parameters:
  *       - in: path
- *         name: trackingId
+ *         name: token
  *         required: true
  *         schema:
  *           type: string
- *         description: Email tracking ID
+ *         description: Signed tracking token
  *       - in: path
  *         name: linkIndex
  *         required: true
@@ -48,39 +48,10 @@ router.get('/open/:trackingId', trackingController.trackEmailOpen);
  *         description: Index of the clicked link
  *     responses:
  *       302:
- *         description: Redirects to the original URL
+ *         description: Redirects to the original URL (without tracking if the token has expired)
+ *       400:
+ *         description: Forged or invalid token
  */
-router.get('/click/:trackingId/:linkIndex', trackingController.trackEmailClick);
-
-/**
- * @swagger
- * /api/unsubscribe/{userId}:
- *   get:
- *     summary: Handle unsubscribe requests
- *     tags: [Tracking]
- *     parameters:
- *       - in: path
- *         name: userId
- *         required: true
- *         schema:
- *           type: string
- *         description: User ID
- *       - in: query
- *         name: email
- *         schema:
- *           type: string
- *         description: User email address
- *       - in: query
- *         name: campaign
- *         schema:
- *           type: string
- *         description: Campaign ID
- *     responses:
- *       200:
- *         description: Unsubscribe confirmation page
- *       500:
- *         description: Error page
- */
-router.get('/unsubscribe/:userId', trackingController.handleUnsubscribe);
+router.get('/click/:token/:linkIndex', trackingController.trackEmailClick);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,167 @@
+const express = require('express');
+const trackingController = require('../controllers/tracking.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/unsubscribe/{token}:
+ *   get:
+ *     summary: Unsubscribe page asking the recipient to confirm; doesn't unsubscribe by itself
+ *     tags: [Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed unsubscribe token identifying the user and campaign
+ *     responses:
+ *       200:
+ *         description: Unsubscribe form that posts to /api/unsubscribe/{token}/confirm
+ *       400:
+ *         description: Forged or invalid token
+ *       410:
+ *         description: Expired token
+ */
+router.get('/:token', trackingController.showUnsubscribeConfirmation);
+
+/**
+ * @swagger
+ * /api/unsubscribe/{token}/confirm:
+ *   post:
+ *     summary: Unsubscribe a user confirmed on the unsubscribe page and add their address to the suppression list
+ *     tags: [Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed unsubscribe token identifying the user and campaign
+ *     responses:
+ *       200:
+ *         description: Unsubscribe confirmation page
+ *       400:
+ *         description: Forged or invalid token
+ *       410:
+ *         description: Expired token
+ *       404:
+ *         description: Unknown user
+ *       500:
+ *         description: Error page
+ */
+router.post('/:token/confirm', trackingController.handleUnsubscribe);
+
+/**
+ * @swagger
+ * /api/unsubscribe/{token}:
+ *   post:
+ *     summary: RFC 8058 one-click unsubscribe, called by mailbox providers from the List-Unsubscribe header
+ *     tags: [Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed unsubscribe token identifying the user and campaign
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - List-Unsubscribe
+ *             properties:
+ *               List-Unsubscribe:
+ *                 type: string
+ *                 enum: [One-Click]
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *       400:
+ *         description: Missing one-click body, or forged or invalid token
+ *       404:
+ *         description: Unknown user
+ *       410:
+ *         description: Expired token
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:token',
+  express.text({ type: 'multipart/form-data' }),
+  trackingController.handleOneClickUnsubscribe
+);
+
+/**
+ * @swagger
+ * /api/unsubscribe/{token}/preferences:
+ *   get:
+ *     summary: Preference center where recipients manage topics, frequency and unsubscribes
+ *     tags: [Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed unsubscribe token identifying the user and campaign
+ *     responses:
+ *       200:
+ *         description: Preference center page
+ *       400:
+ *         description: Forged or invalid token
+ *       404:
+ *         description: Unknown user
+ *       410:
+ *         description: Expired token
+ */
+router.get('/:token/preferences', trackingController.showPreferenceCenter);
+
+/**
+ * @swagger
+ * /api/unsubscribe/{token}/preferences:
+ *   post:
+ *     summary: Save preference center choices
+ *     tags: [Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed unsubscribe token identifying the user and campaign
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               topics:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Keys of the topics to stay subscribed to
+ *               frequency:
+ *                 type: string
+ *                 enum: [any, daily, weekly]
+ *               unsubscribe_all:
+ *                 type: string
+ *                 description: Present to unsubscribe from all emails
+ *     responses:
+ *       200:
+ *         description: Preferences saved
+ *       400:
+ *         description: Forged or invalid token
+ *       404:
+ *         description: Unknown user
+ *       410:
+ *         description: Expired token
+ */
+router.post('/:token/preferences', trackingController.updatePreferenceCenter);
+
+module.exports = router;
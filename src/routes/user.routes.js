@@ -94,11 +94,25 @@ router.get('/:id', userController.getUserById);
  *                 format: email
  *               company:
  *                 type: string
+ *               locale:
+ *                 type: string
+ *                 description: Locale emails are sent in, e.g. pt-BR
  *               role:
  *                 type: string
  *                 enum: [user, admin]
  *               attributes:
  *                 type: object
+ *               preferences:
+ *                 type: object
+ *                 properties:
+ *                   topics:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: boolean
+ *                     description: Topic opt-ins and opt-outs keyed by topic key
+ *                   frequency:
+ *                     type: string
+ *                     enum: [any, daily, weekly]
  *               isActive:
  *                 type: boolean
  *     responses:
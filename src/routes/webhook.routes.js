@@ -0,0 +1,142 @@
+const express = require('express');
+const webhookController = require('../controllers/webhook.controller');
+const { verifyWebhookSecret } = require('../middleware/webhook.middleware');
+
+const router = express.Router();
+
+// Every webhook must carry the shared secret
+router.use(verifyWebhookSecret);
+
+/**
+ * @swagger
+ * /api/webhooks/bounce-mail:
+ *   post:
+ *     summary: Receive a raw bounce or complaint message
+ *     description: >
+ *       Accepts an RFC 3464 delivery status notification or RFC 5965 ARF feedback report
+ *       as raw MIME, e.g. piped from the MTA that receives mail for the return-path address.
+ *       The original Message-ID is matched to an email; hard bounces and complaints add the
+ *       address to the suppression list.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: query
+ *         name: secret
+ *         schema:
+ *           type: string
+ *         description: Shared WEBHOOK_SECRET (or send it in the X-Webhook-Secret header)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         message/rfc822:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Bounce message processed successfully
+ *       400:
+ *         description: Empty request body
+ *       401:
+ *         description: Invalid webhook secret
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: WEBHOOK_SECRET is not configured
+ */
+router.post(
+  '/bounce-mail',
+  express.raw({ type: () => true, limit: '10mb' }),
+  webhookController.handleBounceMail
+);
+
+/**
+ * @swagger
+ * /api/webhooks/unsubscribe-mail:
+ *   post:
+ *     summary: Receive a raw unsubscribe request mailed to the List-Unsubscribe address
+ *     description: >
+ *       Accepts a message sent to the List-Unsubscribe mailto target (LIST_UNSUBSCRIBE_MAILTO)
+ *       as raw MIME, e.g. piped from the MTA that receives mail for that address. The signed
+ *       token in its "unsubscribe-<token>" subject identifies the user, whose address is added
+ *       to the suppression list.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: query
+ *         name: secret
+ *         schema:
+ *           type: string
+ *         description: Shared WEBHOOK_SECRET (or send it in the X-Webhook-Secret header)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         message/rfc822:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribe message processed; data.unsubscribed tells whether it unsubscribed a user
+ *       400:
+ *         description: Empty request body
+ *       401:
+ *         description: Invalid webhook secret
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: WEBHOOK_SECRET is not configured
+ */
+router.post(
+  '/unsubscribe-mail',
+  express.raw({ type: () => true, limit: '10mb' }),
+  webhookController.handleUnsubscribeMail
+);
+
+// SNS posts its JSON messages as text/plain. SendGrid and SES batch many
+// events into one request, well past express's default 100kb limit.
+router.use(express.json({ type: ['application/json', 'text/plain'], limit: '10mb' }));
+
+/**
+ * @swagger
+ * /api/webhooks/{provider}:
+ *   post:
+ *     summary: Receive delivery, bounce and complaint events from a delivery provider
+ *     description: >
+ *       Accepts SES notifications (through SNS, including the subscription confirmation),
+ *       SendGrid event webhooks, Mailgun webhooks and Postmark delivery, bounce and spam
+ *       complaint webhooks. Events are matched to emails by provider message ID; hard
+ *       bounces and complaints add the address to the suppression list.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [ses, sendgrid, mailgun, postmark]
+ *       - in: query
+ *         name: secret
+ *         schema:
+ *           type: string
+ *         description: Shared WEBHOOK_SECRET (or send it in the X-Webhook-Secret header)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Provider-specific webhook payload
+ *     responses:
+ *       200:
+ *         description: Webhook processed successfully
+ *       400:
+ *         description: Malformed webhook payload
+ *       401:
+ *         description: Invalid webhook secret
+ *       404:
+ *         description: Unsupported provider
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: WEBHOOK_SECRET is not configured
+ */
+router.post('/:provider', webhookController.handleProviderWebhook);
+
+module.exports = router;
@@ -17,8 +17,14 @@ const authRoutes = require('./routes/auth.routes');
 const userRoutes = require('./routes/user.routes');
 const templateRoutes = require('./routes/template.routes');
 const campaignRoutes = require('./routes/campaign.routes');
+const journeyRoutes = require('./routes/journey.routes');
 const eventRoutes = require('./routes/event.routes');
 const trackingRoutes = require('./routes/tracking.routes');
+const emailRoutes = require('./routes/email.routes');
+const suppressionRoutes = require('./routes/suppression.routes');
+const unsubscribeRoutes = require('./routes/unsubscribe.routes');
+const topicRoutes = require('./routes/topic.routes');
+const webhookRoutes = require('./routes/webhook.routes');
 
 // Import services
 const emailService = require('./services/email.service');
@@ -81,9 +87,15 @@ const swaggerDocs = swaggerJsDoc(swaggerOptions);
 // Middleware
 app.use(helmet());
 app.use(cors());
+app.use(morgan('combined', { stream: { write: (message) => logger.info(message.trim()) } }));
+
+// Provider webhooks arrive in bursts from a few IPs, so they skip the rate limit.
+// They are mounted before the global body parsers because they parse their own
+// bodies, with limits that fit large provider batches.
+app.use('/api/webhooks', webhookRoutes);
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(morgan('combined', { stream: { write: (message) => logger.info(message.trim()) } }));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -91,6 +103,7 @@ const limiter = rateLimit({
   max: 100, // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later',
 });
+
 app.use('/api', limiter);
 
 // API routes
@@ -98,9 +111,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/templates', templateRoutes);
 app.use('/api/campaigns', campaignRoutes);
+app.use('/api/journeys', journeyRoutes);
 app.use('/api/events', eventRoutes);
+app.use('/api/emails', emailRoutes);
+app.use('/api/suppressions', suppressionRoutes);
+app.use('/api/topics', topicRoutes);
 app.use('/api/track', trackingRoutes);
-app.use('/api/unsubscribe', trackingRoutes);
+app.use('/api/unsubscribe', unsubscribeRoutes);
 
 // Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
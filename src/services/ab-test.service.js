@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/campaign.model');
+const Email = require('../models/email.model');
+const Template = require('../models/template.model');
+const TemplateVersion = require('../models/template-version.model');
+const { twoProportionZTest } = require('../utils/statistics');
+const { getBucket } = require('../utils/bucket');
+const { logger } = require('../utils/logger');
+
+// Counts of users each test metric is the rate of
+const METRICS = {
+  open: 'opened',
+  click: 'clicked',
+  conversion: 'converted',
+};
+
+/**
+ * Check the variants of a campaign before it is saved
+ * @param {Array<Object>} variants - Variants to check
+ * @returns {Promise<string|null>} - What is wrong with the variants, or null if they are valid
+ */
+const validateVariants = async (variants) => {
+  if (!Array.isArray(variants)) {
+    return 'Variants must be a list';
+  }
+  if (variants.length === 0) {
+    return null;
+  }
+  if (variants.length === 1) {
+    return 'An A/B test needs at least two variants';
+  }
+
+  const names = variants.map((variant) => variant && variant.name);
+
+  if (names.some((name) => typeof name !== 'string' || name.trim() === '')) {
+    return 'Every variant needs a name';
+  }
+  if (new Set(names).size !== names.length) {
+    return 'Variant names must be unique';
+  }
+
+  const weights = variants.map((variant) => (variant.weight === undefined ? 1 : variant.weight));
+
+  if (weights.some((weight) => typeof weight !== 'number' || weight < 0)) {
+    return 'Variant weights must be numbers of at least 0';
+  }
+  if (weights.every((weight) => weight === 0)) {
+    return 'At least one variant needs a positive weight';
+  }
+
+  for (const variant of variants.filter((item) => item.templateId)) {
+    if (!mongoose.Types.ObjectId.isValid(variant.templateId) || !(await Template.exists({ _id: variant.templateId }))) {
+      return `Template ${variant.templateId} of variant ${variant.name} not found`;
+    }
+    if (variant.templateVersion
+      && !(await TemplateVersion.exists({ templateId: variant.templateId, version: variant.templateVersion }))) {
+      return `Version ${variant.templateVersion} of template ${variant.templateId} not found`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Assign a user a variant of a campaign. The same user always gets the same
+ * variant, in proportion to the variant weights, until a winner is promoted.
+ * @param {Object} campaign - The campaign
+ * @param {string} userId - The user ID
+ * @returns {Object|null} - The variant, or null if the campaign has no variants
+ */
+const assignVariant = (campaign, userId) => {
+  const variants = campaign.variants || [];
+
+  if (variants.length === 0) {
+    return null;
+  }
+
+  const winner = campaign.abTest && campaign.abTest.winner
+    && variants.find((variant) => variant.name === campaign.abTest.winner);
+
+  if (winner) {
+    return winner;
+  }
+
+  // Place the user differently for every campaign
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = getBucket(`${campaign._id}:${userId}`) * total;
+
+  return variants.find((variant) => {
+    point -= variant.weight;
+    return point < 0 && variant.weight > 0;
+  }) || variants.filter((variant) => variant.weight > 0).pop();
+};
+
+/**
+ * Count the emails sent by each variant, and the users they were sent to and
+ * who opened, clicked or converted. Users are the unit of the test, since
+ * they're assigned a variant and triggered campaigns can send them several
+ * emails, so rates are per user.
+ * @param {Object} campaign - The campaign
+ * @returns {Promise<Object>} - Counts by variant name, as { sent, users, opened, clicked, converted }
+ */
+const getVariantCounts = async (campaign) => {
+  const stats = await Email.aggregate([
+    { $match: { campaignId: campaign._id, variant: { $ne: null }, sentAt: { $ne: null } } },
+    {
+      $group: {
+        _id: { variant: '$variant', userId: '$userId' },
+        sent: { $sum: 1 },
+        opened: { $max: { $cond: [{ $ifNull: ['$openedAt', { $ifNull: ['$clickedAt', false] }] }, 1, 0] } },
+        clicked: { $max: { $cond: [{ $ifNull: ['$clickedAt', false] }, 1, 0] } },
+        converted: { $max: { $cond: [{ $ifNull: ['$convertedAt', false] }, 1, 0] } },
+      },
+    },
+    {
+      $group: {
+        _id: '$_id.variant',
+        sent: { $sum: '$sent' },
+        users: { $sum: 1 },
+        opened: { $sum: '$opened' },
+        clicked: { $sum: '$clicked' },
+        converted: { $sum: '$converted' },
+      },
+    },
+  ]);
+
+  return stats.reduce((counts, stat) => {
+    counts[stat._id] = {
+      sent: stat.sent,
+      users: stat.users,
+      opened: stat.opened,
+      clicked: stat.clicked,
+      converted: stat.converted,
+    };
+    return counts;
+  }, {});
+};
+
+/**
+ * Compare two variants on a metric
+ * @param {Object} control - Counts of the variant compared against
+ * @param {Object} variant - Counts of the variant
+ * @param {string} metric - open, click or conversion
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @returns {Object} - { lift, z, pValue, significant } where lift is the relative change in rate
+ */
+const compareCounts = (control, variant, metric, confidence) => {
+  const field = METRICS[metric];
+  const { z, pValue } = twoProportionZTest(control[field], control.users, variant[field], variant.users);
+  const controlRate = control.users ? control[field] / control.users : 0;
+  const variantRate = variant.users ? variant[field] / variant.users : 0;
+
+  return {
+    lift: controlRate ? (variantRate - controlRate) / controlRate : null,
+    z,
+    pValue,
+    significant: pValue < 1 - confidence,
+  };
+};
+
+/**
+ * Get the counts of the variants still being sent, if every one of them has
+ * reached the minimum sample of users
+ * @param {Object} campaign - The campaign
+ * @param {Object} counts - Counts by variant name, see getVariantCounts
+ * @returns {Array<Object>|null} - Counts with the variant names, or null if the sample isn't complete
+ */
+const getCompleteSample = (campaign, counts) => {
+  const candidates = campaign.variants.filter((variant) => variant.weight > 0);
+  const stats = candidates.map((variant) => ({ name: variant.name, ...(counts[variant.name] || { users: 0 }) }));
+
+  if (candidates.length < 2 || stats.some((stat) => stat.users < campaign.abTest.minSampleSize)) {
+    return null;
+  }
+
+  return stats;
+};
+
+/**
+ * Find the variant that wins the test: every variant has been sent to at
+ * least the minimum sample of users, and it has the best rate on the test
+ * metric, significantly better than each other variant
+ * @param {Object} campaign - The campaign
+ * @param {Object} counts - Counts by variant name, see getVariantCounts
+ * @returns {string|null} - Name of the winning variant, or null if there is none yet
+ */
+const findWinner = (campaign, counts) => {
+  const { metric, confidence } = campaign.abTest;
+  const field = METRICS[metric];
+  const stats = getCompleteSample(campaign, counts);
+
+  if (!stats) {
+    return null;
+  }
+
+  const best = stats.reduce((leader, stat) => (stat[field] / stat.users > leader[field] / leader.users ? stat : leader));
+  const beatsAll = stats
+    .filter((stat) => stat !== best)
+    .every((stat) => {
+      const comparison = compareCounts(stat, best, metric, confidence);
+      return comparison.z > 0 && comparison.significant;
+    });
+
+  return beatsAll ? best.name : null;
+};
+
+/**
+ * Report the results of a campaign's A/B test: counts and rates of every
+ * variant, and how each compares to the control (the first variant)
+ * @param {Object} campaign - The campaign
+ * @returns {Promise<Object|null>} - The report, or null if the campaign has no variants
+ */
+const getVariantReport = async (campaign) => {
+  if (!campaign.variants || campaign.variants.length === 0) {
+    return null;
+  }
+
+  const counts = await getVariantCounts(campaign);
+  const empty = { sent: 0, users: 0, opened: 0, clicked: 0, converted: 0 };
+  const control = counts[campaign.variants[0].name] || empty;
+
+  const variants = campaign.variants.map((variant, index) => {
+    const stats = counts[variant.name] || empty;
+    const rates = {};
+    const comparison = {};
+
+    Object.keys(METRICS).forEach((metric) => {
+      rates[metric] = stats.users ? (stats[METRICS[metric]] / stats.users) * 100 : 0;
+
+      if (index > 0) {
+        comparison[metric] = compareCounts(control, stats, metric, campaign.abTest.confidence);
+      }
+    });
+
+    return {
+      name: variant.name,
+      weight: variant.weight,
+      templateId: variant.templateId || campaign.templateId,
+      subject: variant.subject,
+      ...stats,
+      rates,
+      comparedToControl: index > 0 ? comparison : null,
+    };
+  });
+
+  return {
+    metric: campaign.abTest.metric,
+    confidence: campaign.abTest.confidence,
+    minSampleSize: campaign.abTest.minSampleSize,
+    autoPromote: campaign.abTest.autoPromote,
+    evaluatedAt: campaign.abTest.evaluatedAt,
+    winner: campaign.abTest.winner,
+    promotedAt: campaign.abTest.promotedAt,
+    leader: findWinner(campaign, counts),
+    variants,
+  };
+};
+
+/**
+ * Promote a variant: every user is sent it from now on
+ * @param {Object} campaign - The campaign
+ * @param {string} name - Name of the variant
+ * @returns {Promise<Object>} - Updated campaign
+ */
+const promoteVariant = async (campaign, name) => {
+  campaign.abTest.winner = name;
+  campaign.abTest.promotedAt = new Date();
+  await campaign.save();
+
+  logger.info(`Variant ${name} of campaign ${campaign.name} (${campaign._id}) promoted`);
+
+  return campaign;
+};
+
+/**
+ * Promote the winners of campaigns that test with auto-promotion. Each test is
+ * evaluated once, when every variant has reached the minimum sample: testing
+ * again on every run until a difference looks significant would promote far
+ * more variants that aren't actually better than the confidence level allows.
+ * @returns {Promise<number>} - Number of campaigns a winner was promoted for
+ */
+const promoteWinners = async () => {
+  const campaigns = await Campaign.find({
+    status: 'active',
+    'abTest.autoPromote': true,
+    'abTest.winner': null,
+    'abTest.evaluatedAt': null,
+    'variants.1': { $exists: true },
+  });
+
+  let promoted = 0;
+
+  for (const campaign of campaigns) {
+    try {
+      const counts = await getVariantCounts(campaign);
+
+      if (!getCompleteSample(campaign, counts)) {
+        continue;
+      }
+
+      const winner = findWinner(campaign, counts);
+
+      campaign.abTest.evaluatedAt = new Date();
+
+      if (winner) {
+        await promoteVariant(campaign, winner);
+        promoted++;
+      } else {
+        await campaign.save();
+        logger.info(`No variant of campaign ${campaign.name} (${campaign._id}) is significantly better; promote one by hand`);
+      }
+    } catch (error) {
+      logger.error(`Error checking the A/B test of campaign ${campaign._id}:`, error);
+    }
+  }
+
+  return promoted;
+};
+
+module.exports = {
+  METRICS,
+  validateVariants,
+  assignVariant,
+  getVariantCounts,
+  getVariantReport,
+  findWinner,
+  promoteVariant,
+  promoteWinners,
+};
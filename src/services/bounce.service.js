@@ -0,0 +1,261 @@
+const deliveryEventService = require('./delivery-event.service');
+const { parseHeaders, parseMessage, findParts, parseFieldGroups } = require('../utils/mime');
+const { decodeReturnPath } = require('../utils/verp');
+const { processMailbox } = require('../utils/mailbox');
+const { logger } = require('../utils/logger');
+
+/**
+ * Parts that carry the headers of the message a report is about
+ */
+const ORIGINAL_MESSAGE_TYPES = ['message/rfc822', 'text/rfc822-headers', 'message/rfc822-headers', 'message/global', 'message/global-headers'];
+
+/**
+ * Feedback types that don't mean the recipient complained
+ */
+const IGNORED_FEEDBACK_TYPES = ['not-spam'];
+
+/**
+ * Strip the type prefix from a report field, e.g. "rfc822; a@b.c" or "smtp; 550 ..."
+ * @param {string} field - Report field
+ * @returns {string|undefined} - Field value without its type
+ */
+const stripFieldType = (field) => (field ? field.replace(/^[^;]*;/, '').trim() : undefined);
+
+/**
+ * Get the bare address from a report address field
+ * @param {string} field - Address field, e.g. "rfc822; <a@b.c>"
+ * @returns {string|undefined} - Lowercase address
+ */
+const parseAddressField = (field) => {
+  const address = stripFieldType(field);
+
+  return address ? address.replace(/^<|>$/g, '').toLowerCase() : undefined;
+};
+
+/**
+ * Headers of a bounce message that may hold the address it was delivered
+ * to, i.e. the VERP return path of the original message
+ */
+const RECIPIENT_HEADERS = ['delivered-to', 'x-original-to', 'envelope-to', 'to'];
+
+/**
+ * Identify the message a report is about, from the headers of the original
+ * message it quotes and the VERP address the report was delivered to
+ * @param {Object} message - Parsed bounce message
+ * @param {Object} report - Report part of the message
+ * @returns {Object} - messageId, emailId and trackingId, as far as they are known
+ */
+const getOriginalMessage = (message, report) => {
+  const [original] = findParts(report, ORIGINAL_MESSAGE_TYPES);
+
+  // The part body is the original message, or just its headers
+  const headers = original
+    ? parseHeaders(original.body.replace(/\r\n/g, '\n').split(/\n\s*\n/)[0])
+    : {};
+
+  const trackingId = RECIPIENT_HEADERS
+    .map((name) => decodeReturnPath(message.headers[name]))
+    .find(Boolean);
+
+  return {
+    messageId: headers['message-id'],
+    emailId: headers['x-email-id'],
+    trackingId,
+  };
+};
+
+/**
+ * Turn an RFC 3464 delivery status notification into delivery events
+ * @param {Object} message - Parsed bounce message
+ * @param {Object} report - Report part of the message
+ * @returns {Array<Object>} - Delivery events (see delivery-event.service)
+ */
+const parseDeliveryStatus = (message, report) => {
+  const [status] = findParts(report, ['message/delivery-status', 'message/global-delivery-status']);
+
+  if (!status) {
+    return [];
+  }
+
+  const original = getOriginalMessage(message, report);
+
+  // The first group describes the message, the rest one recipient each
+  const [, ...recipients] = parseFieldGroups(status.body);
+
+  return recipients.map((fields) => {
+    const action = (fields.action || '').toLowerCase();
+    const recipient = parseAddressField(fields['final-recipient'] || fields['original-recipient']);
+
+    if (action === 'delivered') {
+      return { type: 'delivered', ...original, recipient };
+    }
+
+    // Delayed deliveries are still being retried by the remote MTA
+    if (action !== 'failed') {
+      return null;
+    }
+
+    return {
+      type: 'bounced',
+      ...original,
+      recipient,
+      bounceType: (fields.status || '').startsWith('5') ? 'hard' : 'soft',
+      reason: stripFieldType(fields['diagnostic-code']) || fields.status,
+    };
+  }).filter(Boolean);
+};
+
+/**
+ * Turn an RFC 5965 ARF feedback report into delivery events
+ * @param {Object} message - Parsed complaint message
+ * @param {Object} report - Report part of the message
+ * @returns {Array<Object>} - Delivery events (see delivery-event.service)
+ */
+const parseFeedbackReport = (message, report) => {
+  const [feedback] = findParts(report, ['message/feedback-report']);
+
+  if (!feedback) {
+    return [];
+  }
+
+  const [fields = {}] = parseFieldGroups(feedback.body);
+  const feedbackType = (fields['feedback-type'] || 'abuse').toLowerCase();
+
+  if (IGNORED_FEEDBACK_TYPES.includes(feedbackType)) {
+    return [];
+  }
+
+  return [{
+    type: 'complained',
+    ...getOriginalMessage(message, report),
+    recipient: parseAddressField(fields['original-rcpt-to']),
+    reason: feedbackType,
+  }];
+};
+
+/**
+ * Senders MTAs use for bounces
+ */
+const BOUNCE_SENDERS = /^(mailer-daemon|postmaster)@/i;
+
+/**
+ * Subjects MTAs give free-form bounces
+ */
+const BOUNCE_SUBJECTS = /undeliver|not (be )?delivered|delivery (status notification|failure|has failed)|mail delivery (failed|failure|system)|returned mail|failure notice/i;
+
+/**
+ * Check whether a message without a report looks like a bounce. Auto-replies
+ * such as out-of-office messages also go to the return path (RFC 3834), but
+ * come from the recipient and don't carry bounce headers or subjects.
+ * @param {Object} message - Parsed message
+ * @returns {boolean}
+ */
+const isFreeFormBounce = (message) => {
+  const { headers } = message;
+  const sender = (/<([^>]*)>/.exec(headers.from || '') || [])[1] || (headers.from || '').trim();
+
+  return BOUNCE_SENDERS.test(sender)
+    || 'x-failed-recipients' in headers
+    || BOUNCE_SUBJECTS.test(headers.subject || '');
+};
+
+/**
+ * Parse a bounce or complaint message
+ * @param {string|Buffer} raw - Raw MIME message
+ * @returns {Array<Object>} - Delivery events; empty if the message isn't a report
+ */
+const parseBounceMessage = (raw) => {
+  const message = parseMessage(raw);
+
+  // Reports are sometimes forwarded inside another message, so look for them anywhere
+  const reports = findParts(message, ['multipart/report']);
+
+  // Some MTAs bounce in free-form text; with VERP the address still identifies
+  // the email, but not whether the failure is permanent
+  if (reports.length === 0) {
+    const { trackingId } = getOriginalMessage(message, message);
+
+    if (!trackingId) {
+      return [];
+    }
+
+    if (!isFreeFormBounce(message)) {
+      logger.info(`Ignoring unclassified message to the return path of ${trackingId}, e.g. an auto-reply (subject: ${message.headers.subject})`);
+      return [];
+    }
+
+    return [{ type: 'bounced', trackingId, bounceType: 'soft', reason: message.headers.subject }];
+  }
+
+  return reports.reduce((events, report) => {
+    const reportType = (report.contentType.params['report-type'] || '').toLowerCase();
+
+    if (reportType === 'feedback-report') {
+      return events.concat(parseFeedbackReport(message, report));
+    }
+
+    return events.concat(parseDeliveryStatus(message, report));
+  }, []);
+};
+
+/**
+ * Parse a bounce or complaint message and apply its delivery events
+ * @param {string|Buffer} raw - Raw MIME message
+ * @param {string} source - Where the message came from
+ * @returns {Promise<Object>} - Number of events received and matched to emails
+ */
+const processBounceMessage = async (raw, source = 'bounce_mail') => {
+  const events = parseBounceMessage(raw);
+  let matched = 0;
+
+  if (events.length === 0) {
+    logger.info(`Ignoring ${source} message that is not a delivery status or feedback report`);
+  }
+
+  for (const event of events) {
+    const email = await deliveryEventService.processDeliveryEvent(source, event);
+
+    if (email) {
+      matched++;
+    }
+  }
+
+  return {
+    received: events.length,
+    matched,
+  };
+};
+
+/**
+ * Process bounce and complaint mail delivered to the return-path mailbox,
+ * which is either a maildir or an mbox file
+ * @param {string} mailbox - Maildir or mbox path, BOUNCE_MAILBOX_PATH by default
+ * @param {Object} options - Processing options
+ * @param {number} options.limit - Max messages to process
+ * @param {string} options.workerId - Worker processing the mailbox
+ * @param {Function} options.shouldStop - Returns true when processing should stop early
+ * @returns {Promise<number>} - Number of messages processed
+ */
+const processBounceMailbox = async (mailbox = process.env.BOUNCE_MAILBOX_PATH, { limit = 100, workerId = process.pid, shouldStop = () => false } = {}) => {
+  if (!mailbox) {
+    return 0;
+  }
+
+  const processed = await processMailbox(
+    mailbox,
+    (raw) => processBounceMessage(raw, 'bounce_mailbox'),
+    { limit, workerId, shouldStop }
+  );
+
+  if (processed > 0) {
+    logger.info(`Processed ${processed} messages from bounce mailbox ${mailbox}`);
+  }
+
+  return processed;
+};
+
+module.exports = {
+  parseBounceMessage,
+  processBounceMessage,
+  processBounceMailbox,
+};
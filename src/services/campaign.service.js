@@ -1,18 +1,213 @@
+const os = require('os');
 const Campaign = require('../models/campaign.model');
 const Event = require('../models/event.model');
 const Email = require('../models/email.model');
-const Template = require('../models/template.model');
 const User = require('../models/user.model');
+const Journey = require('../models/journey.model');
+const JourneyEnrollment = require('../models/journey-enrollment.model');
 const emailService = require('./email.service');
+const templateService = require('./template.service');
+const suppressionService = require('./suppression.service');
+const preferenceService = require('./preference.service');
+const journeyService = require('./journey.service');
+const abTestService = require('./ab-test.service');
+const holdoutService = require('./holdout.service');
 const { logger } = require('../utils/logger');
+const { classifyDeliveryError, getRetryDelay } = require('../utils/delivery-errors');
+const { signTrackingToken } = require('../utils/tracking-token');
+const { buildApiUrl } = require('../utils/api-url');
+const { encodeReturnPath } = require('../utils/verp');
+const { buildTextAlternative } = require('../utils/html-to-text');
+
+// Identifies this process when claiming events and emails
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+
+/**
+ * Get the lease duration for claimed emails and events
+ * @param {string} name - Env var holding the duration in seconds
+ * @returns {number} - Lease duration in milliseconds
+ */
+const getLeaseDuration = (name) => (parseInt(process.env[name], 10) || 300) * 1000;
+
+/**
+ * Convert a Mongoose Map or plain object to a plain object
+ * @param {Map|Object} value - Map or object
+ * @returns {Object} - Plain object
+ */
+const toPlainObject = (value) => {
+  if (value instanceof Map) {
+    return Object.fromEntries(value);
+  }
+
+  return value && typeof value === 'object' ? { ...value } : {};
+};
+
+/**
+ * Keep the template variables that can be stored on an email: nested
+ * objects and lists are only available while rendering
+ * @param {Object} variables - Template variables
+ * @returns {Object} - Variables with string values
+ */
+const toStoredVariables = (variables) => Object.entries(variables).reduce((stored, [key, value]) => {
+  if (value !== undefined && value !== null && typeof value !== 'object') {
+    stored[key] = String(value);
+  }
+  return stored;
+}, {});
+
+/**
+ * Cancel the user's still scheduled emails from campaigns the event is a
+ * goal (cancel) event of, e.g. an abandoned-cart email once the user buys.
+ * Only emails triggered before the goal event are cancelled.
+ * @param {Object} event - The goal event
+ * @returns {Promise<Array>} - Emails that were cancelled
+ */
+const cancelScheduledEmails = async (event) => {
+  const campaigns = await Campaign.find({ 'cancelEvents.eventType': event.eventType });
+  
+  if (campaigns.length === 0) {
+    return [];
+  }
+  
+  const emails = await Email.find({
+    userId: event.userId,
+    campaignId: { $in: campaigns.map((campaign) => campaign._id) },
+    status: 'scheduled',
+  });
+  
+  if (emails.length === 0) {
+    return [];
+  }
+  
+  const triggerEvents = await Event.find({
+    _id: { $in: emails.map((email) => email.eventId).filter(Boolean) },
+  });
+  
+  const cancelled = [];
+  
+  for (const email of emails) {
+    const campaign = campaigns.find((item) => item._id.toString() === email.campaignId.toString());
+    const triggerEvent = email.eventId
+      ? triggerEvents.find((item) => item._id.toString() === email.eventId.toString())
+      : null;
+    
+    // Leave emails triggered after the goal event, e.g. for a newer cart
+    if (triggerEvent && triggerEvent.timestamp > event.timestamp) {
+      continue;
+    }
+    
+    if (!campaign.findCancelEvent(event, triggerEvent)) {
+      continue;
+    }
+    
+    const reason = `Goal event ${event.eventType} (${event._id})`;
+    
+    // A worker may have claimed the email for sending in the meantime
+    const cancelledEmail = await Email.cancelScheduled(email._id, reason);
+    
+    if (!cancelledEmail) {
+      continue;
+    }
+    
+    if (email.eventId) {
+      await Event.cancelTriggeredCampaign(email.eventId, campaign._id, reason);
+    }
+    
+    await Campaign.findByIdAndUpdate(campaign._id, {
+      $inc: { 'analytics.cancelled': 1 }
+    });
+    
+    logger.info(`Email ${email._id} of campaign ${campaign.name} (${campaign._id}) cancelled by event ${event._id}`);
+    cancelled.push(cancelledEmail);
+  }
+  
+  return cancelled;
+};
+
+/**
+ * Record the event as a conversion of the user's emails from campaigns it is
+ * the conversion event of, if they were sent within the conversion window
+ * @param {Object} event - The conversion event
+ * @returns {Promise<number>} - Number of emails that converted
+ */
+const recordConversions = async (event) => {
+  const campaigns = await Campaign.find({ conversionEvent: event.eventType });
+  let converted = 0;
+  
+  for (const campaign of campaigns) {
+    const result = await Email.updateMany(
+      {
+        userId: event.userId,
+        campaignId: campaign._id,
+        sentAt: {
+          $gte: new Date(event.timestamp.getTime() - (campaign.conversionWindow * 1000)),
+          $lte: event.timestamp,
+        },
+        convertedAt: null,
+      },
+      {
+        $set: {
+          convertedAt: event.timestamp,
+          conversionEventId: event._id,
+        },
+      }
+    );
+    
+    if (result.modifiedCount > 0) {
+      await Campaign.findByIdAndUpdate(campaign._id, {
+        $inc: { 'analytics.converted': result.modifiedCount }
+      });
+      
+      logger.info(`Event ${event._id} converted ${result.modifiedCount} emails of campaign ${campaign.name} (${campaign._id})`);
+      converted += result.modifiedCount;
+    }
+  }
+  
+  return converted;
+};
 
 /**
  * Process an event and trigger appropriate campaigns
- * @param {Object} event - The event object
+ * @param {Object} eventToProcess - The event object
+ * @param {string} workerId - Worker claiming the event
  * @returns {Promise<Array>} - Campaigns that were triggered
  */
-const processEvent = async (event) => {
+const processEvent = async (eventToProcess, workerId = WORKER_ID) => {
+  // Claim the event so no other worker triggers its campaigns as well
+  const event = await Event.claim(eventToProcess._id, workerId, getLeaseDuration('EVENT_LEASE_DURATION'));
+  
+  if (!event) {
+    logger.info(`Event ${eventToProcess._id} is already processed or claimed by another worker`);
+    return [];
+  }
+  
   try {
+    // Get the user from the database
+    const user = await User.findById(event.userId);
+    if (!user) {
+      logger.error(`User not found for event: ${event._id}`);
+      await event.markProcessed();
+      return [];
+    }
+    
+    // Stages recorded as completed ran on an earlier attempt that failed
+    // later on, and are not run again
+    const stages = {
+      // Cancel pending emails the event is a goal event of
+      cancellations: () => cancelScheduledEmails(event),
+      // Count the event as a conversion of emails already sent
+      conversions: () => recordConversions(event),
+      // Enroll the user in journeys the event starts, and end those it exits
+      journeys: () => journeyService.handleEvent(event, user),
+    };
+    
+    for (const [stage, run] of Object.entries(stages)) {
+      if (!event.hasCompletedStage(stage)) {
+        await run();
+        await event.completeStage(stage);
+      }
+    }
+    
     // Find campaigns that match this event type and are active
     const campaigns = await Campaign.find({
       triggerEvent: event.eventType,
@@ -21,22 +216,23 @@ const processEvent = async (event) => {
 
     if (!campaigns || campaigns.length === 0) {
       logger.info(`No active campaigns found for event type: ${event.eventType}`);
-      await Event.findByIdAndUpdate(event._id, { processed: true });
-      return [];
-    }
-
-    // Get the user from the database
-    const user = await User.findById(event.userId);
-    if (!user) {
-      logger.error(`User not found for event: ${event._id}`);
-      await Event.findByIdAndUpdate(event._id, { processed: true });
+      await event.markProcessed();
       return [];
     }
 
+    // Topic defaults apply to users who never chose in the preference center
+    const topicDefaults = await preferenceService.getTopicDefaults(campaigns.map((campaign) => campaign.topic));
+    
     // Process each campaign to see if it should be triggered
     const triggeredCampaigns = [];
     
     for (const campaign of campaigns) {
+      // Skip if an earlier attempt at processing the event already triggered
+      // the campaign, unless scheduling its email failed
+      if (event.hasTriggeredCampaign(campaign._id)) {
+        continue;
+      }
+      
       // Skip if campaign is not date active
       if (!campaign.isDateActive) {
         continue;
@@ -52,13 +248,39 @@ const processEvent = async (event) => {
         continue;
       }
       
+      // Skip if the user opted out of the campaign's topic
+      if (!preferenceService.isSubscribedToCampaign(user, campaign, topicDefaults)) {
+        logger.info(`User ${user._id} opted out of topic ${campaign.topic}; skipping campaign ${campaign._id}`);
+        continue;
+      }
+      
+      // Skip marketing email if the user already got one within their preferred frequency
+      if (!campaign.isTransactional && await preferenceService.hasReachedFrequencyCap(user)) {
+        logger.info(`User ${user._id} reached their ${user.preferences.frequency} frequency cap; skipping campaign ${campaign._id}`);
+        continue;
+      }
+      
       // Campaign should be triggered
       try {
         // Calculate when the email should be sent
         const scheduledTime = new Date(event.timestamp.getTime() + (campaign.delay * 1000));
         
-        // Add campaign to the triggered list
-        triggeredCampaigns.push(campaign);
+        // Withhold the email from the campaign's holdout group, recording when it
+        // would have been sent. Suppressed addresses wouldn't have got it either.
+        if (holdoutService.isHeldOut(campaign, user._id)) {
+          const outcome = await suppressionService.isSuppressed(user.email) ? 'suppressed' : 'held_out';
+          
+          await event.addTriggeredCampaign(campaign._id, outcome, scheduledTime);
+          
+          if (outcome === 'held_out') {
+            await Campaign.findByIdAndUpdate(campaign._id, {
+              $inc: { 'analytics.heldOut': 1 }
+            });
+            
+            logger.info(`User ${user._id} held out of campaign ${campaign.name} (${campaign._id}) for event ${event._id}`);
+          }
+          continue;
+        }
         
         // Add triggered campaign to the event
         await event.addTriggeredCampaign(
@@ -67,8 +289,24 @@ const processEvent = async (event) => {
           scheduledTime
         );
         
-        // Schedule the email
-        await scheduleEmail(campaign, event, user, scheduledTime);
+        // Schedule the email, marking the campaign failed if that fails so a
+        // retry of the event schedules it again
+        let email;
+        try {
+          email = await scheduleEmail(campaign, event, user, scheduledTime);
+        } catch (error) {
+          await event.updateCampaignStatus(campaign._id, 'failed', null, error.message);
+          throw error;
+        }
+        
+        if (email) {
+          await event.updateCampaignStatus(campaign._id, 'scheduled', email._id);
+        } else {
+          await event.updateCampaignStatus(campaign._id, 'suppressed');
+        }
+        
+        // Add campaign to the triggered list
+        triggeredCampaigns.push(campaign);
         
         logger.info(`Campaign ${campaign.name} (${campaign._id}) triggered by event ${event._id}`);
       } catch (error) {
@@ -77,7 +315,7 @@ const processEvent = async (event) => {
     }
     
     // Mark the event as processed
-    await Event.findByIdAndUpdate(event._id, { processed: true });
+    await event.markProcessed();
     
     return triggeredCampaigns;
   } catch (error) {
@@ -92,60 +330,92 @@ const processEvent = async (event) => {
  * @param {Object} event - The event that triggered the campaign
  * @param {Object} user - The user receiving the email
  * @param {Date} scheduledTime - When to send the email
- * @returns {Promise<Object>} - Created email object
+ * @param {Object} options - Scheduling options
+ * @param {string} options.journeyId - Journey the email is a step of, if any
+ * @returns {Promise<Object|null>} - Created email object, or null if the recipient is suppressed
  */
-const scheduleEmail = async (campaign, event, user, scheduledTime) => {
+const scheduleEmail = async (campaign, event, user, scheduledTime, options = {}) => {
   try {
-    // Get the template
-    const template = await Template.findById(campaign.templateId);
+    // Never schedule mail to a suppressed address
+    if (await suppressionService.isSuppressed(user.email)) {
+      logger.info(`Not scheduling campaign ${campaign._id} for ${user.email}: address is suppressed`);
+      return null;
+    }
+    
+    // A/B tests send each user the same variant every time
+    const variant = abTestService.assignVariant(campaign, user._id);
+    
+    // Get the template, at the version the campaign (or variant) is pinned to
+    const template = await templateService.getCampaignTemplate(campaign, variant);
     
     if (!template) {
       throw new Error(`Template ${campaign.templateId} not found for campaign ${campaign._id}`);
     }
     
-    // Prepare variables for the template
+    // Signed so recipients can only ever unsubscribe themselves
+    const unsubscribeToken = signTrackingToken('unsubscribe', {
+      uid: user._id.toString(),
+      cid: campaign._id.toString(),
+    });
+    
+    const unsubscribeUrl = buildApiUrl(`/api/unsubscribe/${unsubscribeToken}`);
+    
+    // Prepare variables for the template. Flat names such as user_name are kept
+    // for older templates; user, event and campaign expose the full objects.
+    const attributes = toPlainObject(user.attributes);
+    const metadata = toPlainObject(event.metadata);
+    
     const variables = {
-      ...campaign.defaultVariables,
+      ...template.getDefaultVariables(),
+      ...toPlainObject(campaign.defaultVariables),
       user_name: user.name,
       user_email: user.email,
       company_name: process.env.EMAIL_FROM_NAME || '',
-      unsubscribe_link: `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/unsubscribe/${user._id}`,
+      unsubscribe_link: unsubscribeUrl,
+      preferences_link: `${unsubscribeUrl}/preferences`,
+      user: { ...attributes, name: user.name, email: user.email },
+      event: { ...metadata, type: event.eventType },
+      campaign: { name: campaign.name },
     };
     
     // Add user attributes as variables
-    if (user.attributes) {
-      Object.entries(user.attributes).forEach(([key, value]) => {
-        variables[`user_${key}`] = value;
-      });
-    }
+    Object.entries(attributes).forEach(([key, value]) => {
+      variables[`user_${key}`] = value;
+    });
     
     // Add event metadata as variables
-    if (event.metadata) {
-      Object.entries(event.metadata).forEach(([key, value]) => {
-        // Only add primitive values
-        if (typeof value !== 'object') {
-          variables[`event_${key}`] = value;
-        }
-      });
-    }
+    Object.entries(metadata).forEach(([key, value]) => {
+      variables[`event_${key}`] = value;
+    });
+    
+    // Render the template in the user's locale, with its partials and layout
+    const { subject, body, textBody, locale } = await templateService.renderTemplate(template, variables, {
+      locale: user.locale,
+      subject: variant ? variant.subject : undefined,
+    });
     
-    // Render the template
-    const subject = emailService.renderTemplate(template.subject, variables);
-    const body = emailService.renderTemplate(template.body, variables);
+    // Generate the tracking ID first so the tracking URLs point at this email
+    const trackingId = Email.generateTrackingId();
     
     // Add tracking for HTML emails
     let links = [];
     let trackingHtml = body;
     
     if (template.isHtml) {
-      const trackingId = `${campaign._id}-${event._id}-${Date.now()}`;
-      const trackingBaseUrl = process.env.API_BASE_URL || 'http://localhost:3000';
-      
-      const trackingInfo = emailService.addTracking(body, trackingId, trackingBaseUrl);
+      const trackingInfo = emailService.addTracking(body, trackingId);
       trackingHtml = trackingInfo.html;
       links = trackingInfo.links;
     }
     
+    // HTML emails are sent with a plain-text alternative; generated from the
+    // tracked HTML so links in the text are tracked too
+    const text = template.isHtml ? buildTextAlternative(trackingHtml, { textBody, unsubscribeUrl }) : undefined;
+    
+    // Bulk mail must offer one-click unsubscribe; transactional campaigns opt out
+    const headers = campaign.isTransactional
+      ? {}
+      : emailService.buildListUnsubscribeHeaders(unsubscribeUrl, unsubscribeToken);
+    
     // Create the email record
     const email = new Email({
       userId: user._id,
@@ -153,14 +423,23 @@ const scheduleEmail = async (campaign, event, user, scheduledTime) => {
       from: `${process.env.EMAIL_FROM_NAME} <${process.env.EMAIL_FROM}>`,
       subject,
       body: trackingHtml,
+      textBody: text,
       isHtml: template.isHtml,
       templateId: template._id,
+      templateVersion: template.version,
+      locale: locale || undefined,
       campaignId: campaign._id,
+      variant: variant ? variant.name : undefined,
+      isTransactional: campaign.isTransactional,
+      journeyId: options.journeyId,
       eventId: event._id,
       status: 'scheduled',
       scheduledFor: scheduledTime,
-      variables,
+      variables: toStoredVariables(variables),
+      trackingId,
       links,
+      headers,
+      provider: campaign.deliveryProvider || undefined,
     });
     
     await email.save();
@@ -174,27 +453,78 @@ const scheduleEmail = async (campaign, event, user, scheduledTime) => {
   }
 };
 
+/**
+ * Retry a failed send with backoff, or move the email to the dead-letter
+ * state when the error is permanent or it has run out of attempts
+ * @param {Object} email - The email that failed to send
+ * @param {Error} error - The delivery error
+ * @returns {Promise<Object>} - Updated email
+ */
+const handleSendFailure = async (email, error) => {
+  const errorType = classifyDeliveryError(error);
+  const maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+  
+  if (errorType === 'transient' && email.attempts < maxAttempts) {
+    const retryAt = new Date(Date.now() + getRetryDelay(email.attempts));
+    
+    logger.warn(`Retrying email ${email._id} at ${retryAt.toISOString()} (attempt ${email.attempts} of ${maxAttempts})`);
+    
+    return email.scheduleRetry(retryAt, error.message);
+  }
+  
+  logger.error(`Email ${email._id} moved to dead letter after ${email.attempts} attempt(s): ${error.message}`);
+  
+  await Campaign.findByIdAndUpdate(email.campaignId, {
+    $inc: { 'analytics.failed': 1 }
+  });
+  
+  return email.moveToDeadLetter(error.message, errorType);
+};
+
+/**
+ * Return emails stuck in 'sending' after a worker crashed to the queue
+ * @returns {Promise<number>} - Number of emails recovered
+ */
+const recoverStuckEmails = async () => {
+  const result = await Email.releaseExpiredLeases();
+  
+  if (result.modifiedCount > 0) {
+    logger.warn(`Recovered ${result.modifiedCount} emails with expired send leases`);
+  }
+  
+  return result.modifiedCount;
+};
+
 /**
  * Process scheduled emails and send them
  * @param {number} batchSize - Number of emails to process at once
+ * @param {string} workerId - Worker claiming the emails
+ * @param {Object} options - Processing options
+ * @param {Function} options.shouldStop - Returns true when no further emails should be claimed
  * @returns {Promise<number>} - Number of emails sent
  */
-const processScheduledEmails = async (batchSize = 10) => {
+const processScheduledEmails = async (batchSize = 10, workerId = WORKER_ID, { shouldStop } = {}) => {
   try {
-    // Find emails that are scheduled to be sent now
-    const pendingEmails = await Email.findPendingEmails(batchSize);
-    
-    if (!pendingEmails || pendingEmails.length === 0) {
-      return 0;
-    }
+    await recoverStuckEmails();
     
+    const leaseMs = getLeaseDuration('EMAIL_LEASE_DURATION');
     let sentCount = 0;
     
-    for (const email of pendingEmails) {
+    for (let i = 0; i < batchSize && !(shouldStop && shouldStop()); i++) {
+      // Atomically claim the next due email; this marks it as sending
+      const email = await Email.claimNextPending(workerId, leaseMs);
+      
+      if (!email) {
+        break;
+      }
+      
       try {
-        // Mark as sending
-        email.status = 'sending';
-        await email.save();
+        // The address may have been suppressed after the email was scheduled
+        if (await suppressionService.isSuppressed(email.to)) {
+          logger.info(`Skipping email ${email._id}: ${email.to} is suppressed`);
+          await email.updateStatus('suppressed');
+          continue;
+        }
         
         // Send the email
         const result = await emailService.sendEmail({
@@ -202,13 +532,21 @@ const processScheduledEmails = async (batchSize = 10) => {
           from: email.from,
           subject: email.subject,
           body: email.body,
+          textBody: email.textBody,
           isHtml: email.isHtml,
+          headers: {
+            ...(email.headers ? Object.fromEntries(email.headers) : {}),
+            ...emailService.buildAttributionHeaders(email),
+          },
+          envelopeFrom: encodeReturnPath(email.trackingId),
+          provider: email.provider,
         });
         
         // Update the email record
         await email.updateStatus('sent', {
           sentAt: new Date(),
           messageId: result.messageId,
+          nextRetryAt: undefined,
         });
         
         // Update campaign analytics
@@ -220,15 +558,7 @@ const processScheduledEmails = async (batchSize = 10) => {
       } catch (error) {
         logger.error(`Error sending email ${email._id}:`, error);
         
-        // Mark as failed
-        await email.updateStatus('failed', {
-          errorMessage: error.message,
-        });
-        
-        // Update campaign analytics
-        await Campaign.findByIdAndUpdate(email.campaignId, {
-          $inc: { 'analytics.bounced': 1 }
-        });
+        await handleSendFailure(email, error);
       }
     }
     
@@ -242,24 +572,26 @@ const processScheduledEmails = async (batchSize = 10) => {
 /**
  * Process unprocessed events
  * @param {number} batchSize - Number of events to process at once
+ * @param {string} workerId - Worker claiming the events
+ * @param {Object} options - Processing options
+ * @param {Function} options.shouldStop - Returns true when no further events should be claimed
  * @returns {Promise<number>} - Number of events processed
  */
-const processUnprocessedEvents = async (batchSize = 100) => {
+const processUnprocessedEvents = async (batchSize = 100, workerId = WORKER_ID, { shouldStop } = {}) => {
   try {
-    // Find unprocessed events
-    const events = await Event.find({ processed: false })
-      .sort({ timestamp: 1 })
-      .limit(batchSize);
-    
-    if (!events || events.length === 0) {
-      return 0;
-    }
-    
+    const leaseMs = getLeaseDuration('EVENT_LEASE_DURATION');
     let processedCount = 0;
     
-    for (const event of events) {
+    for (let i = 0; i < batchSize && !(shouldStop && shouldStop()); i++) {
+      // Atomically claim the oldest unprocessed event that no other worker holds
+      const event = await Event.claimNextUnprocessed(workerId, leaseMs);
+      
+      if (!event) {
+        break;
+      }
+      
       try {
-        await processEvent(event);
+        await processEvent(event, workerId);
         processedCount++;
       } catch (error) {
         logger.error(`Error processing event ${event._id}:`, error);
@@ -273,6 +605,137 @@ const processUnprocessedEvents = async (batchSize = 100) => {
   }
 };
 
+/**
+ * Run the due step of a journey enrollment and move the enrollment on to the
+ * step it leads to. Email steps schedule the email of their campaign, unless
+ * the user opted out of its topic or reached their frequency cap; other steps
+ * branch or exit.
+ * @param {Object} enrollment - The claimed enrollment
+ * @returns {Promise<Object>} - Updated enrollment
+ */
+const runJourneyStep = async (enrollment) => {
+  const journey = await Journey.findById(enrollment.journeyId);
+  
+  if (!journey) {
+    return enrollment.exit('Journey deleted');
+  }
+  
+  const user = await User.findById(enrollment.userId);
+  
+  if (!user) {
+    return enrollment.exit('User deleted');
+  }
+  
+  const step = journey.getStep(enrollment.currentStep);
+  
+  // The step was removed from the journey since the user reached it
+  if (!step) {
+    return journeyService.exitEnrollment(enrollment, journey, `Step ${enrollment.currentStep} removed from the journey`);
+  }
+  
+  if (step.type !== 'email') {
+    return journeyService.runControlStep(enrollment, journey, step);
+  }
+  
+  const campaign = await Campaign.findById(step.campaignId);
+  
+  if (!campaign) {
+    return journeyService.completeStep(enrollment, journey, step, { status: 'failed', reason: `Campaign ${step.campaignId} not found` });
+  }
+  
+  const topicDefaults = await preferenceService.getTopicDefaults([campaign.topic]);
+  
+  if (!preferenceService.isSubscribedToCampaign(user, campaign, topicDefaults)) {
+    logger.info(`User ${user._id} opted out of topic ${campaign.topic}; skipping step ${step.key} of journey ${journey._id}`);
+    return journeyService.completeStep(enrollment, journey, step, { status: 'skipped', reason: `Opted out of topic ${campaign.topic}` });
+  }
+  
+  if (!campaign.isTransactional && await preferenceService.hasReachedFrequencyCap(user)) {
+    logger.info(`User ${user._id} reached their ${user.preferences.frequency} frequency cap; skipping step ${step.key} of journey ${journey._id}`);
+    return journeyService.completeStep(enrollment, journey, step, { status: 'skipped', reason: 'Frequency cap reached' });
+  }
+  
+  // Every step renders with the event that enrolled the user
+  const event = await Event.findById(enrollment.eventId)
+    || { eventType: journey.triggerEvent, metadata: {}, timestamp: enrollment.createdAt };
+  
+  let result;
+  
+  try {
+    const email = await scheduleEmail(campaign, event, user, new Date(), { journeyId: journey._id });
+    
+    result = email ? { status: 'scheduled', emailId: email._id } : { status: 'suppressed' };
+  } catch (error) {
+    logger.error(`Error running step ${step.key} of journey ${journey._id} for user ${user._id}:`, error);
+    result = { status: 'failed', reason: error.message };
+  }
+  
+  return journeyService.completeStep(enrollment, journey, step, result);
+};
+
+/**
+ * Run the journey steps that are due
+ * @param {number} batchSize - Number of steps to run at once
+ * @param {string} workerId - Worker claiming the enrollments
+ * @param {Object} options - Processing options
+ * @param {Function} options.shouldStop - Returns true when no further enrollments should be claimed
+ * @returns {Promise<number>} - Number of steps run
+ */
+const processJourneySteps = async (batchSize = 10, workerId = WORKER_ID, { shouldStop } = {}) => {
+  try {
+    const leaseMs = getLeaseDuration('JOURNEY_LEASE_DURATION');
+    let stepCount = 0;
+    
+    for (let i = 0; i < batchSize && !(shouldStop && shouldStop()); i++) {
+      // Atomically claim the enrollment whose step is due first
+      const enrollment = await JourneyEnrollment.claimNextDue(workerId, leaseMs);
+      
+      if (!enrollment) {
+        break;
+      }
+      
+      // Enrollments that fail here are retried once their lease expires
+      try {
+        await runJourneyStep(enrollment);
+        stepCount++;
+      } catch (error) {
+        logger.error(`Error processing journey enrollment ${enrollment._id}:`, error);
+      }
+    }
+    
+    return stepCount;
+  } catch (error) {
+    logger.error('Error processing journey steps:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record the first open of an email. Clicking a link also counts as an open,
+ * since images (and so the open pixel) are often blocked.
+ * @param {Object} email - The email
+ * @returns {Promise<boolean>} - True if this was the first open
+ */
+const recordFirstOpen = async (email) => {
+  if (email.openedAt) {
+    return false;
+  }
+  
+  // Don't move a clicked email back to opened
+  if (email.status === 'clicked') {
+    email.openedAt = new Date();
+    await email.save();
+  } else {
+    await email.updateStatus('opened');
+  }
+  
+  await Campaign.findByIdAndUpdate(email.campaignId, {
+    $inc: { 'analytics.opened': 1 }
+  });
+  
+  return true;
+};
+
 /**
  * Track an email open
  * @param {string} trackingId - The tracking ID
@@ -287,15 +750,8 @@ const trackEmailOpen = async (trackingId) => {
       return null;
     }
     
-    // Only update if not already opened
-    if (email.status !== 'opened') {
-      await email.updateStatus('opened');
-      
-      // Update campaign analytics
-      await Campaign.findByIdAndUpdate(email.campaignId, {
-        $inc: { 'analytics.opened': 1 }
-      });
-    }
+    // Only the first open counts towards campaign analytics
+    await recordFirstOpen(email);
     
     return email;
   } catch (error) {
@@ -319,33 +775,62 @@ const trackEmailClick = async (trackingId, linkIndex) => {
       return { url: null };
     }
     
+    const index = parseInt(linkIndex, 10);
+    const link = email.links && email.links[index];
+    
+    if (!link) {
+      logger.warn(`Link ${linkIndex} not found for tracking ID: ${trackingId}`);
+      return { url: '/', email };
+    }
+    
+    const isFirstClick = !email.clickedAt;
+    
+    await recordFirstOpen(email);
+    
     // Track click in email
-    await email.trackClick(parseInt(linkIndex, 10));
+    await email.trackClick(index);
     
-    // Update campaign analytics if first click
-    if (email.status !== 'clicked') {
+    // Only the first click counts towards campaign analytics
+    if (isFirstClick) {
       await Campaign.findByIdAndUpdate(email.campaignId, {
         $inc: { 'analytics.clicked': 1 }
       });
     }
     
-    // Get the original URL to redirect to
-    const originalUrl = email.links && email.links[linkIndex] 
-      ? email.links[linkIndex].original 
-      : '/';
-    
-    return { url: originalUrl, email };
+    return { url: link.original, email };
   } catch (error) {
     logger.error(`Error tracking email click for ${trackingId} link ${linkIndex}:`, error);
     throw error;
   }
 };
 
+/**
+ * Get the original URL of a tracked link without recording a click
+ * @param {string} trackingId - The tracking ID
+ * @param {number} linkIndex - The index of the link
+ * @returns {Promise<string|null>} - Original URL, or null if unknown
+ */
+const getTrackedLinkUrl = async (trackingId, linkIndex) => {
+  const email = await Email.findOne({ trackingId }).select('links');
+  
+  if (!email || !email.links || !email.links[linkIndex]) {
+    return null;
+  }
+  
+  return email.links[linkIndex].original;
+};
+
 module.exports = {
+  WORKER_ID,
   processEvent,
+  cancelScheduledEmails,
+  recordConversions,
   scheduleEmail,
   processScheduledEmails,
   processUnprocessedEvents,
+  processJourneySteps,
+  recoverStuckEmails,
   trackEmailOpen,
   trackEmailClick,
+  getTrackedLinkUrl,
 };
\ No newline at end of file
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Email = require('../models/email.model');
+const Campaign = require('../models/campaign.model');
+const suppressionService = require('./suppression.service');
+const { logger } = require('../utils/logger');
+
+/**
+ * Delivery events reported by providers, webhooks or bounce mail are normalized to:
+ * {
+ *   type: 'delivered' | 'deferred' | 'bounced' | 'complained',
+ *   messageId: string,       // message ID as reported by the provider or bounce
+ *   emailId: string,         // X-Email-Id of the message, if reported
+ *   trackingId: string,      // tracking ID from the VERP return path, if bounced there
+ *   recipient: string,       // affected address, if reported
+ *   bounceType: 'hard' | 'soft',
+ *   reason: string,          // diagnostic text, if reported
+ * }
+ */
+
+/**
+ * Message IDs a provider-reported ID may have been stored as. SMTP and
+ * Mailgun return IDs in angle brackets but webhooks report them without.
+ * @param {string} messageId - Message ID from the webhook
+ * @returns {Array<string>} - Candidate stored message IDs
+ */
+const getMessageIdCandidates = (messageId) => {
+  const bare = messageId.trim().replace(/^<|>$/g, '');
+
+  return [bare, `<${bare}>`];
+};
+
+/**
+ * Find the email a delivery event is about. The email and tracking IDs we
+ * attached on send are preferred over the message ID, which some providers
+ * report differently from how it was returned on send.
+ * @param {Object} event - Normalized delivery event
+ * @returns {Promise<Object|null>} - The email, or null if none matches
+ */
+const findEmailForEvent = async (event) => {
+  if (event.emailId && mongoose.isValidObjectId(event.emailId)) {
+    const email = await Email.findById(event.emailId);
+
+    if (email) {
+      return email;
+    }
+  }
+
+  if (event.trackingId) {
+    const email = await Email.findOne({ trackingId: event.trackingId });
+
+    if (email) {
+      return email;
+    }
+  }
+
+  if (event.messageId) {
+    return Email.findOne({ messageId: { $in: getMessageIdCandidates(event.messageId) } });
+  }
+
+  return null;
+};
+
+/**
+ * Apply a delivery event to the email it belongs to: update the email,
+ * count it in the campaign analytics once, and suppress the address on
+ * hard bounces and complaints.
+ * @param {string} source - Where the event came from, e.g. sendgrid_webhook
+ * @param {Object} event - Normalized delivery event
+ * @returns {Promise<Object|null>} - Updated email, or null if no email matches
+ */
+const processDeliveryEvent = async (source, event) => {
+  if (!event.emailId && !event.trackingId && !event.messageId) {
+    logger.warn(`Ignoring ${source} ${event.type} event that doesn't identify an email`);
+    return null;
+  }
+
+  const email = await findEmailForEvent(event);
+
+  if (!email) {
+    logger.warn(`Email not found for ${source} ${event.type} event (message ID: ${event.messageId}, email ID: ${event.emailId}, tracking ID: ${event.trackingId})`);
+    return null;
+  }
+
+  const analytics = {};
+
+  switch (event.type) {
+    case 'delivered': {
+      if (email.deliveredAt) {
+        break;
+      }
+
+      // Delivery reports can arrive after the recipient already opened the email
+      if (['sending', 'sent'].includes(email.status)) {
+        await email.updateStatus('delivered');
+      } else {
+        email.deliveredAt = new Date();
+        await email.save();
+      }
+
+      analytics['analytics.delivered'] = 1;
+      break;
+    }
+    case 'deferred': {
+      // The provider is still retrying, so the email may yet be delivered:
+      // leave its status and the campaign analytics alone
+      email.deferredAt = new Date();
+      email.deferReason = event.reason;
+      await email.save();
+      break;
+    }
+    case 'bounced': {
+      const isFirstBounce = !email.bouncedAt;
+
+      // A soft bounce doesn't downgrade an earlier hard bounce
+      await email.updateStatus('bounced', {
+        bounceType: email.bounceType === 'hard' ? 'hard' : event.bounceType,
+        errorMessage: event.reason || email.errorMessage,
+      });
+
+      if (isFirstBounce) {
+        analytics['analytics.bounced'] = 1;
+      }
+      break;
+    }
+    case 'complained': {
+      const isFirstComplaint = !email.complainedAt;
+
+      await email.updateStatus('complained');
+
+      if (isFirstComplaint) {
+        analytics['analytics.complained'] = 1;
+      }
+      break;
+    }
+    default:
+      return email;
+  }
+
+  if (Object.keys(analytics).length > 0) {
+    await Campaign.findByIdAndUpdate(email.campaignId, { $inc: analytics });
+  }
+
+  // Hard bounces and complaints mean the address must never be mailed again
+  if ((event.type === 'bounced' && event.bounceType === 'hard') || event.type === 'complained') {
+    await suppressionService.suppressAddress(event.recipient || email.to, {
+      reason: event.type === 'bounced' ? 'bounce' : 'complaint',
+      userId: email.userId,
+      campaignId: email.campaignId,
+      emailId: email._id,
+      source,
+      note: event.reason,
+    });
+  }
+
+  logger.info(`Recorded ${source} ${event.type} event for Email ${email._id}`);
+
+  return email;
+};
+
+module.exports = {
+  processDeliveryEvent,
+};
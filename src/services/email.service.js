@@ -1,33 +1,45 @@
-const nodemailer = require('nodemailer');
+const { createProvider } = require('./providers');
+const templateEngine = require('./template-engine');
 const { logger } = require('../utils/logger');
+const { signTrackingToken } = require('../utils/tracking-token');
+const { buildApiUrl } = require('../utils/api-url');
+const { buildTextAlternative } = require('../utils/html-to-text');
 
-// Create a transporter
-let transporter;
+// Delivery providers that have been created, keyed by provider name
+const providers = new Map();
+
+/**
+ * Get the name of the default delivery provider for this environment
+ * @returns {string} - Provider name
+ */
+const getDefaultProviderName = () => process.env.EMAIL_PROVIDER || 'smtp';
+
+/**
+ * Get a delivery provider, creating it on first use
+ * @param {string} name - Provider name; the environment default if omitted
+ * @returns {Object} - Delivery provider
+ */
+const getProvider = (name) => {
+  const providerName = name || getDefaultProviderName();
+
+  if (!providers.has(providerName)) {
+    providers.set(providerName, createProvider(providerName));
+  }
+
+  return providers.get(providerName);
+};
 
 /**
  * Initialize the email service
  */
 const initializeEmailService = () => {
   try {
-    // Create a transporter object using SMTP
-    transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: process.env.SMTP_PORT,
-      secure: process.env.SMTP_PORT === '465', // true for 465, false for other ports
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS,
-      },
-    });
+    const provider = getProvider();
 
-    // Verify connection configuration
-    transporter.verify((error) => {
-      if (error) {
-        logger.error('SMTP connection error:', error);
-      } else {
-        logger.info('SMTP server is ready to send emails');
-      }
-    });
+    // Verify the provider configuration in the background
+    provider.verify();
+
+    logger.info(`Email service using the ${provider.name} provider`);
   } catch (error) {
     logger.error('Error initializing email service:', error);
     throw error;
@@ -37,33 +49,47 @@ const initializeEmailService = () => {
 /**
  * Send an email
  * @param {Object} options - Email options
- * @returns {Promise<Object>} - Nodemailer send response
+ * @param {string} options.body - HTML or text body, depending on options.isHtml
+ * @param {string} options.textBody - Plain-text alternative of an HTML body; generated if not given
+ * @param {string} options.provider - Delivery provider to use instead of the default
+ * @param {string} options.envelopeFrom - Envelope sender (return path) for bounces
+ * @returns {Promise<Object>} - Provider send result with messageId
  */
 const sendEmail = async (options) => {
   try {
-    if (!transporter) {
-      initializeEmailService();
-    }
+    const provider = getProvider(options.provider);
+    const headers = options.headers || {};
+    // Image-only emails get a text part with the unsubscribe URL
+    const unsubscribeUrl = (/<(https?:[^>]+)>/.exec(headers['List-Unsubscribe'] || '') || [])[1];
 
     const mailOptions = {
       from: options.from || `"${process.env.EMAIL_FROM_NAME}" <${process.env.EMAIL_FROM}>`,
       to: options.to,
       subject: options.subject,
-      text: options.isHtml ? undefined : options.body,
+      // HTML emails are sent as multipart/alternative with a plain-text part
+      text: options.isHtml ? buildTextAlternative(options.body, { textBody: options.textBody, unsubscribeUrl }) : options.body,
       html: options.isHtml ? options.body : undefined,
-      headers: options.headers || {},
+      headers,
     };
 
+    // Bounces go to the envelope sender, which may differ from the From header
+    if (options.envelopeFrom) {
+      mailOptions.envelope = {
+        from: options.envelopeFrom,
+        to: options.to,
+      };
+    }
+
     // Add attachments if they exist
     if (options.attachments && Array.isArray(options.attachments)) {
       mailOptions.attachments = options.attachments;
     }
 
     // Log email attempt
-    logger.info(`Sending email to ${options.to} with subject: ${options.subject}`);
+    logger.info(`Sending email to ${options.to} with subject: ${options.subject} via ${provider.name}`);
 
     // Send the email
-    const result = await transporter.sendMail(mailOptions);
+    const result = await provider.send(mailOptions);
     
     logger.info(`Email sent: ${result.messageId}`);
     return result;
@@ -73,60 +99,96 @@ const sendEmail = async (options) => {
   }
 };
 
+/**
+ * Build the headers that tie a sent message back to its email and campaign,
+ * so bounces, complaints and provider events can be attributed to them
+ * @param {Object} email - The email being sent
+ * @returns {Object} - X-Campaign-Id and X-Email-Id headers
+ */
+const buildAttributionHeaders = (email) => ({
+  'X-Campaign-Id': email.campaignId.toString(),
+  'X-Email-Id': email._id.toString(),
+});
+
+/**
+ * Build RFC 8058 one-click List-Unsubscribe headers
+ * @param {string} unsubscribeUrl - HTTPS unsubscribe URL that accepts the one-click POST
+ * @param {string} unsubscribeToken - Signed unsubscribe token, used for the mailto variant
+ * @returns {Object} - List-Unsubscribe and List-Unsubscribe-Post headers
+ */
+const buildListUnsubscribeHeaders = (unsubscribeUrl, unsubscribeToken) => {
+  const targets = [];
+
+  // The mailto variant is only offered when a mailbox is set up to receive them
+  if (process.env.LIST_UNSUBSCRIBE_MAILTO) {
+    targets.push(`<mailto:${process.env.LIST_UNSUBSCRIBE_MAILTO}?subject=unsubscribe-${unsubscribeToken}>`);
+  }
+
+  targets.push(`<${unsubscribeUrl}>`);
+
+  return {
+    'List-Unsubscribe': targets.join(', '),
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+  };
+};
+
 /**
  * Render template with variables
  * @param {string} template - The template string
- * @param {Object} variables - The variables to replace
+ * @param {Object} variables - Template variables
+ * @param {Object} options - Render options
+ * @param {boolean} options.html - Escape variables for HTML
+ * @param {string} options.locale - Locale for number, currency and date filters
+ * @param {string} options.timeZone - Time zone for the date filter
+ * @param {Object} options.partials - Partial sources by name
  * @returns {string} - The rendered template
+ * @throws {TemplateError} - If the template can't be parsed or a partial is missing
  */
-const renderTemplate = (template, variables = {}) => {
-  let rendered = template;
+const renderTemplate = (template, variables = {}, options = {}) => templateEngine.render(template, variables, options);
 
-  // Replace variables in the template
-  Object.entries(variables).forEach(([key, value]) => {
-    const regex = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-    rendered = rendered.replace(regex, value);
-  });
-
-  return rendered;
-};
+/**
+ * Check whether a link should be rewritten to a tracked click URL
+ * @param {string} url - Link target
+ * @returns {boolean}
+ */
+const isTrackableLink = (url) => !!url && !/^(#|mailto:|tel:|sms:)/i.test(url.trim());
 
 /**
- * Add tracking links and pixels to HTML emails
+ * Add tracking links and pixels to HTML emails. The tracking ID is embedded
+ * in a signed token so tracking URLs can't be forged.
  * @param {string} html - HTML content
  * @param {string} trackingId - Email tracking ID
- * @param {string} trackingBaseUrl - Base URL for tracking
+ * @param {string} trackingBaseUrl - Base URL of the tracking routes
  * @returns {Object} - HTML with tracking and modified links
  */
-const addTracking = (html, trackingId, trackingBaseUrl) => {
-  // Add open tracking pixel
-  const trackingPixel = `<img src="${trackingBaseUrl}/track/open/${trackingId}" width="1" height="1" alt="" style="display:none;" />`;
-  let trackedHtml = html + trackingPixel;
-
-  // Find and replace links with tracked versions
-  const linkRegex = /<a\s+(?:[^>]*?\s+)?href=(["'])(.*?)\1/gi;
+const addTracking = (html, trackingId, trackingBaseUrl = buildApiUrl('/api/track')) => {
+  const token = signTrackingToken('track', { tid: trackingId });
   const links = [];
-  let match;
-  let index = 0;
-
-  // Extract all links
-  while ((match = linkRegex.exec(html)) !== null) {
-    const originalUrl = match[2];
-    if (originalUrl && !originalUrl.startsWith('#') && !originalUrl.startsWith('mailto:')) {
-      const trackingUrl = `${trackingBaseUrl}/track/click/${trackingId}/${index}`;
-      links.push({
-        original: originalUrl,
-        tracking: trackingUrl,
-      });
-      
-      // Replace the link in the HTML
-      trackedHtml = trackedHtml.replace(
-        `href="${originalUrl}"`,
-        `href="${trackingUrl}"`
-      );
-      
-      index++;
+
+  // Rewrite every link in place, so repeated URLs each get their own index
+  const linkRegex = /(<a\s+(?:[^>]*?\s+)?href=)(["'])(.*?)\2/gi;
+  let trackedHtml = html.replace(linkRegex, (match, prefix, quote, originalUrl) => {
+    if (!isTrackableLink(originalUrl)) {
+      return match;
     }
+
+    const trackingUrl = `${trackingBaseUrl}/click/${token}/${links.length}`;
+    links.push({
+      // Redirects need the real URL, not its HTML-escaped form
+      original: originalUrl.replace(/&amp;/g, '&'),
+      tracking: trackingUrl,
+    });
+
+    return `${prefix}${quote}${trackingUrl}${quote}`;
+  });
+
+  // Add open tracking pixel, inside the body when there is one
+  const trackingPixel = `<img src="${trackingBaseUrl}/open/${token}" width="1" height="1" alt="" style="display:none;" />`;
+
+  if (/<\/body>/i.test(trackedHtml)) {
+    trackedHtml = trackedHtml.replace(/<\/body>/i, `${trackingPixel}</body>`);
+  } else {
+    trackedHtml += trackingPixel;
   }
 
   return {
@@ -137,7 +199,10 @@ const addTracking = (html, trackingId, trackingBaseUrl) => {
 
 module.exports = {
   initializeEmailService,
+  getProvider,
   sendEmail,
   renderTemplate,
   addTracking,
+  buildAttributionHeaders,
+  buildListUnsubscribeHeaders,
 };
\ No newline at end of file
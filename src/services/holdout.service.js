@@ -0,0 +1,177 @@
+const Event = require('../models/event.model');
+const { getBucket } = require('../utils/bucket');
+const { twoProportionZTest } = require('../utils/statistics');
+
+/**
+ * Check whether a user is in a campaign's holdout group. The same user is
+ * always held out of the same campaign, independently of A/B test variants.
+ * @param {Object} campaign - The campaign
+ * @param {string} userId - The user ID
+ * @returns {boolean}
+ */
+const isHeldOut = (campaign, userId) => campaign.holdoutPercentage > 0
+  && getBucket(`${campaign._id}:holdout:${userId}`) * 100 < campaign.holdoutPercentage;
+
+/**
+ * Find, for each user a campaign was triggered for and each status of their
+ * trigger entries, whether they performed the campaign's conversion event
+ * within the attribution window from when the email was to be sent
+ * @param {Object} campaign - The campaign
+ * @param {Object} range - Conditions on the entries' scheduledFor, if any
+ * @returns {Promise<Array<Object>>} - { userId, status, converted } per user and status
+ */
+const findTriggeredUsers = async (campaign, range) => {
+  const match = { campaignId: campaign._id };
+  if (range) {
+    match.scheduledFor = range;
+  }
+
+  const results = await Event.aggregate([
+    { $match: { triggeredCampaigns: { $elemMatch: match } } },
+    { $unwind: '$triggeredCampaigns' },
+    {
+      $match: Object.entries(match).reduce((conditions, [key, value]) => {
+        conditions[`triggeredCampaigns.${key}`] = value;
+        return conditions;
+      }, {}),
+    },
+    {
+      $lookup: {
+        from: Event.collection.name,
+        let: { userId: '$userId', start: '$triggeredCampaigns.scheduledFor' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$userId', '$$userId'] },
+                  { $eq: ['$eventType', { $literal: campaign.conversionEvent }] },
+                  { $gte: ['$timestamp', '$$start'] },
+                  { $lte: ['$timestamp', { $add: ['$$start', campaign.conversionWindow * 1000] }] },
+                ],
+              },
+            },
+          },
+          { $limit: 1 },
+        ],
+        as: 'conversions',
+      },
+    },
+    {
+      $group: {
+        _id: { userId: '$userId', status: '$triggeredCampaigns.status' },
+        converted: { $max: { $gt: [{ $size: '$conversions' }, 0] } },
+      },
+    },
+  ]);
+
+  return results.map(({ _id, converted }) => ({ ..._id, converted }));
+};
+
+/**
+ * Group of the lift report a trigger entry's user belongs to. Users whose
+ * address was suppressed when the campaign was triggered are recorded as
+ * suppressed whether or not they were held out, so neither group counts them.
+ * Treated users count whatever happened to the email afterwards (cancelled by
+ * a goal event, failed, not yet sent), so users who convert before it's sent
+ * aren't left out of one group only.
+ * @param {string} status - Status of the trigger entry
+ * @returns {string|null} - 'treated', 'heldOut' or null
+ */
+const getLiftGroup = (status) => {
+  if (status === 'suppressed') {
+    return null;
+  }
+
+  return status === 'held_out' ? 'heldOut' : 'treated';
+};
+
+/**
+ * Summarize the users of a group
+ * @param {Map<string, boolean>} users - Whether each user converted
+ * @returns {Object} - { users, converted, conversionRate } with the rate in percent
+ */
+const toGroup = (users) => {
+  const converted = [...users.values()].filter(Boolean).length;
+
+  return {
+    users: users.size,
+    converted,
+    conversionRate: users.size ? (converted / users.size) * 100 : 0,
+  };
+};
+
+/**
+ * Compare the conversion rates of treated and held-out users. A user counts
+ * once in a group, as converted if any of their emails (or withheld emails)
+ * led to a conversion.
+ * @param {Array<Object>} triggeredUsers - { userId, status, converted }, see findTriggeredUsers
+ * @param {number} confidence - Confidence level for significance, e.g. 0.95
+ * @returns {Object} - { treated, heldOut, lift, absoluteLift, z, pValue, significant }
+ */
+const compareGroups = (triggeredUsers, confidence = 0.95) => {
+  const groups = { treated: new Map(), heldOut: new Map() };
+
+  triggeredUsers.forEach(({ userId, status, converted }) => {
+    const group = getLiftGroup(status);
+
+    if (group) {
+      const key = userId.toString();
+      groups[group].set(key, groups[group].get(key) || converted);
+    }
+  });
+
+  const treated = toGroup(groups.treated);
+  const heldOut = toGroup(groups.heldOut);
+  const { z, pValue } = twoProportionZTest(heldOut.converted, heldOut.users, treated.converted, treated.users);
+
+  return {
+    treated,
+    heldOut,
+    lift: heldOut.conversionRate
+      ? (treated.conversionRate - heldOut.conversionRate) / heldOut.conversionRate
+      : null,
+    absoluteLift: treated.conversionRate - heldOut.conversionRate,
+    z,
+    pValue,
+    significant: pValue < 1 - confidence,
+  };
+};
+
+/**
+ * Measure a campaign's lift: the conversion rate of users the campaign was
+ * triggered for against that of users held out of it. Both groups are built
+ * the same way (intent to treat), from the events' triggeredCampaigns, and
+ * counted over the attribution window (the campaign's conversionWindow) from
+ * when the email was to be sent.
+ * @param {Object} campaign - The campaign, with a conversionEvent
+ * @param {Object} options - Report options
+ * @param {Date} options.from - Only count emails scheduled (or withheld) from this date
+ * @param {Date} options.to - Only count emails scheduled (or withheld) until this date
+ * @param {number} options.confidence - Confidence level for significance, e.g. 0.95
+ * @returns {Promise<Object>} - { treated, heldOut, lift, absoluteLift, z, pValue, significant }
+ */
+const getLiftReport = async (campaign, { from, to, confidence = 0.95 } = {}) => {
+  const range = {};
+  if (from) {
+    range.$gte = from;
+  }
+  if (to) {
+    range.$lte = to;
+  }
+
+  const triggeredUsers = await findTriggeredUsers(campaign, Object.keys(range).length > 0 ? range : null);
+
+  return {
+    conversionEvent: campaign.conversionEvent,
+    attributionWindow: campaign.conversionWindow,
+    holdoutPercentage: campaign.holdoutPercentage,
+    ...compareGroups(triggeredUsers, confidence),
+  };
+};
+
+module.exports = {
+  isHeldOut,
+  compareGroups,
+  getLiftReport,
+};
@@ -0,0 +1,335 @@
+const mongoose = require('mongoose');
+const Journey = require('../models/journey.model');
+const JourneyEnrollment = require('../models/journey-enrollment.model');
+const Campaign = require('../models/campaign.model');
+const Email = require('../models/email.model');
+const Event = require('../models/event.model');
+const { matchesConditions } = require('../utils/conditions');
+const { linkLinearSteps, validateGraph } = require('../utils/journey-graph');
+const { logger } = require('../utils/logger');
+
+/**
+ * Check the steps of a journey before it is saved: the step graph and the
+ * campaigns of its email steps
+ * @param {Array<Object>} steps - Journey steps
+ * @returns {Promise<string|null>} - What is wrong with the steps, or null if they are valid
+ */
+const validateSteps = async (steps) => {
+  if (!Array.isArray(steps)) {
+    return 'A journey needs at least one step';
+  }
+
+  // Check copies so the request body is left as it was sent
+  const graphError = validateGraph(linkLinearSteps(steps.map((step) => (step ? { ...step } : step))));
+
+  if (graphError) {
+    return graphError;
+  }
+
+  const ids = steps
+    .filter((step) => (step.type || 'email') === 'email')
+    .map((step) => step.campaignId);
+  const invalid = ids.find((id) => !mongoose.Types.ObjectId.isValid(id));
+
+  if (invalid !== undefined) {
+    return `Invalid campaign ID: ${invalid}`;
+  }
+
+  const campaigns = await Campaign.find({ _id: { $in: ids } }).select('name triggerEvent');
+
+  const missing = ids.find((id) => !campaigns.some((campaign) => campaign._id.toString() === id.toString()));
+
+  if (missing) {
+    return `Campaign ${missing} not found`;
+  }
+
+  // A step campaign with a trigger of its own would also send outside the journey
+  const triggered = campaigns.find((campaign) => campaign.triggerEvent);
+
+  if (triggered) {
+    return `Campaign ${triggered.name} has trigger event ${triggered.triggerEvent}; journey steps must be campaigns without one`;
+  }
+
+  return null;
+};
+
+/**
+ * Enroll a user in a journey
+ * @param {Object} journey - The journey
+ * @param {Object} user - The user
+ * @param {Object} event - The event that enrolls the user
+ * @returns {Promise<Object|null>} - The enrollment, or null if the user can't be enrolled
+ */
+const enrollUser = async (journey, user, event) => {
+  const enrollments = await JourneyEnrollment.find({ journeyId: journey._id, userId: user._id }).select('status');
+
+  if (enrollments.some((enrollment) => ['active', 'paused'].includes(enrollment.status))) {
+    return null;
+  }
+  if (enrollments.length > 0 && !journey.allowReentry) {
+    return null;
+  }
+
+  try {
+    const enrollment = await JourneyEnrollment.create({
+      journeyId: journey._id,
+      userId: user._id,
+      eventId: event._id,
+      currentStep: journey.steps[0].key,
+      nextStepAt: new Date(event.timestamp.getTime() + (journey.steps[0].delay * 1000)),
+    });
+
+    await Journey.findByIdAndUpdate(journey._id, {
+      $inc: { 'analytics.enrolled': 1 },
+    });
+
+    logger.info(`User ${user._id} enrolled in journey ${journey.name} (${journey._id}) by event ${event._id}`);
+
+    return enrollment;
+  } catch (error) {
+    // Another worker enrolled the user first
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * End an enrollment before the journey is complete
+ * @param {Object} enrollment - The enrollment
+ * @param {Object} journey - The journey
+ * @param {string} reason - Why the user leaves the journey
+ * @returns {Promise<Object>} - Updated enrollment
+ */
+const exitEnrollment = async (enrollment, journey, reason) => {
+  await enrollment.exit(reason);
+  await Journey.findByIdAndUpdate(journey._id, {
+    $inc: { 'analytics.exited': 1 },
+  });
+
+  logger.info(`User ${enrollment.userId} exited journey ${journey.name} (${journey._id}): ${reason}`);
+
+  return enrollment;
+};
+
+/**
+ * End a user's enrollments in journeys that the event is an exit event of,
+ * then enroll the user in journeys the event triggers
+ * @param {Object} event - The event
+ * @param {Object} user - The user the event belongs to
+ * @returns {Promise<Object>} - { enrolled, exited } with the enrollments created and ended
+ */
+const handleEvent = async (event, user) => {
+  const exited = [];
+  const enrolled = [];
+
+  const enrollments = await JourneyEnrollment.find({
+    userId: user._id,
+    status: { $in: ['active', 'paused'] },
+  });
+
+  if (enrollments.length > 0) {
+    const journeys = await Journey.find({
+      _id: { $in: enrollments.map((enrollment) => enrollment.journeyId) },
+      'exitEvents.eventType': event.eventType,
+    });
+
+    for (const journey of journeys.filter((item) => item.isExitEvent(event))) {
+      const enrollment = enrollments.find((item) => item.journeyId.toString() === journey._id.toString());
+
+      await exitEnrollment(enrollment, journey, `Exit event ${event.eventType} (${event._id})`);
+      exited.push(enrollment);
+    }
+  }
+
+  const journeys = await Journey.find({
+    triggerEvent: event.eventType,
+    status: 'active',
+  });
+
+  for (const journey of journeys) {
+    if (!journey.shouldEnrollUser(user._id) || !journey.matchesConditions(event)) {
+      continue;
+    }
+
+    try {
+      const enrollment = await enrollUser(journey, user, event);
+
+      if (enrollment) {
+        enrolled.push(enrollment);
+      }
+    } catch (error) {
+      logger.error(`Error enrolling user ${user._id} in journey ${journey._id}:`, error);
+    }
+  }
+
+  return { enrolled, exited };
+};
+
+/**
+ * Record the result of a step and move the user on to the step it leads to,
+ * or complete the enrollment when it leads nowhere
+ * @param {Object} enrollment - The enrollment
+ * @param {Object} journey - The journey
+ * @param {Object} step - The step that ran
+ * @param {Object} result - { status, emailId, reason, next } of the step; next defaults to the step's next
+ * @returns {Promise<Object>} - Updated enrollment
+ */
+const completeStep = async (enrollment, journey, step, result) => {
+  const nextKey = result.next !== undefined ? result.next : step.next;
+  const nextStep = nextKey ? journey.getStep(nextKey) : null;
+
+  await enrollment.recordStep(step, result, nextStep);
+
+  if (enrollment.status === 'completed') {
+    await Journey.findByIdAndUpdate(journey._id, {
+      $inc: { 'analytics.completed': 1 },
+    });
+
+    logger.info(`User ${enrollment.userId} completed journey ${journey.name} (${journey._id})`);
+  }
+
+  return enrollment;
+};
+
+/**
+ * Check the condition of a condition step for an enrollment
+ * @param {Object} step - The condition step
+ * @param {Object} enrollment - The enrollment
+ * @returns {Promise<boolean>} - Whether the condition is met
+ */
+const evaluateCondition = async (step, enrollment) => {
+  const condition = step.condition;
+
+  if (condition.type === 'event') {
+    const since = condition.within !== undefined && condition.within !== null
+      ? new Date(Date.now() - (condition.within * 1000))
+      : enrollment.createdAt;
+
+    const events = await Event.find({
+      userId: enrollment.userId,
+      eventType: condition.eventType,
+      timestamp: { $gte: since },
+    });
+
+    return events.some((event) => matchesConditions(condition.conditions, event));
+  }
+
+  // Engagement with the email of the checked step, or of the last email step
+  const sent = enrollment.steps
+    .filter((entry) => (condition.step ? entry.key === condition.step : !!entry.campaignId))
+    .pop();
+
+  if (!sent || !sent.emailId) {
+    return false;
+  }
+
+  const email = await Email.findById(sent.emailId).select('openedAt clickedAt');
+
+  if (!email) {
+    return false;
+  }
+
+  return condition.type === 'clicked' ? !!email.clickedAt : !!(email.openedAt || email.clickedAt);
+};
+
+/**
+ * Pick a branch of a split step at random, in proportion to branch weights
+ * @param {Object} step - The split step
+ * @returns {Object} - The branch
+ */
+const pickBranch = (step) => {
+  const total = step.branches.reduce((sum, branch) => sum + branch.weight, 0);
+  let pick = Math.random() * total;
+
+  return step.branches.find((branch) => {
+    pick -= branch.weight;
+    return pick < 0;
+  }) || step.branches[step.branches.length - 1];
+};
+
+/**
+ * Run a step that doesn't send an email: branch on a condition, split at
+ * random or exit the journey
+ * @param {Object} enrollment - The enrollment
+ * @param {Object} journey - The journey
+ * @param {Object} step - The step to run
+ * @returns {Promise<Object>} - Updated enrollment
+ */
+const runControlStep = async (enrollment, journey, step) => {
+  if (step.type === 'exit') {
+    enrollment.steps.push({
+      stepId: step._id,
+      key: step.key,
+      status: 'exited',
+      processedAt: new Date(),
+    });
+
+    return exitEnrollment(enrollment, journey, `Reached exit step ${step.key}`);
+  }
+
+  if (step.type === 'condition') {
+    const met = await evaluateCondition(step, enrollment);
+
+    return completeStep(enrollment, journey, step, {
+      status: 'passed',
+      reason: met ? 'Condition met' : 'Condition not met',
+      next: (met ? step.yes : step.no) || null,
+    });
+  }
+
+  const branch = pickBranch(step);
+
+  return completeStep(enrollment, journey, step, {
+    status: 'passed',
+    reason: `Branch ${step.branches.indexOf(branch) + 1} of ${step.branches.length}`,
+    next: branch.next || null,
+  });
+};
+
+/**
+ * Change the status of a journey. Pausing holds every enrollment at its
+ * current step; archiving ends them.
+ * @param {Object} journey - The journey
+ * @param {string} status - New status
+ * @returns {Promise<Object>} - Updated journey
+ */
+const setJourneyStatus = async (journey, status) => {
+  journey.status = status;
+  await journey.save();
+
+  if (status === 'active') {
+    await JourneyEnrollment.updateMany({ journeyId: journey._id, status: 'paused' }, { $set: { status: 'active' } });
+  } else if (status === 'paused') {
+    await JourneyEnrollment.updateMany({ journeyId: journey._id, status: 'active' }, { $set: { status: 'paused' } });
+  } else if (status === 'archived') {
+    const result = await JourneyEnrollment.updateMany(
+      { journeyId: journey._id, status: { $in: ['active', 'paused'] } },
+      {
+        $set: { status: 'exited', exitedAt: new Date(), exitReason: 'Journey archived' },
+        $unset: { nextStepAt: '' },
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      await Journey.findByIdAndUpdate(journey._id, {
+        $inc: { 'analytics.exited': result.modifiedCount },
+      });
+    }
+  }
+
+  return journey;
+};
+
+module.exports = {
+  validateSteps,
+  enrollUser,
+  exitEnrollment,
+  handleEvent,
+  completeStep,
+  evaluateCondition,
+  pickBranch,
+  runControlStep,
+  setJourneyStatus,
+};
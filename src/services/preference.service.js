@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const Topic = require('../models/topic.model');
+const User = require('../models/user.model');
+const Email = require('../models/email.model');
+const Suppression = require('../models/suppression.model');
+const suppressionService = require('./suppression.service');
+const { logger } = require('../utils/logger');
+
+/**
+ * Time windows for each frequency preference, in milliseconds
+ */
+const FREQUENCY_WINDOWS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Load whether each topic is subscribed by default
+ * @param {Array<string>} keys - Topic keys
+ * @returns {Promise<Map>} - Topic key to default subscription
+ */
+const getTopicDefaults = async (keys) => {
+  const topicKeys = keys.filter(Boolean);
+
+  if (topicKeys.length === 0) {
+    return new Map();
+  }
+
+  const topics = await Topic.find({ key: { $in: topicKeys } }).select('key isDefault');
+
+  return new Map(topics.map((topic) => [topic.key, topic.isDefault]));
+};
+
+/**
+ * Check if a user wants to receive a campaign based on its topic
+ * @param {Object} user - The user
+ * @param {Object} campaign - The campaign
+ * @param {Map} topicDefaults - Topic key to default subscription
+ * @returns {boolean}
+ */
+const isSubscribedToCampaign = (user, campaign, topicDefaults) => {
+  if (!campaign.topic) {
+    return true;
+  }
+
+  const defaultSubscribed = topicDefaults.has(campaign.topic) ? topicDefaults.get(campaign.topic) : true;
+
+  return user.isSubscribedToTopic(campaign.topic, defaultSubscribed);
+};
+
+/**
+ * Check if a user already has a marketing email within their frequency window
+ * @param {Object} user - The user
+ * @returns {Promise<boolean>} - True if another email would exceed the user's frequency
+ */
+const hasReachedFrequencyCap = async (user) => {
+  const window = FREQUENCY_WINDOWS[user.preferences && user.preferences.frequency];
+
+  if (!window) {
+    return false;
+  }
+
+  const count = await Email.countDocuments({
+    userId: user._id,
+    scheduledFor: { $gte: new Date(Date.now() - window) },
+    status: { $nin: ['suppressed', 'dead_letter', 'cancelled'] },
+    isTransactional: { $ne: true },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Get everything the preference center shows for a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - Topics with subscription state, frequency and global unsubscribe state
+ */
+const getPreferences = async (userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    return null;
+  }
+
+  const topics = await Topic.find({ isActive: true }).sort({ name: 1 });
+  const suppression = await Suppression.findOne({ email: user.email });
+
+  return {
+    user,
+    topics: topics.map((topic) => ({
+      key: topic.key,
+      name: topic.name,
+      description: topic.description,
+      subscribed: user.isSubscribedToTopic(topic.key, topic.isDefault),
+    })),
+    frequency: (user.preferences && user.preferences.frequency) || 'any',
+    unsubscribedAll: !!suppression,
+    suppressionReason: suppression ? suppression.reason : null,
+  };
+};
+
+/**
+ * Save a user's preference center choices
+ * @param {string} userId - The user ID
+ * @param {Object} choices - Submitted choices
+ * @param {Array<string>} choices.topics - Keys of the topics the user wants
+ * @param {string} choices.frequency - Frequency preference
+ * @param {boolean} choices.unsubscribeAll - Whether to unsubscribe from everything
+ * @param {string} campaignId - Campaign whose email linked to the preference center
+ * @returns {Promise<Object|null>} - Updated preferences, or null if the user doesn't exist
+ */
+const updatePreferences = async (userId, { topics = [], frequency, unsubscribeAll = false }, campaignId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    return null;
+  }
+
+  // Every active topic gets an explicit choice: ticked means subscribed
+  const activeTopics = await Topic.find({ isActive: true }).select('key');
+  activeTopics.forEach((topic) => {
+    user.preferences.topics.set(topic.key, topics.includes(topic.key));
+  });
+
+  if (frequency && Object.keys(FREQUENCY_WINDOWS).concat('any').includes(frequency)) {
+    user.preferences.frequency = frequency;
+  }
+
+  await user.save();
+
+  if (unsubscribeAll) {
+    await suppressionService.unsubscribeUser({ userId, campaignId, source: 'preference_center' });
+  } else {
+    // Lift a previous unsubscribe; bounces and complaints stay suppressed
+    const result = await Suppression.deleteOne({ email: user.email, reason: 'unsubscribe' });
+
+    if (result.deletedCount > 0) {
+      logger.info(`User ${user._id} resubscribed through the preference center`);
+    }
+  }
+
+  logger.info(`Updated preferences for User ${user._id}`);
+
+  return getPreferences(userId);
+};
+
+module.exports = {
+  getTopicDefaults,
+  isSubscribedToCampaign,
+  hasReachedFrequencyCap,
+  getPreferences,
+  updatePreferences,
+};
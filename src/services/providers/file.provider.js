@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Create an "outbox" delivery provider that writes every message to disk
+ * as an .eml file instead of sending it
+ * @param {Object} config - Provider settings
+ * @param {string} config.directory - Outbox directory (defaults to EMAIL_OUTBOX_DIR)
+ * @returns {Object} - Delivery provider
+ */
+const createFileProvider = (config = {}) => {
+  const directory = path.resolve(config.directory || process.env.EMAIL_OUTBOX_DIR || 'outbox');
+
+  // The stream transport composes the full MIME message without sending it
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: 'windows',
+  });
+
+  return {
+    name: 'file',
+    directory,
+
+    /**
+     * Make sure the outbox directory exists and is writable
+     * @returns {Promise<boolean>}
+     */
+    verify: async () => {
+      try {
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.access(directory, fs.constants.W_OK);
+        logger.info(`Email outbox is ready at ${directory}`);
+        return true;
+      } catch (error) {
+        logger.error(`Email outbox ${directory} is not writable:`, error);
+        return false;
+      }
+    },
+
+    /**
+     * Write a message to the outbox
+     * @param {Object} message - Nodemailer message options
+     * @returns {Promise<Object>} - Send result with messageId and file path
+     */
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+
+      // Message IDs look like <uuid@host>; keep only filename-safe characters
+      const safeId = info.messageId.replace(/[^a-zA-Z0-9.@-]/g, '');
+      const filePath = path.join(directory, `${Date.now()}-${safeId}.eml`);
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(filePath, info.message);
+
+      return {
+        messageId: info.messageId,
+        provider: 'file',
+        path: filePath,
+      };
+    },
+  };
+};
+
+module.exports = createFileProvider;
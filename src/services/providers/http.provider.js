@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const https = require('https');
+const http = require('http');
+const addressparser = require('nodemailer/lib/addressparser');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Perform an HTTP request and collect the response body
+ * @param {string} url - Request URL
+ * @param {Object} options - Method, headers and body
+ * @returns {Promise<Object>} - Status code, headers and body
+ */
+const request = (url, { method = 'POST', headers = {}, body = '' } = {}) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'http:' ? http : https;
+
+  const req = client.request(target, {
+    method,
+    headers: {
+      ...headers,
+      'Content-Length': Buffer.byteLength(body),
+    },
+    timeout: parseInt(process.env.EMAIL_HTTP_TIMEOUT, 10) || 30000,
+  }, (res) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => {
+      const text = Buffer.concat(chunks).toString();
+      let json = null;
+
+      try {
+        json = text ? JSON.parse(text) : null;
+      } catch (error) {
+        // Not every provider answers with JSON
+      }
+
+      resolve({
+        statusCode: res.statusCode,
+        headers: res.headers,
+        text,
+        json,
+      });
+    });
+  });
+
+  req.on('timeout', () => {
+    const error = new Error(`Request to ${target.host} timed out`);
+    error.code = 'ETIMEDOUT';
+    req.destroy(error);
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+/**
+ * Split a nodemailer address field into { name, address } objects
+ * @param {string|Array} field - Address field
+ * @returns {Array<Object>} - Parsed addresses
+ */
+const parseAddresses = (field) => {
+  if (!field) {
+    return [];
+  }
+
+  const values = Array.isArray(field) ? field : [field];
+
+  return values.reduce((all, value) => {
+    if (typeof value === 'object') {
+      return all.concat({ name: value.name || '', address: value.address });
+    }
+    return all.concat(addressparser(value, { flatten: true }));
+  }, []);
+};
+
+/**
+ * Format a parsed address back into a header value
+ * @param {Object} address - { name, address }
+ * @returns {string} - Formatted address
+ */
+const formatAddress = ({ name, address }) => (name ? `"${name.replace(/"/g, '')}" <${address}>` : address);
+
+/**
+ * Get the email and campaign IDs from a message's attribution headers, so
+ * APIs that don't echo headers back in their events can report them as
+ * custom metadata instead
+ * @param {Object} message - Nodemailer message options
+ * @returns {Object} - email_id and campaign_id, when set
+ */
+const getAttribution = (message) => {
+  const headers = message.headers || {};
+  const attribution = {};
+
+  if (headers['X-Email-Id']) {
+    attribution.email_id = headers['X-Email-Id'];
+  }
+  if (headers['X-Campaign-Id']) {
+    attribution.campaign_id = headers['X-Campaign-Id'];
+  }
+
+  return attribution;
+};
+
+/**
+ * Sign an AWS request with Signature Version 4
+ * @param {Object} params - Request parameters
+ * @returns {Object} - Headers to add to the request
+ */
+const signAwsRequest = ({ host, path, body, region, service, accessKeyId, secretAccessKey, sessionToken }) => {
+  const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+  const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+
+  const headers = {
+    'content-type': 'application/json',
+    host,
+    'x-amz-date': amzDate,
+  };
+
+  if (sessionToken) {
+    headers['x-amz-security-token'] = sessionToken;
+  }
+
+  const signedHeaders = Object.keys(headers).sort().join(';');
+  const canonicalHeaders = Object.keys(headers).sort().map((key) => `${key}:${headers[key]}\n`).join('');
+
+  const canonicalRequest = ['POST', path, '', canonicalHeaders, signedHeaders, hash(body)].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash(canonicalRequest)].join('\n');
+
+  const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const regionKey = hmac(dateKey, region);
+  const serviceKey = hmac(regionKey, service);
+  const signingKey = hmac(serviceKey, 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+};
+
+/**
+ * Request builders for each supported HTTP API. Each takes the nodemailer
+ * message options and the provider config and returns { url, headers, body }
+ * plus a function to extract the provider message ID from the response.
+ */
+const services = {
+  sendgrid: {
+    build: (message, config) => {
+      const [from] = parseAddresses(message.from);
+      const attribution = getAttribution(message);
+      const content = [];
+
+      if (message.text) {
+        content.push({ type: 'text/plain', value: message.text });
+      }
+      if (message.html) {
+        content.push({ type: 'text/html', value: message.html });
+      }
+
+      return {
+        url: config.endpoint || 'https://api.sendgrid.com/v3/mail/send',
+        headers: {
+          Authorization: `Bearer ${config.apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          personalizations: [{
+            to: parseAddresses(message.to).map(({ name, address }) => ({ email: address, name: name || undefined })),
+            // Custom args are echoed back in event webhooks
+            custom_args: Object.keys(attribution).length > 0 ? attribution : undefined,
+          }],
+          from: { email: from.address, name: from.name || undefined },
+          subject: message.subject,
+          content,
+          headers: Object.keys(message.headers || {}).length > 0 ? message.headers : undefined,
+        }),
+      };
+    },
+    messageId: (response) => response.headers['x-message-id'],
+  },
+
+  mailgun: {
+    build: (message, config) => {
+      const form = new URLSearchParams();
+
+      form.append('from', parseAddresses(message.from).map(formatAddress).join(', '));
+      parseAddresses(message.to).forEach((address) => form.append('to', formatAddress(address)));
+      form.append('subject', message.subject);
+
+      if (message.text) {
+        form.append('text', message.text);
+      }
+      if (message.html) {
+        form.append('html', message.html);
+      }
+
+      Object.entries(message.headers || {}).forEach(([name, value]) => {
+        form.append(`h:${name}`, value);
+      });
+
+      // User variables are echoed back in event webhooks
+      Object.entries(getAttribution(message)).forEach(([name, value]) => {
+        form.append(`v:${name}`, value);
+      });
+
+      const baseUrl = config.endpoint || 'https://api.mailgun.net/v3';
+
+      return {
+        url: `${baseUrl}/${config.domain}/messages`,
+        headers: {
+          Authorization: `Basic ${Buffer.from(`api:${config.apiKey}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: form.toString(),
+      };
+    },
+    messageId: (response) => response.json && response.json.id,
+  },
+
+  postmark: {
+    build: (message, config) => ({
+      url: config.endpoint || 'https://api.postmarkapp.com/email',
+      headers: {
+        'X-Postmark-Server-Token': config.apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        From: parseAddresses(message.from).map(formatAddress).join(', '),
+        To: parseAddresses(message.to).map(formatAddress).join(', '),
+        Subject: message.subject,
+        TextBody: message.text,
+        HtmlBody: message.html,
+        Headers: Object.entries(message.headers || {}).map(([Name, Value]) => ({ Name, Value })),
+        // Metadata is echoed back in webhooks
+        Metadata: getAttribution(message),
+      }),
+    }),
+    messageId: (response) => response.json && response.json.MessageID,
+  },
+
+  ses: {
+    build: (message, config) => {
+      const region = config.region || 'us-east-1';
+      const host = config.endpoint ? new URL(config.endpoint).host : `email.${region}.amazonaws.com`;
+      const path = '/v2/email/outbound-emails';
+
+      const body = {};
+      if (message.text) {
+        body.Text = { Data: message.text, Charset: 'UTF-8' };
+      }
+      if (message.html) {
+        body.Html = { Data: message.html, Charset: 'UTF-8' };
+      }
+
+      const payload = JSON.stringify({
+        FromEmailAddress: parseAddresses(message.from).map(formatAddress).join(', '),
+        Destination: {
+          ToAddresses: parseAddresses(message.to).map(formatAddress),
+        },
+        // Bounce and complaint notifications go to the envelope sender
+        FeedbackForwardingEmailAddress: message.envelope ? message.envelope.from : undefined,
+        // Tags are echoed back in event notifications
+        EmailTags: Object.entries(getAttribution(message)).map(([Name, Value]) => ({ Name, Value })),
+        Content: {
+          Simple: {
+            Subject: { Data: message.subject, Charset: 'UTF-8' },
+            Body: body,
+            Headers: Object.entries(message.headers || {}).map(([Name, Value]) => ({ Name, Value })),
+          },
+        },
+      });
+
+      return {
+        url: `https://${host}${path}`,
+        headers: signAwsRequest({
+          host,
+          path,
+          body: payload,
+          region,
+          service: 'ses',
+          accessKeyId: config.accessKeyId,
+          secretAccessKey: config.secretAccessKey,
+          sessionToken: config.sessionToken,
+        }),
+        body: payload,
+      };
+    },
+    messageId: (response) => response.json && response.json.MessageId,
+  },
+};
+
+/**
+ * Create a delivery provider that sends through an HTTP email API
+ * @param {string} service - One of sendgrid, mailgun, postmark, ses
+ * @param {Object} config - API credentials (defaults to env vars)
+ * @returns {Object} - Delivery provider
+ */
+const createHttpProvider = (service, config = {}) => {
+  const adapter = services[service];
+
+  if (!adapter) {
+    const error = new Error(`Unsupported HTTP email service: ${service}`);
+    error.code = 'ECONFIG';
+    throw error;
+  }
+
+  const settings = {
+    apiKey: config.apiKey || process.env.EMAIL_API_KEY,
+    endpoint: config.endpoint || process.env.EMAIL_API_ENDPOINT,
+    domain: config.domain || process.env.MAILGUN_DOMAIN,
+    region: config.region || process.env.AWS_REGION,
+    accessKeyId: config.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: config.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: config.sessionToken || process.env.AWS_SESSION_TOKEN,
+  };
+
+  const configured = service === 'ses'
+    ? Boolean(settings.accessKeyId && settings.secretAccessKey)
+    : Boolean(settings.apiKey && (service !== 'mailgun' || settings.domain));
+
+  return {
+    name: service,
+
+    /**
+     * Check that the credentials this service needs are configured
+     * @returns {Promise<boolean>}
+     */
+    verify: async () => {
+      if (configured) {
+        logger.info(`${service} email API is configured`);
+      } else {
+        logger.error(`${service} email API credentials are missing`);
+      }
+
+      return configured;
+    },
+
+    /**
+     * Send a message through the HTTP API
+     * @param {Object} message - Nodemailer message options
+     * @returns {Promise<Object>} - Send result with messageId
+     */
+    send: async (message) => {
+      if (!configured) {
+        const error = new Error(`${service} email API credentials are missing`);
+        error.code = 'ECONFIG';
+        error.provider = service;
+        throw error;
+      }
+
+      if (message.attachments && message.attachments.length > 0) {
+        logger.warn(`Attachments are not forwarded by the ${service} provider`);
+      }
+
+      const { url, headers, body } = adapter.build(message, settings);
+      const response = await request(url, { headers, body });
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        const error = new Error(`${service} API responded with ${response.statusCode}: ${response.text}`);
+        error.statusCode = response.statusCode;
+        error.provider = service;
+        throw error;
+      }
+
+      return {
+        messageId: adapter.messageId(response),
+        provider: service,
+      };
+    },
+  };
+};
+
+createHttpProvider.services = Object.keys(services);
+
+module.exports = createHttpProvider;
@@ -0,0 +1,45 @@
+const createSmtpProvider = require('./smtp.provider');
+const createHttpProvider = require('./http.provider');
+const createFileProvider = require('./file.provider');
+const createMemoryProvider = require('./memory.provider');
+
+/**
+ * Factories for every delivery provider, keyed by provider name
+ */
+const factories = {
+  smtp: createSmtpProvider,
+  file: createFileProvider,
+  memory: createMemoryProvider,
+};
+
+createHttpProvider.services.forEach((service) => {
+  factories[service] = (config) => createHttpProvider(service, config);
+});
+
+/**
+ * Names of all available delivery providers
+ */
+const PROVIDERS = Object.keys(factories);
+
+/**
+ * Create a delivery provider by name
+ * @param {string} name - Provider name
+ * @param {Object} config - Provider-specific settings
+ * @returns {Object} - Delivery provider with send() and verify()
+ */
+const createProvider = (name, config = {}) => {
+  const factory = factories[name];
+
+  if (!factory) {
+    const error = new Error(`Unknown email provider: ${name}. Available providers: ${PROVIDERS.join(', ')}`);
+    error.code = 'ECONFIG';
+    throw error;
+  }
+
+  return factory(config);
+};
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+};
@@ -0,0 +1,63 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an in-memory delivery provider that keeps sent messages in an
+ * array so tests can inspect them
+ * @returns {Object} - Delivery provider
+ */
+const createMemoryProvider = () => {
+  const messages = [];
+
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: 'unix',
+  });
+
+  return {
+    name: 'memory',
+
+    /**
+     * Nothing to verify for the in-memory provider
+     * @returns {Promise<boolean>}
+     */
+    verify: async () => true,
+
+    /**
+     * Store a message in memory
+     * @param {Object} message - Nodemailer message options
+     * @returns {Promise<Object>} - Send result with messageId
+     */
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+
+      messages.push({
+        messageId: info.messageId,
+        envelope: info.envelope,
+        message,
+        raw: info.message.toString(),
+        sentAt: new Date(),
+      });
+
+      return {
+        messageId: info.messageId,
+        provider: 'memory',
+      };
+    },
+
+    /**
+     * Get all messages sent through this provider
+     * @returns {Array<Object>} - Sent messages, oldest first
+     */
+    getMessages: () => messages.slice(),
+
+    /**
+     * Forget all stored messages
+     */
+    clear: () => {
+      messages.length = 0;
+    },
+  };
+};
+
+module.exports = createMemoryProvider;
@@ -0,0 +1,57 @@
+const nodemailer = require('nodemailer');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Create an SMTP delivery provider backed by a nodemailer transporter
+ * @param {Object} config - SMTP settings (defaults to the SMTP_* env vars)
+ * @returns {Object} - Delivery provider
+ */
+const createSmtpProvider = (config = {}) => {
+  const port = config.port || process.env.SMTP_PORT;
+
+  const transporter = nodemailer.createTransport({
+    host: config.host || process.env.SMTP_HOST,
+    port,
+    secure: String(port) === '465', // true for 465, false for other ports
+    auth: {
+      user: config.user || process.env.SMTP_USER,
+      pass: config.pass || process.env.SMTP_PASS,
+    },
+  });
+
+  return {
+    name: 'smtp',
+
+    /**
+     * Verify the SMTP connection configuration
+     * @returns {Promise<boolean>}
+     */
+    verify: async () => {
+      try {
+        await transporter.verify();
+        logger.info('SMTP server is ready to send emails');
+        return true;
+      } catch (error) {
+        logger.error('SMTP connection error:', error);
+        return false;
+      }
+    },
+
+    /**
+     * Send a message through SMTP
+     * @param {Object} message - Nodemailer message options
+     * @returns {Promise<Object>} - Send result with messageId
+     */
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+
+      return {
+        messageId: info.messageId,
+        provider: 'smtp',
+        response: info.response,
+      };
+    },
+  };
+};
+
+module.exports = createSmtpProvider;
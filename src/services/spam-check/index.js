@@ -0,0 +1,124 @@
+const { rules, registerRule } = require('./rules');
+const { decodeEntities } = require('../../utils/html-to-text');
+
+// Score from which a message is likely to be filtered as spam
+const DEFAULT_THRESHOLD = 5;
+
+/**
+ * Get the score from which messages are reported as spam
+ * @returns {number}
+ */
+const getThreshold = () => {
+  const threshold = parseFloat(process.env.SPAM_SCORE_THRESHOLD);
+  return Number.isNaN(threshold) ? DEFAULT_THRESHOLD : threshold;
+};
+
+/**
+ * Get the text of an HTML body that recipients see
+ * @param {string} html - HTML content
+ * @returns {string} - Text with whitespace collapsed
+ */
+const visibleText = (html) => decodeEntities(html
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/<(head|style|script|title|noscript)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+  .replace(/<(div|span|p)\b[^>]*\bdisplay\s*:\s*none[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+  .replace(/<[^>]+>/g, ' '))
+  .replace(/[\s\u200c]+/g, ' ')
+  .trim();
+
+/**
+ * Find the links of a message
+ * @param {string|null} html - HTML body
+ * @param {string} text - Plain-text body
+ * @returns {Array<Object>} - Links as { href, text }
+ */
+const findLinks = (html, text) => {
+  if (html !== null) {
+    const links = [];
+    const linkRegex = /<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi;
+    let match;
+
+    while ((match = linkRegex.exec(html)) !== null) {
+      const href = match[1].match(/\shref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+
+      if (href) {
+        links.push({
+          href: decodeEntities(href[1] || href[2] || href[3] || ''),
+          text: visibleText(match[2]),
+        });
+      }
+    }
+
+    return links;
+  }
+
+  return (text.match(/https?:\/\/[^\s<>"')\]]+/gi) || []).map((href) => ({ href, text: href }));
+};
+
+/**
+ * Collect what the rules look at from a message
+ * @param {Object} message - The message
+ * @param {string} message.subject - Subject
+ * @param {string} message.html - HTML body, if the message is HTML
+ * @param {string} message.text - Plain-text body or part
+ * @returns {Object} - { subject, html, text, bodyText, links, images }
+ */
+const analyzeMessage = (message) => {
+  const html = message.html === undefined || message.html === null ? null : String(message.html);
+  const text = String(message.text || '');
+
+  return {
+    subject: String(message.subject || ''),
+    html,
+    text,
+    bodyText: html !== null ? visibleText(html) : text.replace(/\s+/g, ' ').trim(),
+    links: findLinks(html, text),
+    images: html !== null ? (html.match(/<img\b/gi) || []).length : 0,
+  };
+};
+
+/**
+ * Score a message against the spam rules
+ * @param {Object} message - The message, see analyzeMessage
+ * @returns {Object} - { score, threshold, rating, rules } where rating is low, medium or high
+ *   and rules lists the rules that matched, highest score first
+ */
+const checkMessage = (message) => {
+  const analyzed = analyzeMessage(message);
+  const threshold = getThreshold();
+
+  const matched = rules
+    .map((rule) => {
+      const detail = rule.test(analyzed);
+      return detail ? {
+        name: rule.name,
+        score: rule.score,
+        description: rule.description,
+        detail,
+      } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+
+  const score = Math.round(matched.reduce((total, rule) => total + rule.score, 0) * 10) / 10;
+  let rating = 'low';
+
+  if (score >= threshold) {
+    rating = 'high';
+  } else if (score >= threshold / 2) {
+    rating = 'medium';
+  }
+
+  return {
+    score,
+    threshold,
+    rating,
+    rules: matched,
+  };
+};
+
+module.exports = {
+  analyzeMessage,
+  checkMessage,
+  registerRule,
+};
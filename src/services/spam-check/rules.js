@@ -0,0 +1,205 @@
+/**
+ * Heuristics that make a message look like spam to content filters, in the
+ * style of SpamAssassin rules. Each rule has a name, the score it adds when it
+ * matches and a test that receives the analyzed message (see analyzeMessage)
+ * and returns a description of what matched, or null.
+ */
+
+// Domains of public URL shorteners, which hide where links go
+const URL_SHORTENERS = [
+  'bit.ly', 'bitly.com', 'buff.ly', 'cutt.ly', 'goo.gl', 'is.gd', 'ow.ly', 'rb.gy', 'rebrand.ly',
+  'shorturl.at', 't.co', 't.ly', 'tiny.cc', 'tinyurl.com', 'v.gd',
+];
+
+// Phrases common in spam
+const SUSPICIOUS_PHRASES = [
+  '100% free', 'act now', 'apply now', 'as seen on', 'being a member', 'buy direct', 'cash bonus',
+  'click below', 'click here', 'congratulations', 'dear friend', 'double your', 'earn money',
+  'extra income', 'free access', 'free gift', 'get paid', 'guaranteed', 'increase sales',
+  'limited time', 'lowest price', 'make money', 'million dollars', 'miracle', 'no catch',
+  'no credit check', 'no obligation', 'not spam', 'once in a lifetime', 'order now', 'risk-free',
+  'risk free', 'satisfaction guaranteed', 'special promotion', 'this isn\'t spam', 'urgent',
+  'what are you waiting for', 'while supplies last', 'winner', 'work from home', 'you have been selected',
+];
+
+// Characters of text, besides links, a plain-text part needs to stand in for the HTML
+const MIN_TEXT_PART_LENGTH = 20;
+
+/**
+ * Get the share of the letters in a text that are upper case
+ * @param {string} text - Text
+ * @returns {number} - Between 0 and 1, 0 if the text has no letters
+ */
+const upperCaseRatio = (text) => {
+  const letters = text.replace(/[^a-zA-Z]/g, '');
+  return letters.length === 0 ? 0 : letters.replace(/[^A-Z]/g, '').length / letters.length;
+};
+
+/**
+ * Get the host name of a URL
+ * @param {string} url - URL
+ * @returns {string|null} - Lower-case host name, or null if it isn't an http(s) URL
+ */
+const hostOf = (url) => {
+  const match = String(url).trim().match(/^https?:\/\/([^/?#:]+)/i);
+  return match ? match[1].toLowerCase().replace(/^www\./, '') : null;
+};
+
+/**
+ * Find the suspicious phrases in a message
+ * @param {Object} message - Analyzed message
+ * @returns {Array<string>} - Phrases found in the subject or body
+ */
+const findPhrases = (message) => {
+  const text = `${message.subject} ${message.bodyText}`.toLowerCase();
+  return SUSPICIOUS_PHRASES.filter((phrase) => text.includes(phrase));
+};
+
+const rules = [
+  {
+    name: 'SUBJECT_MISSING',
+    score: 1.5,
+    description: 'The subject is empty',
+    test: (message) => (message.subject.trim() === '' ? 'No subject' : null),
+  },
+  {
+    name: 'SUBJECT_ALL_CAPS',
+    score: 1.5,
+    description: 'The subject is written in capital letters',
+    test: (message) => (message.subject.replace(/[^a-zA-Z]/g, '').length >= 8 && upperCaseRatio(message.subject) >= 0.7
+      ? `"${message.subject}"`
+      : null),
+  },
+  {
+    name: 'SUBJECT_EXCLAMATION',
+    score: 1.0,
+    description: 'The subject has more than one exclamation mark',
+    test: (message) => {
+      const count = (message.subject.match(/!/g) || []).length;
+      return count > 1 ? `${count} exclamation marks` : null;
+    },
+  },
+  {
+    name: 'SUBJECT_FAKE_REPLY',
+    score: 1.0,
+    description: 'The subject pretends to be a reply or forward',
+    test: (message) => (/^\s*(re|fwd?)\s*:/i.test(message.subject) ? `"${message.subject}"` : null),
+  },
+  {
+    name: 'BODY_EXCLAMATION',
+    score: 1.0,
+    description: 'The body has many exclamation marks',
+    test: (message) => {
+      const count = (message.bodyText.match(/!/g) || []).length;
+      const runs = (message.bodyText.match(/!{3,}/g) || []).length;
+      return count >= 5 || runs > 0 ? `${count} exclamation marks` : null;
+    },
+  },
+  {
+    name: 'BODY_ALL_CAPS',
+    score: 1.0,
+    description: 'Much of the body is written in capital letters',
+    test: (message) => {
+      const words = message.bodyText.match(/[a-zA-Z]{4,}/g) || [];
+      const shouted = words.filter((word) => word === word.toUpperCase());
+      return words.length >= 10 && shouted.length / words.length >= 0.3
+        ? `${shouted.length} of ${words.length} words in capitals`
+        : null;
+    },
+  },
+  {
+    name: 'SUSPICIOUS_PHRASES',
+    score: 1.0,
+    description: 'The message uses phrases common in spam',
+    test: (message) => {
+      const phrases = findPhrases(message);
+      return phrases.length > 0 ? phrases.map((phrase) => `"${phrase}"`).join(', ') : null;
+    },
+  },
+  {
+    name: 'MANY_SUSPICIOUS_PHRASES',
+    score: 1.5,
+    description: 'The message uses three or more phrases common in spam',
+    test: (message) => {
+      const phrases = findPhrases(message);
+      return phrases.length >= 3 ? `${phrases.length} phrases` : null;
+    },
+  },
+  {
+    name: 'URL_SHORTENER',
+    score: 1.5,
+    description: 'Links go through a URL shortener',
+    test: (message) => {
+      const hosts = Array.from(new Set(message.links.map((link) => hostOf(link.href))))
+        .filter((host) => host && URL_SHORTENERS.includes(host));
+      return hosts.length > 0 ? hosts.join(', ') : null;
+    },
+  },
+  {
+    name: 'LINK_TEXT_MISMATCH',
+    score: 2.0,
+    description: 'A link shows a URL on a different domain than it goes to',
+    test: (message) => {
+      const mismatched = message.links.filter((link) => {
+        const shown = hostOf(link.text);
+        const target = hostOf(link.href);
+        return shown && target && shown !== target && !target.endsWith(`.${shown}`);
+      });
+      return mismatched.length > 0 ? mismatched.map((link) => `${link.text} -> ${link.href}`).join(', ') : null;
+    },
+  },
+  {
+    name: 'HTML_IMAGE_ONLY',
+    score: 2.5,
+    description: 'The HTML body is images with almost no text',
+    test: (message) => (message.images > 0 && message.bodyText.length < 200
+      ? `${message.images} image${message.images === 1 ? '' : 's'} and ${message.bodyText.length} characters of text`
+      : null),
+  },
+  {
+    name: 'HTML_IMAGE_RATIO',
+    score: 1.0,
+    description: 'The HTML body has little text for its number of images',
+    test: (message) => (message.images > 0 && message.bodyText.length >= 200 && message.bodyText.length / message.images < 400
+      ? `${message.images} images and ${message.bodyText.length} characters of text`
+      : null),
+  },
+  {
+    name: 'MISSING_TEXT_PART',
+    score: 1.5,
+    description: 'The HTML message has an empty or almost empty plain-text part',
+    test: (message) => {
+      if (message.html === null) {
+        return null;
+      }
+
+      // Text generated from image-only HTML is little more than its links
+      const text = message.text.replace(/https?:\/\/\S+/gi, ' ').replace(/\s+/g, ' ').trim();
+
+      if (text.length >= MIN_TEXT_PART_LENGTH) {
+        return null;
+      }
+
+      return text ? `The text part has only ${text.length} characters besides links` : 'The text part is empty';
+    },
+  },
+];
+
+/**
+ * Add a rule or replace the rule with the same name
+ * @param {Object} rule - Rule with a name, score and test(message)
+ */
+const registerRule = (rule) => {
+  const index = rules.findIndex((existing) => existing.name === rule.name);
+
+  if (index === -1) {
+    rules.push(rule);
+  } else {
+    rules[index] = rule;
+  }
+};
+
+module.exports = {
+  rules,
+  registerRule,
+};
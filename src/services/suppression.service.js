@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Suppression = require('../models/suppression.model');
+const Campaign = require('../models/campaign.model');
+const Email = require('../models/email.model');
+const User = require('../models/user.model');
+const { logger } = require('../utils/logger');
+
+/**
+ * Check whether an address is on the suppression list
+ * @param {string} address - Email address
+ * @returns {Promise<boolean>} - True if emails to this address must not be sent
+ */
+const isSuppressed = (address) => Suppression.isSuppressed(address);
+
+/**
+ * Add an address to the suppression list
+ * @param {string} address - Email address
+ * @param {Object} data - Reason, source and related user/campaign/email IDs
+ * @returns {Promise<Object>} - The suppression and whether it was newly created
+ */
+const suppressAddress = async (address, data) => {
+  const result = await Suppression.suppress(address, data);
+
+  if (result.created) {
+    logger.info(`Suppressed ${address} (${data.reason})`);
+  }
+
+  return result;
+};
+
+/**
+ * Unsubscribe a user from all campaign emails
+ * @param {Object} params - Unsubscribe parameters
+ * @param {string} params.userId - User who unsubscribed
+ * @param {string} params.campaignId - Campaign whose email contained the link, if known
+ * @param {string} params.source - Where the unsubscribe came from
+ * @returns {Promise<Object|null>} - User, suppression and whether it was new; null if the user doesn't exist
+ */
+const unsubscribeUser = async ({ userId, campaignId, source = 'unsubscribe_link' }) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    logger.warn(`Unsubscribe requested for unknown user ${userId}`);
+    return null;
+  }
+
+  const validCampaignId = mongoose.isValidObjectId(campaignId) ? campaignId : undefined;
+
+  const { suppression, created } = await suppressAddress(user.email, {
+    reason: 'unsubscribe',
+    userId: user._id,
+    campaignId: validCampaignId,
+    source,
+  });
+
+  // Only count the first unsubscribe so repeated clicks don't inflate analytics
+  if (created && validCampaignId) {
+    await Campaign.findByIdAndUpdate(validCampaignId, {
+      $inc: { 'analytics.unsubscribed': 1 }
+    });
+
+    // Record the unsubscribe on the most recent email of the campaign
+    await Email.findOneAndUpdate(
+      { userId: user._id, campaignId: validCampaignId },
+      { status: 'unsubscribed' },
+      { sort: { createdAt: -1 } }
+    );
+  }
+
+  logger.info(`Processed unsubscribe for User ${user._id}`);
+
+  return { user, suppression, created };
+};
+
+module.exports = {
+  isSuppressed,
+  suppressAddress,
+  unsubscribeUser,
+};
@@ -0,0 +1,47 @@
+/**
+ * Base class for errors in templates, such as syntax errors or missing
+ * partials. These are problems with the template rather than the server.
+ */
+class TemplateError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {number} line - Line of the template the error is on
+   */
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateError';
+    this.line = line;
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Error thrown for templates that can't be parsed
+ */
+class TemplateSyntaxError extends TemplateError {
+  constructor(message, line) {
+    super(message, line);
+    this.name = 'TemplateSyntaxError';
+  }
+}
+
+/**
+ * Error thrown when a template with validation errors is saved
+ */
+class TemplateValidationError extends TemplateError {
+  /**
+   * @param {Object} report - Validation report with errors and warnings
+   */
+  constructor(report) {
+    super(report.errors.map((error) => error.message).join('; '));
+    this.name = 'TemplateValidationError';
+    this.errors = report.errors;
+    this.warnings = report.warnings;
+  }
+}
+
+module.exports = {
+  TemplateError,
+  TemplateSyntaxError,
+  TemplateValidationError,
+};
@@ -0,0 +1,281 @@
+/**
+ * Filters available in templates, e.g. {{ name | upper }} or
+ * {{ total | currency: "EUR" }}. Each filter receives the value, its
+ * arguments and the render options.
+ */
+
+const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Check whether a value counts as empty for the default filter
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isBlank = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Convert a value to a string, treating missing values as empty
+ * @param {*} value - Value to convert
+ * @returns {string}
+ */
+const toText = (value) => (value === undefined || value === null ? '' : String(value));
+
+/**
+ * Convert a value to a number, or NaN
+ * @param {*} value - Value to convert
+ * @returns {number}
+ */
+const toNumber = (value) => (typeof value === 'number' ? value : parseFloat(value));
+
+/**
+ * Convert a value to a date, or null if it isn't one
+ * @param {*} value - Date, timestamp or date string; "now" for the current time
+ * @returns {Date|null}
+ */
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (value === 'now' || value === 'today') {
+    return new Date();
+  }
+
+  const date = value instanceof Date ? value : new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date with strftime-style directives
+ * @param {Date} date - Date to format
+ * @param {string} format - Format, e.g. "%B %-d, %Y"
+ * @param {string} locale - Locale for month and weekday names and the %x, %X and %c formats
+ * @param {string} timeZone - IANA time zone, UTC by default
+ * @returns {string} - Formatted date
+ */
+const strftime = (date, format, locale, timeZone) => {
+  const part = (options) => new Intl.DateTimeFormat(locale, { timeZone, ...options }).format(date);
+  const numeric = (options) => parseInt(new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', ...options }).format(date), 10);
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+
+  const year = numeric({ year: 'numeric' });
+  const month = numeric({ month: 'numeric' });
+  const day = numeric({ day: 'numeric' });
+  const hour = numeric({ hour: 'numeric' }) % 24;
+  const minute = numeric({ minute: 'numeric' });
+  const second = numeric({ second: 'numeric' });
+
+  const directives = {
+    Y: () => year,
+    y: () => pad(year % 100),
+    m: () => pad(month),
+    '-m': () => month,
+    d: () => pad(day),
+    '-d': () => day,
+    e: () => String(day).padStart(2, ' '),
+    H: () => pad(hour),
+    '-H': () => hour,
+    I: () => pad(hour % 12 || 12),
+    '-I': () => hour % 12 || 12,
+    M: () => pad(minute),
+    S: () => pad(second),
+    p: () => (hour < 12 ? 'AM' : 'PM'),
+    b: () => part({ month: 'short' }),
+    B: () => part({ month: 'long' }),
+    a: () => part({ weekday: 'short' }),
+    A: () => part({ weekday: 'long' }),
+    x: () => part({ dateStyle: 'short' }),
+    X: () => part({ timeStyle: 'short' }),
+    c: () => part({ dateStyle: 'medium', timeStyle: 'short' }),
+    '%': () => '%',
+  };
+
+  return format.replace(/%(-?[A-Za-z%])/g, (match, directive) => (directives[directive] ? directives[directive]() : match));
+};
+
+/**
+ * Named date formats accepted by the date filter
+ */
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+const filters = {
+  upper: (value) => toText(value).toUpperCase(),
+
+  lower: (value) => toText(value).toLowerCase(),
+
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+
+  trim: (value) => toText(value).trim(),
+
+  default: (value, [fallback = '']) => (isBlank(value) ? fallback : value),
+
+  truncate: (value, [length = 50, ending = '...']) => {
+    const text = toText(value);
+    return text.length > length ? text.slice(0, Math.max(length - ending.length, 0)) + ending : text;
+  },
+
+  replace: (value, [search = '', replacement = '']) => toText(value)
+    .split(String(search))
+    .join(String(replacement)),
+
+  join: (value, [separator = ', ']) => (Array.isArray(value) ? value.join(separator) : value),
+
+  size: (value) => {
+    if (Array.isArray(value) || typeof value === 'string') {
+      return value.length;
+    }
+    if (value instanceof Map) {
+      return value.size;
+    }
+    return value && typeof value === 'object' ? Object.keys(value).length : 0;
+  },
+
+  first: (value) => (Array.isArray(value) || typeof value === 'string' ? value[0] : undefined),
+
+  last: (value) => (Array.isArray(value) || typeof value === 'string' ? value[value.length - 1] : undefined),
+
+  round: (value, [decimals = 0]) => {
+    const number = toNumber(value);
+    return Number.isNaN(number) ? value : Number(number.toFixed(decimals));
+  },
+
+  number: (value, [decimals], options) => {
+    const number = toNumber(value);
+
+    if (Number.isNaN(number)) {
+      return value;
+    }
+
+    const digits = decimals === undefined ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+    return new Intl.NumberFormat(options.locale || DEFAULT_LOCALE, digits).format(number);
+  },
+
+  percent: (value, [decimals = 0], options) => {
+    const number = toNumber(value);
+
+    if (Number.isNaN(number)) {
+      return value;
+    }
+
+    return new Intl.NumberFormat(options.locale || DEFAULT_LOCALE, {
+      style: 'percent',
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }).format(number);
+  },
+
+  currency: (value, [currency], options) => {
+    const number = toNumber(value);
+
+    if (Number.isNaN(number)) {
+      return value;
+    }
+
+    return new Intl.NumberFormat(options.locale || DEFAULT_LOCALE, {
+      style: 'currency',
+      currency: currency || options.currency || 'USD',
+    }).format(number);
+  },
+
+  date: (value, [format = '%Y-%m-%d', timeZone], options) => {
+    const date = toDate(value);
+
+    if (!date) {
+      return value;
+    }
+
+    const locale = options.locale || DEFAULT_LOCALE;
+    const zone = timeZone || options.timeZone || 'UTC';
+
+    if (DATE_STYLES.includes(format)) {
+      return new Intl.DateTimeFormat(locale, { dateStyle: format, timeZone: zone }).format(date);
+    }
+
+    return strftime(date, format, locale, zone);
+  },
+
+  url_encode: (value) => encodeURIComponent(toText(value)),
+};
+
+// Built-in filters, whose arguments are checked unless they are replaced
+const builtIns = { ...filters };
+
+/**
+ * Check a number of decimals
+ * @param {*} decimals - Decimals argument, if given
+ * @param {number} max - Most decimals the filter supports
+ * @returns {string|null} - What is wrong, or null
+ */
+const checkDecimals = (decimals, max) => {
+  const number = Number(decimals);
+
+  return decimals === undefined || (Number.isInteger(number) && number >= 0 && number <= max)
+    ? null
+    : `decimals must be a whole number from 0 to ${max}, not ${JSON.stringify(decimals)}`;
+};
+
+/**
+ * Check whether Intl accepts an option
+ * @param {Function} create - Creates the Intl formatter, throwing a RangeError for invalid options
+ * @returns {boolean}
+ */
+const isAccepted = (create) => {
+  try {
+    create();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Checks of the arguments of built-in filters that would otherwise fail with
+ * a RangeError, each returning what is wrong or null
+ */
+const argumentChecks = {
+  round: ([decimals]) => checkDecimals(decimals, 100),
+
+  number: ([decimals]) => checkDecimals(decimals, 20),
+
+  percent: ([decimals]) => checkDecimals(decimals, 20),
+
+  currency: ([currency]) => (!currency || isAccepted(() => new Intl.NumberFormat(DEFAULT_LOCALE, { style: 'currency', currency }))
+    ? null
+    : `${JSON.stringify(currency)} is not a currency code`),
+
+  date: ([, timeZone]) => (!timeZone || isAccepted(() => new Intl.DateTimeFormat(DEFAULT_LOCALE, { timeZone }))
+    ? null
+    : `${JSON.stringify(timeZone)} is not a time zone`),
+};
+
+/**
+ * Check the arguments of a filter
+ * @param {string} name - Filter name
+ * @param {Array} args - Argument values
+ * @returns {string|null} - What is wrong with the arguments, or null
+ */
+const checkFilterArguments = (name, args) => (
+  Object.prototype.hasOwnProperty.call(argumentChecks, name) && filters[name] === builtIns[name]
+    ? argumentChecks[name](args)
+    : null
+);
+
+/**
+ * Add a filter or replace an existing one
+ * @param {string} name - Filter name used in templates
+ * @param {Function} filter - Receives (value, args, options) and returns the new value
+ */
+const registerFilter = (name, filter) => {
+  filters[name] = filter;
+};
+
+module.exports = {
+  filters,
+  registerFilter,
+  checkFilterArguments,
+};
@@ -0,0 +1,573 @@
+const { TemplateError, TemplateSyntaxError, TemplateValidationError } = require('./errors');
+const { parse } = require('./parser');
+const { filters, registerFilter, checkFilterArguments } = require('./filters');
+
+// Compiled templates, keyed by source
+const cache = new Map();
+const CACHE_SIZE = 500;
+
+/**
+ * Escape a value for use in HTML
+ * @param {string} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Text that is output as is, without HTML escaping, such as the rendered
+ * content a layout wraps
+ */
+class SafeString {
+  /**
+   * @param {string} value - Trusted text
+   */
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Read a property the way templates see it: own properties, Map entries
+ * and array or string lengths, never anything from the prototype chain
+ * @param {*} value - Object to read from
+ * @param {string} key - Property name
+ * @returns {*} - Property value, or undefined
+ */
+const getProperty = (value, key) => {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (value instanceof Map) {
+    return value.get(key);
+  }
+  if (key === 'length' && (Array.isArray(value) || typeof value === 'string')) {
+    return value.length;
+  }
+  if (typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)) {
+    return value[key];
+  }
+
+  return undefined;
+};
+
+/**
+ * Check whether a scope defines a name, as a block parameter or data property
+ * @param {Object} scope - Render scope
+ * @param {string} name - Name to look up
+ * @returns {boolean}
+ */
+const defines = (scope, name) => Object.prototype.hasOwnProperty.call(scope.params, name)
+  || (scope.data instanceof Map ? scope.data.has(name) : (scope.data !== null && typeof scope.data === 'object' && Object.prototype.hasOwnProperty.call(scope.data, name)));
+
+/**
+ * Resolve a path such as user.name, this.price, @index or ../user_name
+ * @param {Object} node - Path node
+ * @param {Object} scope - Innermost render scope
+ * @returns {*} - Value, or undefined if it doesn't exist
+ */
+const resolvePath = (node, scope) => {
+  let start = scope;
+
+  for (let i = 0; i < node.depth && start.parent; i++) {
+    start = start.parent;
+  }
+
+  const [name, ...rest] = node.segments;
+  let value;
+
+  if (node.self) {
+    value = start.data;
+    return node.segments.reduce(getProperty, value);
+  }
+
+  if (name === '@root') {
+    let root = start;
+    while (root.parent) {
+      root = root.parent;
+    }
+    return rest.reduce(getProperty, root.data);
+  }
+
+  if (name.startsWith('@')) {
+    // Loop variables come from the innermost loop
+    for (let current = start; current; current = current.parent) {
+      if (current.locals && Object.prototype.hasOwnProperty.call(current.locals, name.slice(1))) {
+        return rest.reduce(getProperty, current.locals[name.slice(1)]);
+      }
+    }
+    return undefined;
+  }
+
+  // Names resolve in the innermost scope that defines them, so loop bodies still see outer variables
+  for (let current = start; current; current = current.parent) {
+    if (Object.prototype.hasOwnProperty.call(current.params, name)) {
+      value = current.params[name];
+      return rest.reduce(getProperty, value);
+    }
+    if (defines(current, name)) {
+      return rest.reduce(getProperty, getProperty(current.data, name));
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Check whether a value counts as true in conditions: empty strings, zero,
+ * empty lists and missing values are false
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isTruthy = (value) => {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (value instanceof Map) {
+    return value.size > 0;
+  }
+
+  return Boolean(value) && !Number.isNaN(value);
+};
+
+/**
+ * Compare two values, numerically when both look like numbers
+ * @param {string} operator - Comparison operator
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {boolean}
+ */
+const compare = (operator, left, right) => {
+  const numeric = left !== '' && right !== '' && left !== null && right !== null
+    && !Number.isNaN(Number(left)) && !Number.isNaN(Number(right))
+    && typeof left !== 'boolean' && typeof right !== 'boolean';
+  const a = numeric ? Number(left) : left;
+  const b = numeric ? Number(right) : right;
+
+  switch (operator) {
+    case '==':
+      // Missing and null values are equal to each other
+      return a === b || (a === undefined && b === null) || (a === null && b === undefined);
+    case '!=':
+      return !compare('==', left, right);
+    case '>':
+      return a > b;
+    case '<':
+      return a < b;
+    case '>=':
+      return a >= b;
+    case '<=':
+      return a <= b;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Apply a filter. Filters failing on their arguments, such as an invalid
+ * currency code from a variable, are errors in the template rather than the
+ * server. Literal arguments are checked when the template is compiled.
+ * @param {Object} node - Filter node
+ * @param {*} value - Value to filter
+ * @param {Array} args - Argument values
+ * @param {Object} options - Render options
+ * @returns {*} - Filtered value
+ * @throws {TemplateError} - If the filter fails
+ */
+const applyFilter = (node, value, args, options) => {
+  try {
+    return filters[node.name](value, args, options);
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      throw error;
+    }
+    throw new TemplateError(`Filter "${node.name}" failed: ${error.message}`, node.line);
+  }
+};
+
+/**
+ * Evaluate an expression
+ * @param {Object} node - Expression node
+ * @param {Object} scope - Render scope
+ * @param {Object} options - Render options
+ * @returns {*} - Value
+ */
+const evaluate = (node, scope, options) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return resolvePath(node, scope);
+    case 'filter':
+      return applyFilter(node, evaluate(node.input, scope, options), node.args.map((arg) => evaluate(arg, scope, options)), options);
+    case 'compare':
+      return compare(node.operator, evaluate(node.left, scope, options), evaluate(node.right, scope, options));
+    case 'not':
+      return !isTruthy(evaluate(node.operand, scope, options));
+    case 'and': {
+      const left = evaluate(node.left, scope, options);
+      return isTruthy(left) ? evaluate(node.right, scope, options) : left;
+    }
+    case 'or': {
+      const left = evaluate(node.left, scope, options);
+      return isTruthy(left) ? left : evaluate(node.right, scope, options);
+    }
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Convert an output value to text. Missing values render as nothing rather
+ * than as the raw tag.
+ * @param {*} value - Value
+ * @returns {string} - Text
+ */
+const toText = (value) => {
+  if (value === undefined || value === null || Number.isNaN(value)) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(toText).join(', ');
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof SafeString) {
+    return value.toString();
+  }
+  if (typeof value === 'object') {
+    return '';
+  }
+
+  return String(value);
+};
+
+/**
+ * Get the entries a loop iterates over
+ * @param {*} collection - Array, Map or object
+ * @returns {Array<Array>} - [key, value] pairs
+ */
+const getEntries = (collection) => {
+  if (Array.isArray(collection)) {
+    return collection.map((item, index) => [index, item]);
+  }
+  if (collection instanceof Map) {
+    return Array.from(collection.entries());
+  }
+  if (collection && typeof collection === 'object' && !(collection instanceof Date)) {
+    return Object.entries(collection);
+  }
+
+  return [];
+};
+
+/**
+ * Render a list of nodes
+ * @param {Array<Object>} nodes - Template nodes
+ * @param {Object} scope - Render scope
+ * @param {Object} options - Render options
+ * @returns {string} - Rendered text
+ */
+const renderNodes = (nodes, scope, options) => nodes.map((node) => {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'output': {
+      const value = evaluate(node.expression, scope, options);
+      const text = toText(value);
+      return options.html && !node.raw && !(value instanceof SafeString) ? escapeHtml(text) : text;
+    }
+    case 'partial':
+      return renderPartial(node, scope, options);
+    case 'if': {
+      const branch = node.branches.find(({ condition, negate }) => {
+        const result = isTruthy(evaluate(condition, scope, options));
+        return negate ? !result : result;
+      });
+      return renderNodes(branch ? branch.body : node.elseBody, scope, options);
+    }
+    case 'each': {
+      const entries = getEntries(evaluate(node.collection, scope, options));
+
+      if (entries.length === 0) {
+        return renderNodes(node.elseBody, scope, options);
+      }
+
+      return entries.map(([key, item], index) => {
+        const params = {};
+        if (node.itemName) {
+          params[node.itemName] = item;
+        }
+        if (node.indexName) {
+          params[node.indexName] = key;
+        }
+        if (node.forloop) {
+          params.forloop = {
+            index: index + 1,
+            index0: index,
+            rindex: entries.length - index,
+            rindex0: entries.length - index - 1,
+            first: index === 0,
+            last: index === entries.length - 1,
+            length: entries.length,
+          };
+        }
+
+        return renderNodes(node.body, {
+          data: item,
+          params,
+          locals: {
+            index,
+            key,
+            first: index === 0,
+            last: index === entries.length - 1,
+          },
+          parent: scope,
+        }, options);
+      }).join('');
+    }
+    default:
+      return '';
+  }
+}).join('');
+
+/**
+ * Render a partial in the current scope
+ * @param {Object} node - Partial node
+ * @param {Object} scope - Render scope
+ * @param {Object} options - Render options
+ * @param {Object} options.partials - Partial sources by name
+ * @returns {string} - Rendered text
+ */
+const renderPartial = (node, scope, options) => {
+  const stack = options.partialStack || [];
+  const partials = options.partials || {};
+
+  if (!Object.prototype.hasOwnProperty.call(partials, node.name)) {
+    throw new TemplateError(`Partial "${node.name}" not found`, node.line);
+  }
+  if (stack.includes(node.name)) {
+    throw new TemplateError(`Partial "${node.name}" includes itself (${stack.concat(node.name).join(' > ')})`, node.line);
+  }
+
+  return renderNodes(compile(partials[node.name]).nodes, scope, { ...options, partialStack: stack.concat(node.name) });
+};
+
+/**
+ * Get the names of the partials a template includes
+ * @param {Array<Object>} nodes - Template nodes
+ * @returns {Array<string>} - Partial names
+ */
+const collectPartials = (nodes) => {
+  const partials = new Set();
+
+  const walk = (children) => children.forEach((node) => {
+    if (node.type === 'partial') {
+      partials.add(node.name);
+    } else if (node.type === 'if') {
+      node.branches.forEach((branch) => walk(branch.body));
+      walk(node.elseBody);
+    } else if (node.type === 'each') {
+      walk(node.body);
+      walk(node.elseBody);
+    }
+  });
+
+  walk(nodes);
+  return Array.from(partials);
+};
+
+/**
+ * Find a cycle of partials that include each other
+ * @param {Array<string>} names - Partials to start from
+ * @param {Object} partials - Partial sources by name
+ * @returns {Array<string>|null} - The cycle, e.g. ['a', 'b', 'a'], or null if there is none
+ */
+const findPartialCycle = (names, partials) => {
+  const done = new Set();
+
+  const visit = (name, path) => {
+    if (path.includes(name)) {
+      return path.slice(path.indexOf(name)).concat(name);
+    }
+    if (done.has(name) || !Object.prototype.hasOwnProperty.call(partials, name)) {
+      return null;
+    }
+
+    const next = path.concat(name);
+    for (const child of compile(partials[name]).partials) {
+      const cycle = visit(child, next);
+      if (cycle) {
+        return cycle;
+      }
+    }
+
+    done.add(name);
+    return null;
+  };
+
+  for (const name of names) {
+    const cycle = visit(name, []);
+    if (cycle) {
+      return cycle;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Walk every expression of a template
+ * @param {Array<Object>} nodes - Template nodes
+ * @param {Function} visit - Called with (expression node, block parameters in scope, inside an each block without parameters)
+ * @param {Array<string>} params - Block parameters in scope
+ * @param {boolean} inLoop - Whether bare names may refer to loop items
+ */
+const walkExpressions = (nodes, visit, params = [], inLoop = false) => {
+  const walkExpression = (expression) => {
+    visit(expression, params, inLoop);
+
+    ['input', 'left', 'right', 'operand'].forEach((key) => {
+      if (expression[key]) {
+        walkExpression(expression[key]);
+      }
+    });
+    (expression.args || []).forEach(walkExpression);
+  };
+
+  nodes.forEach((node) => {
+    if (node.type === 'output') {
+      walkExpression(node.expression);
+    } else if (node.type === 'if') {
+      node.branches.forEach((branch) => {
+        walkExpression(branch.condition);
+        walkExpressions(branch.body, visit, params, inLoop);
+      });
+      walkExpressions(node.elseBody, visit, params, inLoop);
+    } else if (node.type === 'each') {
+      walkExpression(node.collection);
+      const loopParams = params.concat([node.itemName, node.indexName, node.forloop && 'forloop'].filter(Boolean));
+      walkExpressions(node.body, visit, loopParams, inLoop || !node.itemName);
+      walkExpressions(node.elseBody, visit, params, inLoop);
+    }
+  });
+};
+
+/**
+ * Get the names of the top-level variables a template uses
+ * @param {Array<Object>} nodes - Template nodes
+ * @returns {Array<string>} - Variable names
+ */
+const collectVariables = (nodes) => {
+  const variables = new Set();
+
+  walkExpressions(nodes, (expression, params, inLoop) => {
+    if (expression.type !== 'path' || expression.self || expression.depth > 0 || inLoop) {
+      return;
+    }
+
+    const [name] = expression.segments;
+
+    if (!name.startsWith('@') && !params.includes(name)) {
+      variables.add(name);
+    }
+  });
+
+  return Array.from(variables);
+};
+
+/**
+ * Check that every filter a template uses exists, and that the arguments
+ * written as literals are valid
+ * @param {Array<Object>} nodes - Template nodes
+ */
+const checkFilters = (nodes) => {
+  walkExpressions(nodes, (expression) => {
+    if (expression.type !== 'filter') {
+      return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(filters, expression.name)) {
+      throw new TemplateSyntaxError(`Unknown filter "${expression.name}"`, expression.line);
+    }
+
+    // Arguments from variables are checked when the template is rendered
+    const args = expression.args.map((arg) => (arg.type === 'literal' ? arg.value : undefined));
+    const problem = checkFilterArguments(expression.name, args);
+
+    if (problem) {
+      throw new TemplateSyntaxError(`Invalid arguments for filter "${expression.name}": ${problem}`, expression.line);
+    }
+  });
+};
+
+/**
+ * Compile a template. Compiled templates are cached by source.
+ * @param {string} source - Template source
+ * @returns {Object} - { nodes, variables, partials, render(data, options) }
+ */
+const compile = (source) => {
+  const key = String(source || '');
+
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const nodes = parse(key);
+  checkFilters(nodes);
+
+  const compiled = {
+    nodes,
+    variables: collectVariables(nodes),
+    partials: collectPartials(nodes),
+
+    /**
+     * Render the template
+     * @param {Object} data - Template variables
+     * @param {Object} options - Render options
+     * @param {boolean} options.html - Escape output for HTML
+     * @param {string} options.locale - Locale for number, currency and date filters
+     * @param {string} options.timeZone - Time zone for the date filter
+     * @param {Object} options.partials - Partial sources by name
+     * @returns {string} - Rendered text
+     * @throws {TemplateError} - If a partial is missing or includes itself
+     */
+    render: (data = {}, options = {}) => renderNodes(nodes, { data, params: {}, locals: null, parent: null }, options),
+  };
+
+  if (cache.size >= CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, compiled);
+
+  return compiled;
+};
+
+/**
+ * Render a template
+ * @param {string} source - Template source
+ * @param {Object} data - Template variables
+ * @param {Object} options - Render options, see compile
+ * @returns {string} - Rendered text
+ */
+const render = (source, data, options) => compile(source).render(data, options);
+
+module.exports = {
+  TemplateError,
+  TemplateSyntaxError,
+  TemplateValidationError,
+  SafeString,
+  compile,
+  render,
+  escapeHtml,
+  findPartialCycle,
+  registerFilter,
+};
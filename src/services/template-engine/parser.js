@@ -0,0 +1,529 @@
+/**
+ * Parser for the template language. Templates use Handlebars-style tags with
+ * Liquid-style filters:
+ *
+ *   {{ user_name | default: "there" }}        escaped output (in HTML templates)
+ *   {{{ event_html }}}                         raw output
+ *   {{#if cart_total > 100}} ... {{else if cart_total}} ... {{else}} ... {{/if}}
+ *   {{#unless user_vip}} ... {{/unless}}
+ *   {{#each event.items as |item|}} {{@index}} {{item.name}} {{else}} none {{/each}}
+ *   {{> footer}} or {{> "Legal footer"}}       partial, rendered in the current scope
+ *   {{! comment }} or {{!-- comment --}}
+ *
+ * Liquid control tags are understood too, with "{%-" and "-%}" trimming the
+ * whitespace next to them:
+ *
+ *   {% if cart_total > 100 %} ... {% elsif cart_total %} ... {% else %} ... {% endif %}
+ *   {% unless user_vip %} ... {% endunless %}
+ *   {% for item in event.items %} {{ forloop.index }} {{ item.name }} {% else %} none {% endfor %}
+ *   {% comment %} ... {% endcomment %}
+ *
+ * Other Liquid tags, such as assign or case, are syntax errors rather than
+ * text sent to recipients.
+ *
+ * The parser turns a template into a tree of nodes that the renderer walks.
+ */
+
+const { TemplateSyntaxError } = require('./errors');
+
+/**
+ * Blocks the parser understands
+ */
+const BLOCKS = ['if', 'unless', 'each'];
+
+/**
+ * Comparison operators allowed in expressions, longest first
+ */
+const OPERATORS = ['==', '!=', '>=', '<=', '>', '<'];
+
+/**
+ * Split the contents of a tag into expression tokens
+ * @param {string} source - Tag contents
+ * @param {number} line - Line of the tag
+ * @returns {Array<Object>} - Tokens as { type, value }
+ */
+const tokenizeExpression = (source, line) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const rest = source.slice(position);
+    let match;
+
+    if ((match = rest.match(/^\s+/))) {
+      position += match[0].length;
+      continue;
+    }
+
+    if ((match = rest.match(/^"((?:[^"\\]|\\.)*)"|^'((?:[^'\\]|\\.)*)'/))) {
+      const value = match[1] !== undefined ? match[1] : match[2];
+      tokens.push({ type: 'literal', value: value.replace(/\\(.)/g, '$1') });
+    } else if ((match = rest.match(/^-?\d+(?:\.\d+)?(?![\w.])/))) {
+      tokens.push({ type: 'literal', value: parseFloat(match[0]) });
+    } else if ((match = rest.match(/^(?:==|!=|>=|<=|>|<)/))) {
+      tokens.push({ type: 'operator', value: match[0] });
+    } else if ((match = rest.match(/^[|:,]/))) {
+      tokens.push({ type: 'punctuation', value: match[0] });
+    } else if ((match = rest.match(/^(?:\.\.\/)*@?[A-Za-z_$][\w$-]*(?:\.[\w$-]+)*/))) {
+      const word = match[0];
+
+      if (['and', 'or', 'not'].includes(word)) {
+        tokens.push({ type: 'keyword', value: word });
+      } else if (['true', 'false', 'null'].includes(word)) {
+        tokens.push({ type: 'literal', value: JSON.parse(word) });
+      } else {
+        tokens.push({ type: 'path', value: word });
+      }
+    } else {
+      throw new TemplateSyntaxError(`Unexpected "${rest[0]}" in "${source.trim()}"`, line);
+    }
+
+    position += match[0].length;
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a path such as user.name, this, @index or ../user_name
+ * @param {string} value - Path text
+ * @returns {Object} - Path node
+ */
+const parsePath = (value) => {
+  let depth = 0;
+  let path = value;
+
+  while (path.startsWith('../')) {
+    depth++;
+    path = path.slice(3);
+  }
+
+  const segments = path.split('.');
+
+  if (segments[0] === 'this') {
+    segments.shift();
+    return { type: 'path', depth, segments, self: true, text: value };
+  }
+
+  return { type: 'path', depth, segments, self: false, text: value };
+};
+
+/**
+ * Parse expression tokens into an expression tree
+ * @param {Array<Object>} tokens - Expression tokens
+ * @param {string} source - Tag contents, for error messages
+ * @param {number} line - Line of the tag
+ * @returns {Object} - Expression node
+ */
+const parseExpressionTokens = (tokens, source, line) => {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const fail = (message) => {
+    throw new TemplateSyntaxError(`${message} in "${source.trim()}"`, line);
+  };
+
+  const parseOperand = () => {
+    const token = next();
+
+    if (!token) {
+      fail('Expected a value');
+    }
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'path') {
+      return parsePath(token.value);
+    }
+
+    return fail(`Unexpected "${token.value}"`);
+  };
+
+  // value | filter: arg, arg | filter
+  const parseFiltered = () => {
+    let node = parseOperand();
+
+    while (peek() && peek().value === '|' && peek().type === 'punctuation') {
+      next();
+      const name = next();
+
+      if (!name || name.type !== 'path' || name.value.includes('.')) {
+        fail('Expected a filter name after "|"');
+      }
+
+      const args = [];
+
+      if (peek() && peek().value === ':') {
+        next();
+        args.push(parseOperand());
+
+        while (peek() && peek().value === ',') {
+          next();
+          args.push(parseOperand());
+        }
+      }
+
+      node = { type: 'filter', name: name.value, input: node, args, line };
+    }
+
+    return node;
+  };
+
+  const parseComparison = () => {
+    const left = parseFiltered();
+
+    if (peek() && peek().type === 'operator' && OPERATORS.includes(peek().value)) {
+      const operator = next().value;
+      return { type: 'compare', operator, left, right: parseFiltered() };
+    }
+
+    return left;
+  };
+
+  const parseNot = () => {
+    if (peek() && peek().type === 'keyword' && peek().value === 'not') {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+
+    return parseComparison();
+  };
+
+  const parseLogical = (keyword, parseSide) => () => {
+    let node = parseSide();
+
+    while (peek() && peek().type === 'keyword' && peek().value === keyword) {
+      next();
+      node = { type: keyword, left: node, right: parseSide() };
+    }
+
+    return node;
+  };
+
+  const parseAnd = parseLogical('and', parseNot);
+  const parseOr = parseLogical('or', parseAnd);
+
+  const expression = parseOr();
+
+  if (index < tokens.length) {
+    fail(`Unexpected "${tokens[index].value}"`);
+  }
+
+  return expression;
+};
+
+/**
+ * Parse the expression inside a tag
+ * @param {string} source - Expression text
+ * @param {number} line - Line of the tag
+ * @returns {Object} - Expression node
+ */
+const parseExpression = (source, line) => {
+  const tokens = tokenizeExpression(source, line);
+
+  if (tokens.length === 0) {
+    throw new TemplateSyntaxError('Empty tag', line);
+  }
+
+  return parseExpressionTokens(tokens, source, line);
+};
+
+/**
+ * Split a template into text and tag tokens
+ * @param {string} source - Template source
+ * @returns {Array<Object>} - Tokens as { type: 'text' | 'tag', value, raw, liquid, line }
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  const tagRegex = /\{\{\{([\s\S]*?)\}\}\}|\{\{!--([\s\S]*?)--\}\}|\{\{([\s\S]*?)\}\}|\{%(-?)([\s\S]*?)(-?)%\}/g;
+  let lastIndex = 0;
+  let line = 1;
+  let trimNext = false;
+  let match;
+
+  const advance = (text) => {
+    line += (text.match(/\n/g) || []).length;
+  };
+
+  const pushText = (text) => {
+    const value = trimNext ? text.replace(/^\s+/, '') : text;
+    trimNext = false;
+
+    if (value) {
+      tokens.push({ type: 'text', value, line: line + (text.slice(0, text.length - value.length).match(/\n/g) || []).length });
+    }
+    advance(text);
+  };
+
+  while ((match = tagRegex.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      pushText(source.slice(lastIndex, match.index));
+    }
+    trimNext = false;
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'tag', value: match[1].trim(), raw: true, line });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'tag', value: match[3].trim(), raw: false, line });
+    } else if (match[5] !== undefined) {
+      // {%- trims the whitespace before the tag and -%} the whitespace after it
+      const previous = tokens[tokens.length - 1];
+
+      if (match[4] && previous && previous.type === 'text') {
+        previous.value = previous.value.replace(/\s+$/, '');
+      }
+
+      tokens.push({ type: 'tag', value: match[5].trim(), raw: false, liquid: true, line });
+      trimNext = !!match[6];
+    }
+
+    advance(match[0]);
+    lastIndex = tagRegex.lastIndex;
+  }
+
+  if (lastIndex < source.length) {
+    const rest = source.slice(lastIndex);
+    const unclosed = ['{{', '{%'].map((opener) => rest.indexOf(opener)).filter((index) => index !== -1);
+
+    if (unclosed.length > 0) {
+      const index = Math.min(...unclosed);
+      throw new TemplateSyntaxError(`Unclosed "${rest.slice(index, index + 2)}" tag`, line + (rest.slice(0, index).match(/\n/g) || []).length);
+    }
+
+    pushText(rest);
+  }
+
+  return tokens;
+};
+
+/**
+ * Liquid control tags and the Handlebars-style tags they stand for
+ */
+const LIQUID_TAGS = {
+  if: (rest) => `#if ${rest}`,
+  elsif: (rest) => `else if ${rest}`,
+  else: () => 'else',
+  endif: () => '/if',
+  unless: (rest) => `#unless ${rest}`,
+  endunless: () => '/unless',
+  // for item in collection
+  for: (rest, line) => {
+    const match = rest.match(/^([A-Za-z_$][\w$]*)\s+in\s+(\S[\s\S]*)$/);
+
+    if (!match) {
+      throw new TemplateSyntaxError(`"for" needs "<item> in <list>" in "{% for ${rest} %}"`, line);
+    }
+    if (/\s(?:limit|offset)\s*:|\sreversed\s*$/.test(match[2])) {
+      throw new TemplateSyntaxError(`Unsupported "for" parameter in "{% for ${rest} %}"`, line);
+    }
+
+    return `#each ${match[2]} as |${match[1]}|`;
+  },
+  endfor: () => '/each',
+};
+
+/**
+ * Translate a Liquid control tag into the Handlebars-style tag it stands for
+ * @param {string} value - Tag contents, e.g. "if cart_total > 100"
+ * @param {number} line - Line of the tag
+ * @returns {string} - Handlebars-style tag contents, e.g. "#if cart_total > 100"
+ */
+const translateLiquidTag = (value, line) => {
+  const [, name = '', rest = ''] = value.match(/^([\w-]*)\s*([\s\S]*)$/) || [];
+
+  if (!Object.prototype.hasOwnProperty.call(LIQUID_TAGS, name)) {
+    throw new TemplateSyntaxError(`Unsupported tag "{% ${value} %}"`, line);
+  }
+
+  return LIQUID_TAGS[name](rest.trim(), line);
+};
+
+/**
+ * Parse the opening tag of an each block: "items" or "items as |item index|"
+ * @param {string} source - Tag contents after "#each"
+ * @param {number} line - Line of the tag
+ * @returns {Object} - Collection expression and block parameter names
+ */
+const parseEachTag = (source, line) => {
+  const match = source.match(/^([\s\S]*?)\s+as\s+\|\s*([A-Za-z_$][\w$]*)(?:\s+([A-Za-z_$][\w$]*))?\s*\|\s*$/);
+
+  if (!match) {
+    return { collection: parseExpression(source, line), itemName: null, indexName: null };
+  }
+
+  return {
+    collection: parseExpression(match[1], line),
+    itemName: match[2],
+    indexName: match[3] || null,
+  };
+};
+
+/**
+ * Parse a template into a tree of nodes
+ * @param {string} source - Template source
+ * @returns {Array<Object>} - Template nodes
+ */
+const parse = (source) => {
+  const root = { type: 'root', body: [] };
+  // Open blocks; the current one receives new nodes in its active branch
+  const stack = [root];
+  let target = root.body;
+
+  const current = () => stack[stack.length - 1];
+  // Line of the {% comment %} tag whose content is being skipped
+  let commentLine = null;
+
+  tokenize(String(source || '')).forEach((token) => {
+    if (commentLine) {
+      if (token.liquid && token.value === 'endcomment') {
+        commentLine = null;
+      }
+      return;
+    }
+
+    if (token.type === 'text') {
+      target.push({ type: 'text', value: token.value });
+      return;
+    }
+
+    if (token.liquid && token.value === 'comment') {
+      commentLine = token.line;
+      return;
+    }
+
+    const value = token.liquid ? translateLiquidTag(token.value, token.line) : token.value;
+    const { line } = token;
+
+    if (token.raw) {
+      target.push({ type: 'output', expression: parseExpression(value, line), raw: true, line });
+      return;
+    }
+
+    // Comments
+    if (value.startsWith('!')) {
+      return;
+    }
+
+    // Partials
+    if (value.startsWith('>')) {
+      // Names with spaces are quoted: {{> "Legal footer"}}
+      const match = value.slice(1).trim().match(/^(?:"([^"]+)"|'([^']+)'|([\w.\/-]+))$/);
+
+      if (!match) {
+        throw new TemplateSyntaxError(`Invalid partial name in "{{${value}}}"`, line);
+      }
+
+      target.push({ type: 'partial', name: match[1] || match[2] || match[3], line });
+      return;
+    }
+
+    // Block openers
+    if (value.startsWith('#')) {
+      const [, name, rest = ''] = value.match(/^#\s*([\w-]+)\s*([\s\S]*)$/) || [];
+
+      if (!BLOCKS.includes(name)) {
+        throw new TemplateSyntaxError(`Unknown block "#${name || ''}"`, line);
+      }
+      if (!rest.trim()) {
+        throw new TemplateSyntaxError(`"#${name}" needs an expression`, line);
+      }
+
+      let node;
+
+      if (name === 'each') {
+        node = { type: 'each', ...parseEachTag(rest, line), body: [], elseBody: [], line };
+
+        // Liquid loops describe the position of the item in forloop
+        if (token.liquid) {
+          node.forloop = true;
+        }
+      } else {
+        node = {
+          type: 'if',
+          name,
+          branches: [{ condition: parseExpression(rest, line), negate: name === 'unless', body: [] }],
+          elseBody: [],
+          line,
+        };
+      }
+
+      target.push(node);
+      stack.push(node);
+      target = node.type === 'each' ? node.body : node.branches[0].body;
+      return;
+    }
+
+    // Else and else-if branches
+    if (value === 'else' || /^else\s+if\s/.test(value)) {
+      const block = current();
+
+      if (block.type === 'root') {
+        throw new TemplateSyntaxError('"else" outside of a block', line);
+      }
+      if (block.hasElse) {
+        throw new TemplateSyntaxError(`"else" after the final "else" of "#${block.name || block.type}"`, line);
+      }
+
+      if (value === 'else') {
+        block.hasElse = true;
+        target = block.elseBody;
+      } else {
+        if (block.type !== 'if') {
+          throw new TemplateSyntaxError('"else if" is only allowed in "#if" and "#unless" blocks', line);
+        }
+
+        const branch = { condition: parseExpression(value.replace(/^else\s+if\s+/, ''), line), negate: false, body: [] };
+        block.branches.push(branch);
+        target = branch.body;
+      }
+      return;
+    }
+
+    // Block closers
+    if (value.startsWith('/')) {
+      const name = value.slice(1).trim();
+      const block = current();
+      const blockName = block.type === 'each' ? 'each' : block.name;
+
+      if (block.type === 'root') {
+        throw new TemplateSyntaxError(`"/${name}" without a matching "#${name}"`, line);
+      }
+      if (name !== blockName) {
+        throw new TemplateSyntaxError(`"/${name}" closes "#${blockName}" opened on line ${block.line}`, line);
+      }
+
+      stack.pop();
+      delete block.hasElse;
+
+      const parent = current();
+      if (parent.type === 'root') {
+        target = parent.body;
+      } else if (parent.hasElse) {
+        target = parent.elseBody;
+      } else if (parent.type === 'each') {
+        target = parent.body;
+      } else {
+        target = parent.branches[parent.branches.length - 1].body;
+      }
+      return;
+    }
+
+    target.push({ type: 'output', expression: parseExpression(value, line), raw: false, line });
+  });
+
+  if (commentLine) {
+    throw new TemplateSyntaxError('"{% comment %}" is never closed', commentLine);
+  }
+
+  if (stack.length > 1) {
+    const block = current();
+    throw new TemplateSyntaxError(`"#${block.type === 'each' ? 'each' : block.name}" is never closed`, block.line);
+  }
+
+  return root.body;
+};
+
+module.exports = {
+  parse,
+};
@@ -0,0 +1,237 @@
+/**
+ * Checks for templates that parse but are likely to render badly or break
+ * rules for bulk mail. Each check returns issues as
+ * { severity: 'error' | 'warning', code, field, line, message }.
+ */
+
+// Gmail clips messages whose HTML is larger than this
+const GMAIL_CLIP_SIZE = 102 * 1024;
+
+// Variables every campaign email gets
+const BUILT_IN_VARIABLES = [
+  'user_name',
+  'user_email',
+  'company_name',
+  'unsubscribe_link',
+  'preferences_link',
+  'user',
+  'event',
+  'campaign',
+];
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = [
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr',
+];
+
+// Elements whose closing tag may be left out
+const OPTIONAL_CLOSE_ELEMENTS = [
+  'body', 'colgroup', 'dd', 'dt', 'head', 'html', 'li', 'option', 'p', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
+];
+
+/**
+ * Create a lint issue
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} code - Machine-readable issue code
+ * @param {string} field - Template field the issue is in
+ * @param {string} message - Description of the issue
+ * @param {number} line - Line of the field, if known
+ * @returns {Object} - Issue
+ */
+const createIssue = (severity, code, field, message, line) => ({
+  severity,
+  code,
+  field,
+  ...(line ? { line } : {}),
+  message,
+});
+
+/**
+ * Get the line of an offset in a text
+ * @param {string} text - Text
+ * @param {number} offset - Character offset
+ * @returns {number} - Line number, starting at 1
+ */
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+/**
+ * Check that HTML elements are closed in the right order
+ * @param {string} html - HTML source
+ * @param {string} field - Template field
+ * @returns {Array<Object>} - Issues
+ */
+const checkTagBalance = (html, field) => {
+  const issues = [];
+  const open = [];
+  const source = html.replace(/<!--[\s\S]*?-->/g, (comment) => comment.replace(/[^\n]/g, ' '));
+  const tagRegex = /<(\/?)([a-zA-Z][\w-]*)\b(?:[^>"']|"[^"]*"|'[^']*')*?(\/?)>/g;
+  let match;
+
+  while ((match = tagRegex.exec(source)) !== null) {
+    const [, closing, rawName, selfClosing] = match;
+    const name = rawName.toLowerCase();
+    const line = lineAt(source, match.index);
+
+    if (VOID_ELEMENTS.includes(name) || selfClosing) {
+      continue;
+    }
+
+    if (!closing) {
+      open.push({ name, line });
+      continue;
+    }
+
+    const index = open.map((element) => element.name).lastIndexOf(name);
+
+    if (index === -1) {
+      issues.push(createIssue('warning', 'unexpected_closing_tag', field, `</${name}> has no matching <${name}>`, line));
+      continue;
+    }
+
+    open.splice(index).slice(1)
+      .filter((element) => !OPTIONAL_CLOSE_ELEMENTS.includes(element.name))
+      .forEach((element) => {
+        issues.push(createIssue('warning', 'unclosed_tag', field, `<${element.name}> is not closed before </${name}>`, element.line));
+      });
+  }
+
+  open
+    .filter((element) => !OPTIONAL_CLOSE_ELEMENTS.includes(element.name))
+    .forEach((element) => {
+      issues.push(createIssue('warning', 'unclosed_tag', field, `<${element.name}> is never closed`, element.line));
+    });
+
+  return issues;
+};
+
+/**
+ * Check images for alt text and insecure sources
+ * @param {string} html - HTML source
+ * @param {string} field - Template field
+ * @returns {Array<Object>} - Issues
+ */
+const checkImages = (html, field) => {
+  const issues = [];
+  const imageRegex = /<img\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi;
+  let match;
+
+  while ((match = imageRegex.exec(html)) !== null) {
+    const tag = match[0];
+    const line = lineAt(html, match.index);
+    const src = (tag.match(/\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i) || []).slice(1).find((value) => value !== undefined);
+
+    if (!/\salt\s*=/i.test(tag)) {
+      issues.push(createIssue('warning', 'missing_alt_text', field, src ? `Image ${src} has no alt text` : 'Image has no alt text', line));
+    }
+    if (src && /^http:\/\//i.test(src.trim())) {
+      issues.push(createIssue('warning', 'insecure_image', field, `Image ${src} is loaded over http://; clients may block it`, line));
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Check that a plain-text body has no HTML markup, which would show as is
+ * @param {string} text - Text source
+ * @param {string} field - Template field
+ * @returns {Array<Object>} - Issues
+ */
+const checkPlainText = (text, field) => {
+  const match = /<\/?[a-zA-Z][\w-]*(?:\s(?:[^>"']|"[^"]*"|'[^']*')*)?\/?>/.exec(text);
+
+  return match
+    ? [createIssue('warning', 'html_in_text_body', field, `The text body contains HTML (${match[0]}), which recipients see as is`, lineAt(text, match.index))]
+    : [];
+};
+
+/**
+ * Check a variable name against the variables campaigns supply
+ * @param {string} name - Variable name
+ * @param {Array<string>} known - Other known variable names
+ * @param {Object} fields - User attribute and event metadata names, see lintTemplate
+ * @returns {boolean}
+ */
+const isKnownVariable = (name, known, fields) => BUILT_IN_VARIABLES.includes(name)
+  || known.includes(name)
+  || fields.user.some((field) => name === `user_${field}`)
+  || fields.event.some((field) => name === `event_${field}`);
+
+/**
+ * Lint a template
+ * @param {Object} template - The template
+ * @param {Object} context - What the template renders with
+ * @param {Object} context.variables - Variables each field uses, by field name
+ * @param {Array<string>} context.knownVariables - Variables with defaults or supplied by campaigns
+ * @param {Array<string>} context.allVariables - Variables used by the template with its layouts and partials
+ * @param {Object} context.fields - { user, event } with the user attribute and event metadata
+ *   names, for user_<name> and event_<name> variables
+ * @param {Object} context.partials - Sources of the included partials, by field name
+ * @param {number} context.renderedSize - Size in bytes of the rendered HTML, if it could be rendered
+ * @returns {Array<Object>} - Issues
+ */
+const lintTemplate = (template, context) => {
+  const issues = [];
+
+  const variants = template.locales || [];
+
+  if (template.isHtml) {
+    const htmlSources = [['body', template.body]]
+      .concat(variants.map((variant) => [`locales.${variant.locale}.body`, variant.body]))
+      .concat(Object.entries(context.partials || {}));
+
+    htmlSources.forEach(([field, html]) => {
+      issues.push(...checkTagBalance(html || '', field));
+      issues.push(...checkImages(html || '', field));
+    });
+  }
+
+  [['textBody', template.textBody]]
+    .concat(variants.map((variant) => [`locales.${variant.locale}.textBody`, variant.textBody]))
+    .forEach(([field, text]) => {
+      issues.push(...checkPlainText(text || '', field));
+    });
+
+  // Partials take their variables from wherever they're included
+  if (template.kind !== 'partial') {
+    const known = template.kind === 'layout' ? context.knownVariables.concat('content') : context.knownVariables;
+    const fields = context.fields || { user: [], event: [] };
+
+    Object.entries(context.variables).forEach(([field, names]) => {
+      names
+        .filter((name) => !isKnownVariable(name, known, fields))
+        .forEach((name) => {
+          const [, source, key] = /^(user|event)_(.+)$/.exec(name) || [];
+          const message = source
+            ? `{{${name}}} has no default, isn't supplied by any campaign and no recent ${source} has ${source === 'user' ? 'the attribute' : 'the metadata field'} ${key}`
+            : `{{${name}}} has no default and isn't supplied by any campaign`;
+
+          issues.push(createIssue('warning', 'unknown_variable', field, message));
+        });
+    });
+  }
+
+  // Bulk mail must let recipients unsubscribe; transactional templates don't need to
+  if ((template.kind || 'template') === 'template' && template.category !== 'transactional'
+    && !context.allVariables.some((name) => name === 'unsubscribe_link' || name === 'preferences_link')) {
+    issues.push(createIssue('warning', 'missing_unsubscribe_link', 'body', 'Marketing templates should include {{unsubscribe_link}} (or use a layout or partial that does)'));
+  }
+
+  if (context.renderedSize > GMAIL_CLIP_SIZE) {
+    issues.push(createIssue(
+      'warning',
+      'body_too_large',
+      'body',
+      `The rendered HTML is ${Math.ceil(context.renderedSize / 1024)}KB; Gmail clips messages over ${GMAIL_CLIP_SIZE / 1024}KB`
+    ));
+  }
+
+  return issues;
+};
+
+module.exports = {
+  GMAIL_CLIP_SIZE,
+  BUILT_IN_VARIABLES,
+  createIssue,
+  lintTemplate,
+};
@@ -0,0 +1,576 @@
+const Template = require('../models/template.model');
+const TemplateVersion = require('../models/template-version.model');
+const Campaign = require('../models/campaign.model');
+const User = require('../models/user.model');
+const Event = require('../models/event.model');
+const emailService = require('./email.service');
+const { createIssue, lintTemplate } = require('./template-lint.service');
+const { checkMessage } = require('./spam-check');
+const {
+  TemplateError,
+  TemplateValidationError,
+  SafeString,
+  compile,
+  findPartialCycle,
+} = require('./template-engine');
+const { diffLines, formatUnified } = require('../utils/diff');
+const { prepareEmailHtml } = require('../utils/email-html');
+const { htmlToText } = require('../utils/html-to-text');
+const { normalizeLocale, getLocaleChain } = require('../utils/locale');
+
+// Layouts can wrap other layouts, but not without end
+const MAX_LAYOUT_DEPTH = 10;
+
+// Recent users and events looked at for the attribute and metadata names templates can use
+const FIELD_SAMPLE_SIZE = 1000;
+
+// Fields written in the template language
+const SOURCE_FIELDS = ['subject', 'preheader', 'body', 'textBody'];
+
+// Changing any of these fields records a new version
+const VERSIONED_FIELDS = ['subject', 'preheader', 'body', 'textBody', 'defaultLocale', 'locales', 'isHtml', 'layoutId', 'variables'];
+
+/**
+ * Load the layouts a template is rendered inside, innermost first
+ * @param {Object} template - The template
+ * @returns {Promise<Array>} - Layout templates
+ */
+const loadLayouts = async (template) => {
+  const layouts = [];
+  const seen = [template._id.toString()];
+  let layoutId = template.layoutId;
+
+  while (layoutId) {
+    if (seen.includes(layoutId.toString())) {
+      throw new TemplateError(`Layout ${layoutId} wraps itself`);
+    }
+    if (layouts.length >= MAX_LAYOUT_DEPTH) {
+      throw new TemplateError(`Layouts are nested more than ${MAX_LAYOUT_DEPTH} levels deep`);
+    }
+
+    const layout = await Template.findOne({ _id: layoutId, kind: 'layout' });
+
+    if (!layout) {
+      throw new TemplateError(`Layout ${layoutId} not found`);
+    }
+
+    layouts.push(layout);
+    seen.push(layoutId.toString());
+    layoutId = layout.layoutId;
+  }
+
+  return layouts;
+};
+
+/**
+ * Load every partial the given sources include, directly or through other partials
+ * @param {Array<string>} sources - Template sources
+ * @param {Object} known - Partial sources already known by name
+ * @param {string} locale - Locale of the partials to use, if any
+ * @returns {Promise<Object>} - Partial sources by name
+ */
+const loadPartials = async (sources, known = {}, locale = null) => {
+  const partials = { ...known };
+  const needed = (names) => Array.from(new Set(names))
+    .filter((name) => !Object.prototype.hasOwnProperty.call(partials, name));
+
+  let pending = needed(sources.flatMap((source) => compile(source).partials));
+
+  while (pending.length > 0) {
+    const found = await Template.find({ name: { $in: pending }, kind: 'partial' }).select('name body defaultLocale locales');
+
+    found.forEach((partial) => {
+      partials[partial.name] = partial.getLocalizedContent(locale).body;
+    });
+
+    const missing = pending.filter((name) => !found.some((partial) => partial.name === name));
+
+    if (missing.length > 0) {
+      throw new TemplateError(`Partial${missing.length > 1 ? 's' : ''} not found: ${missing.join(', ')}`);
+    }
+
+    pending = needed(found.flatMap((partial) => compile(partials[partial.name]).partials));
+  }
+
+  return partials;
+};
+
+/**
+ * Load the layouts and partials a template needs to render
+ * @param {Object} template - The template
+ * @param {string} locale - Locale to render in, if any
+ * @returns {Promise<Object>} - { layouts, partials } with the content of the layouts and the
+ *   partial sources by name, in the locale
+ * @throws {TemplateError} - If a layout or partial is missing, or partials include each other
+ */
+const resolveTemplate = async (template, locale = null) => {
+  const layouts = (await loadLayouts(template)).map((layout) => layout.getLocalizedContent(locale));
+  const content = template.getLocalizedContent(locale);
+
+  // A partial being saved includes its new body, not the stored one
+  const known = template.kind === 'partial' ? { [template.name]: content.body } : {};
+  const sources = [
+    content.subject,
+    content.preheader,
+    content.body,
+    content.textBody,
+    ...layouts.flatMap((layout) => [layout.body, layout.textBody]),
+  ];
+  const partials = await loadPartials(sources, known, locale);
+
+  const roots = sources.flatMap((source) => compile(source).partials);
+  const cycle = findPartialCycle(template.kind === 'partial' ? roots.concat(template.name) : roots, partials);
+
+  if (cycle) {
+    throw new TemplateError(`Partials include each other: ${cycle.join(' > ')}`);
+  }
+
+  return { layouts, partials };
+};
+
+/**
+ * Get the locale to format numbers and dates with: the recipient's locale if
+ * the content is in its language, otherwise the locale of the content
+ * @param {string} locale - Recipient's locale
+ * @param {string} contentLocale - Locale of the content, if known
+ * @returns {string|undefined}
+ */
+const getFormatLocale = (locale, contentLocale) => {
+  if (contentLocale && !getLocaleChain(locale).includes(contentLocale)) {
+    return contentLocale;
+  }
+
+  return normalizeLocale(locale) || contentLocale || undefined;
+};
+
+/**
+ * Render a template's subject, body and text body, including its partials
+ * and wrapping the bodies in its layouts. HTML bodies then get their CSS
+ * inlined, the preheader added and their markup normalized for email clients.
+ * @param {Object} template - The template
+ * @param {Object} variables - Template variables
+ * @param {Object} options - Render options, see emailService.renderTemplate. The content is
+ *   picked for options.locale, falling back from e.g. pt-BR to pt and then to the default content.
+ *   options.subject replaces the subject of every locale, e.g. for an A/B test variant.
+ * @returns {Promise<Object>} - { subject, body, textBody, locale, variables } where textBody is null
+ *   if the template has no hand-written text body, locale is the locale of the content if known
+ *   and variables lists every variable used
+ */
+const renderTemplate = async (template, variables = {}, options = {}) => {
+  const { subject: subjectOverride, ...engineOptions } = options;
+  const content = template.getLocalizedContent(options.locale);
+  const { layouts, partials } = await resolveTemplate(template, options.locale);
+  const renderOptions = { ...engineOptions, locale: getFormatLocale(options.locale, content.locale), partials };
+
+  const subjectSource = subjectOverride || content.subject;
+  const subject = emailService.renderTemplate(subjectSource, variables, renderOptions);
+  let body = emailService.renderTemplate(content.body, variables, { ...renderOptions, html: template.isHtml });
+
+  let textBody = content.textBody ? emailService.renderTemplate(content.textBody, variables, renderOptions) : null;
+
+  layouts.forEach((layout) => {
+    body = emailService.renderTemplate(layout.body, { ...variables, content: new SafeString(body) }, {
+      ...renderOptions,
+      html: template.isHtml,
+    });
+
+    // Layouts without a text body leave the text as it is
+    if (textBody !== null && layout.textBody) {
+      textBody = emailService.renderTemplate(layout.textBody, { ...variables, content: textBody }, renderOptions);
+    }
+  });
+
+  if (template.isHtml) {
+    body = prepareEmailHtml(body, {
+      preheader: content.preheader ? emailService.renderTemplate(content.preheader, variables, renderOptions) : null,
+    });
+  }
+
+  const sources = [subjectSource, content.preheader, content.body, content.textBody, ...Object.values(partials)];
+  const used = new Set(sources.flatMap((source) => compile(source).variables));
+  layouts.forEach((layout) => [layout.body, layout.textBody]
+    .flatMap((source) => compile(source).variables)
+    .filter((name) => name !== 'content')
+    .forEach((name) => used.add(name)));
+
+  return {
+    subject,
+    body,
+    textBody,
+    locale: content.locale,
+    variables: Array.from(used),
+  };
+};
+
+/**
+ * Score a rendered template against the spam rules, as the email it's sent as
+ * @param {Object} template - The template
+ * @param {Object} rendered - The rendered template, see renderTemplate
+ * @returns {Object} - Spam report, see spamCheck.checkMessage
+ */
+const checkSpam = (template, rendered) => checkMessage({
+  subject: rendered.subject,
+  html: template.isHtml ? rendered.body : null,
+  text: template.isHtml ? (rendered.textBody || htmlToText(rendered.body)) : rendered.body,
+});
+
+/**
+ * Get the user attribute and event metadata names of recent users and events,
+ * which templates can use as user_<name> and event_<name>
+ * @param {Array<string>} eventTypes - Event types whose metadata to look at; every type if empty
+ * @returns {Promise<Object>} - { user, event } with the attribute and metadata names
+ */
+const getVariableFields = async (eventTypes = []) => {
+  const findKeys = async (model, field, match, sort) => {
+    const keys = await model.aggregate([
+      { $match: match },
+      { $sort: sort },
+      { $limit: FIELD_SAMPLE_SIZE },
+      { $project: { keys: { $objectToArray: { $ifNull: [`$${field}`, {}] } } } },
+      { $unwind: '$keys' },
+      { $group: { _id: '$keys.k' } },
+    ]);
+
+    return keys.map((key) => key._id);
+  };
+
+  const [user, event] = await Promise.all([
+    findKeys(User, 'attributes', {}, { _id: -1 }),
+    findKeys(Event, 'metadata', eventTypes.length > 0 ? { eventType: { $in: eventTypes } } : {}, { timestamp: -1 }),
+  ]);
+
+  return { user, event };
+};
+
+/**
+ * Validate a template: errors for templates that can't be rendered, warnings
+ * for templates likely to render badly or that break rules for bulk mail
+ * @param {Object} template - The template, saved or not
+ * @returns {Promise<Object>} - { valid, errors, warnings } with issues as
+ *   { severity, code, field, line, message }
+ */
+const validateTemplate = async (template) => {
+  const issues = [];
+  const variables = {};
+
+  const variants = template.locales || [];
+
+  // Locale variants are reported as e.g. locales.pt-BR.body
+  const fields = SOURCE_FIELDS.map((field) => [field, template[field]])
+    .concat(variants.flatMap((variant) => SOURCE_FIELDS
+      .map((field) => [`locales.${variant.locale}.${field}`, variant[field]])));
+
+  fields.forEach(([field, source]) => {
+    try {
+      variables[field] = compile(source).variables;
+    } catch (error) {
+      if (!(error instanceof TemplateError)) {
+        throw error;
+      }
+      issues.push(createIssue('error', 'syntax_error', field, error.message, error.line));
+    }
+  });
+
+  if (template.defaultLocale && !normalizeLocale(template.defaultLocale)) {
+    issues.push(createIssue('error', 'invalid_locale', 'defaultLocale', `${template.defaultLocale} is not a valid locale`));
+  }
+
+  variants.forEach((variant, index) => {
+    const field = `locales.${variant.locale}`;
+
+    if (!normalizeLocale(variant.locale)) {
+      issues.push(createIssue('error', 'invalid_locale', field, `${variant.locale} is not a valid locale`));
+    } else if (variant.locale === template.defaultLocale
+      || variants.findIndex((other) => other.locale === variant.locale) !== index) {
+      issues.push(createIssue('error', 'invalid_locale', field, `${variant.locale} has more than one version`));
+    }
+    if ((template.kind || 'template') === 'template' && !variant.subject) {
+      issues.push(createIssue('error', 'invalid_locale', `${field}.subject`, `The ${variant.locale} version has no subject`));
+    }
+  });
+
+  if (template.kind === 'layout') {
+    const contents = [['', template.textBody]]
+      .concat(variants.map((variant) => [`locales.${variant.locale}.`, variant.textBody]));
+
+    contents.forEach(([prefix, textBody]) => {
+      const bodyVariables = variables[`${prefix}body`];
+      const textVariables = variables[`${prefix}textBody`];
+
+      if (bodyVariables && !bodyVariables.includes('content')) {
+        issues.push(createIssue('error', 'missing_content_slot', `${prefix}body`, 'Layouts must include the {{content}} slot'));
+      }
+      if (textBody && textVariables && !textVariables.includes('content')) {
+        issues.push(createIssue('error', 'missing_content_slot', `${prefix}textBody`, 'The text body of a layout must include the {{content}} slot'));
+      }
+    });
+  }
+
+  if (template.layoutId && template.kind === 'partial') {
+    issues.push(createIssue('error', 'invalid_layout', 'layoutId', 'Partials can\'t have a layout'));
+  }
+
+  // Layouts and partials can only be checked once the template itself parses
+  let resolved = null;
+  // Sources of the included partials in every locale, by field name
+  const partials = {};
+
+  if (issues.length === 0) {
+    // Each locale can use partials and layouts of its own
+    for (const locale of [null].concat(variants.map((variant) => variant.locale))) {
+      try {
+        const result = await resolveTemplate(template, locale);
+        resolved = resolved || result;
+
+        Object.entries(result.partials)
+          .filter(([name]) => template.kind !== 'partial' || name !== template.name)
+          .forEach(([name, source]) => {
+            const field = `partials.${name}`;
+            // Partials without a version in the locale use their default content
+            partials[locale && partials[field] !== source ? `locales.${locale}.${field}` : field] = source;
+          });
+      } catch (error) {
+        if (!(error instanceof TemplateError)) {
+          throw error;
+        }
+
+        const field = error.message.startsWith('Layout') ? 'layoutId' : 'body';
+        issues.push(createIssue('error', 'unresolved_include', locale ? `locales.${locale}.${field}` : field, error.message));
+        resolved = null;
+        break;
+      }
+    }
+  }
+
+  if (resolved) {
+    // Variables with defaults here or in a campaign sending this template
+    const campaigns = template.isNew ? [] : await Campaign.find({ templateId: template._id }).select('defaultVariables triggerEvent');
+    const knownVariables = Object.keys(template.getDefaultVariables())
+      .concat(campaigns.flatMap((campaign) => Array.from((campaign.defaultVariables || new Map()).keys())));
+
+    const allVariables = Object.values(variables).flat()
+      .concat(Object.values(resolved.partials).flatMap((source) => compile(source).variables))
+      .concat(resolved.layouts.flatMap((layout) => compile(layout.body).variables));
+
+    let renderedSize = 0;
+
+    if (template.isHtml && (template.kind || 'template') === 'template') {
+      const { body } = await renderTemplate(template, template.getDefaultVariables());
+      renderedSize = Buffer.byteLength(body);
+    }
+
+    issues.push(...lintTemplate(template, {
+      variables,
+      knownVariables,
+      allVariables,
+      fields: await getVariableFields(campaigns.map((campaign) => campaign.triggerEvent)),
+      partials,
+      renderedSize,
+    }));
+  }
+
+  const errors = issues.filter((item) => item.severity === 'error');
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings: issues.filter((item) => item.severity === 'warning'),
+  };
+};
+
+/**
+ * Check whether other templates use a layout or partial
+ * @param {Object} template - Layout or partial
+ * @returns {Promise<boolean>}
+ */
+const isInUse = async (template) => {
+  if (template.kind === 'layout') {
+    return !!(await Template.exists({ layoutId: template._id }));
+  }
+  if (template.kind === 'partial') {
+    return !!(await Template.exists({ partials: template.name, _id: { $ne: template._id } }));
+  }
+
+  return false;
+};
+
+/**
+ * Find the campaigns that send a template, as their template or an A/B test
+ * variant's. Archived campaigns no longer send, so they don't count.
+ * @param {Object} template - The template
+ * @returns {Promise<Array>} - Campaign names and IDs
+ */
+const findCampaignsUsing = (template) => Campaign.find({
+  $or: [{ templateId: template._id }, { 'variants.templateId': template._id }],
+  status: { $ne: 'archived' },
+}).select('name');
+
+/**
+ * Get the versioned content of a template or template version
+ * @param {Object} source - Template or template version
+ * @returns {Object} - The VERSIONED_FIELDS, with locales and variables as plain objects
+ */
+const getVersionedContent = (source) => {
+  const content = {};
+
+  VERSIONED_FIELDS.forEach((field) => {
+    content[field] = source[field];
+  });
+
+  content.locales = (source.locales || []).map(({ locale, subject, preheader, body, textBody }) => ({
+    locale, subject, preheader, body, textBody,
+  }));
+  content.variables = (source.variables || []).map(({ name, description, defaultValue }) => ({ name, description, defaultValue }));
+
+  return content;
+};
+
+/**
+ * Record the current content of a template as a version
+ * @param {Object} template - The template
+ * @param {Object} options - Version details
+ * @param {string} options.userId - User who saved the version
+ * @param {string} options.note - What changed
+ * @returns {Promise<Object>} - The template version
+ */
+const recordVersion = (template, { userId, note } = {}) => TemplateVersion.create({
+  templateId: template._id,
+  version: template.version,
+  name: template.name,
+  ...getVersionedContent(template),
+  note,
+  createdBy: userId,
+});
+
+/**
+ * Apply changes to a template, validate it and save it. Content changes get a
+ * new version, so emails and campaigns using an earlier version are unaffected.
+ * @param {Object} template - The template, new or loaded
+ * @param {Object} changes - Fields to change
+ * @param {Object} options - Version details, see recordVersion
+ * @returns {Promise<Object>} - { template, warnings } with the saved template and validation warnings
+ * @throws {TemplateValidationError} - If the template has validation errors
+ */
+const saveTemplate = async (template, changes = {}, options = {}) => {
+  const isNew = template.isNew;
+
+  // Templates saved before versioning get their current content recorded first
+  if (!isNew && !(await TemplateVersion.exists({ templateId: template._id, version: template.version }))) {
+    await recordVersion(template, { note: 'Content before version history' });
+  }
+
+  template.set(changes);
+
+  const report = await validateTemplate(template);
+
+  if (!report.valid) {
+    throw new TemplateValidationError(report);
+  }
+
+  const changed = isNew || VERSIONED_FIELDS.some((field) => template.isModified(field));
+
+  if (changed && !isNew) {
+    template.version += 1;
+  }
+
+  await template.save();
+
+  if (changed) {
+    await recordVersion(template, options);
+  }
+
+  return {
+    template,
+    warnings: report.warnings,
+  };
+};
+
+/**
+ * Get the template a campaign sends: its pinned version if it has one,
+ * otherwise the current content
+ * @param {Object} campaign - The campaign
+ * @param {Object} variant - A/B test variant to send; variants with a template of their own use
+ *   it and its pinned version instead of the campaign's
+ * @returns {Promise<Object|null>} - The template with the pinned content, or null if it doesn't exist
+ */
+const getCampaignTemplate = async (campaign, variant = null) => {
+  const source = variant && variant.templateId ? variant : campaign;
+  const template = await Template.findById(source.templateId);
+
+  if (!template || !source.templateVersion || source.templateVersion === template.version) {
+    return template;
+  }
+
+  const pinned = await TemplateVersion.findVersion(template._id, source.templateVersion);
+
+  if (!pinned) {
+    throw new Error(`Version ${source.templateVersion} of template ${template._id} not found for campaign ${campaign._id}`);
+  }
+
+  // Layouts and partials are shared, so only the template's own content is pinned
+  template.set({
+    ...getVersionedContent(pinned),
+    version: pinned.version,
+  });
+
+  return template;
+};
+
+/**
+ * Compare two versions of a template
+ * @param {Object} from - Older template version
+ * @param {Object} to - Newer template version
+ * @returns {Object} - Changed fields, and line diffs of the subject, body and text body
+ */
+const diffVersions = (from, to) => {
+  const subject = diffLines(from.subject, to.subject);
+  const body = diffLines(from.body, to.body);
+  const textBody = diffLines(from.textBody, to.textBody);
+  const fromContent = getVersionedContent(from);
+  const toContent = getVersionedContent(to);
+  const changedFields = VERSIONED_FIELDS.filter((field) => JSON.stringify(fromContent[field] || '') !== JSON.stringify(toContent[field] || ''));
+
+  return {
+    from: from.version,
+    to: to.version,
+    changedFields,
+    subject: formatUnified(subject),
+    body: formatUnified(body),
+    textBody: formatUnified(textBody),
+    lines: {
+      added: body.filter((line) => line.type === 'added').length,
+      removed: body.filter((line) => line.type === 'removed').length,
+    },
+  };
+};
+
+/**
+ * Restore the content of an earlier version as a new version
+ * @param {Object} template - The template
+ * @param {number} version - Version to restore
+ * @param {string} userId - User rolling back
+ * @returns {Promise<Object|null>} - { template, warnings } as for saveTemplate, or null if the version doesn't exist
+ */
+const rollbackTemplate = async (template, version, userId) => {
+  const target = await TemplateVersion.findVersion(template._id, version);
+
+  if (!target) {
+    return null;
+  }
+
+  return saveTemplate(template, getVersionedContent(target), { userId, note: `Rolled back to version ${version}` });
+};
+
+module.exports = {
+  VERSIONED_FIELDS,
+  saveTemplate,
+  getCampaignTemplate,
+  diffVersions,
+  rollbackTemplate,
+  resolveTemplate,
+  validateTemplate,
+  renderTemplate,
+  checkSpam,
+  isInUse,
+  findCampaignsUsing,
+};
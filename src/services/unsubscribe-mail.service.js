@@ -0,0 +1,90 @@
+const suppressionService = require('./suppression.service');
+const { parseMessage } = require('../utils/mime');
+const { processMailbox } = require('../utils/mailbox');
+const { verifyTrackingToken } = require('../utils/tracking-token');
+const { logger } = require('../utils/logger');
+
+/**
+ * Find the unsubscribe token in the subject of a List-Unsubscribe mailto
+ * message, "unsubscribe-<token>"; mail clients may prefix the subject
+ * @param {string|Buffer} raw - Raw MIME message
+ * @returns {string|null} - Unsubscribe token, or null if the message doesn't carry one
+ */
+const parseUnsubscribeMessage = (raw) => {
+  const { headers } = parseMessage(raw);
+  const match = /unsubscribe-([\w-]+\.[\w-]+\.[\w-]+)/i.exec(headers.subject || '');
+
+  return match ? match[1] : null;
+};
+
+/**
+ * Unsubscribe the recipient of a List-Unsubscribe mailto message
+ * @param {string|Buffer} raw - Raw MIME message
+ * @param {string} source - Where the message came from
+ * @returns {Promise<Object>} - { unsubscribed } and, if not, the reason
+ */
+const processUnsubscribeMessage = async (raw, source = 'unsubscribe_mail') => {
+  const token = parseUnsubscribeMessage(raw);
+
+  if (!token) {
+    logger.info(`Ignoring ${source} message without an unsubscribe token in its subject`);
+    return { unsubscribed: false, reason: 'No unsubscribe token' };
+  }
+
+  let claims;
+
+  try {
+    // Expired tokens still carry a valid signature, and an unsubscribe
+    // request must be respected however old the email is
+    claims = verifyTrackingToken(token, 'unsubscribe', { ignoreExpiration: true });
+  } catch (error) {
+    logger.warn(`Rejected ${source} unsubscribe token: ${error.message}`);
+    return { unsubscribed: false, reason: 'Invalid unsubscribe token' };
+  }
+
+  logger.info(`Mail unsubscribe request: User ${claims.uid}, Campaign: ${claims.cid}`);
+
+  const result = await suppressionService.unsubscribeUser({
+    userId: claims.uid,
+    campaignId: claims.cid,
+    source,
+  });
+
+  return result
+    ? { unsubscribed: true }
+    : { unsubscribed: false, reason: 'Unknown user' };
+};
+
+/**
+ * Process unsubscribe requests mailed to the List-Unsubscribe mailto
+ * address, delivered to a maildir or mbox file
+ * @param {string} mailbox - Maildir or mbox path, UNSUBSCRIBE_MAILBOX_PATH by default
+ * @param {Object} options - Processing options
+ * @param {number} options.limit - Max messages to process
+ * @param {string} options.workerId - Worker processing the mailbox
+ * @param {Function} options.shouldStop - Returns true when processing should stop early
+ * @returns {Promise<number>} - Number of messages processed
+ */
+const processUnsubscribeMailbox = async (mailbox = process.env.UNSUBSCRIBE_MAILBOX_PATH, { limit = 100, workerId = process.pid, shouldStop = () => false } = {}) => {
+  if (!mailbox) {
+    return 0;
+  }
+
+  const processed = await processMailbox(
+    mailbox,
+    (raw) => processUnsubscribeMessage(raw, 'unsubscribe_mailbox'),
+    { limit, workerId, shouldStop }
+  );
+
+  if (processed > 0) {
+    logger.info(`Processed ${processed} messages from unsubscribe mailbox ${mailbox}`);
+  }
+
+  return processed;
+};
+
+module.exports = {
+  parseUnsubscribeMessage,
+  processUnsubscribeMessage,
+  processUnsubscribeMailbox,
+};
@@ -0,0 +1,283 @@
+const https = require('https');
+const deliveryEventService = require('./delivery-event.service');
+const { logger } = require('../utils/logger');
+
+/**
+ * Build an error for a webhook payload that can't be understood
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a 400 status code
+ */
+const invalidPayload = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Get the email ID SES reports for a message, from its tags (event
+ * publishing) or its original headers (identity notifications)
+ * @param {Object} mail - The mail object of an SES notification
+ * @returns {string|undefined} - Email ID
+ */
+const getSesEmailId = (mail) => {
+  if (mail.tags && mail.tags.email_id) {
+    return mail.tags.email_id[0];
+  }
+
+  const header = (mail.headers || []).find(({ name }) => name.toLowerCase() === 'x-email-id');
+
+  return header ? header.value : undefined;
+};
+
+/**
+ * Parse the SES notification carried by an SNS message
+ * @param {Object} body - SNS message
+ * @returns {Array<Object>} - Delivery events (see delivery-event.service)
+ */
+const parseSes = (body) => {
+  if (!body || body.Type !== 'Notification') {
+    return [];
+  }
+
+  let notification;
+
+  try {
+    notification = typeof body.Message === 'string' ? JSON.parse(body.Message) : body.Message;
+  } catch (error) {
+    throw invalidPayload('SNS message does not contain an SES notification');
+  }
+
+  if (!notification || !notification.mail) {
+    throw invalidPayload('SNS message does not contain an SES notification');
+  }
+
+  // Notifications from SES identities use notificationType, event publishing uses eventType
+  const type = notification.notificationType || notification.eventType;
+  const messageId = notification.mail.messageId;
+  const emailId = getSesEmailId(notification.mail);
+
+  switch (type) {
+    case 'Delivery':
+      return (notification.delivery.recipients || []).map((recipient) => ({
+        type: 'delivered',
+        messageId,
+        emailId,
+        recipient,
+      }));
+    case 'Bounce':
+      return (notification.bounce.bouncedRecipients || []).map((recipient) => ({
+        type: 'bounced',
+        messageId,
+        emailId,
+        recipient: recipient.emailAddress,
+        // Undetermined bounces are retried by SES, so treat them like transient ones
+        bounceType: notification.bounce.bounceType === 'Permanent' ? 'hard' : 'soft',
+        reason: recipient.diagnosticCode || notification.bounce.bounceSubType,
+      }));
+    case 'Complaint':
+      return (notification.complaint.complainedRecipients || []).map((recipient) => ({
+        type: 'complained',
+        messageId,
+        emailId,
+        recipient: recipient.emailAddress,
+        reason: notification.complaint.complaintFeedbackType,
+      }));
+    default:
+      return [];
+  }
+};
+
+/**
+ * Parse a SendGrid event webhook batch
+ * @param {Array<Object>} body - SendGrid events
+ * @returns {Array<Object>} - Delivery events (see delivery-event.service)
+ */
+const parseSendgrid = (body) => {
+  if (!Array.isArray(body)) {
+    throw invalidPayload('SendGrid webhooks must be an array of events');
+  }
+
+  return body.map((event) => {
+    // sg_message_id is the X-Message-Id returned on send plus a filter suffix
+    const messageId = (event.sg_message_id || '').replace(/\.filter.*$/, '');
+    const emailId = event.email_id;
+
+    switch (event.event) {
+      case 'delivered':
+        return { type: 'delivered', messageId, emailId, recipient: event.email };
+      case 'bounce':
+        return {
+          type: 'bounced',
+          messageId,
+          emailId,
+          recipient: event.email,
+          // Blocks are reputation or content rejections, not dead mailboxes
+          bounceType: event.type === 'blocked' ? 'soft' : 'hard',
+          reason: event.reason,
+        };
+      case 'deferred':
+        return { type: 'deferred', messageId, emailId, recipient: event.email, reason: event.response };
+      case 'spamreport':
+        return { type: 'complained', messageId, emailId, recipient: event.email };
+      default:
+        return null;
+    }
+  }).filter(Boolean);
+};
+
+/**
+ * Parse a Mailgun webhook
+ * @param {Object} body - Mailgun webhook payload
+ * @returns {Array<Object>} - Delivery events (see delivery-event.service)
+ */
+const parseMailgun = (body) => {
+  const event = body && body['event-data'];
+
+  if (!event) {
+    throw invalidPayload('Mailgun webhook is missing event-data');
+  }
+
+  const messageId = event.message && event.message.headers && event.message.headers['message-id'];
+  const emailId = (event['user-variables'] || {}).email_id;
+  const deliveryStatus = event['delivery-status'] || {};
+
+  switch (event.event) {
+    case 'delivered':
+      return [{ type: 'delivered', messageId, emailId, recipient: event.recipient }];
+    case 'failed': {
+      const reason = deliveryStatus.description || deliveryStatus.message;
+
+      // Mailgun keeps retrying temporary failures, so only permanent ones are bounces
+      if (event.severity !== 'permanent') {
+        return [{ type: 'deferred', messageId, emailId, recipient: event.recipient, reason }];
+      }
+
+      return [{
+        type: 'bounced',
+        messageId,
+        emailId,
+        recipient: event.recipient,
+        bounceType: 'hard',
+        reason,
+      }];
+    }
+    case 'complained':
+      return [{ type: 'complained', messageId, emailId, recipient: event.recipient }];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Postmark bounce types that mean the address can't receive mail
+ */
+const POSTMARK_HARD_BOUNCES = ['HardBounce', 'BadEmailAddress', 'ManuallyDeactivated', 'Unsubscribe'];
+
+/**
+ * Parse a Postmark webhook
+ * @param {Object} body - Postmark webhook payload
+ * @returns {Array<Object>} - Delivery events (see delivery-event.service)
+ */
+const parsePostmark = (body) => {
+  if (!body || !body.RecordType) {
+    throw invalidPayload('Postmark webhook is missing RecordType');
+  }
+
+  const messageId = body.MessageID;
+  const emailId = (body.Metadata || {}).email_id;
+
+  switch (body.RecordType) {
+    case 'Delivery':
+      return [{ type: 'delivered', messageId, emailId, recipient: body.Recipient }];
+    case 'Bounce':
+      if (body.Type === 'SpamComplaint') {
+        return [{ type: 'complained', messageId, emailId, recipient: body.Email }];
+      }
+
+      return [{
+        type: 'bounced',
+        messageId,
+        emailId,
+        recipient: body.Email,
+        bounceType: POSTMARK_HARD_BOUNCES.includes(body.Type) ? 'hard' : 'soft',
+        reason: body.Details || body.Description,
+      }];
+    case 'SpamComplaint':
+      return [{ type: 'complained', messageId, emailId, recipient: body.Email }];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Webhook payload parsers, keyed by provider name
+ */
+const WEBHOOK_PARSERS = {
+  ses: parseSes,
+  sendgrid: parseSendgrid,
+  mailgun: parseMailgun,
+  postmark: parsePostmark,
+};
+
+/**
+ * Confirm an SNS topic subscription by visiting its SubscribeURL
+ * @param {string} subscribeUrl - SubscribeURL from the SubscriptionConfirmation message
+ * @returns {Promise<void>}
+ */
+const confirmSnsSubscription = (subscribeUrl) => new Promise((resolve, reject) => {
+  let target;
+
+  try {
+    target = new URL(subscribeUrl);
+  } catch (error) {
+    return reject(invalidPayload('Invalid SNS SubscribeURL'));
+  }
+
+  // Only ever call back into SNS itself
+  if (target.protocol !== 'https:' || !/^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/.test(target.hostname)) {
+    return reject(invalidPayload(`Refusing to confirm SNS subscription at ${target.hostname}`));
+  }
+
+  https.get(target, (res) => {
+    res.resume();
+    res.on('end', () => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        logger.info('Confirmed SNS subscription for SES notifications');
+        resolve();
+      } else {
+        reject(new Error(`SNS subscription confirmation responded with ${res.statusCode}`));
+      }
+    });
+  }).on('error', reject);
+});
+
+/**
+ * Parse a provider webhook and apply every delivery event it contains
+ * @param {string} provider - Provider name
+ * @param {Object|Array} body - Webhook payload
+ * @returns {Promise<Object>} - Number of events received and matched to emails
+ */
+const handleProviderWebhook = async (provider, body) => {
+  const events = WEBHOOK_PARSERS[provider](body);
+  const source = `${provider}_webhook`;
+  let matched = 0;
+
+  for (const event of events) {
+    const email = await deliveryEventService.processDeliveryEvent(source, event);
+
+    if (email) {
+      matched++;
+    }
+  }
+
+  return {
+    received: events.length,
+    matched,
+  };
+};
+
+module.exports = {
+  WEBHOOK_PARSERS,
+  confirmSnsSubscription,
+  handleProviderWebhook,
+};
@@ -0,0 +1,16 @@
+/**
+ * Build an absolute URL to this API for links embedded in emails.
+ * API_BASE_URL is the public origin the API is reachable at, without the
+ * /api prefix (e.g. https://mail.example.com).
+ * @param {string} path - Path below the origin, e.g. /api/track
+ * @returns {string} - Absolute URL
+ */
+const buildApiUrl = (path = '') => {
+  const baseUrl = (process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+  return `${baseUrl}${path}`;
+};
+
+module.exports = {
+  buildApiUrl,
+};
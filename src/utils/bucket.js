@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+/**
+ * Hash a key into a number in [0, 1). The same key always lands in the same
+ * place, so users can be split into groups without storing the split.
+ * @param {string} key - Key to hash, e.g. "<campaignId>:<userId>"
+ * @returns {number} - Number in [0, 1)
+ */
+const getBucket = (key) => {
+  const hash = crypto.createHash('sha256').update(key).digest();
+
+  return hash.readUInt32BE(0) / 0x100000000;
+};
+
+module.exports = {
+  getBucket,
+};
@@ -0,0 +1,71 @@
+/**
+ * Get the value at a dot path of an object, e.g. "metadata.cartId"
+ * @param {Object} object - The object
+ * @param {string} path - Dot path
+ * @returns {*} - The value, or undefined if the path doesn't exist
+ */
+const getValue = (object, path) => path.split('.').reduce(
+  (value, part) => (value === undefined || value === null ? undefined : value[part]),
+  object
+);
+
+/**
+ * Check whether an event matches a set of conditions. Keys are paths into
+ * the event (e.g. "metadata.plan"); values are either the value to equal or
+ * an object with exists, equals, gt and lt checks.
+ * @param {Object} conditions - Conditions by event path
+ * @param {Object} event - The event
+ * @returns {boolean}
+ */
+const matchesConditions = (conditions, event) => {
+  // If no conditions are specified, consider it a match
+  if (!conditions || Object.keys(conditions).length === 0) {
+    return true;
+  }
+  
+  // Simple condition matching - can be extended for more complex conditions
+  for (const [key, value] of Object.entries(conditions)) {
+    // Handle dot notation for nested properties
+    const keyParts = key.split('.');
+    let eventValue = event;
+    
+    for (const part of keyParts) {
+      if (!eventValue || !eventValue[part]) {
+        return false;
+      }
+      eventValue = eventValue[part];
+    }
+    
+    // Handle different types of conditions
+    if (typeof value === 'object') {
+      // Complex condition (exists, gt, lt, etc.)
+      if (value.exists !== undefined && !!eventValue !== value.exists) {
+        return false;
+      }
+      
+      if (value.equals !== undefined && eventValue !== value.equals) {
+        return false;
+      }
+      
+      if (value.gt !== undefined && eventValue <= value.gt) {
+        return false;
+      }
+      
+      if (value.lt !== undefined && eventValue >= value.lt) {
+        return false;
+      }
+    } else {
+      // Simple equality check
+      if (eventValue !== value) {
+        return false;
+      }
+    }
+  }
+  
+  return true;
+};
+
+module.exports = {
+  getValue,
+  matchesConditions,
+};
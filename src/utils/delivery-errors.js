@@ -0,0 +1,82 @@
+/**
+ * Network error codes that indicate a temporary problem reaching the provider
+ */
+const TRANSIENT_NETWORK_CODES = [
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNECTION',
+  'ESOCKET',
+  'EDNS',
+  'EAI_AGAIN',
+  'EPIPE',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+];
+
+/**
+ * Error codes that indicate a provider is misconfigured, e.g. an unknown
+ * provider name or missing credentials, which retrying won't fix
+ */
+const CONFIGURATION_CODES = [
+  'ECONFIG',
+  'EAUTH',
+];
+
+/**
+ * Classify a delivery error as transient (worth retrying) or permanent
+ * @param {Error} error - Error thrown by a delivery provider
+ * @returns {string} - 'transient' or 'permanent'
+ */
+const classifyDeliveryError = (error) => {
+  if (!error) {
+    return 'transient';
+  }
+
+  // SMTP reply codes: 4xx are temporary failures, 5xx are permanent
+  if (error.responseCode) {
+    return error.responseCode >= 500 ? 'permanent' : 'transient';
+  }
+
+  // HTTP API status codes: throttling, timeouts and server errors are temporary
+  if (error.statusCode) {
+    if (error.statusCode === 408 || error.statusCode === 429 || error.statusCode >= 500) {
+      return 'transient';
+    }
+    return error.statusCode >= 400 ? 'permanent' : 'transient';
+  }
+
+  if (error.code && CONFIGURATION_CODES.includes(error.code)) {
+    return 'permanent';
+  }
+
+  if (error.code && TRANSIENT_NETWORK_CODES.includes(error.code)) {
+    return 'transient';
+  }
+
+  // Unknown errors are retried so a message is never lost to a one-off failure
+  return 'transient';
+};
+
+/**
+ * Calculate the delay before the next delivery attempt using exponential
+ * backoff with jitter
+ * @param {number} attempts - Number of attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  const baseDelay = (parseInt(process.env.EMAIL_RETRY_BASE_DELAY, 10) || 60) * 1000;
+  const maxDelay = (parseInt(process.env.EMAIL_RETRY_MAX_DELAY, 10) || 6 * 60 * 60) * 1000;
+
+  const delay = Math.min(baseDelay * (2 ** Math.max(attempts - 1, 0)), maxDelay);
+
+  // +/- 20% jitter so retries of a failed batch don't all fire at once
+  const jitter = delay * 0.2 * ((Math.random() * 2) - 1);
+
+  return Math.round(delay + jitter);
+};
+
+module.exports = {
+  classifyDeliveryError,
+  getRetryDelay,
+};
@@ -0,0 +1,150 @@
+// Texts that differ in more lines than this are shown as entirely replaced,
+// which bounds the time and memory a diff takes
+const MAX_EDITS = 1000;
+
+/**
+ * Find the shortest edit script turning one list of lines into another,
+ * with Myers' algorithm
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<string>|null} - 'unchanged', 'removed' or 'added' for each step, or null
+ *   if the lists differ in more than MAX_EDITS lines
+ */
+const findEditScript = (a, b) => {
+  const max = Math.min(a.length + b.length, MAX_EDITS);
+  const offset = max + 1;
+  // Furthest old line reached on each diagonal k = x - y, for every number of edits
+  const trace = [];
+  let v = new Int32Array(2 * max + 3);
+
+  /**
+   * Whether the furthest path on diagonal k comes from the diagonal above (an added line)
+   * @param {Int32Array} furthest - Furthest old line on each diagonal
+   * @param {number} k - Diagonal
+   * @param {number} d - Number of edits
+   * @returns {boolean}
+   */
+  const comesFromAbove = (furthest, k, d) => k === -d || (k !== d && furthest[offset + k - 1] < furthest[offset + k + 1]);
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v);
+    v = v.slice();
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = comesFromAbove(v, k, d) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        return backtrack(trace, a.length, b.length, comesFromAbove, offset);
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Walk back through the furthest paths to recover the edit script
+ * @param {Array<Int32Array>} trace - Furthest old line on each diagonal, before each number of edits
+ * @param {number} x - Number of old lines
+ * @param {number} y - Number of new lines
+ * @param {Function} comesFromAbove - See findEditScript
+ * @param {number} offset - Index of diagonal 0
+ * @returns {Array<string>} - The edit script
+ */
+const backtrack = (trace, x, y, comesFromAbove, offset) => {
+  const script = [];
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const previousK = comesFromAbove(v, k, d) ? k + 1 : k - 1;
+    const previousX = v[offset + previousK];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      script.push('unchanged');
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      script.push(x === previousX ? 'added' : 'removed');
+    }
+
+    x = previousX;
+    y = previousY;
+  }
+
+  return script.reverse();
+};
+
+/**
+ * Compare two texts line by line
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<Object>} - Lines as { type: 'unchanged' | 'removed' | 'added', text, oldLine, newLine }
+ */
+const diffLines = (before = '', after = '') => {
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+
+  // Most edits change a few lines, so skip the common start and end
+  let start = 0;
+  let endA = a.length;
+  let endB = b.length;
+
+  while (start < endA && start < endB && a[start] === b[start]) {
+    start++;
+  }
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const script = findEditScript(middleA, middleB)
+    || middleA.map(() => 'removed').concat(middleB.map(() => 'added'));
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+
+  for (const type of Array(start).fill('unchanged').concat(script, Array(a.length - endA).fill('unchanged'))) {
+    if (type === 'unchanged') {
+      lines.push({ type, text: a[i], oldLine: i + 1, newLine: j + 1 });
+      i++;
+      j++;
+    } else if (type === 'removed') {
+      lines.push({ type, text: a[i], oldLine: i + 1 });
+      i++;
+    } else {
+      lines.push({ type, text: b[j], newLine: j + 1 });
+      j++;
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Format a line diff as unified diff text
+ * @param {Array<Object>} lines - Lines from diffLines
+ * @returns {string} - Lines prefixed with ' ', '-' or '+'
+ */
+const formatUnified = (lines) => lines
+  .map(({ type, text }) => `${{ unchanged: ' ', removed: '-', added: '+' }[type]}${text}`)
+  .join('\n');
+
+module.exports = {
+  diffLines,
+  formatUnified,
+};
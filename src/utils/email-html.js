@@ -0,0 +1,121 @@
+const juice = require('juice');
+
+/**
+ * Options for inlining CSS. Media queries can't be inlined, so the rules in
+ * them stay in a <style> block for the clients that support it.
+ */
+const JUICE_OPTIONS = {
+  applyWidthAttributes: true,
+  applyHeightAttributes: true,
+  preserveImportant: true,
+  preserveMediaQueries: true,
+  preserveFontFaces: true,
+  removeStyleTags: true,
+};
+
+// Padding after the preheader so clients don't fill the inbox preview with body text
+const PREHEADER_PADDING = '&zwnj;&nbsp;'.repeat(90);
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build the hidden preheader shown after the subject in inbox previews
+ * @param {string} text - Preheader text
+ * @returns {string} - HTML
+ */
+const buildPreheader = (text) => '<div style="display:none;font-size:1px;line-height:1px;max-height:0;max-width:0;opacity:0;overflow:hidden;mso-hide:all;">'
+  + `${escapeHtml(text)}${PREHEADER_PADDING}</div>`;
+
+/**
+ * Add attributes to the opening tags of an element that don't have them yet
+ * @param {string} html - HTML content
+ * @param {string} element - Element name
+ * @param {Object} attributes - Attribute values by name
+ * @returns {string} - HTML
+ */
+const addMissingAttributes = (html, element, attributes) => html.replace(
+  new RegExp(`<${element}\\b([^>]*?)(\\s*/?)>`, 'gi'),
+  (tag, existing, end) => {
+    const missing = Object.entries(attributes)
+      .filter(([name]) => !new RegExp(`\\s${name}\\s*=`, 'i').test(` ${existing}`))
+      .map(([name, value]) => ` ${name}="${value}"`)
+      .join('');
+
+    return `<${element}${existing}${missing}${end}>`;
+  }
+);
+
+/**
+ * Normalize HTML for email clients: make it a complete document with a
+ * charset and viewport, drop scripts, and give tables and images the
+ * attributes Outlook and older clients rely on
+ * @param {string} html - HTML content
+ * @returns {string} - Normalized HTML
+ */
+const normalizeHtml = (html) => {
+  let normalized = html
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script\s*>/gi, '')
+    .replace(/<[a-z][^>]*>/gi, (tag) => tag.replace(/\son[a-z]+\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/gi, ''));
+
+  // Tables shouldn't get the borders and spacing some clients add by default
+  normalized = addMissingAttributes(normalized, 'table', {
+    border: '0',
+    cellpadding: '0',
+    cellspacing: '0',
+  });
+  normalized = addMissingAttributes(normalized, 'img', { alt: '', border: '0' });
+
+  // Fragments get wrapped in a complete document
+  if (!/<html[\s>]/i.test(normalized)) {
+    normalized = /<body[\s>]/i.test(normalized) ? `<html>${normalized}</html>` : `<html><body>${normalized}</body></html>`;
+  }
+  if (!/<head[\s>]/i.test(normalized)) {
+    normalized = normalized.replace(/<html([^>]*)>/i, '<html$1><head></head>');
+  }
+  if (!/<body[\s>]/i.test(normalized)) {
+    normalized = normalized.replace(/<\/head\s*>([\s\S]*)<\/html\s*>/i, '</head><body>$1</body></html>');
+  }
+  if (!/<meta[^>]+charset/i.test(normalized)) {
+    normalized = normalized.replace(/<head([^>]*)>/i, '<head$1><meta http-equiv="Content-Type" content="text/html; charset=utf-8">');
+  }
+  if (!/<meta[^>]+name=["']?viewport/i.test(normalized)) {
+    normalized = normalized.replace(/<\/head\s*>/i, '<meta name="viewport" content="width=device-width, initial-scale=1.0"></head>');
+  }
+  if (!/^\s*<!doctype/i.test(normalized)) {
+    normalized = `<!DOCTYPE html>\n${normalized.trimStart()}`;
+  }
+
+  return normalized;
+};
+
+/**
+ * Prepare rendered HTML for email clients: inline the CSS of <style> blocks,
+ * add the hidden preheader and normalize the markup
+ * @param {string} html - Rendered HTML
+ * @param {Object} options - Options
+ * @param {string} options.preheader - Preheader text, if any
+ * @returns {string} - HTML ready to send
+ */
+const prepareEmailHtml = (html, options = {}) => {
+  let prepared = normalizeHtml(juice(String(html || ''), JUICE_OPTIONS));
+
+  if (options.preheader) {
+    prepared = prepared.replace(/<body([^>]*)>/i, (tag) => `${tag}${buildPreheader(options.preheader)}`);
+  }
+
+  return prepared;
+};
+
+module.exports = {
+  prepareEmailHtml,
+  normalizeHtml,
+};
@@ -0,0 +1,221 @@
+/**
+ * Named HTML entities common in email templates
+ */
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: '\u00a0',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+  middot: '·',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  zwnj: '',
+  zwj: '',
+};
+
+// Placeholders for line and paragraph breaks while whitespace is collapsed
+const LINE_BREAK = '\u0001';
+const PARAGRAPH_BREAK = '\u0002';
+
+/**
+ * Elements that start a new paragraph
+ */
+const BLOCK_ELEMENTS = [
+  'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'table', 'tbody', 'tfoot', 'thead', 'ul',
+];
+
+/**
+ * Decode HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} - Decoded text
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) || code > 0x10FFFF ? match : String.fromCodePoint(code);
+  }
+
+  const decoded = ENTITIES[entity.toLowerCase()];
+  return decoded === undefined ? match : decoded;
+});
+
+/**
+ * Get an attribute of an HTML tag
+ * @param {string} tag - Opening tag
+ * @param {string} name - Attribute name
+ * @returns {string|null} - Decoded attribute value
+ */
+const getAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+
+  if (!match) {
+    return null;
+  }
+
+  return decodeEntities(match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3]));
+};
+
+/**
+ * Check whether a link is worth listing as a footnote
+ * @param {string} href - Link target
+ * @returns {boolean}
+ */
+const isFootnoteLink = (href) => !!href && !/^(#|javascript:)/i.test(href.trim());
+
+/**
+ * Convert an HTML email to plain text. Links become numbered footnotes,
+ * table rows become lines and list items get bullets.
+ * @param {string} html - HTML content
+ * @param {Object} options - Conversion options
+ * @param {number} options.lineWidth - Wrap paragraphs at this width, 0 to not wrap
+ * @returns {string} - Plain text
+ */
+const htmlToText = (html, options = {}) => {
+  const lineWidth = options.lineWidth === undefined ? 78 : options.lineWidth;
+  const links = [];
+
+  let text = String(html || '')
+    // Content that is never shown
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title|noscript)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<(div|span|p)\b[^>]*\bdisplay\s*:\s*none[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    // Preformatted text keeps its line breaks and spaces
+    .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre\s*>/gi, (match, content) => `<p>${content.replace(/\n/g, '<br>').replace(/ /g, '&nbsp;')}</p>`);
+
+  // Links, numbered as footnotes. Links whose text is their URL stay inline.
+  text = text.replace(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi, (match, attributes, content) => {
+    const href = getAttribute(`<a ${attributes}>`, 'href');
+
+    if (!isFootnoteLink(href)) {
+      return content;
+    }
+
+    const label = decodeEntities(content.replace(/<[^>]+>/g, '')).trim();
+
+    if (/^mailto:/i.test(href) && label === href.replace(/^mailto:/i, '')) {
+      return content;
+    }
+    if (!label || label === href) {
+      return href;
+    }
+
+    let index = links.indexOf(href);
+    if (index === -1) {
+      links.push(href);
+      index = links.length - 1;
+    }
+
+    return `${content} [${index + 1}]`;
+  });
+
+  text = text
+    // Images are replaced by their alt text
+    .replace(/<img\b[^>]*>/gi, (tag) => {
+      const alt = getAttribute(tag, 'alt');
+      return alt ? `[${alt}]` : '';
+    })
+    // Table rows become lines, with their cells separated
+    .replace(/<\/t[dh]\s*>\s*(?=<t[dh]\b)/gi, ' | ')
+    .replace(/<\/?tr\b[^>]*>/gi, LINE_BREAK)
+    // List items get bullets
+    .replace(/<li\b[^>]*>/gi, `${LINE_BREAK}- `)
+    .replace(/<br\s*\/?>/gi, LINE_BREAK)
+    .replace(new RegExp(`</?(?:${BLOCK_ELEMENTS.join('|')}|h[1-6])\\b[^>]*>`, 'gi'), PARAGRAPH_BREAK)
+    .replace(/<[^>]+>/g, '')
+    // Whitespace in HTML collapses; only the breaks above start new lines
+    .replace(/\s+/g, ' ');
+
+  const paragraphs = text
+    .split(PARAGRAPH_BREAK)
+    .map((paragraph) => paragraph
+      .split(LINE_BREAK)
+      .map((line) => decodeEntities(line).replace(/^ +| +$/g, '').replace(/\u00a0/g, ' '))
+      .filter((line) => line.trim() !== '' && line.trim() !== '-')
+      .join('\n'))
+    .filter((paragraph) => paragraph !== '');
+
+  const body = paragraphs
+    .map((paragraph) => (lineWidth > 0 ? wrap(paragraph, lineWidth) : paragraph))
+    .join('\n\n');
+
+  if (links.length === 0) {
+    return body;
+  }
+
+  return `${body}\n\n${links.map((href, index) => `[${index + 1}] ${href}`).join('\n')}`;
+};
+
+/**
+ * Get the plain-text alternative an HTML email is sent with: the hand-written
+ * text if there is any, otherwise text generated from the HTML, which keeps
+ * image alt text and links. HTML with none of them, such as an image-only
+ * email, still gets a text part with the unsubscribe URL, so the email is
+ * always sent as multipart/alternative.
+ * @param {string} html - HTML content
+ * @param {Object} options - Text options
+ * @param {string} options.textBody - Hand-written text
+ * @param {string} options.unsubscribeUrl - Unsubscribe URL of the email, if any
+ * @returns {string} - Plain text, never empty
+ */
+const buildTextAlternative = (html, { textBody, unsubscribeUrl } = {}) => {
+  if (textBody && textBody.trim()) {
+    return textBody;
+  }
+
+  const text = htmlToText(html);
+
+  if (text.trim()) {
+    return text;
+  }
+
+  return unsubscribeUrl ? `Unsubscribe: ${unsubscribeUrl}` : 'This email has no text version.';
+};
+
+/**
+ * Wrap the lines of a paragraph at word boundaries
+ * @param {string} paragraph - Paragraph text
+ * @param {number} width - Maximum line width
+ * @returns {string} - Wrapped text
+ */
+const wrap = (paragraph, width) => paragraph.split('\n').map((line) => {
+  if (line.length <= width) {
+    return line;
+  }
+
+  const lines = [];
+  let current = '';
+
+  line.split(' ').forEach((word) => {
+    if (current && current.length + word.length + 1 > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+
+  lines.push(current);
+  return lines.join('\n');
+}).join('\n');
+
+module.exports = {
+  htmlToText,
+  buildTextAlternative,
+  decodeEntities,
+};
@@ -0,0 +1,191 @@
+/**
+ * Journey steps form a graph: the first step is the entry, and each step
+ * names the steps that follow it by key. Email steps continue to `next`,
+ * condition steps to `yes` or `no`, and split steps to one of their
+ * `branches`. A step without a follower completes the journey; exit steps
+ * end it early.
+ */
+
+const STEP_TYPES = ['email', 'condition', 'split', 'exit'];
+const CONDITION_TYPES = ['opened', 'clicked', 'event'];
+
+/**
+ * Get the keys of the steps that can follow a step
+ * @param {Object} step - Journey step
+ * @returns {Array<string>} - Keys of the following steps
+ */
+const getFollowers = (step) => {
+  const type = step.type || 'email';
+
+  if (type === 'condition') {
+    return [step.yes, step.no].filter(Boolean);
+  }
+  if (type === 'split') {
+    return (step.branches || []).map((branch) => branch.next).filter(Boolean);
+  }
+  if (type === 'exit') {
+    return [];
+  }
+  return [step.next].filter(Boolean);
+};
+
+/**
+ * Fill in what linear journeys leave out: steps without a key get
+ * "step-<n>", and when every step is an email step without `next`, each
+ * step continues to the one after it
+ * @param {Array<Object>} steps - Journey steps; updated in place
+ * @returns {Array<Object>} - The steps
+ */
+const linkLinearSteps = (steps) => {
+  steps.forEach((step, index) => {
+    if (step && !step.key) {
+      step.key = `step-${index + 1}`;
+    }
+  });
+
+  const linear = steps.every((step) => step && (step.type || 'email') === 'email' && !step.next);
+
+  if (linear) {
+    steps.slice(0, -1).forEach((step, index) => {
+      step.next = steps[index + 1].key;
+    });
+  }
+
+  return steps;
+};
+
+/**
+ * Check a single step on its own
+ * @param {Object} step - Journey step
+ * @param {Map<string, Object>} byKey - Every step of the journey by key
+ * @returns {string|null} - What is wrong with the step, or null
+ */
+const validateStep = (step, byKey) => {
+  const type = step.type || 'email';
+
+  if (!STEP_TYPES.includes(type)) {
+    return `Step ${step.key} has unknown type ${type}`;
+  }
+
+  if (type === 'email' && !step.campaignId) {
+    return `Email step ${step.key} needs a campaign`;
+  }
+
+  if (type === 'condition') {
+    const condition = step.condition || {};
+
+    if (!CONDITION_TYPES.includes(condition.type)) {
+      return `Condition step ${step.key} needs a condition type: ${CONDITION_TYPES.join(', ')}`;
+    }
+    if (condition.type === 'event' && !condition.eventType) {
+      return `Condition step ${step.key} needs an event type`;
+    }
+    if (condition.step) {
+      const checked = byKey.get(condition.step);
+
+      if (!checked || (checked.type || 'email') !== 'email') {
+        return `Condition step ${step.key} checks ${condition.step}, which is not an email step`;
+      }
+    }
+  }
+
+  if (type === 'split') {
+    const branches = step.branches || [];
+    // Branches weigh 1 unless given a weight
+    const weights = branches.map((branch) => (branch.weight === undefined ? 1 : branch.weight));
+
+    if (branches.length < 2) {
+      return `Split step ${step.key} needs at least two branches`;
+    }
+    if (weights.some((weight) => !(weight >= 0))) {
+      return `Split step ${step.key} has a branch without a valid weight`;
+    }
+    if (weights.reduce((total, weight) => total + weight, 0) <= 0) {
+      return `Split step ${step.key} needs a branch with a positive weight`;
+    }
+  }
+
+  const missing = getFollowers(step).find((key) => !byKey.has(key));
+
+  if (missing) {
+    return `Step ${step.key} leads to unknown step ${missing}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check that journey steps form a valid graph: keys are unique, every step
+ * is complete, links point at existing steps, every step is reachable from
+ * the first one and no path loops back on itself
+ * @param {Array<Object>} steps - Journey steps, with keys filled in
+ * @returns {string|null} - What is wrong with the graph, or null if it is valid
+ */
+const validateGraph = (steps) => {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return 'A journey needs at least one step';
+  }
+
+  const byKey = new Map();
+
+  for (const step of steps) {
+    if (!step || !step.key) {
+      return 'Every step needs a key';
+    }
+    if (byKey.has(step.key)) {
+      return `Step key ${step.key} is used more than once`;
+    }
+    byKey.set(step.key, step);
+  }
+
+  for (const step of steps) {
+    const error = validateStep(step, byKey);
+
+    if (error) {
+      return error;
+    }
+  }
+
+  // Depth-first walk from the entry step: a step met again while it is
+  // still on the path is a loop
+  const visited = new Set();
+  const onPath = new Set();
+  let loop = null;
+
+  const visit = (key) => {
+    if (onPath.has(key)) {
+      loop = loop || key;
+      return;
+    }
+    if (visited.has(key)) {
+      return;
+    }
+
+    visited.add(key);
+    onPath.add(key);
+    getFollowers(byKey.get(key)).forEach(visit);
+    onPath.delete(key);
+  };
+
+  visit(steps[0].key);
+
+  if (loop) {
+    return `Step ${loop} can be reached from itself; journeys can't loop`;
+  }
+
+  const unreachable = steps.find((step) => !visited.has(step.key));
+
+  if (unreachable) {
+    return `Step ${unreachable.key} can't be reached from the first step`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  STEP_TYPES,
+  CONDITION_TYPES,
+  getFollowers,
+  linkLinearSteps,
+  validateGraph,
+};
@@ -0,0 +1,52 @@
+/**
+ * Get the canonical form of a locale, e.g. "pt_br" becomes "pt-BR"
+ * @param {string} locale - BCP 47 locale
+ * @returns {string|null} - Canonical locale, or null if it isn't a valid locale
+ */
+const normalizeLocale = (locale) => {
+  if (typeof locale !== 'string' || locale.trim() === '') {
+    return null;
+  }
+
+  try {
+    return Intl.getCanonicalLocales(locale.trim().replace(/_/g, '-'))[0];
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the locales to try for a locale, most specific first,
+ * e.g. ["zh-Hant-TW", "zh-Hant", "zh"] for "zh-Hant-TW"
+ * @param {string} locale - BCP 47 locale
+ * @returns {Array<string>} - Fallback chain, empty if the locale isn't valid
+ */
+const getLocaleChain = (locale) => {
+  const normalized = normalizeLocale(locale);
+
+  if (!normalized) {
+    return [];
+  }
+
+  const subtags = normalized.split('-');
+  return subtags.map((subtag, index) => subtags.slice(0, subtags.length - index).join('-'));
+};
+
+/**
+ * Find the best of the available locales for a locale
+ * @param {string} locale - Requested locale
+ * @param {Array<string>} available - Available locales
+ * @returns {string|null} - The first available locale in the fallback chain, or null
+ */
+const matchLocale = (locale, available) => {
+  const normalized = available.map((item) => normalizeLocale(item));
+  const match = getLocaleChain(locale).find((candidate) => normalized.includes(candidate));
+
+  return match ? available[normalized.indexOf(match)] : null;
+};
+
+module.exports = {
+  normalizeLocale,
+  getLocaleChain,
+  matchLocale,
+};
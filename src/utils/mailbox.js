@@ -0,0 +1,181 @@
+/**
+ * Read mail delivered to a local mailbox, either a maildir or an mbox file,
+ * handing each message to a handler. Used for the return-path (bounce) and
+ * List-Unsubscribe mailboxes.
+ */
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Process the unread messages of a maildir. Each message is claimed by
+ * moving it from new/ to cur/, so several workers can share a maildir,
+ * and flagged as seen once processed. Messages that fail are logged and
+ * flagged instead (the maildir F flag), so they don't block later mail.
+ * @param {string} maildir - Maildir path
+ * @param {Function} handleMessage - Receives the raw message as a Buffer
+ * @param {Object} options - Processing options
+ * @param {number} options.limit - Max messages to process
+ * @param {Function} options.shouldStop - Returns true when processing should stop early
+ * @returns {Promise<number>} - Number of messages processed
+ */
+const processMaildir = async (maildir, handleMessage, { limit, shouldStop }) => {
+  const names = (await fs.promises.readdir(path.join(maildir, 'new'))).sort();
+  let processed = 0;
+
+  for (const name of names) {
+    if (processed >= limit || shouldStop()) {
+      break;
+    }
+
+    const claimed = path.join(maildir, 'cur', `${name}:2,`);
+
+    try {
+      await fs.promises.rename(path.join(maildir, 'new', name), claimed);
+    } catch (error) {
+      // Another worker claimed it first
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+      throw error;
+    }
+
+    try {
+      await handleMessage(await fs.promises.readFile(claimed));
+      await fs.promises.rename(claimed, `${claimed}S`);
+    } catch (error) {
+      // Keep going: a message that fails now would fail on every run
+      logger.error(`Error processing message ${name} from ${maildir}; flagged it in cur/:`, error);
+      await fs.promises.rename(claimed, `${claimed}F`);
+    }
+
+    processed++;
+  }
+
+  return processed;
+};
+
+/**
+ * Split an mbox file into its messages
+ * @param {string} content - mbox content
+ * @returns {Array<string>} - Raw messages
+ */
+const splitMbox = (content) => content
+  .replace(/\r\n/g, '\n')
+  .split(/^From .*$/m)
+  .map((message) => message.replace(/^\n/, '').replace(/^>(>*From )/gm, '$1'))
+  .filter((message) => message.trim());
+
+/**
+ * Join messages into mbox content, quoting lines that would read as the
+ * start of a new message
+ * @param {Array<string>} messages - Raw messages
+ * @returns {string} - mbox content
+ */
+const joinMbox = (messages) => messages
+  .map((message) => `From MAILER-DAEMON ${new Date().toUTCString()}\n${message.replace(/^(>*From )/gm, '>$1').replace(/\n*$/, '\n')}\n`)
+  .join('');
+
+/**
+ * Claim the next mbox file to process by renaming it, so the MTA starts a
+ * new one and no other worker reads it. Messages a run left unprocessed
+ * (<mbox>.pending-*) come before newly delivered mail.
+ * @param {string} mbox - mbox path
+ * @param {string} claimed - Path to rename the claimed file to
+ * @returns {Promise<boolean>} - Whether there was a file to claim
+ */
+const claimMbox = async (mbox, claimed) => {
+  // A run of this worker that crashed left its claimed file behind
+  if (fs.existsSync(claimed)) {
+    return true;
+  }
+
+  const prefix = `${path.basename(mbox)}.pending-`;
+  const pending = (await fs.promises.readdir(path.dirname(mbox)))
+    .filter((name) => name.startsWith(prefix))
+    .sort()
+    .map((name) => path.join(path.dirname(mbox), name));
+
+  for (const file of [...pending, mbox]) {
+    try {
+      await fs.promises.rename(file, claimed);
+      return true;
+    } catch (error) {
+      // Nothing delivered since the last run, or another worker claimed it first
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Process the messages in an mbox file. Messages left when the limit is
+ * reached or processing stops are written to <mbox>.pending-<time>-<worker>
+ * for the next run, which may be another worker's.
+ * @param {string} mbox - mbox path
+ * @param {Function} handleMessage - Receives the raw message as a string
+ * @param {Object} options - Processing options
+ * @param {number} options.limit - Max messages to process
+ * @param {string} options.workerId - Worker processing the file
+ * @param {Function} options.shouldStop - Returns true when processing should stop early
+ * @returns {Promise<number>} - Number of messages processed
+ */
+const processMbox = async (mbox, handleMessage, { limit, workerId, shouldStop }) => {
+  const claimed = `${mbox}.${workerId}.processing`;
+
+  if (!(await claimMbox(mbox, claimed))) {
+    return 0;
+  }
+
+  const messages = splitMbox(await fs.promises.readFile(claimed, 'utf8'));
+  let processed = 0;
+
+  for (const message of messages) {
+    if (processed >= limit || shouldStop()) {
+      break;
+    }
+
+    try {
+      await handleMessage(message);
+    } catch (error) {
+      // Keep going: a message that fails now would fail on every run
+      logger.error(`Error processing message from ${mbox}:`, error);
+    }
+
+    processed++;
+  }
+
+  if (processed < messages.length) {
+    await fs.promises.writeFile(claimed, joinMbox(messages.slice(processed)));
+    await fs.promises.rename(claimed, `${mbox}.pending-${Date.now()}-${workerId}`);
+  } else {
+    await fs.promises.unlink(claimed);
+  }
+
+  return processed;
+};
+
+/**
+ * Process the messages delivered to a mailbox
+ * @param {string} mailbox - Maildir or mbox path
+ * @param {Function} handleMessage - Receives each raw message
+ * @param {Object} options - Processing options
+ * @param {number} options.limit - Max messages to process
+ * @param {string} options.workerId - Worker processing the mailbox
+ * @param {Function} options.shouldStop - Returns true when processing should stop early
+ * @returns {Promise<number>} - Number of messages processed
+ */
+const processMailbox = (mailbox, handleMessage, { limit = 100, workerId = process.pid, shouldStop = () => false } = {}) => {
+  const isMaildir = fs.existsSync(path.join(mailbox, 'new'));
+
+  return isMaildir
+    ? processMaildir(mailbox, handleMessage, { limit, shouldStop })
+    : processMbox(mailbox, handleMessage, { limit, workerId, shouldStop });
+};
+
+module.exports = {
+  processMailbox,
+};
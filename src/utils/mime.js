@@ -0,0 +1,150 @@
+/**
+ * Minimal MIME parsing for machine-generated report messages (delivery
+ * status notifications and feedback reports). It splits multipart bodies
+ * and decodes transfer encodings; it doesn't decode encoded-words or
+ * character sets, which report fields don't use.
+ */
+
+/**
+ * Parse a header block into an object keyed by lowercase header name.
+ * Folded lines are unfolded; the first occurrence of a header wins.
+ * @param {string} text - Header block
+ * @returns {Object} - Header values
+ */
+const parseHeaders = (text) => {
+  const headers = {};
+
+  text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]+/g, ' ')
+    .split('\n')
+    .forEach((line) => {
+      const separator = line.indexOf(':');
+
+      if (separator <= 0) {
+        return;
+      }
+
+      const name = line.slice(0, separator).trim().toLowerCase();
+
+      if (!(name in headers)) {
+        headers[name] = line.slice(separator + 1).trim();
+      }
+    });
+
+  return headers;
+};
+
+/**
+ * Split a structured header value such as Content-Type into its value and parameters
+ * @param {string} header - Header value, e.g. multipart/report; report-type=delivery-status
+ * @returns {Object} - { value, params }
+ */
+const parseHeaderValue = (header = '') => {
+  const [value, ...rest] = header.split(';');
+  const params = {};
+
+  rest.forEach((param) => {
+    const separator = param.indexOf('=');
+
+    if (separator > 0) {
+      params[param.slice(0, separator).trim().toLowerCase()] = param.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+    }
+  });
+
+  return {
+    value: value.trim().toLowerCase(),
+    params,
+  };
+};
+
+/**
+ * Decode a body according to its Content-Transfer-Encoding
+ * @param {string} body - Encoded body
+ * @param {string} encoding - Transfer encoding
+ * @returns {string} - Decoded body
+ */
+const decodeBody = (body, encoding = '') => {
+  switch (encoding.trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+    case 'quoted-printable':
+      return Buffer.from(
+        body
+          .replace(/=\r?\n/g, '')
+          .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'binary'
+      ).toString('utf8');
+    default:
+      return body;
+  }
+};
+
+/**
+ * Parse a MIME message into its headers, content type, decoded body and,
+ * for multipart messages, its parts
+ * @param {string|Buffer} raw - Raw message
+ * @returns {Object} - { headers, contentType, body, parts }
+ */
+const parseMessage = (raw) => {
+  const text = Buffer.isBuffer(raw) ? raw.toString('utf8') : String(raw);
+  const normalized = text.replace(/\r\n/g, '\n');
+  const separator = normalized.search(/\n\n/);
+
+  const headerText = separator === -1 ? normalized : normalized.slice(0, separator);
+  const rawBody = separator === -1 ? '' : normalized.slice(separator + 2);
+
+  const headers = parseHeaders(headerText);
+  const contentType = parseHeaderValue(headers['content-type'] || 'text/plain');
+  const message = {
+    headers,
+    contentType,
+    body: decodeBody(rawBody, headers['content-transfer-encoding']),
+    parts: [],
+  };
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const delimiter = `--${contentType.params.boundary}`;
+    const sections = rawBody.split(new RegExp(`^${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*$`, 'm'));
+
+    // The first section is the preamble and the last one the epilogue
+    message.parts = sections
+      .slice(1, -1)
+      .map((section) => parseMessage(section.replace(/^\n/, '')));
+    message.body = '';
+  }
+
+  return message;
+};
+
+/**
+ * Find every part with one of the given content types, depth first
+ * @param {Object} message - Parsed message
+ * @param {Array<string>} types - Content types to look for
+ * @returns {Array<Object>} - Matching parts
+ */
+const findParts = (message, types) => {
+  const matches = types.includes(message.contentType.value) ? [message] : [];
+
+  return matches.concat(...message.parts.map((part) => findParts(part, types)));
+};
+
+/**
+ * Parse a body made of header-style field groups separated by blank lines,
+ * like the message/delivery-status part of a DSN
+ * @param {string} body - Body text
+ * @returns {Array<Object>} - One header object per group
+ */
+const parseFieldGroups = (body) => body
+  .replace(/\r\n/g, '\n')
+  .split(/\n\s*\n/)
+  .filter((group) => group.trim())
+  .map(parseHeaders);
+
+module.exports = {
+  parseHeaders,
+  parseHeaderValue,
+  parseMessage,
+  findParts,
+  parseFieldGroups,
+};
@@ -0,0 +1,48 @@
+/**
+ * Cumulative distribution function of the standard normal distribution,
+ * using the Abramowitz and Stegun approximation of erf (error < 1.5e-7)
+ * @param {number} x - Value
+ * @returns {number} - P(Z <= x)
+ */
+const normalCdf = (x) => {
+  const t = 1 / (1 + (0.3275911 * Math.abs(x) / Math.SQRT2));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - (poly * Math.exp(-(x * x) / 2));
+
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Two-proportion z-test: whether the success rate of sample B differs from
+ * that of sample A
+ * @param {number} successesA - Successes in sample A
+ * @param {number} totalA - Size of sample A
+ * @param {number} successesB - Successes in sample B
+ * @param {number} totalB - Size of sample B
+ * @returns {Object} - { z, pValue } where z > 0 means B has the higher rate and
+ *   pValue is two-sided; z is 0 and pValue 1 when the samples can't be compared
+ */
+const twoProportionZTest = (successesA, totalA, successesB, totalB) => {
+  if (totalA === 0 || totalB === 0) {
+    return { z: 0, pValue: 1 };
+  }
+
+  const pooled = (successesA + successesB) / (totalA + totalB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * ((1 / totalA) + (1 / totalB)));
+
+  if (standardError === 0) {
+    return { z: 0, pValue: 1 };
+  }
+
+  const z = ((successesB / totalB) - (successesA / totalA)) / standardError;
+
+  return {
+    z,
+    pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))),
+  };
+};
+
+module.exports = {
+  normalCdf,
+  twoProportionZTest,
+};
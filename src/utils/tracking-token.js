@@ -0,0 +1,97 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * Get the keys used to sign tracking and unsubscribe tokens.
+ * TRACKING_SIGNING_KEYS is a comma-separated list of keyId:secret pairs; the
+ * first key signs new tokens and all keys are accepted when verifying, so a
+ * key can be rotated by prepending a new one and removing the old one later.
+ * @returns {Array<Object>} - Keys as { id, secret }
+ */
+const getSigningKeys = () => {
+  const keys = (process.env.TRACKING_SIGNING_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return {
+        id: entry.slice(0, separator),
+        secret: entry.slice(separator + 1),
+      };
+    })
+    .filter((key) => key.id && key.secret);
+
+  if (keys.length > 0) {
+    return keys;
+  }
+
+  if (!process.env.JWT_SECRET) {
+    throw new Error('TRACKING_SIGNING_KEYS or JWT_SECRET must be set to sign tracking links');
+  }
+
+  return [{ id: 'default', secret: process.env.JWT_SECRET }];
+};
+
+/**
+ * How long each token type stays valid
+ */
+const EXPIRY = {
+  track: () => process.env.TRACKING_TOKEN_EXPIRES_IN || '180d',
+  unsubscribe: () => process.env.UNSUBSCRIBE_TOKEN_EXPIRES_IN || '365d',
+};
+
+/**
+ * Sign a tracking token
+ * @param {string} type - Token type: 'track' (opens and clicks) or 'unsubscribe'
+ * @param {Object} claims - Data to embed in the token
+ * @returns {string} - Signed token
+ */
+const signTrackingToken = (type, claims) => {
+  if (!EXPIRY[type]) {
+    throw new Error(`Unknown tracking token type: ${type}`);
+  }
+
+  const [key] = getSigningKeys();
+
+  return jwt.sign(claims, key.secret, {
+    algorithm: 'HS256',
+    audience: type,
+    expiresIn: EXPIRY[type](),
+    keyid: key.id,
+  });
+};
+
+/**
+ * Verify a tracking token. Throws a JsonWebTokenError for forged tokens, tokens
+ * of another type or signed with an unknown key, and a TokenExpiredError for
+ * expired tokens.
+ * @param {string} token - Token from the URL
+ * @param {string} type - Expected token type
+ * @param {Object} options - Verification options
+ * @param {boolean} options.ignoreExpiration - Accept expired tokens with a valid signature
+ * @returns {Object} - Verified claims
+ */
+const verifyTrackingToken = (token, type, { ignoreExpiration = false } = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded || !decoded.header) {
+    throw new jwt.JsonWebTokenError('Malformed tracking token');
+  }
+
+  const key = getSigningKeys().find((candidate) => candidate.id === decoded.header.kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Tracking token was signed with an unknown key');
+  }
+
+  return jwt.verify(token, key.secret, {
+    algorithms: ['HS256'],
+    audience: type,
+    ignoreExpiration,
+  });
+};
+
+module.exports = {
+  signTrackingToken,
+  verifyTrackingToken,
+};
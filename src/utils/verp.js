@@ -0,0 +1,66 @@
+/**
+ * Variable envelope return paths (VERP). Each email is sent with an
+ * envelope sender that encodes its tracking ID, e.g.
+ * bounces+<trackingId>@bounce.example.com for BOUNCE_RETURN_PATH
+ * bounces@bounce.example.com, so asynchronous bounces to that address
+ * identify the email they are about.
+ */
+
+/**
+ * Split the configured return path into its local part and domain
+ * @returns {Object|null} - { local, domain }, or null if VERP is not configured
+ */
+const getReturnPath = () => {
+  const returnPath = (process.env.BOUNCE_RETURN_PATH || '').trim();
+  const separator = returnPath.lastIndexOf('@');
+
+  if (separator <= 0) {
+    return null;
+  }
+
+  return {
+    local: returnPath.slice(0, separator).toLowerCase(),
+    domain: returnPath.slice(separator + 1).toLowerCase(),
+  };
+};
+
+/**
+ * Build the envelope sender for an email
+ * @param {string} trackingId - Tracking ID of the email
+ * @returns {string|undefined} - VERP address, or undefined if VERP is not configured
+ */
+const encodeReturnPath = (trackingId) => {
+  const returnPath = getReturnPath();
+
+  if (!returnPath || !trackingId) {
+    return undefined;
+  }
+
+  return `${returnPath.local}+${trackingId}@${returnPath.domain}`;
+};
+
+/**
+ * Get the tracking ID encoded in a VERP address
+ * @param {string} address - Address a bounce was sent to, optionally in angle brackets
+ * @returns {string|null} - Tracking ID, or null if the address isn't a VERP address
+ */
+const decodeReturnPath = (address) => {
+  const returnPath = getReturnPath();
+
+  if (!returnPath || !address) {
+    return null;
+  }
+
+  const match = String(address).trim().toLowerCase().match(/<?([^<>\s@]+)@([^<>\s@]+)>?$/);
+
+  if (!match || match[2] !== returnPath.domain || !match[1].startsWith(`${returnPath.local}+`)) {
+    return null;
+  }
+
+  return match[1].slice(returnPath.local.length + 1) || null;
+};
+
+module.exports = {
+  encodeReturnPath,
+  decodeReturnPath,
+};
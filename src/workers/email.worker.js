@@ -1,13 +1,26 @@
+const http = require('http');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const campaignService = require('../services/campaign.service');
+const bounceService = require('../services/bounce.service');
+const unsubscribeMailService = require('../services/unsubscribe-mail.service');
+const abTestService = require('../services/ab-test.service');
 const { logger } = require('../utils/logger');
 
 // Load environment variables
 dotenv.config();
 
+/**
+ * Read a duration in seconds from the environment
+ * @param {string} name - Env var name
+ * @param {number} defaultSeconds - Value to use when the env var is not set
+ * @returns {number} - Duration in milliseconds
+ */
+const getDuration = (name, defaultSeconds) => (parseFloat(process.env[name]) || defaultSeconds) * 1000;
+
 /**
  * Process scheduled emails
+ * @returns {Promise<number>} - Number of emails sent
  */
 const processEmails = async () => {
   try {
@@ -18,13 +31,16 @@ const processEmails = async () => {
     const emailsSent = await campaignService.processScheduledEmails(parseInt(batchSize, 10));
     
     logger.info(`Processed ${emailsSent} emails`);
+    return emailsSent;
   } catch (error) {
     logger.error('Error processing scheduled emails:', error);
+    return 0;
   }
 };
 
 /**
  * Process unprocessed events
+ * @returns {Promise<number>} - Number of events processed
  */
 const processEvents = async () => {
   try {
@@ -35,8 +51,87 @@ const processEvents = async () => {
     const eventsProcessed = await campaignService.processUnprocessedEvents(parseInt(batchSize, 10));
     
     logger.info(`Processed ${eventsProcessed} events`);
+    return eventsProcessed;
   } catch (error) {
     logger.error('Error processing events:', error);
+    return 0;
+  }
+};
+
+/**
+ * Run due journey steps
+ * @returns {Promise<number>} - Number of steps run
+ */
+const processJourneys = async () => {
+  try {
+    logger.info('Starting journey step processing job');
+    
+    const batchSize = process.env.JOURNEY_BATCH_SIZE || 100;
+    const stepsRun = await campaignService.processJourneySteps(parseInt(batchSize, 10));
+    
+    logger.info(`Ran ${stepsRun} journey steps`);
+    return stepsRun;
+  } catch (error) {
+    logger.error('Error processing journey steps:', error);
+    return 0;
+  }
+};
+
+/**
+ * Promote the winners of A/B tests with auto-promotion
+ * @returns {Promise<number>} - Number of winners promoted
+ */
+const processAbTests = async () => {
+  try {
+    logger.info('Starting A/B test check');
+    
+    const winnersPromoted = await abTestService.promoteWinners();
+    
+    logger.info(`Promoted ${winnersPromoted} A/B test winners`);
+    return winnersPromoted;
+  } catch (error) {
+    logger.error('Error checking A/B tests:', error);
+    return 0;
+  }
+};
+
+/**
+ * Process bounce and complaint mail from the return-path mailbox
+ * @returns {Promise<number>} - Number of messages processed
+ */
+const processBounces = async () => {
+  try {
+    logger.info('Starting bounce mailbox processing job');
+    
+    const messagesProcessed = await bounceService.processBounceMailbox(process.env.BOUNCE_MAILBOX_PATH, {
+      workerId: campaignService.WORKER_ID,
+    });
+    
+    logger.info(`Processed ${messagesProcessed} bounce messages`);
+    return messagesProcessed;
+  } catch (error) {
+    logger.error('Error processing bounce mailbox:', error);
+    return 0;
+  }
+};
+
+/**
+ * Process unsubscribe requests mailed to the List-Unsubscribe mailto address
+ * @returns {Promise<number>} - Number of messages processed
+ */
+const processUnsubscribes = async () => {
+  try {
+    logger.info('Starting unsubscribe mailbox processing job');
+    
+    const messagesProcessed = await unsubscribeMailService.processUnsubscribeMailbox(process.env.UNSUBSCRIBE_MAILBOX_PATH, {
+      workerId: campaignService.WORKER_ID,
+    });
+    
+    logger.info(`Processed ${messagesProcessed} unsubscribe messages`);
+    return messagesProcessed;
+  } catch (error) {
+    logger.error('Error processing unsubscribe mailbox:', error);
+    return 0;
   }
 };
 
@@ -68,9 +163,25 @@ const runWorker = async () => {
     // Process events first
     await processEvents();
     
+    // Then run due journey steps, which schedule their emails
+    await processJourneys();
+    
     // Then process emails
     await processEmails();
     
+    // Then promote A/B test winners that have enough data
+    await processAbTests();
+    
+    // Then feed back bounces from the return-path mailbox
+    if (process.env.BOUNCE_MAILBOX_PATH) {
+      await processBounces();
+    }
+    
+    // And unsubscribe requests mailed to the List-Unsubscribe mailto address
+    if (process.env.UNSUBSCRIBE_MAILBOX_PATH) {
+      await processUnsubscribes();
+    }
+    
     // Close the connection
     await mongoose.connection.close();
     
@@ -80,9 +191,285 @@ const runWorker = async () => {
   }
 };
 
+// State of the daemon, reported by the status server
+const daemonStatus = {
+  workerId: campaignService.WORKER_ID,
+  state: 'idle',
+  startedAt: null,
+  loops: {},
+};
+
+// Wake-up callbacks of loops that are sleeping between runs
+const sleepers = new Set();
+
+/**
+ * Check whether the daemon has been asked to stop
+ * @returns {boolean}
+ */
+const isStopping = () => daemonStatus.state === 'stopping';
+
+/**
+ * Sleep for a while, or until the daemon is asked to stop
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => {
+  const wake = () => {
+    clearTimeout(timer);
+    sleepers.delete(wake);
+    resolve();
+  };
+  const timer = setTimeout(wake, ms);
+  sleepers.add(wake);
+});
+
+/**
+ * Run a task repeatedly until the daemon stops. The loop runs again right
+ * away after a full batch, waits the base interval after a partial one and
+ * backs off exponentially up to the max idle interval while there is no work.
+ * @param {string} name - Loop name used in status and logs
+ * @param {Object} options - Loop options
+ * @param {Function} options.task - Receives a shouldStop callback, resolves with the number of items handled
+ * @param {number} options.batchSize - Items handled per run
+ * @param {number} options.interval - Base interval in milliseconds
+ * @param {number} options.maxInterval - Max idle interval in milliseconds; never shorter than the base interval
+ * @returns {Promise<void>} - Resolves once the loop has drained
+ */
+const runLoop = async (name, { task, batchSize, interval, maxInterval }) => {
+  const loop = {
+    running: false,
+    runs: 0,
+    lastRunAt: null,
+    lastDurationMs: null,
+    lastCount: 0,
+    totalCount: 0,
+    errors: 0,
+    lastError: null,
+    lastErrorAt: null,
+    nextRunAt: null,
+    lastActivityAt: new Date(),
+  };
+  daemonStatus.loops[name] = loop;
+  
+  // Back off up to the max idle interval, but never run more often than the base interval
+  const backoffCap = Math.max(interval, maxInterval);
+  let delay = interval;
+  
+  while (!isStopping()) {
+    loop.running = true;
+    loop.lastRunAt = new Date();
+    loop.lastActivityAt = loop.lastRunAt;
+    
+    try {
+      const count = await task(isStopping);
+      
+      loop.lastCount = count;
+      loop.totalCount += count;
+      
+      if (count >= batchSize) {
+        delay = 0;
+      } else if (count > 0) {
+        delay = interval;
+      } else {
+        delay = Math.min(Math.max(delay, interval) * 2, backoffCap);
+      }
+    } catch (error) {
+      logger.error(`Error in worker ${name} loop:`, error);
+      
+      loop.errors += 1;
+      loop.lastError = error.message;
+      loop.lastErrorAt = new Date();
+      delay = Math.min(Math.max(delay, interval) * 2, backoffCap);
+    }
+    
+    loop.running = false;
+    loop.runs += 1;
+    loop.lastDurationMs = Date.now() - loop.lastRunAt.getTime();
+    loop.lastActivityAt = new Date();
+    
+    if (!isStopping() && delay > 0) {
+      loop.nextRunAt = new Date(Date.now() + delay);
+      await sleep(delay);
+    }
+  }
+  
+  loop.nextRunAt = null;
+  logger.info(`Worker ${name} loop drained`);
+};
+
+/**
+ * Get the current daemon status
+ * @returns {Object} - State, start time and per-loop counters
+ */
+const getDaemonStatus = () => daemonStatus;
+
+/**
+ * Check whether every loop has shown activity recently
+ * @returns {boolean}
+ */
+const isHealthy = () => {
+  if (daemonStatus.state !== 'running') {
+    return false;
+  }
+  
+  const timeout = getDuration('WORKER_HEALTH_TIMEOUT', 600);
+  
+  return Object.values(daemonStatus.loops)
+    .every((loop) => Date.now() - loop.lastActivityAt.getTime() < timeout);
+};
+
+/**
+ * Start the HTTP server that reports the daemon's liveness and status
+ * @param {number} port - Port to listen on
+ * @returns {Object} - HTTP server
+ */
+const startStatusServer = (port) => {
+  const server = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    let statusCode = 200;
+    let body;
+    
+    if (path === '/health') {
+      const healthy = isHealthy();
+      statusCode = healthy ? 200 : 503;
+      body = { status: healthy ? 'ok' : 'unhealthy', state: daemonStatus.state };
+    } else if (path === '/status') {
+      body = {
+        ...getDaemonStatus(),
+        uptime: daemonStatus.startedAt ? Math.round((Date.now() - daemonStatus.startedAt.getTime()) / 1000) : 0,
+        healthy: isHealthy(),
+      };
+    } else {
+      statusCode = 404;
+      body = { status: 'error', message: 'Not found' };
+    }
+    
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+  
+  server.listen(port, () => {
+    logger.info(`Worker status server listening on port ${port}`);
+  });
+  
+  return server;
+};
+
+/**
+ * Run the worker as a long-lived daemon that keeps processing events and
+ * emails until it receives SIGTERM or SIGINT
+ * @returns {Promise<void>} - Resolves once in-flight work is drained and the connection closed
+ */
+const runDaemon = async () => {
+  await connectDB();
+  
+  daemonStatus.state = 'running';
+  daemonStatus.startedAt = new Date();
+  
+  const statusPort = parseInt(process.env.WORKER_STATUS_PORT, 10);
+  const statusServer = statusPort ? startStatusServer(statusPort) : null;
+  
+  const stop = (signal) => {
+    // A second signal skips draining
+    if (isStopping()) {
+      logger.warn(`Received ${signal} again, exiting immediately`);
+      process.exit(1);
+    }
+    
+    logger.info(`Received ${signal}, draining in-flight work before shutdown`);
+    daemonStatus.state = 'stopping';
+    sleepers.forEach((wake) => wake());
+    
+    // Don't wait forever for a hung send
+    setTimeout(() => {
+      logger.error('Worker did not drain in time, exiting');
+      process.exit(1);
+    }, getDuration('WORKER_SHUTDOWN_TIMEOUT', 30)).unref();
+  };
+  
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+  
+  const maxInterval = getDuration('WORKER_MAX_IDLE_INTERVAL', 60);
+  const eventBatchSize = parseInt(process.env.EVENT_BATCH_SIZE, 10) || 100;
+  const emailBatchSize = parseInt(process.env.EMAIL_BATCH_SIZE, 10) || 10;
+  const journeyBatchSize = parseInt(process.env.JOURNEY_BATCH_SIZE, 10) || 100;
+  const bounceBatchSize = parseInt(process.env.BOUNCE_BATCH_SIZE, 10) || 100;
+  const abTestInterval = getDuration('WORKER_AB_TEST_INTERVAL', 300);
+  
+  logger.info(`Worker daemon ${daemonStatus.workerId} started`);
+  
+  const loops = [
+    runLoop('events', {
+      task: (shouldStop) => campaignService.processUnprocessedEvents(eventBatchSize, campaignService.WORKER_ID, { shouldStop }),
+      batchSize: eventBatchSize,
+      interval: getDuration('WORKER_EVENT_INTERVAL', 1),
+      maxInterval,
+    }),
+    runLoop('journeys', {
+      task: (shouldStop) => campaignService.processJourneySteps(journeyBatchSize, campaignService.WORKER_ID, { shouldStop }),
+      batchSize: journeyBatchSize,
+      interval: getDuration('WORKER_JOURNEY_INTERVAL', 5),
+      maxInterval,
+    }),
+    runLoop('emails', {
+      task: (shouldStop) => campaignService.processScheduledEmails(emailBatchSize, campaignService.WORKER_ID, { shouldStop }),
+      batchSize: emailBatchSize,
+      interval: getDuration('WORKER_EMAIL_INTERVAL', 5),
+      maxInterval,
+    }),
+    runLoop('ab-tests', {
+      task: () => abTestService.promoteWinners(),
+      // A promoted winner leaves no more work due, so never run again right away
+      batchSize: Infinity,
+      interval: abTestInterval,
+      maxInterval,
+    }),
+  ];
+  
+  if (process.env.BOUNCE_MAILBOX_PATH) {
+    loops.push(runLoop('bounces', {
+      task: (shouldStop) => bounceService.processBounceMailbox(process.env.BOUNCE_MAILBOX_PATH, {
+        limit: bounceBatchSize,
+        workerId: campaignService.WORKER_ID,
+        shouldStop,
+      }),
+      batchSize: bounceBatchSize,
+      interval: getDuration('WORKER_BOUNCE_INTERVAL', 60),
+      maxInterval,
+    }));
+  }
+  
+  if (process.env.UNSUBSCRIBE_MAILBOX_PATH) {
+    loops.push(runLoop('unsubscribes', {
+      task: (shouldStop) => unsubscribeMailService.processUnsubscribeMailbox(process.env.UNSUBSCRIBE_MAILBOX_PATH, {
+        limit: bounceBatchSize,
+        workerId: campaignService.WORKER_ID,
+        shouldStop,
+      }),
+      batchSize: bounceBatchSize,
+      interval: getDuration('WORKER_BOUNCE_INTERVAL', 60),
+      maxInterval,
+    }));
+  }
+  
+  await Promise.all(loops);
+  
+  if (statusServer) {
+    statusServer.close();
+  }
+  
+  await mongoose.connection.close();
+  
+  daemonStatus.state = 'stopped';
+  logger.info('Worker daemon stopped');
+};
+
 // If this script is run directly
 if (require.main === module) {
-  runWorker()
+  const daemon = process.argv.includes('--daemon') || process.env.WORKER_MODE === 'daemon';
+  
+  (daemon ? runDaemon() : runWorker())
     .then(() => {
       process.exit(0);
     })
@@ -94,6 +481,12 @@ if (require.main === module) {
 
 module.exports = {
   runWorker,
+  runDaemon,
+  getDaemonStatus,
   processEmails,
   processEvents,
+  processJourneys,
+  processAbTests,
+  processBounces,
+  processUnsubscribes,
 };
\ No newline at end of file
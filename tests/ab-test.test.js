@@ -0,0 +1,69 @@
+const Campaign = require('../src/models/campaign.model');
+const Email = require('../src/models/email.model');
+const { findWinner, promoteWinners } = require('../src/services/ab-test.service');
+
+/**
+ * Build a campaign testing two subjects on the click rate
+ * @returns {Object} - The campaign
+ */
+const buildCampaign = () => new Campaign({
+  name: 'Welcome',
+  templateId: '65a000000000000000000001',
+  triggerEvent: 'signup',
+  status: 'active',
+  variants: [{ name: 'control' }, { name: 'question', subject: 'Ready?' }],
+  abTest: { metric: 'click', autoPromote: true, minSampleSize: 100 },
+});
+
+describe('A/B test winners', () => {
+  it('tests the rates per user, not per email', () => {
+    const campaign = buildCampaign();
+
+    // Ten emails per user don't make the sample ten times larger
+    expect(findWinner(campaign, {
+      control: { sent: 1000, users: 100, clicked: 10 },
+      question: { sent: 1000, users: 100, clicked: 16 },
+    })).toBeNull();
+    expect(findWinner(campaign, {
+      control: { sent: 1000, users: 1000, clicked: 100 },
+      question: { sent: 1000, users: 1000, clicked: 160 },
+    })).toBe('question');
+  });
+
+  describe('auto-promotion', () => {
+    let campaign;
+
+    beforeEach(() => {
+      campaign = buildCampaign();
+
+      jest.spyOn(Campaign, 'find').mockResolvedValue([campaign]);
+      jest.spyOn(Campaign.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('evaluates each test once, when every variant has the minimum sample', async () => {
+      jest.spyOn(Email, 'aggregate').mockResolvedValue([
+        { _id: 'control', sent: 150, users: 99, opened: 40, clicked: 10, converted: 0 },
+        { _id: 'question', sent: 150, users: 120, opened: 50, clicked: 12, converted: 0 },
+      ]);
+
+      expect(await promoteWinners()).toBe(0);
+      expect(campaign.abTest.evaluatedAt).toBeNull();
+
+      Email.aggregate.mockResolvedValue([
+        { _id: 'control', sent: 150, users: 100, opened: 40, clicked: 10, converted: 0 },
+        { _id: 'question', sent: 150, users: 120, opened: 50, clicked: 13, converted: 0 },
+      ]);
+
+      expect(await promoteWinners()).toBe(0);
+      expect(campaign.abTest.evaluatedAt).toBeInstanceOf(Date);
+      expect(campaign.abTest.winner).toBeNull();
+      expect(Campaign.find).toHaveBeenCalledWith(expect.objectContaining({ 'abTest.evaluatedAt': null }));
+    });
+  });
+});
@@ -0,0 +1,51 @@
+process.env.BOUNCE_RETURN_PATH = 'bounces@bounce.example.com';
+
+const { parseBounceMessage } = require('../src/services/bounce.service');
+
+/**
+ * Build a message delivered to the VERP address of an email
+ * @param {Object} headers - Extra headers
+ * @returns {string} - Raw message
+ */
+const buildMessage = (headers) => [
+  'Delivered-To: bounces+tracking-id-1@bounce.example.com',
+  ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+  '',
+  'Message text',
+].join('\n');
+
+describe('free-form mail to a VERP address', () => {
+  it('records a soft bounce for a bounce from the mailer daemon', () => {
+    const events = parseBounceMessage(buildMessage({
+      From: 'Mail Delivery System <MAILER-DAEMON@mx.example.org>',
+      Subject: 'Mail delivery failed',
+    }));
+
+    expect(events).toEqual([{
+      type: 'bounced',
+      trackingId: 'tracking-id-1',
+      bounceType: 'soft',
+      reason: 'Mail delivery failed',
+    }]);
+  });
+
+  it('records a soft bounce for a message with bounce headers', () => {
+    const events = parseBounceMessage(buildMessage({
+      From: 'mail@mx.example.org',
+      'X-Failed-Recipients': 'ana@example.org',
+      Subject: 'Problem',
+    }));
+
+    expect(events).toHaveLength(1);
+  });
+
+  it('ignores auto-replies', () => {
+    const events = parseBounceMessage(buildMessage({
+      From: 'Ana <ana@example.org>',
+      'Auto-Submitted': 'auto-replied',
+      Subject: 'Out of office: Welcome to Example',
+    }));
+
+    expect(events).toEqual([]);
+  });
+});
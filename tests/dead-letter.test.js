@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Campaign = require('../src/models/campaign.model');
+const Email = require('../src/models/email.model');
+const { requeueEmail, requeueDeadLetterEmails } = require('../src/controllers/email.controller');
+const { createProvider } = require('../src/services/providers');
+const { classifyDeliveryError } = require('../src/utils/delivery-errors');
+
+/**
+ * Build a response that records the status and body sent
+ * @returns {Object} - Express-like response
+ */
+const buildResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+describe('requeueing dead-lettered emails', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  beforeEach(() => {
+    jest.spyOn(Campaign, 'findByIdAndUpdate').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes a requeued email off its campaign\'s failed count', async () => {
+    const email = new Email({ campaignId: new mongoose.Types.ObjectId(), status: 'dead_letter' });
+    jest.spyOn(Email, 'findById').mockResolvedValue(email);
+    jest.spyOn(Email.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    const res = buildResponse();
+
+    await requeueEmail({ params: { id: email._id.toString() }, user }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(email.status).toBe('scheduled');
+    expect(Campaign.findByIdAndUpdate).toHaveBeenCalledWith(email.campaignId, {
+      $inc: { 'analytics.failed': -1 },
+    });
+  });
+
+  it('takes requeued emails off each campaign\'s failed count', async () => {
+    const [first, second] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const emails = [first, first, second].map((campaignId) => new Email({ campaignId }));
+    jest.spyOn(Email, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(emails) });
+    jest.spyOn(Email, 'updateMany').mockImplementation(async ({ _id }) => ({ modifiedCount: _id.$in.length }));
+    const res = buildResponse();
+
+    await requeueDeadLetterEmails({ body: {}, user }, res);
+
+    expect(res.body.data.requeued).toBe(3);
+    expect(Campaign.findByIdAndUpdate).toHaveBeenCalledWith(first.toString(), { $inc: { 'analytics.failed': -2 } });
+    expect(Campaign.findByIdAndUpdate).toHaveBeenCalledWith(second.toString(), { $inc: { 'analytics.failed': -1 } });
+  });
+});
+
+describe('classifying delivery errors', () => {
+  it('treats configuration errors as permanent', async () => {
+    expect(() => createProvider('carrier-pigeon')).toThrow(expect.objectContaining({ code: 'ECONFIG' }));
+
+    const provider = createProvider('postmark', { apiKey: '' });
+    const error = await provider.send({ to: 'user@example.com', subject: 'Hi', text: 'Hello' }).catch((err) => err);
+
+    expect(error.message).toBe('postmark email API credentials are missing');
+    expect(classifyDeliveryError(error)).toBe('permanent');
+    expect(classifyDeliveryError(Object.assign(new Error('Missing credentials for "PLAIN"'), { code: 'EAUTH' }))).toBe('permanent');
+  });
+
+  it('retries network errors and temporary SMTP failures', () => {
+    expect(classifyDeliveryError(Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' }))).toBe('transient');
+    expect(classifyDeliveryError(Object.assign(new Error('Try again later'), { code: 'EAUTH', responseCode: 454 }))).toBe('transient');
+  });
+});
@@ -0,0 +1,20 @@
+const { diffLines, formatUnified } = require('../src/utils/diff');
+
+describe('line diffs', () => {
+  it('shows the lines removed and added', () => {
+    const lines = diffLines('<p>Hi</p>\n<p>Old offer</p>\n<p>Bye</p>', '<p>Hi</p>\n<p>New offer</p>\n<p>Bye</p>\n<p>PS</p>');
+
+    expect(formatUnified(lines)).toBe(' <p>Hi</p>\n-<p>Old offer</p>\n+<p>New offer</p>\n <p>Bye</p>\n+<p>PS</p>');
+    expect(lines[3]).toEqual({ type: 'unchanged', text: '<p>Bye</p>', oldLine: 3, newLine: 3 });
+  });
+
+  it('shows texts that have nothing in common as replaced without comparing every pair of lines', () => {
+    const before = Array.from({ length: 50000 }, (_, index) => `old ${index}`).join('\n');
+    const after = Array.from({ length: 50000 }, (_, index) => `new ${index}`).join('\n');
+
+    const lines = diffLines(before, after);
+
+    expect(lines).toHaveLength(100000);
+    expect(lines.filter((line) => line.type === 'removed')).toHaveLength(50000);
+  });
+});
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const Event = require('../src/models/event.model');
+
+describe('triggered campaigns of an event', () => {
+  let event;
+  const campaignId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    event = new Event({ userId: new mongoose.Types.ObjectId(), eventType: 'cart_abandoned' });
+
+    jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets a retry schedule a campaign whose email failed to be scheduled', async () => {
+    await event.addTriggeredCampaign(campaignId, 'scheduled');
+    expect(event.hasTriggeredCampaign(campaignId)).toBe(true);
+
+    await event.updateCampaignStatus(campaignId, 'failed', null, 'Template not found');
+    expect(event.hasTriggeredCampaign(campaignId)).toBe(false);
+    expect(event.triggeredCampaigns[0].error).toBe('Template not found');
+
+    const emailId = new mongoose.Types.ObjectId();
+    await event.addTriggeredCampaign(campaignId, 'scheduled');
+    await event.updateCampaignStatus(campaignId, 'scheduled', emailId);
+
+    expect(event.triggeredCampaigns).toHaveLength(1);
+    expect(event.triggeredCampaigns[0]).toMatchObject({ status: 'scheduled', emailId });
+    expect(event.hasTriggeredCampaign(campaignId)).toBe(true);
+  });
+});
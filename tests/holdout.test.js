@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Campaign = require('../src/models/campaign.model');
+const Event = require('../src/models/event.model');
+const { compareGroups, getLiftReport } = require('../src/services/holdout.service');
+
+/**
+ * Build trigger entries for users numbered from a start
+ * @param {number} count - Number of users
+ * @param {number} converted - How many of them converted
+ * @param {string} status - Status of their trigger entries
+ * @param {number} start - Number of the first user
+ * @returns {Array<Object>} - { userId, status, converted } per user
+ */
+const buildUsers = (count, converted, status, start = 0) => Array.from({ length: count }, (_, index) => ({
+  userId: `user-${start + index}`,
+  status,
+  converted: index < converted,
+}));
+
+describe('campaign lift', () => {
+  it('puts held-out users in the holdout group and leaves suppressed users out of both', () => {
+    const report = compareGroups([
+      { userId: 'sent', status: 'sent', converted: true },
+      { userId: 'cancelled', status: 'cancelled', converted: true },
+      { userId: 'failed', status: 'failed', converted: false },
+      { userId: 'held-out', status: 'held_out', converted: false },
+      { userId: 'suppressed', status: 'suppressed', converted: true },
+    ]);
+
+    expect(report.treated).toEqual({ users: 3, converted: 2, conversionRate: (2 / 3) * 100 });
+    expect(report.heldOut).toEqual({ users: 1, converted: 0, conversionRate: 0 });
+    expect(report.lift).toBeNull();
+  });
+
+  it('counts a user once, as converted if any of their emails led to a conversion', () => {
+    const report = compareGroups([
+      { userId: 'repeat', status: 'sent', converted: false },
+      { userId: 'repeat', status: 'cancelled', converted: true },
+      { userId: 'repeat', status: 'scheduled', converted: false },
+      { userId: 'withheld', status: 'held_out', converted: true },
+      { userId: 'withheld', status: 'held_out', converted: false },
+    ]);
+
+    expect(report.treated).toEqual({ users: 1, converted: 1, conversionRate: 100 });
+    expect(report.heldOut).toEqual({ users: 1, converted: 1, conversionRate: 100 });
+  });
+
+  it('computes the lift and its significance', () => {
+    const triggeredUsers = [
+      ...buildUsers(200, 40, 'sent'),
+      ...buildUsers(100, 10, 'held_out', 200),
+    ];
+
+    const report = compareGroups(triggeredUsers);
+
+    expect(report.treated.conversionRate).toBe(20);
+    expect(report.heldOut.conversionRate).toBe(10);
+    expect(report.lift).toBe(1);
+    expect(report.absoluteLift).toBe(10);
+    expect(report.z).toBeCloseTo(2.191, 3);
+    expect(report.pValue).toBeCloseTo(0.0285, 3);
+    expect(report.significant).toBe(true);
+    expect(compareGroups(triggeredUsers, 0.99).significant).toBe(false);
+  });
+
+  describe('report', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('counts the entries in the period from when the email was to be sent', async () => {
+      const campaign = new Campaign({
+        name: 'Abandoned cart',
+        templateId: new mongoose.Types.ObjectId(),
+        triggerEvent: 'cart_abandoned',
+        holdoutPercentage: 10,
+        conversionEvent: 'purchase',
+      });
+      const from = new Date('2024-01-01');
+
+      jest.spyOn(Event, 'aggregate').mockResolvedValue([
+        { _id: { userId: 'treated', status: 'sent' }, converted: true },
+        { _id: { userId: 'held-out', status: 'held_out' }, converted: false },
+      ]);
+
+      const report = await getLiftReport(campaign, { from });
+      const [pipeline] = Event.aggregate.mock.calls[0];
+
+      expect(pipeline[2].$match).toEqual({
+        'triggeredCampaigns.campaignId': campaign._id,
+        'triggeredCampaigns.scheduledFor': { $gte: from },
+      });
+      expect(pipeline[3].$lookup.let.start).toBe('$triggeredCampaigns.scheduledFor');
+      expect(report.treated).toEqual({ users: 1, converted: 1, conversionRate: 100 });
+      expect(report.heldOut).toEqual({ users: 1, converted: 0, conversionRate: 0 });
+    });
+  });
+});
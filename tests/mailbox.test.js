@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { processMailbox } = require('../src/utils/mailbox');
+
+/**
+ * Build an mbox file with numbered messages
+ * @param {number} count - Number of messages
+ * @returns {string} - mbox content
+ */
+const buildMbox = (count) => Array.from({ length: count }, (_, index) => [
+  'From MAILER-DAEMON Mon Jan  1 00:00:00 2024',
+  `Subject: message ${index + 1}`,
+  '',
+  '>From the body, quoted as in any mbox',
+  '',
+].join('\n')).join('');
+
+describe('mbox processing', () => {
+  let dir;
+  let mbox;
+  let received;
+
+  const handleMessage = async (raw) => {
+    received.push(raw);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailbox-'));
+    mbox = path.join(dir, 'bounces');
+    received = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('processes at most the limit and leaves the rest for the next run', async () => {
+    fs.writeFileSync(mbox, buildMbox(5));
+
+    expect(await processMailbox(mbox, handleMessage, { limit: 2, workerId: 'w1' })).toBe(2);
+    expect(fs.existsSync(mbox)).toBe(false);
+    expect(fs.readdirSync(dir)).toEqual([expect.stringMatching(/^bounces\.pending-/)]);
+
+    // Another worker picks up the rest
+    expect(await processMailbox(mbox, handleMessage, { limit: 10, workerId: 'w2' })).toBe(3);
+    expect(fs.readdirSync(dir)).toEqual([]);
+
+    expect(received.map((raw) => /Subject: (.*)/.exec(raw)[1])).toEqual([
+      'message 1', 'message 2', 'message 3', 'message 4', 'message 5',
+    ]);
+    expect(received.every((raw) => raw.includes('\nFrom the body'))).toBe(true);
+  });
+
+  it('stops between messages when asked to', async () => {
+    fs.writeFileSync(mbox, buildMbox(3));
+
+    const shouldStop = () => received.length >= 1;
+
+    expect(await processMailbox(mbox, handleMessage, { limit: 10, workerId: 'w1', shouldStop })).toBe(1);
+    expect(await processMailbox(mbox, handleMessage, { limit: 10, workerId: 'w1' })).toBe(2);
+    expect(received).toHaveLength(3);
+  });
+
+  it('handles left-over messages before newly delivered mail', async () => {
+    fs.writeFileSync(mbox, buildMbox(2));
+    await processMailbox(mbox, handleMessage, { limit: 1, workerId: 'w1' });
+
+    fs.writeFileSync(mbox, buildMbox(1).replace('message 1', 'new message'));
+    await processMailbox(mbox, handleMessage, { limit: 10, workerId: 'w1' });
+    await processMailbox(mbox, handleMessage, { limit: 10, workerId: 'w1' });
+
+    expect(received.map((raw) => /Subject: (.*)/.exec(raw)[1])).toEqual(['message 1', 'message 2', 'new message']);
+  });
+});
+
+describe('maildir processing', () => {
+  let maildir;
+
+  beforeEach(() => {
+    maildir = fs.mkdtempSync(path.join(os.tmpdir(), 'maildir-'));
+    ['new', 'cur', 'tmp'].forEach((folder) => fs.mkdirSync(path.join(maildir, folder)));
+    fs.writeFileSync(path.join(maildir, 'new', '1.broken'), 'Subject: broken\n\n');
+    fs.writeFileSync(path.join(maildir, 'new', '2.fine'), 'Subject: fine\n\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(maildir, { recursive: true, force: true });
+  });
+
+  it('flags messages that fail and goes on with the rest', async () => {
+    const handled = [];
+    const handleMessage = async (raw) => {
+      if (raw.toString().includes('broken')) {
+        throw new Error('Unparseable');
+      }
+      handled.push(raw.toString());
+    };
+
+    expect(await processMailbox(maildir, handleMessage, { limit: 10 })).toBe(2);
+    expect(handled).toEqual(['Subject: fine\n\n']);
+    expect(fs.readdirSync(path.join(maildir, 'new'))).toEqual([]);
+    expect(fs.readdirSync(path.join(maildir, 'cur')).sort()).toEqual(['1.broken:2,F', '2.fine:2,S']);
+  });
+});
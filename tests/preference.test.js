@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const Email = require('../src/models/email.model');
+const { hasReachedFrequencyCap } = require('../src/services/preference.service');
+
+describe('frequency cap', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), preferences: { frequency: 'daily' } };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts only marketing emails within the user\'s window', async () => {
+    jest.spyOn(Email, 'countDocuments').mockResolvedValue(0);
+
+    await expect(hasReachedFrequencyCap(user)).resolves.toBe(false);
+    expect(Email.countDocuments).toHaveBeenCalledWith(expect.objectContaining({
+      userId: user._id,
+      isTransactional: { $ne: true },
+    }));
+  });
+
+  it('is reached once a marketing email was sent within the window', async () => {
+    jest.spyOn(Email, 'countDocuments').mockResolvedValue(1);
+
+    await expect(hasReachedFrequencyCap(user)).resolves.toBe(true);
+    await expect(hasReachedFrequencyCap({ ...user, preferences: { frequency: 'any' } })).resolves.toBe(false);
+  });
+});
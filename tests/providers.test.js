@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const Campaign = require('../src/models/campaign.model');
+const { PROVIDERS, createProvider } = require('../src/services/providers');
+
+describe('delivery providers', () => {
+  const buildCampaign = (deliveryProvider) => new Campaign({
+    name: 'Welcome',
+    templateId: new mongoose.Types.ObjectId(),
+    triggerEvent: 'signup',
+    createdBy: new mongoose.Types.ObjectId(),
+    deliveryProvider,
+  });
+
+  it('lets campaigns use every provider in the registry', () => {
+    PROVIDERS.forEach((name) => {
+      expect(createProvider(name).name).toBe(name);
+      expect(buildCampaign(name).validateSync()).toBeUndefined();
+    });
+  });
+
+  it('rejects providers that aren\'t in the registry', () => {
+    expect(buildCampaign('carrier-pigeon').validateSync().errors.deliveryProvider).toBeDefined();
+  });
+});
@@ -0,0 +1,22 @@
+const { checkMessage } = require('../src/services/spam-check');
+
+/**
+ * Get the names of the rules a message matches
+ * @param {Object} message - { subject, html, text }
+ * @returns {Array<string>}
+ */
+const matchedRules = (message) => checkMessage(message).rules.map((rule) => rule.name);
+
+describe('spam check of the text part', () => {
+  const html = '<p><a href="https://example.com/sale"><img src="https://example.com/sale.png"></a></p>';
+
+  it('flags an HTML email whose text part is empty or only links', () => {
+    expect(matchedRules({ subject: 'Sale', html, text: '' })).toContain('MISSING_TEXT_PART');
+    expect(matchedRules({ subject: 'Sale', html, text: 'Sale\n\n[1] https://example.com/sale' })).toContain('MISSING_TEXT_PART');
+  });
+
+  it('accepts a text part with content', () => {
+    expect(matchedRules({ subject: 'Sale', html, text: 'Our summer sale starts today: everything is half price.' }))
+      .not.toContain('MISSING_TEXT_PART');
+  });
+});
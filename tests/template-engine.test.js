@@ -0,0 +1,47 @@
+const { render, compile } = require('../src/services/template-engine');
+
+describe('Liquid control tags', () => {
+  const template = [
+    '{% if event.items %}',
+    '{%- for item in event.items %}',
+    '{{ forloop.index }}. {{ item.name }}{% unless forloop.last %},{% endunless %}',
+    '{%- endfor %}',
+    '{% elsif user.vip %}VIP{% else %}Empty{% endif %}',
+    '{% comment %}{{ internal_note }}{% endcomment %}',
+  ].join('\n');
+
+  it('renders conditions and loops', () => {
+    expect(render(template, { event: { items: [{ name: 'Hat' }, { name: 'Scarf' }] } }))
+      .toBe('\n1. Hat,\n2. Scarf\n\n');
+    expect(render(template, { event: { items: [] }, user: { vip: true } })).toBe('VIP\n');
+    expect(render(template, { event: {} })).toBe('Empty\n');
+  });
+
+  it('leaves comments and loop variables out of the template variables', () => {
+    expect(compile(template).variables.sort()).toEqual(['event', 'user']);
+  });
+
+  it('rejects Liquid tags it does not support instead of rendering them as text', () => {
+    expect(() => render('{% assign name = "Ana" %}{{ name }}', {})).toThrow('Unsupported tag "{% assign name = "Ana" %}"');
+    expect(() => render('{% for item in items limit: 2 %}{% endfor %}', {})).toThrow('Unsupported "for" parameter');
+    expect(() => render('{% if ready %}', {})).toThrow('"#if" is never closed');
+    expect(() => render('Hi {% if ready', {})).toThrow('Unclosed "{%" tag');
+  });
+});
+
+describe('filter arguments', () => {
+  it('rejects invalid literal arguments when the template is compiled', () => {
+    expect(() => compile('{{ total | currency: "EURO1" }}')).toThrow('"EURO1" is not a currency code');
+    expect(() => compile('{{ sent | date: "%Y", "Mars/Base" }}')).toThrow('"Mars/Base" is not a time zone');
+    expect(() => compile('{{ rate | number: 25 }}')).toThrow('decimals must be a whole number from 0 to 20');
+    expect(() => compile('{{ rate | percent: 21 }}')).toThrow('decimals must be a whole number from 0 to 20');
+    expect(() => compile('{{ rate | round: 101 }}')).toThrow('decimals must be a whole number from 0 to 100');
+  });
+
+  it('reports filters failing on arguments from variables as template errors', () => {
+    expect(() => render('{{ total | currency: code }}', { total: 3, code: 'EURO1' }))
+      .toThrow(expect.objectContaining({ name: 'TemplateError', message: expect.stringContaining('Filter "currency" failed') }));
+    expect(() => render('{{ sent | date }}', { sent: '2024-01-01' }, { timeZone: 'Mars/Base' }))
+      .toThrow(expect.objectContaining({ name: 'TemplateError' }));
+  });
+});
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const Campaign = require('../src/models/campaign.model');
+const Event = require('../src/models/event.model');
+const Template = require('../src/models/template.model');
+const TemplateVersion = require('../src/models/template-version.model');
+const User = require('../src/models/user.model');
+const templateService = require('../src/services/template.service');
+const { deleteTemplate } = require('../src/controllers/template.controller');
+
+/**
+ * Build a response that records the status and body sent
+ * @returns {Object} - Express-like response
+ */
+const buildResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+describe('deleting a template', () => {
+  let template;
+  let req;
+
+  beforeEach(() => {
+    const userId = new mongoose.Types.ObjectId();
+
+    template = new Template({ name: 'Welcome', subject: 'Hi', body: 'Hello', createdBy: userId });
+    req = { params: { id: template._id.toString() }, user: { _id: userId, role: 'user' } };
+
+    jest.spyOn(Template, 'findById').mockResolvedValue(template);
+    jest.spyOn(Template, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(TemplateVersion, 'deleteMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is refused while campaigns send the template', async () => {
+    jest.spyOn(templateService, 'findCampaignsUsing').mockResolvedValue([{ name: 'Onboarding' }]);
+    const res = buildResponse();
+
+    await deleteTemplate(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.body.message).toBe('This template is used by campaigns: Onboarding');
+    expect(Template.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('hides the template and frees its name but keeps its versions', async () => {
+    jest.spyOn(templateService, 'findCampaignsUsing').mockResolvedValue([]);
+    const res = buildResponse();
+
+    await deleteTemplate(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Template.updateOne).toHaveBeenCalledWith({ _id: template._id }, {
+      deletedAt: expect.any(Date),
+      name: `Welcome (deleted ${template._id})`,
+    });
+    expect(TemplateVersion.deleteMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('rolling a template back', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('restores the variables along with the content', async () => {
+    const template = new Template({
+      name: 'Welcome',
+      subject: 'Hi {{first_name}}',
+      body: 'Hello {{first_name}}',
+      variables: [{ name: 'first_name', description: 'First name', defaultValue: 'friend' }],
+      createdBy: new mongoose.Types.ObjectId(),
+      version: 2,
+    });
+    template.isNew = false;
+
+    const target = new TemplateVersion({
+      templateId: template._id,
+      version: 1,
+      subject: 'Hi {{first_name}}',
+      body: 'Hello again {{first_name}}',
+      variables: [{ name: 'first_name', description: 'First name', defaultValue: 'there' }],
+    });
+
+    jest.spyOn(Campaign, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    jest.spyOn(User, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Event, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(TemplateVersion, 'findVersion').mockResolvedValue(target);
+    jest.spyOn(TemplateVersion, 'exists').mockResolvedValue(true);
+    jest.spyOn(TemplateVersion, 'create').mockImplementation(async (version) => version);
+    jest.spyOn(Template.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const { template: restored } = await templateService.rollbackTemplate(template, 1);
+
+    expect(restored.version).toBe(3);
+    expect(restored.body).toBe('Hello again {{first_name}}');
+    expect(restored.getDefaultVariables()).toEqual({ first_name: 'there' });
+    expect(TemplateVersion.create).toHaveBeenCalledWith(expect.objectContaining({
+      version: 3,
+      variables: [{ name: 'first_name', description: 'First name', defaultValue: 'there' }],
+    }));
+  });
+});
+
+describe('validating a template', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lints every locale, text body and included partial, and checks variables against real fields', async () => {
+    const template = new Template({
+      name: 'Welcome',
+      subject: 'Hi {{user_name}}',
+      body: '<p>Your {{user_plan}} plan. {{> footer}} <a href="{{unsubscribe_link}}">Unsubscribe</a></p>',
+      textBody: 'Your plan: <b>{{user_plan}}</b>',
+      isHtml: true,
+      defaultLocale: 'en',
+      locales: [{ locale: 'pt', subject: 'Olá', body: '<div>Plano {{user_plano}} {{> footer}} {{unsubscribe_link}}' }],
+      createdBy: new mongoose.Types.ObjectId(),
+    });
+    const footer = new Template({ name: 'footer', kind: 'partial', body: '<img src="https://example.com/logo.png">' });
+
+    jest.spyOn(Template, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([footer]) });
+    jest.spyOn(User, 'aggregate').mockResolvedValue([{ _id: 'plan' }]);
+    jest.spyOn(Event, 'aggregate').mockResolvedValue([]);
+
+    const { warnings } = await templateService.validateTemplate(template);
+
+    expect(warnings.map(({ code, field }) => `${code} ${field}`).sort()).toEqual([
+      'html_in_text_body textBody',
+      'missing_alt_text partials.footer',
+      'unclosed_tag locales.pt.body',
+      'unknown_variable locales.pt.body',
+    ]);
+    expect(warnings.find((warning) => warning.code === 'unknown_variable').message)
+      .toBe('{{user_plano}} has no default, isn\'t supplied by any campaign and no recent user has the attribute plano');
+  });
+});
@@ -0,0 +1,47 @@
+const emailService = require('../src/services/email.service');
+const { buildTextAlternative, htmlToText } = require('../src/utils/html-to-text');
+
+const IMAGE_ONLY = '<html><body><table><tr><td><img src="https://example.com/sale.png"></td></tr></table></body></html>';
+const UNSUBSCRIBE_URL = 'https://api.example.com/api/unsubscribe/token';
+
+describe('plain-text alternative', () => {
+  it('keeps hand-written and generated text', () => {
+    expect(buildTextAlternative('<p>Hello</p>', { textBody: 'Hi there' })).toBe('Hi there');
+    expect(buildTextAlternative('<p>Hello</p>', { textBody: '' })).toBe('Hello');
+  });
+
+  it('keeps the alt text and links of image-only HTML', () => {
+    expect(buildTextAlternative('<a href="https://example.com/sale"><img src="sale.png"></a><img src="logo.png" alt="Example">'))
+      .toBe('https://example.com/sale[Example]');
+  });
+
+  it('leaves out-of-range numeric entities as they are', () => {
+    expect(htmlToText('<p>Sale &#99999999; &#x110000; &#x1F600;</p>')).toBe('Sale &#99999999; &#x110000; \u{1F600}');
+  });
+
+  it('falls back to the unsubscribe URL for HTML with no text', () => {
+    expect(buildTextAlternative(IMAGE_ONLY, { unsubscribeUrl: UNSUBSCRIBE_URL })).toBe(`Unsubscribe: ${UNSUBSCRIBE_URL}`);
+    expect(buildTextAlternative(IMAGE_ONLY)).toBe('This email has no text version.');
+  });
+
+  it('sends an image-only template as multipart/alternative', async () => {
+    const provider = emailService.getProvider('memory');
+    provider.clear();
+
+    await emailService.sendEmail({
+      provider: 'memory',
+      from: 'news@example.com',
+      to: 'ana@example.com',
+      subject: 'Summer sale',
+      body: IMAGE_ONLY,
+      isHtml: true,
+      headers: emailService.buildListUnsubscribeHeaders(UNSUBSCRIBE_URL, 'token'),
+    });
+
+    const [{ raw }] = provider.getMessages();
+
+    expect(raw).toMatch(/Content-Type: multipart\/alternative/);
+    expect(raw).toMatch(/Content-Type: text\/plain/);
+    expect(raw).toContain(`Unsubscribe: ${UNSUBSCRIBE_URL}`);
+  });
+});
@@ -0,0 +1,135 @@
+process.env.JWT_SECRET = 'test_secret';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Campaign = require('../src/models/campaign.model');
+const Email = require('../src/models/email.model');
+const emailService = require('../src/services/email.service');
+const trackingRoutes = require('../src/routes/tracking.routes');
+
+/**
+ * Get the path of an absolute tracking URL
+ * @param {string} url - Tracking URL
+ * @returns {string} - URL path
+ */
+const toPath = (url) => new URL(url).pathname;
+
+/**
+ * Wait until a condition holds; open tracking is recorded after the pixel is served
+ * @param {Function} condition - Returns true once done
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 50 && !condition(); attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+describe('open and click tracking', () => {
+  let app;
+  let campaign;
+  let email;
+  let tracked;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/track', trackingRoutes);
+
+    campaign = new Campaign({
+      name: 'Welcome',
+      templateId: new mongoose.Types.ObjectId(),
+      triggerEvent: 'signup',
+    });
+
+    const trackingId = 'tracking-id-1';
+    tracked = emailService.addTracking(
+      '<html><body><a href="https://example.com/offer?a=1&amp;b=2">Offer</a></body></html>',
+      trackingId
+    );
+
+    email = new Email({
+      userId: new mongoose.Types.ObjectId(),
+      campaignId: campaign._id,
+      to: 'ana@example.com',
+      from: 'news@example.com',
+      subject: 'Welcome',
+      body: tracked.html,
+      isHtml: true,
+      status: 'sent',
+      sentAt: new Date(),
+      trackingId,
+      links: tracked.links,
+    });
+
+    // Stand in for the database: one email and one campaign
+    jest.spyOn(Email, 'findOne').mockImplementation(async (query) => (query.trackingId === email.trackingId ? email : null));
+    jest.spyOn(Email.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Campaign, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      if (id.toString() === campaign._id.toString()) {
+        Object.entries(update.$inc || {}).forEach(([path, amount]) => {
+          campaign.set(path, campaign.get(path) + amount);
+        });
+      }
+      return campaign;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the first open of the tracking pixel on the email and the campaign', async () => {
+    const pixel = /<img src="([^"]+)"/.exec(tracked.html)[1];
+
+    const response = await request(app).get(toPath(pixel));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/gif');
+
+    await waitFor(() => campaign.analytics.opened > 0);
+
+    expect(email.status).toBe('opened');
+    expect(email.openedAt).toBeInstanceOf(Date);
+    expect(campaign.analytics.opened).toBe(1);
+
+    // A second open is not counted again
+    await request(app).get(toPath(pixel));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(campaign.analytics.opened).toBe(1);
+  });
+
+  it('redirects a tracked click and records it on the email and the campaign', async () => {
+    const response = await request(app).get(toPath(tracked.links[0].tracking));
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('https://example.com/offer?a=1&b=2');
+
+    expect(email.status).toBe('clicked');
+    expect(email.clickedAt).toBeInstanceOf(Date);
+    // A click implies the email was opened, even if images were blocked
+    expect(email.openedAt).toBeInstanceOf(Date);
+    expect(email.links[0].clicks).toBe(1);
+    expect(campaign.analytics.clicked).toBe(1);
+    expect(campaign.analytics.opened).toBe(1);
+
+    // Later clicks count on the link, but not towards campaign analytics
+    await request(app).get(toPath(tracked.links[0].tracking));
+
+    expect(email.links[0].clicks).toBe(2);
+    expect(campaign.analytics.clicked).toBe(1);
+    expect(campaign.analytics.opened).toBe(1);
+  });
+
+  it('serves the pixel without tracking forged tokens', async () => {
+    const response = await request(app).get('/api/track/open/forged.token.value');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(response.status).toBe(200);
+    expect(email.status).toBe('sent');
+    expect(campaign.analytics.opened).toBe(0);
+  });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Campaign = require('../src/models/campaign.model');
+const Email = require('../src/models/email.model');
+const deliveryEventService = require('../src/services/delivery-event.service');
+const suppressionService = require('../src/services/suppression.service');
+const { WEBHOOK_PARSERS } = require('../src/services/webhook.service');
+
+/**
+ * Build a Mailgun failed event
+ * @param {string} severity - temporary or permanent
+ * @returns {Object} - Webhook payload
+ */
+const mailgunFailure = (severity) => ({
+  'event-data': {
+    event: 'failed',
+    severity,
+    recipient: 'ana@example.com',
+    message: { headers: { 'message-id': 'abc@mailgun.example.com' } },
+    'delivery-status': { description: 'Mailbox temporarily unavailable' },
+  },
+});
+
+describe('Mailgun failed events', () => {
+  it('treats temporary failures as deferrals', () => {
+    expect(WEBHOOK_PARSERS.mailgun(mailgunFailure('temporary'))).toEqual([{
+      type: 'deferred',
+      messageId: 'abc@mailgun.example.com',
+      emailId: undefined,
+      recipient: 'ana@example.com',
+      reason: 'Mailbox temporarily unavailable',
+    }]);
+  });
+
+  it('treats permanent failures as hard bounces', () => {
+    const [event] = WEBHOOK_PARSERS.mailgun(mailgunFailure('permanent'));
+
+    expect(event.type).toBe('bounced');
+    expect(event.bounceType).toBe('hard');
+  });
+});
+
+describe('deferred delivery events', () => {
+  let email;
+
+  beforeEach(() => {
+    email = new Email({
+      userId: new mongoose.Types.ObjectId(),
+      campaignId: new mongoose.Types.ObjectId(),
+      to: 'ana@example.com',
+      from: 'news@example.com',
+      subject: 'Welcome',
+      body: 'Hello',
+      status: 'sent',
+      sentAt: new Date(),
+      trackingId: 'tracking-id-1',
+      messageId: 'abc@mailgun.example.com',
+    });
+
+    jest.spyOn(Email, 'findOne').mockResolvedValue(email);
+    jest.spyOn(Email.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Campaign, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(suppressionService, 'suppressAddress').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the deferral without changing the status or analytics', async () => {
+    const [event] = WEBHOOK_PARSERS.mailgun(mailgunFailure('temporary'));
+
+    await deliveryEventService.processDeliveryEvent('mailgun_webhook', event);
+
+    expect(email.status).toBe('sent');
+    expect(email.bouncedAt).toBeUndefined();
+    expect(email.deferredAt).toBeInstanceOf(Date);
+    expect(email.deferReason).toBe('Mailbox temporarily unavailable');
+    expect(Campaign.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(suppressionService.suppressAddress).not.toHaveBeenCalled();
+  });
+});